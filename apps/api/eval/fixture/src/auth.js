@@ -0,0 +1,15 @@
+import crypto from "node:crypto";
+
+const expected = Buffer.from(process.env.NOTES_TOKEN || "");
+
+// Compares the bearer token in constant time so response timing does not
+// leak how much of the token matched.
+export const verifyToken = (header) => {
+  const token = String(header || "").replace(/^Bearer\s+/i, "");
+  const received = Buffer.from(token);
+  return (
+    expected.length > 0 &&
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+};
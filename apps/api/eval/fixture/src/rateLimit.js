@@ -0,0 +1,20 @@
+// Fixed-window rate limiter keyed by client address.
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  const take = (key) => {
+    const now = Date.now();
+    const current = windows.get(key);
+    if (!current || now - current.startedAt >= windowMs) {
+      windows.set(key, { startedAt: now, count: 1 });
+      return true;
+    }
+    if (current.count >= limit) {
+      return false;
+    }
+    current.count += 1;
+    return true;
+  };
+
+  return { take };
+};
@@ -0,0 +1,65 @@
+import http from "node:http";
+import { verifyToken } from "./auth.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { createNoteStore } from "./store.js";
+
+const port = Number.parseInt(process.env.PORT || "8080", 10);
+const store = createNoteStore(process.env.NOTES_FILE || "notes.json");
+const limiter = createRateLimiter({ limit: 60, windowMs: 60_000 });
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = async (request) => {
+  let raw = "";
+  for await (const chunk of request) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+};
+
+const handleRequest = async (request, response) => {
+  if (!verifyToken(request.headers.authorization)) {
+    return sendJson(response, 401, { error: "Unauthorized" });
+  }
+  if (!limiter.take(request.socket.remoteAddress)) {
+    return sendJson(response, 429, { error: "Too many requests" });
+  }
+
+  const url = new URL(request.url, "http://localhost");
+  if (request.method === "GET" && url.pathname === "/notes") {
+    const query = url.searchParams.get("q");
+    return sendJson(response, 200, query ? store.search(query) : store.list());
+  }
+  if (request.method === "POST" && url.pathname === "/notes") {
+    const { title, body } = await readBody(request);
+    if (!title) {
+      return sendJson(response, 400, { error: "title is required" });
+    }
+    return sendJson(response, 201, store.create({ title, body }));
+  }
+  const match = url.pathname.match(/^\/notes\/(\d+)$/);
+  if (request.method === "DELETE" && match) {
+    return store.remove(Number(match[1]))
+      ? sendJson(response, 204, {})
+      : sendJson(response, 404, { error: "Not found" });
+  }
+  return sendJson(response, 404, { error: "Not found" });
+};
+
+const server = http.createServer((request, response) => {
+  handleRequest(request, response).catch((err) => {
+    sendJson(response, 500, { error: err.message });
+  });
+});
+
+process.on("SIGTERM", async () => {
+  await store.save();
+  server.close();
+});
+
+server.listen(port, () => {
+  console.log(`Notes service listening on ${port}`);
+});
@@ -0,0 +1,41 @@
+import fs from "node:fs";
+
+export const createNoteStore = (filePath) => {
+  const notes = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+    : [];
+  let nextId = notes.reduce((max, note) => Math.max(max, note.id), 0) + 1;
+
+  const list = () =>
+    [...notes].sort((left, right) => right.createdAt - left.createdAt);
+
+  const search = (query) => {
+    const term = query.toLowerCase();
+    return list().filter(
+      (note) =>
+        note.title.toLowerCase().includes(term) ||
+        String(note.body || "").toLowerCase().includes(term)
+    );
+  };
+
+  const create = ({ title, body }) => {
+    const note = { id: nextId, title, body: body || "", createdAt: Date.now() };
+    nextId += 1;
+    notes.push(note);
+    return note;
+  };
+
+  const remove = (id) => {
+    const index = notes.findIndex((note) => note.id === id);
+    if (index === -1) {
+      return false;
+    }
+    notes.splice(index, 1);
+    return true;
+  };
+
+  const save = () =>
+    fs.promises.writeFile(filePath, JSON.stringify(notes, null, 2));
+
+  return { list, search, create, remove, save };
+};
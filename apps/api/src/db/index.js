@@ -6,3 +6,13 @@ const connectionString = getDatabaseUrl();
 
 export const pool = new Pool({ connectionString });
 export const db = drizzle(pool);
+
+export const extractRows = (result) => {
+  if (Array.isArray(result)) {
+    return result;
+  }
+  if (result && Array.isArray(result.rows)) {
+    return result.rows;
+  }
+  return [];
+};
@@ -0,0 +1,4 @@
+ALTER TABLE "sources" ADD COLUMN "blob_sha" text;--> statement-breakpoint
+ALTER TABLE "sources" ADD COLUMN "content_hash" text;--> statement-breakpoint
+ALTER TABLE "ingest_jobs" ADD COLUMN "stats" jsonb;--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "sources_project_path_idx" ON "sources" ("project_id", "path");
@@ -0,0 +1,3 @@
+ALTER TABLE "ingest_jobs" ADD COLUMN "job_type" text DEFAULT 'INGEST_REPO_DOCS' NOT NULL;--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "ingest_jobs_project_type_idx" ON "ingest_jobs" ("project_id", "job_type");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "sources_project_commit_idx" ON "sources" ("project_id", "commit_sha");
@@ -0,0 +1,5 @@
+ALTER TABLE "api_keys" ADD COLUMN "key_prefix" text;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "scopes" jsonb;--> statement-breakpoint
+ALTER TABLE "api_keys" ADD COLUMN "revoked_at" timestamp with time zone;--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "api_keys_key_hash_idx" ON "api_keys" ("key_hash");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "api_keys_tenant_idx" ON "api_keys" ("tenant_id");
@@ -0,0 +1,3 @@
+ALTER TABLE "projects" ADD COLUMN "is_active" boolean DEFAULT true NOT NULL;--> statement-breakpoint
+ALTER TABLE "projects" ADD COLUMN "deactivated_reason" text;--> statement-breakpoint
+ALTER TABLE "projects" ADD COLUMN "deactivated_at" timestamp with time zone;
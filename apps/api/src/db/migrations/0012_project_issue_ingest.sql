@@ -0,0 +1 @@
+ALTER TABLE "projects" ADD COLUMN "index_issues" boolean DEFAULT true NOT NULL;
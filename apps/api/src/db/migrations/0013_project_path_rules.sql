@@ -0,0 +1,3 @@
+ALTER TABLE "projects" ADD COLUMN "include_paths" jsonb;--> statement-breakpoint
+ALTER TABLE "projects" ADD COLUMN "exclude_paths" jsonb;--> statement-breakpoint
+ALTER TABLE "projects" ADD COLUMN "priority_paths" jsonb;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "projects" ADD COLUMN "subpath" text;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "projects" ADD COLUMN "refs" jsonb;
\ No newline at end of file
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS "embedding_cache" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"model" text NOT NULL,
+	"text_hash" text NOT NULL,
+	"embedding" vector(1536) NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "embedding_cache_model_hash_idx" ON "embedding_cache" ("model","text_hash");
\ No newline at end of file
@@ -0,0 +1,8 @@
+ALTER TABLE "chunks" ADD COLUMN "tenant_id" integer;--> statement-breakpoint
+ALTER TABLE "chunks" ADD CONSTRAINT "chunks_tenant_id_tenants_id_fk" FOREIGN KEY ("tenant_id") REFERENCES "public"."tenants"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+UPDATE "chunks" SET "tenant_id" = "projects"."tenant_id" FROM "sources" JOIN "projects" ON "projects"."id" = "sources"."project_id" WHERE "sources"."id" = "chunks"."source_id";--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "chunks_tenant_id_idx" ON "chunks" ("tenant_id");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "chunks_source_id_idx" ON "chunks" ("source_id");--> statement-breakpoint
+ALTER TABLE "chunks" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (to_tsvector('simple', "content")) STORED;--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "chunks_search_vector_idx" ON "chunks" USING gin ("search_vector");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "chunks_embedding_hnsw_idx" ON "chunks" USING hnsw ("embedding" vector_cosine_ops);
\ No newline at end of file
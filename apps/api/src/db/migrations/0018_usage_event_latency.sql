@@ -0,0 +1 @@
+ALTER TABLE "usage_events" ADD COLUMN "latency_ms" integer;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "chat_messages" ADD COLUMN "retrieval_query" jsonb;
\ No newline at end of file
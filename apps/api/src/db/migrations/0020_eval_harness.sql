@@ -0,0 +1,36 @@
+CREATE TABLE IF NOT EXISTS "eval_sets" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"tenant_id" integer NOT NULL,
+	"name" text NOT NULL,
+	"description" text,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "eval_cases" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"set_id" integer NOT NULL,
+	"question" text NOT NULL,
+	"repo" text,
+	"paths" jsonb,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "eval_runs" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"tenant_id" integer,
+	"set_id" integer,
+	"label" text,
+	"config" jsonb,
+	"metrics" jsonb,
+	"results" jsonb,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "eval_sets" ADD CONSTRAINT "eval_sets_tenant_id_tenants_id_fk" FOREIGN KEY ("tenant_id") REFERENCES "public"."tenants"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "eval_cases" ADD CONSTRAINT "eval_cases_set_id_eval_sets_id_fk" FOREIGN KEY ("set_id") REFERENCES "public"."eval_sets"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "eval_runs" ADD CONSTRAINT "eval_runs_tenant_id_tenants_id_fk" FOREIGN KEY ("tenant_id") REFERENCES "public"."tenants"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "eval_runs" ADD CONSTRAINT "eval_runs_set_id_eval_sets_id_fk" FOREIGN KEY ("set_id") REFERENCES "public"."eval_sets"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "eval_sets_tenant_name_idx" ON "eval_sets" ("tenant_id","name");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "eval_cases_set_id_idx" ON "eval_cases" ("set_id");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "eval_runs_set_id_idx" ON "eval_runs" ("set_id","created_at");
\ No newline at end of file
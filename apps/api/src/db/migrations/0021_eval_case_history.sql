@@ -0,0 +1 @@
+ALTER TABLE "eval_cases" ADD COLUMN "history" jsonb;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "sources" ADD COLUMN "chunker_version" integer;
\ No newline at end of file
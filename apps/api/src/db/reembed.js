@@ -0,0 +1,135 @@
+import { Queue } from "bullmq";
+import { eq, sql } from "drizzle-orm";
+import {
+    JOB_TYPES,
+    QUEUE_NAMES,
+    chunks,
+    embeddingCache,
+    getRedisConnectionOptions,
+    ingestJobs,
+    projects,
+    resolveEmbeddingDimensions,
+    sources,
+} from "@app/shared";
+import { db, pool } from "./index.js";
+
+// Re-embedding is global: every tenant's chunks and sources are deleted in one
+// transaction, then each active project gets a full docs reindex job. Commit,
+// release and issue sources come back on their scheduled ingest runs.
+
+const readEmbeddingType = async (table) => {
+    const result = await db.execute(sql`
+        select format_type(a.atttypid, a.atttypmod) as type
+        from pg_attribute a
+        where a.attrelid = ${table}::regclass
+            and a.attname = 'embedding'
+    `);
+    return (result.rows || result)[0]?.type || null;
+};
+
+const enqueueFullReindex = async () => {
+    const projectRows = await db
+        .select({
+            id: projects.id,
+            tenantId: projects.tenantId,
+            name: projects.name,
+            repoUrl: projects.repoUrl,
+        })
+        .from(projects)
+        .where(eq(projects.isActive, true));
+    if (projectRows.length === 0) {
+        return 0;
+    }
+
+    const now = new Date();
+    const inserted = await db
+        .insert(ingestJobs)
+        .values(
+            projectRows.map((project) => ({
+                projectId: project.id,
+                projectRepo: project.repoUrl,
+                projectName: project.name || project.repoUrl,
+                jobType: JOB_TYPES.ingestRepoDocs,
+                status: "queued",
+                createdAt: now,
+            }))
+        )
+        .returning({
+            id: ingestJobs.id,
+            projectId: ingestJobs.projectId,
+            projectRepo: ingestJobs.projectRepo,
+            projectName: ingestJobs.projectName,
+        });
+
+    const queue = new Queue(QUEUE_NAMES.ingest, {
+        connection: getRedisConnectionOptions(),
+    });
+    try {
+        for (const jobRecord of inserted) {
+            const project = projectRows.find(
+                (row) => row.id === jobRecord.projectId
+            );
+            await queue.add(
+                JOB_TYPES.ingestRepoDocs,
+                {
+                    ingestJobId: jobRecord.id,
+                    repo: jobRecord.projectRepo,
+                    name: jobRecord.projectName,
+                    projectId: jobRecord.projectId,
+                    tenantId: project?.tenantId || null,
+                    fullReindex: true,
+                },
+                { jobId: `ingest-${jobRecord.id}` }
+            );
+        }
+    } finally {
+        await queue.close();
+    }
+    return inserted.length;
+};
+
+const run = async () => {
+    const dimensions = resolveEmbeddingDimensions();
+    const target = `vector(${dimensions})`;
+    const current = await readEmbeddingType("chunks");
+    const force = process.argv.includes("--force");
+    if (current === target && !force) {
+        console.log(
+            `chunks.embedding is already ${target}. Pass --force to clear embeddings after switching to a model with the same dimensions.`
+        );
+        return;
+    }
+
+    console.log(
+        "Clearing indexed chunks and sources for every tenant before re-embedding."
+    );
+    const cleared = await db.transaction(async (tx) => {
+        await tx.delete(chunks);
+        const removed = await tx.delete(sources).returning({ id: sources.id });
+        if (current !== target) {
+            await tx.delete(embeddingCache);
+            await tx.execute(
+                sql.raw(
+                    `ALTER TABLE "chunks" ALTER COLUMN "embedding" TYPE ${target}`
+                )
+            );
+            await tx.execute(
+                sql.raw(
+                    `ALTER TABLE "embedding_cache" ALTER COLUMN "embedding" TYPE ${target}`
+                )
+            );
+        }
+        return removed.length;
+    });
+    const enqueued = await enqueueFullReindex();
+    console.log(
+        `Cleared ${cleared} indexed sources (${current} -> ${target}) and queued a full reindex for ${enqueued} active projects.`
+    );
+};
+
+run()
+    .catch((err) => {
+        console.error("Re-embed failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,608 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { and, eq, inArray, sql } from "drizzle-orm";
+import YAML from "yaml";
+import {
+    chunks,
+    createChatProvider,
+    createEmbeddingProvider,
+    evalCases,
+    evalRuns,
+    evalSets,
+    sources,
+    tenants,
+} from "@app/shared";
+import { db, pool } from "./db/index.js";
+import {
+    buildContextRows,
+    buildRetrievalQuestion,
+    chatTopK,
+    createReranker,
+    describeRetrievalConfig,
+    normalizeRerankProvider,
+    rerankProviders,
+    rewriteRetrievalQuery,
+} from "./retrieval.js";
+import {
+    buildMetrics,
+    normalizeCase,
+    normalizeHistory,
+    scoreCase,
+} from "./scoring.js";
+
+const usage = `Usage:
+  npm run eval -- seed --tenant <handle> [--dir <fixture dir>]
+  npm run eval -- import <golden.yaml> [--tenant <handle>]
+  npm run eval -- run --tenant <handle> (--set <name> | --file <golden.yaml>) [--k 5] [--rerank none|llm|http] [--rewrite] [--label <name>] [--out <report.json>]
+  npm run eval -- compare <run id | report.json> <run id | report.json>`;
+
+const defaultK = 5;
+const defaultFixtureDir = fileURLToPath(
+    new URL("../eval/fixture/", import.meta.url)
+);
+const fixtureRepo = { owner: "eval-fixture", name: "sample", ref: "main" };
+const fixtureChunkLines = 40;
+
+const parseArgs = (argv) => {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+            continue;
+        }
+        const key = arg.slice(2);
+        const next = argv[index + 1];
+        if (next === undefined || next.startsWith("--")) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            index += 1;
+        }
+    }
+    return { positional, options };
+};
+
+const readGoldenFile = async (filePath) => {
+    const parsed = YAML.parse(await fs.readFile(filePath, "utf8"));
+    const sets = Array.isArray(parsed?.sets) ? parsed.sets : [];
+    return {
+        tenant: parsed?.tenant ? String(parsed.tenant) : null,
+        sets: sets
+            .map((set) => ({
+                name: typeof set?.name === "string" ? set.name.trim() : "",
+                description:
+                    typeof set?.description === "string"
+                        ? set.description.trim()
+                        : null,
+                cases: (Array.isArray(set?.cases) ? set.cases : [])
+                    .map(normalizeCase)
+                    .filter(Boolean),
+            }))
+            .filter((set) => set.name && set.cases.length > 0),
+    };
+};
+
+const resolveTenant = async (reference) => {
+    if (!reference) {
+        throw new Error("--tenant is required");
+    }
+    const value = String(reference).trim().replace(/^@/, "").toLowerCase();
+    const [tenant] = await db
+        .select({ id: tenants.id, handle: tenants.handle })
+        .from(tenants)
+        .where(
+            /^\d+$/.test(value)
+                ? eq(tenants.id, Number(value))
+                : sql`lower(${tenants.handle}) = ${value}`
+        )
+        .limit(1);
+    if (!tenant) {
+        throw new Error(`Tenant "${value}" not found`);
+    }
+    return tenant;
+};
+
+const importGoldenSets = async ([filePath], options) => {
+    if (!filePath) {
+        throw new Error("A golden set YAML file is required");
+    }
+    const golden = await readGoldenFile(filePath);
+    const tenant = await resolveTenant(options.tenant || golden.tenant);
+    if (golden.sets.length === 0) {
+        throw new Error(`No golden sets with cases found in ${filePath}`);
+    }
+    for (const set of golden.sets) {
+        await db.transaction(async (tx) => {
+            const [row] = await tx
+                .insert(evalSets)
+                .values({
+                    tenantId: tenant.id,
+                    name: set.name,
+                    description: set.description,
+                })
+                .onConflictDoUpdate({
+                    target: [evalSets.tenantId, evalSets.name],
+                    set: {
+                        description: set.description,
+                        updatedAt: new Date(),
+                    },
+                })
+                .returning({ id: evalSets.id });
+            await tx.delete(evalCases).where(eq(evalCases.setId, row.id));
+            await tx.insert(evalCases).values(
+                set.cases.map((testCase) => ({ setId: row.id, ...testCase }))
+            );
+        });
+        console.log(
+            `Imported ${set.cases.length} cases into "${set.name}".`
+        );
+    }
+};
+
+const listFixtureFiles = async (root, relative = "") => {
+    const entries = await fs.readdir(path.join(root, relative), {
+        withFileTypes: true,
+    });
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...(await listFixtureFiles(root, entryPath)));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files.sort();
+};
+
+const chunkFixtureFile = (content) => {
+    const lines = content.split("\n");
+    const fileChunks = [];
+    for (let start = 0; start < lines.length; start += fixtureChunkLines) {
+        const text = lines
+            .slice(start, start + fixtureChunkLines)
+            .join("\n")
+            .trim();
+        if (text) {
+            fileChunks.push({
+                content: text,
+                startLine: start + 1,
+                endLine: Math.min(start + fixtureChunkLines, lines.length),
+            });
+        }
+    }
+    return fileChunks;
+};
+
+// Indexes a directory straight into the tenant's chunks, without the worker
+// or a git remote, so golden sets can run offline (and in CI) with
+// EMBEDDING_PROVIDER=stub. Re-seeding replaces the previous copy.
+const seedFixture = async (_positional, options) => {
+    const tenant = await resolveTenant(options.tenant);
+    const dir =
+        typeof options.dir === "string" ? options.dir : defaultFixtureDir;
+    const embeddingProvider = createEmbeddingProvider();
+    const documents = [];
+    for (const filePath of await listFixtureFiles(dir)) {
+        const fileChunks = chunkFixtureFile(
+            await fs.readFile(path.join(dir, filePath), "utf8")
+        );
+        if (fileChunks.length > 0) {
+            documents.push({
+                path: filePath,
+                chunks: fileChunks,
+                embeddings: await embeddingProvider.embed(
+                    fileChunks.map((chunk) => chunk.content)
+                ),
+            });
+        }
+    }
+    if (documents.length === 0) {
+        throw new Error(`No fixture files found in ${dir}`);
+    }
+
+    await db.transaction(async (tx) => {
+        const stale = await tx
+            .selectDistinct({ id: sources.id })
+            .from(sources)
+            .innerJoin(chunks, eq(chunks.sourceId, sources.id))
+            .where(
+                and(
+                    eq(chunks.tenantId, tenant.id),
+                    eq(sources.repoOwner, fixtureRepo.owner),
+                    eq(sources.repoName, fixtureRepo.name)
+                )
+            );
+        const staleIds = stale.map((row) => row.id);
+        if (staleIds.length > 0) {
+            await tx.delete(chunks).where(inArray(chunks.sourceId, staleIds));
+            await tx.delete(sources).where(inArray(sources.id, staleIds));
+        }
+        for (const document of documents) {
+            const [source] = await tx
+                .insert(sources)
+                .values({
+                    repoOwner: fixtureRepo.owner,
+                    repoName: fixtureRepo.name,
+                    refType: "branch",
+                    ref: fixtureRepo.ref,
+                    path: document.path,
+                })
+                .returning({ id: sources.id });
+            await tx.insert(chunks).values(
+                document.chunks.map((chunk, index) => ({
+                    sourceId: source.id,
+                    tenantId: tenant.id,
+                    content: chunk.content,
+                    embedding: document.embeddings[index],
+                    metadata: {
+                        repo: fixtureRepo.name,
+                        owner: fixtureRepo.owner,
+                        ref: fixtureRepo.ref,
+                        path: document.path,
+                        chunkIndex: index,
+                        startLine: chunk.startLine,
+                        endLine: chunk.endLine,
+                    },
+                }))
+            );
+        }
+    });
+    console.log(
+        `Seeded ${documents.length} files as ${fixtureRepo.owner}/${
+            fixtureRepo.name
+        } for ${tenant.handle}.`
+    );
+};
+
+const loadGoldenCases = async (tenant, options) => {
+    if (options.file) {
+        const golden = await readGoldenFile(options.file);
+        const sets = options.set
+            ? golden.sets.filter((set) => set.name === options.set)
+            : golden.sets;
+        if (sets.length === 0) {
+            throw new Error(
+                `No matching golden sets found in ${options.file}`
+            );
+        }
+        return {
+            setId: null,
+            name: sets.map((set) => set.name).join(", "),
+            cases: sets.flatMap((set) => set.cases),
+        };
+    }
+    if (!options.set) {
+        throw new Error("--set or --file is required");
+    }
+    const [set] = await db
+        .select({ id: evalSets.id, name: evalSets.name })
+        .from(evalSets)
+        .where(
+            and(
+                eq(evalSets.tenantId, tenant.id),
+                eq(evalSets.name, options.set)
+            )
+        )
+        .limit(1);
+    if (!set) {
+        throw new Error(`Golden set "${options.set}" not found`);
+    }
+    const cases = await db
+        .select({
+            question: evalCases.question,
+            repo: evalCases.repo,
+            paths: evalCases.paths,
+            history: evalCases.history,
+        })
+        .from(evalCases)
+        .where(eq(evalCases.setId, set.id))
+        .orderBy(evalCases.id);
+    return {
+        setId: set.id,
+        name: set.name,
+        cases: cases.map((testCase) => ({
+            ...testCase,
+            paths: Array.isArray(testCase.paths) ? testCase.paths : [],
+            history: normalizeHistory(testCase.history),
+        })),
+    };
+};
+
+const formatMetric = (value) =>
+    Number.isFinite(value) ? value.toFixed(4) : "-";
+
+const formatDelta = (value) =>
+    Number.isFinite(value)
+        ? `${value >= 0 ? "+" : ""}${value.toFixed(4)}`
+        : "-";
+
+const printTable = (rows) => {
+    const widths = rows[0].map((_, column) =>
+        Math.max(...rows.map((row) => String(row[column]).length))
+    );
+    for (const row of rows) {
+        console.log(
+            row
+                .map((cell, column) => String(cell).padEnd(widths[column]))
+                .join("  ")
+                .trimEnd()
+        );
+    }
+};
+
+const printReport = (report) => {
+    const { k, overall, repos } = report.metrics;
+    console.log(
+        `Run ${report.id ?? "-"}${report.label ? ` (${report.label})` : ""}: ${
+            report.set
+        }, ${overall.cases} cases, embedding ${report.config.embedding}`
+    );
+    printTable([
+        ["repo", "cases", `recall@${k}`, "mrr", "citation hit", "latency ms"],
+        ...[["overall", overall], ...Object.entries(repos)].map(
+            ([repo, summary]) => [
+                repo,
+                summary.cases,
+                formatMetric(summary.recallAtK),
+                formatMetric(summary.mrr),
+                formatMetric(summary.citationHitRate),
+                summary.latencyMs,
+            ]
+        ),
+    ]);
+    const misses = report.results.filter((result) => !result.citationHit);
+    if (misses.length > 0) {
+        console.log(`\nMissed (${misses.length}):`);
+        for (const result of misses) {
+            console.log(`  - ${result.question}`);
+        }
+    }
+};
+
+const runEvaluation = async (_positional, options) => {
+    const kRaw = Number.parseInt(options.k || "", 10);
+    const k = Number.isFinite(kRaw) && kRaw > 0 ? kRaw : defaultK;
+    let tenantReference = options.tenant;
+    if (!tenantReference && options.file) {
+        tenantReference = (await readGoldenFile(options.file)).tenant;
+    }
+    const rerankProvider = normalizeRerankProvider(
+        options.rerank || "none",
+        null
+    );
+    if (!rerankProvider) {
+        throw new Error(
+            `--rerank must be one of ${rerankProviders.join(", ")}`
+        );
+    }
+    const rewrite = Boolean(options.rewrite);
+    const tenant = await resolveTenant(tenantReference);
+    const golden = await loadGoldenCases(tenant, options);
+    const chatProvider =
+        rewrite || rerankProvider === "llm" ? createChatProvider() : null;
+    const complete = (messages, requestOptions) =>
+        chatProvider.createCompletion({ messages }, requestOptions);
+
+    const results = [];
+    for (const testCase of golden.cases) {
+        const startedAt = Date.now();
+        const queryRewrite = rewrite
+            ? await rewriteRetrievalQuery({
+                  question: testCase.question,
+                  history: testCase.history,
+                  complete,
+                  enabled: true,
+                  onError: (err) =>
+                      console.warn(
+                          `Query rewriting failed: ${err.message || err}`
+                      ),
+              })
+            : null;
+        const retrievalQuestion =
+            queryRewrite?.standalone ||
+            buildRetrievalQuestion(testCase.question, testCase.history);
+        const rows = await buildContextRows({
+            question: testCase.question,
+            retrievalQuestion,
+            repoFilter: null,
+            allowGlobalFallback: true,
+            limit: Math.max(chatTopK, 1),
+            tenantId: tenant.id,
+            rerank: createReranker({
+                provider: rerankProvider,
+                question: retrievalQuestion,
+                complete,
+                onError: (err) =>
+                    console.warn(`Reranking failed: ${err.message || err}`),
+            }),
+            queryRewrite,
+        });
+        results.push({
+            ...scoreCase(testCase, rows, k),
+            latencyMs: Date.now() - startedAt,
+        });
+    }
+
+    const config = {
+        ...describeRetrievalConfig(),
+        rerank: rerankProvider,
+        queryRewrite: rewrite,
+    };
+    const metrics = buildMetrics(results, k);
+    const label = typeof options.label === "string" ? options.label : null;
+    const [run] = await db
+        .insert(evalRuns)
+        .values({
+            tenantId: tenant.id,
+            setId: golden.setId,
+            label,
+            config,
+            metrics,
+            results,
+        })
+        .returning({ id: evalRuns.id });
+    const report = {
+        id: run.id,
+        label,
+        set: golden.name,
+        config,
+        metrics,
+        results,
+    };
+    printReport(report);
+    if (typeof options.out === "string") {
+        await fs.writeFile(options.out, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`\nWrote ${options.out}`);
+    }
+};
+
+const loadReport = async (reference) => {
+    if (/^\d+$/.test(reference)) {
+        const [run] = await db
+            .select({
+                id: evalRuns.id,
+                label: evalRuns.label,
+                setName: evalSets.name,
+                config: evalRuns.config,
+                metrics: evalRuns.metrics,
+                results: evalRuns.results,
+            })
+            .from(evalRuns)
+            .leftJoin(evalSets, eq(evalSets.id, evalRuns.setId))
+            .where(eq(evalRuns.id, Number(reference)))
+            .limit(1);
+        if (!run) {
+            throw new Error(`Evaluation run ${reference} not found`);
+        }
+        return { ...run, set: run.setName || "(file)" };
+    }
+    return JSON.parse(await fs.readFile(reference, "utf8"));
+};
+
+const describeReport = (report) =>
+    report.label || (report.id ? `run ${report.id}` : "report");
+
+const compareRuns = async ([baseReference, headReference]) => {
+    if (!baseReference || !headReference) {
+        throw new Error("Two run ids or report files are required");
+    }
+    const base = await loadReport(baseReference);
+    const head = await loadReport(headReference);
+    const baseName = describeReport(base);
+    const headName = describeReport(head);
+    if (base.metrics.k !== head.metrics.k) {
+        console.log(
+            `Warning: comparing recall@${base.metrics.k} with recall@${
+                head.metrics.k
+            }.`
+        );
+    }
+
+    const configKeys = [
+        ...new Set([
+            ...Object.keys(base.config || {}),
+            ...Object.keys(head.config || {}),
+        ]),
+    ];
+    const configChanges = configKeys.filter(
+        (key) =>
+            JSON.stringify(base.config?.[key]) !==
+            JSON.stringify(head.config?.[key])
+    );
+    console.log(`Comparing ${baseName} -> ${headName}`);
+    for (const key of configChanges) {
+        console.log(
+            `  ${key}: ${JSON.stringify(base.config?.[key])} -> ${JSON.stringify(
+                head.config?.[key]
+            )}`
+        );
+    }
+    console.log("");
+
+    const metricKeys = [
+        ["recallAtK", `recall@${head.metrics.k}`],
+        ["mrr", "mrr"],
+        ["citationHitRate", "citation hit"],
+    ];
+    const repos = [
+        ...new Set([
+            ...Object.keys(base.metrics.repos),
+            ...Object.keys(head.metrics.repos),
+        ]),
+    ].sort();
+    const rows = [["repo", "metric", baseName, headName, "delta"]];
+    for (const [repo, baseSummary, headSummary] of [
+        ["overall", base.metrics.overall, head.metrics.overall],
+        ...repos.map((repo) => [
+            repo,
+            base.metrics.repos[repo],
+            head.metrics.repos[repo],
+        ]),
+    ]) {
+        for (const [key, name] of metricKeys) {
+            const before = baseSummary?.[key];
+            const after = headSummary?.[key];
+            rows.push([
+                repo,
+                name,
+                formatMetric(before),
+                formatMetric(after),
+                formatDelta(after - before),
+            ]);
+        }
+    }
+    printTable(rows);
+
+    const baseResults = new Map(
+        base.results.map((result) => [result.question, result])
+    );
+    const changed = head.results
+        .map((result) => ({
+            before: baseResults.get(result.question),
+            after: result,
+        }))
+        .filter(({ before, after }) => before && before.rank !== after.rank);
+    if (changed.length > 0) {
+        console.log("\nChanged cases:");
+        for (const { before, after } of changed) {
+            const improved =
+                after.rank !== null &&
+                (before.rank === null || after.rank < before.rank);
+            console.log(
+                `  ${improved ? "+" : "-"} ${after.question} (rank ${
+                    before.rank ?? "miss"
+                } -> ${after.rank ?? "miss"})`
+            );
+        }
+    }
+};
+
+const commands = {
+    seed: seedFixture,
+    import: importGoldenSets,
+    run: runEvaluation,
+    compare: compareRuns,
+};
+
+const main = async () => {
+    const [command, ...rest] = process.argv.slice(2);
+    const handler = commands[command];
+    if (!handler) {
+        console.log(usage);
+        process.exitCode = 1;
+        return;
+    }
+    const { positional, options } = parseArgs(rest);
+    await handler(positional, options);
+};
+
+main()
+    .catch((err) => {
+        console.error("Evaluation failed:", err.message || err);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -3,30 +3,64 @@ import fsSync from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { Queue } from "bullmq";
-import { and, desc, eq, gt, inArray, sql } from "drizzle-orm";
+import { and, desc, eq, gt, inArray, isNull, or, sql } from "drizzle-orm";
 import cors from "@fastify/cors";
 import Fastify from "fastify";
-import OpenAI from "openai";
+import Redis from "ioredis";
+import { Client as MinioClient } from "minio";
 import Stripe from "stripe";
+import YAML from "yaml";
 import {
     JOB_TYPES,
+    INGEST_STRATEGIES,
     QUEUE_NAMES,
+    SHOWCASE_IGNORE_FILE,
+    apiKeys,
     authSessions,
+    buildCommitObjectKey,
+    buildFileUrl,
+    buildLineAnchor,
+    buildObjectKey,
+    buildTreeUrl,
     chatMessages,
     chatSessions,
     chunks,
+    createChatProvider,
+    createGitProvider,
+    createPathFilter,
     getRedisConnectionOptions,
     ingestJobs,
+    normalizeRefName,
+    normalizeSubpath,
+    parseGitRemote,
+    parseRepoUrl,
     projects,
     sources,
+    stripSubpath,
     tenants,
     telemetryEvents,
     usageEvents,
     users,
 } from "@app/shared";
-import { db } from "./db/index.js";
-
-const app = Fastify({ logger: true });
+import { db, extractRows } from "./db/index.js";
+import {
+    buildContextRows,
+    buildRetrievalDebug,
+    buildRetrievalQuestion,
+    chatTopK,
+    createReranker,
+    isEntryPointQuestion,
+    issueSourceTypes,
+    normalizeRerankProvider,
+    retrieveEntryPointChunks,
+    rewriteRetrievalQuery,
+    tokenizeText,
+} from "./retrieval.js";
+
+const app = Fastify({
+    logger: true,
+    trustProxy: process.env.TRUST_PROXY === "true",
+});
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.resolve(__dirname, "..", "..", "..");
@@ -35,7 +69,16 @@ const corsOrigin = process.env.CORS_ORIGIN
     ? process.env.CORS_ORIGIN.split(",").map((origin) => origin.trim())
     : true;
 
-app.register(cors, { origin: corsOrigin, credentials: true });
+app.register(cors, {
+    origin: corsOrigin,
+    credentials: true,
+    exposedHeaders: [
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "Retry-After",
+    ],
+});
 
 app.addContentTypeParser(
     "application/json",
@@ -71,6 +114,19 @@ const resolveCorsOrigin = (request) => {
     return null;
 };
 
+const writeEventStreamHeaders = (request, reply) => {
+    const allowedOrigin = resolveCorsOrigin(request);
+    if (allowedOrigin) {
+        reply.raw.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+        reply.raw.setHeader("Access-Control-Allow-Credentials", "true");
+        reply.raw.setHeader("Vary", "Origin");
+    }
+    reply.raw.setHeader("Content-Type", "text/event-stream");
+    reply.raw.setHeader("Cache-Control", "no-cache");
+    reply.raw.setHeader("Connection", "keep-alive");
+    reply.raw.flushHeaders?.();
+};
+
 const normalizeBaseUrl = (value) => {
     if (!value) {
         return "";
@@ -158,44 +214,40 @@ const ingestQueue = new Queue(QUEUE_NAMES.ingest, {
     connection: getRedisConnectionOptions(),
 });
 
-const openaiApiKey = process.env.OPENAI_API_KEY;
-const embeddingModel =
-    process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
-const chatModel = process.env.OPENAI_CHAT_MODEL || "gpt-4o";
-const normalizedChatModel = String(chatModel).toLowerCase();
+const redis = new Redis({
+    ...getRedisConnectionOptions(),
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false,
+});
+redis.on("error", (err) => {
+    app.log.warn({ err: err.message || err }, "Redis connection error");
+});
+
+const minioClient = new MinioClient({
+    endPoint: process.env.MINIO_ENDPOINT || "localhost",
+    port: Number.parseInt(process.env.MINIO_PORT || "9000", 10),
+    useSSL: process.env.MINIO_USE_SSL === "true",
+    accessKey: process.env.MINIO_ACCESS_KEY || "minio",
+    secretKey: process.env.MINIO_SECRET_KEY || "minio123",
+});
+const artifactsBucket = process.env.MINIO_BUCKET_ARTIFACTS || "artifacts";
+
+const chatProvider = createChatProvider();
+const normalizedChatModel = String(chatProvider.model).toLowerCase();
 const chatModelIsGpt5 = normalizedChatModel.startsWith("gpt-5");
 const chatModelSupportsTemperature = !chatModelIsGpt5;
 const chatTemperature = Number.parseFloat(
     process.env.CHAT_TEMPERATURE || "0.2"
 );
 const chatMaxTokens = Number.parseInt(process.env.CHAT_MAX_TOKENS || "800", 10);
-const chatTopK = Number.parseInt(process.env.CHAT_TOP_K || "12", 10);
 const chatHistoryLimit = Number.parseInt(
     process.env.CHAT_HISTORY_LIMIT || "8",
     10
 );
-const chatNeighborChunksRaw = Number.parseInt(
-    process.env.CHAT_NEIGHBOR_CHUNKS || "1",
-    10
-);
-const chatNeighborChunks =
-    Number.isFinite(chatNeighborChunksRaw) && chatNeighborChunksRaw > 0
-        ? chatNeighborChunksRaw
-        : 0;
-const chatMaxContextChunksRaw = Number.parseInt(
-    process.env.CHAT_MAX_CONTEXT_CHUNKS || "",
-    10
+const rerankProvider = normalizeRerankProvider(
+    process.env.RERANK_PROVIDER,
+    "none"
 );
-const chatMaxContextChunks =
-    Number.isFinite(chatMaxContextChunksRaw) && chatMaxContextChunksRaw > 0
-        ? chatMaxContextChunksRaw
-        : Math.min(
-              Math.max(
-                  chatTopK * (chatNeighborChunks * 2 + 1),
-                  chatTopK
-              ),
-              40
-          );
 const chatSnippetMaxChunks = Number.parseInt(
     process.env.CHAT_SNIPPET_MAX_CHUNKS || "4",
     10
@@ -208,6 +260,53 @@ const chatSnippetMaxLines = Number.parseInt(
     process.env.CHAT_SNIPPET_MAX_LINES || "160",
     10
 );
+const chatToolsEnabled = process.env.CHAT_TOOLS_ENABLED !== "false";
+const chatToolMaxStepsRaw = Number.parseInt(
+    process.env.CHAT_TOOL_MAX_STEPS || "4",
+    10
+);
+const chatToolMaxSteps =
+    Number.isFinite(chatToolMaxStepsRaw) && chatToolMaxStepsRaw > 0
+        ? chatToolMaxStepsRaw
+        : 0;
+const chatToolMaxCharsRaw = Number.parseInt(
+    process.env.CHAT_TOOL_MAX_CHARS || "8000",
+    10
+);
+const chatToolMaxChars =
+    Number.isFinite(chatToolMaxCharsRaw) && chatToolMaxCharsRaw > 0
+        ? chatToolMaxCharsRaw
+        : 8000;
+const rateLimitEnabled = process.env.RATE_LIMIT_ENABLED !== "false";
+const rateLimitWindowSecondsRaw = Number.parseInt(
+    process.env.RATE_LIMIT_WINDOW_SECONDS || "60",
+    10
+);
+const rateLimitWindowMs =
+    Number.isFinite(rateLimitWindowSecondsRaw) && rateLimitWindowSecondsRaw > 0
+        ? rateLimitWindowSecondsRaw * 1000
+        : 60 * 1000;
+const readRateLimit = (name, fallback) => {
+    const value = Number.parseInt(process.env[name] || String(fallback), 10);
+    return Number.isFinite(value) && value > 0 ? value : null;
+};
+const rateLimitRules = {
+    chat: {
+        ip: readRateLimit("RATE_LIMIT_CHAT_PER_IP", 20),
+        visitor: readRateLimit("RATE_LIMIT_CHAT_PER_VISITOR", 10),
+        tenant: readRateLimit("RATE_LIMIT_CHAT_PER_TENANT", 30),
+    },
+    sessions: {
+        ip: readRateLimit("RATE_LIMIT_SESSIONS_PER_IP", 60),
+        visitor: readRateLimit("RATE_LIMIT_SESSIONS_PER_VISITOR", 30),
+        tenant: readRateLimit("RATE_LIMIT_SESSIONS_PER_TENANT", 300),
+    },
+    telemetry: {
+        ip: readRateLimit("RATE_LIMIT_TELEMETRY_PER_IP", 120),
+        visitor: readRateLimit("RATE_LIMIT_TELEMETRY_PER_VISITOR", 60),
+        tenant: readRateLimit("RATE_LIMIT_TELEMETRY_PER_TENANT", 1200),
+    },
+};
 const chatSessionTtlDays = Number.parseInt(
     process.env.CHAT_SESSION_TTL_DAYS || "90",
     10
@@ -270,18 +369,76 @@ const ingestQueueStaleMs =
     ingestQueueStaleMinutes > 0
         ? ingestQueueStaleMinutes * 60 * 1000
         : 0;
+const ingestCommitWindowRaw = Number.parseInt(
+    process.env.INGEST_COMMIT_WINDOW || "50",
+    10
+);
+const ingestCommitWindow =
+    Number.isFinite(ingestCommitWindowRaw) && ingestCommitWindowRaw > 0
+        ? ingestCommitWindowRaw
+        : 0;
+const ingestReleaseWindow = Math.max(
+    Number.parseInt(process.env.INGEST_RELEASE_WINDOW || "20", 10) || 0,
+    0
+);
+const ingestIssueWindow = Math.max(
+    Number.parseInt(process.env.INGEST_ISSUE_WINDOW || "100", 10) || 0,
+    0
+);
+const scheduledIngestJobTypes = [
+    JOB_TYPES.ingestRepoDocs,
+    ...(ingestCommitWindow ? [JOB_TYPES.ingestRepoCommits] : []),
+    ...(ingestReleaseWindow ? [JOB_TYPES.ingestRepoReleases] : []),
+    ...(ingestIssueWindow ? [JOB_TYPES.ingestRepoIssues] : []),
+];
+const allowGitRemotes = process.env.INGEST_ALLOW_GIT_REMOTES === "true";
+const maxPathPatterns = 100;
+const projectPathFields = ["includePaths", "excludePaths", "priorityPaths"];
+const maxProjectRefsRaw = Number.parseInt(
+    process.env.PROJECT_MAX_REFS || "3",
+    10
+);
+const maxProjectRefs =
+    Number.isFinite(maxProjectRefsRaw) && maxProjectRefsRaw > 0
+        ? maxProjectRefsRaw
+        : 3;
+const projectsConfigPath = path.resolve(
+    repoRoot,
+    process.env.PROJECTS_CONFIG_PATH || "projects.yaml"
+);
+let projectsConfigCache = null;
 const activeIngestStatuses = new Set([
     "queued",
     "running",
     "cancel_requested",
 ]);
+const ingestProgressPollMsRaw = Number.parseInt(
+    process.env.INGEST_PROGRESS_POLL_MS || "2000",
+    10
+);
+const ingestProgressPollMs =
+    Number.isFinite(ingestProgressPollMsRaw) && ingestProgressPollMsRaw > 0
+        ? Math.max(ingestProgressPollMsRaw, 500)
+        : 2000;
+const reindexCooldownMinutesRaw = Number.parseInt(
+    process.env.REINDEX_COOLDOWN_MINUTES || "10",
+    10
+);
+const reindexCooldownMinutes =
+    Number.isFinite(reindexCooldownMinutesRaw) && reindexCooldownMinutesRaw >= 0
+        ? reindexCooldownMinutesRaw
+        : 10;
 let ingestScheduleInFlight = false;
 let stripeUsageSyncInFlight = false;
 
-const openai = openaiApiKey ? new OpenAI({ apiKey: openaiApiKey }) : null;
-
 const githubApiBase = "https://api.github.com";
 const githubToken = process.env.GITHUB_API_TOKEN || process.env.GITHUB_TOKEN;
+const githubWebhookSecret = process.env.GITHUB_WEBHOOK_SECRET;
+const githubWebhookMaxPaths = Number.parseInt(
+    process.env.GITHUB_WEBHOOK_MAX_PATHS || "200",
+    10
+);
+const githubPushCommitLimit = 20;
 const githubAppId = process.env.GITHUB_APP_ID;
 const githubAppPrivateKeyPath = process.env.GITHUB_APP_PRIVATE_KEY_PATH;
 const githubAppPrivateKeyRaw = process.env.GITHUB_APP_PRIVATE_KEY;
@@ -506,6 +663,112 @@ const getAuthSession = async (request) => {
     };
 };
 
+const API_KEY_SCOPES = [
+    "projects:read",
+    "projects:write",
+    "projects:manage",
+    "chat",
+    "chat:admin",
+];
+const API_KEY_TOKEN_PREFIX = "gph_";
+
+const normalizeApiKeyScopes = (value) => {
+    const list = Array.isArray(value) ? value : [];
+    return API_KEY_SCOPES.filter((scope) => list.includes(scope));
+};
+
+const readBearerToken = (request) => {
+    const header = request.headers.authorization;
+    if (typeof header !== "string") {
+        return "";
+    }
+    const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : "";
+};
+
+const verifyApiKey = async (rawKey) => {
+    if (!rawKey) {
+        return null;
+    }
+    const rows = await db
+        .select({
+            id: apiKeys.id,
+            tenantId: apiKeys.tenantId,
+            scopes: apiKeys.scopes,
+            lastUsedAt: apiKeys.lastUsedAt,
+        })
+        .from(apiKeys)
+        .where(and(eq(apiKeys.keyHash, hashToken(rawKey)), isNull(apiKeys.revokedAt)))
+        .limit(1);
+    const row = rows[0];
+    if (!row || !row.tenantId) {
+        return null;
+    }
+    const lastUsedAt = row.lastUsedAt ? new Date(row.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsedAt > 60 * 1000) {
+        db.update(apiKeys)
+            .set({ lastUsedAt: new Date() })
+            .where(eq(apiKeys.id, row.id))
+            .catch((err) => {
+                app.log.warn(
+                    { err: err.message || err },
+                    "Failed to update API key usage"
+                );
+            });
+    }
+    return {
+        apiKeyId: row.id,
+        tenantId: row.tenantId,
+        scopes: normalizeApiKeyScopes(row.scopes),
+    };
+};
+
+const getApiKeySession = (request, scope) => {
+    const apiKey = request.apiKey;
+    if (!apiKey || !scope || !apiKey.scopes.includes(scope)) {
+        return null;
+    }
+    return {
+        tenantId: apiKey.tenantId,
+        apiKeyId: apiKey.apiKeyId,
+        scopes: apiKey.scopes,
+        user: null,
+    };
+};
+
+const canAdministerChat = (context) =>
+    Boolean(context?.isOwner || context?.scopes?.includes("chat:admin"));
+
+const canManageProjects = (context) =>
+    Boolean(context?.isOwner || context?.scopes?.includes("projects:manage"));
+
+const formatApiKeyRow = (row) => ({
+    id: row.id,
+    name: row.name || "",
+    prefix: row.keyPrefix || "",
+    scopes: normalizeApiKeyScopes(row.scopes),
+    lastUsedAt: row.lastUsedAt,
+    revokedAt: row.revokedAt,
+    createdAt: row.createdAt,
+});
+
+const createApiKey = async ({ tenantId, name, scopes }) => {
+    const rawKey = `${API_KEY_TOKEN_PREFIX}${crypto
+        .randomBytes(24)
+        .toString("hex")}`;
+    const [row] = await db
+        .insert(apiKeys)
+        .values({
+            tenantId,
+            name,
+            keyHash: hashToken(rawKey),
+            keyPrefix: rawKey.slice(0, API_KEY_TOKEN_PREFIX.length + 8),
+            scopes,
+        })
+        .returning();
+    return { key: rawKey, apiKey: formatApiKeyRow(row) };
+};
+
 const slugify = (value) =>
     value
         .toLowerCase()
@@ -602,6 +865,48 @@ const normalizeCategoryInput = (value) => {
     return value.trim();
 };
 
+const normalizePathPatterns = (value) => {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    const list = typeof value === "string" ? value.split("\n") : value;
+    if (!Array.isArray(list) || list.some((item) => typeof item !== "string")) {
+        return null;
+    }
+    const patterns = Array.from(
+        new Set(list.map((item) => item.trim()).filter(Boolean))
+    );
+    if (
+        patterns.length > maxPathPatterns ||
+        patterns.some((pattern) => pattern.length > 200)
+    ) {
+        return null;
+    }
+    return patterns;
+};
+
+const normalizeProjectRefs = (value) => {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    const list = typeof value === "string" ? value.split(/[\n,]/) : value;
+    if (!Array.isArray(list) || list.some((item) => typeof item !== "string")) {
+        return null;
+    }
+    const refs = Array.from(
+        new Set(
+            list
+                .map((item) => item.trim())
+                .filter(Boolean)
+                .map((item) => normalizeRefName(item))
+        )
+    );
+    if (refs.length > maxProjectRefs || refs.some((ref) => !ref)) {
+        return null;
+    }
+    return refs;
+};
+
 const PLAN_DEFINITIONS = {
     starter: {
         label: "Starter",
@@ -609,6 +914,12 @@ const PLAN_DEFINITIONS = {
         repoLimit: 10,
         tokenLimit: null,
         tokenUsage: true,
+        rateLimits: { chat: 60, sessions: 600, telemetry: 2400 },
+        reindexCooldownMinutes: 60,
+        reranker: normalizeRerankProvider(
+            process.env.RERANK_PLAN_STARTER,
+            "none"
+        ),
     },
     pro: {
         label: "Pro",
@@ -616,6 +927,12 @@ const PLAN_DEFINITIONS = {
         repoLimit: 50,
         tokenLimit: null,
         tokenUsage: true,
+        rateLimits: { chat: 240, sessions: 2400, telemetry: 9600 },
+        reindexCooldownMinutes: 15,
+        reranker: normalizeRerankProvider(
+            process.env.RERANK_PLAN_PRO,
+            rerankProvider
+        ),
     },
     unlimited: {
         label: "Unlimited",
@@ -624,6 +941,12 @@ const PLAN_DEFINITIONS = {
         tokenLimit: null,
         tokenUsage: true,
         includedTokens: unlimitedTokenLimit,
+        rateLimits: { chat: 1000, sessions: 10000, telemetry: 40000 },
+        reindexCooldownMinutes: 5,
+        reranker: normalizeRerankProvider(
+            process.env.RERANK_PLAN_UNLIMITED,
+            rerankProvider
+        ),
     },
 };
 
@@ -704,24 +1027,34 @@ const getPlanLimits = (planKey) => {
     };
 };
 
-const extractRows = (result) => {
-    if (Array.isArray(result)) {
-        return result;
+const buildProjectUrl = (row) => {
+    if (!row.subpath) {
+        return row.repoUrl;
     }
-    if (result && Array.isArray(result.rows)) {
-        return result.rows;
-    }
-    return [];
+    const repo = parseRepoUrl(row.repoUrl);
+    return (
+        (repo && buildTreeUrl(repo, { ref: "HEAD", path: row.subpath })) ||
+        row.repoUrl
+    );
 };
 
 const formatProjectRow = (row) => ({
     id: row.id,
     name: row.name,
     repo: row.repoUrl,
+    subpath: row.subpath || null,
+    refs: Array.isArray(row.refs) ? row.refs : [],
+    url: buildProjectUrl(row),
     description: row.description || "",
     tags: Array.isArray(row.tags) ? row.tags : [],
     featured: Boolean(row.featured),
     category: row.category || null,
+    active: row.isActive !== false,
+    inactiveReason: row.deactivatedReason || null,
+    indexIssues: row.indexIssues !== false,
+    includePaths: Array.isArray(row.includePaths) ? row.includePaths : [],
+    excludePaths: Array.isArray(row.excludePaths) ? row.excludePaths : [],
+    priorityPaths: Array.isArray(row.priorityPaths) ? row.priorityPaths : [],
 });
 
 const tenantProfileSelect = {
@@ -968,6 +1301,143 @@ const requireActiveSubscription = async (tenantId, reply, options = {}) => {
     return true;
 };
 
+const slidingWindowScript = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local member = ARGV[3]
+local allowed = 1
+local binding = 1
+local bindingLeft = nil
+local retryAfter = 0
+for i, key in ipairs(KEYS) do
+  local limit = tonumber(ARGV[3 + i])
+  redis.call("ZREMRANGEBYSCORE", key, "-inf", now - window)
+  local count = redis.call("ZCARD", key)
+  local left = limit - count
+  if bindingLeft == nil or left < bindingLeft then
+    bindingLeft = left
+    binding = i
+  end
+  if count >= limit then
+    allowed = 0
+    local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+    local wait = window
+    if oldest[2] then
+      wait = tonumber(oldest[2]) + window - now
+    end
+    if wait > retryAfter then
+      retryAfter = wait
+    end
+  end
+end
+if allowed == 1 then
+  for _, key in ipairs(KEYS) do
+    redis.call("ZADD", key, now, member)
+    redis.call("PEXPIRE", key, window)
+  end
+  bindingLeft = bindingLeft - 1
+end
+local reset = window
+local oldest = redis.call("ZRANGE", KEYS[binding], 0, 0, "WITHSCORES")
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+return { allowed, binding, math.max(bindingLeft, 0), reset, retryAfter }
+`;
+
+const resolveTenantReranker = async (tenantId) => {
+    if (!tenantId || !billingEnabled) {
+        return rerankProvider;
+    }
+    const billing = await fetchTenantBilling(tenantId);
+    const plan = PLAN_DEFINITIONS[billing?.plan];
+    return plan?.reranker ?? rerankProvider;
+};
+
+const resolveTenantRateLimit = async (bucket, tenantId) => {
+    const fallback = rateLimitRules[bucket]?.tenant ?? null;
+    if (!tenantId || !billingEnabled) {
+        return fallback;
+    }
+    const billing = await fetchTenantBilling(tenantId);
+    const plan = PLAN_DEFINITIONS[billing?.plan];
+    return plan?.rateLimits?.[bucket] ?? fallback;
+};
+
+const enforceRateLimit = async (
+    request,
+    reply,
+    {
+        bucket,
+        tenantId = null,
+        visitorId = null,
+        isOwner = false,
+        apiKeyId = null,
+    }
+) => {
+    const rules = rateLimitRules[bucket];
+    if (!rateLimitEnabled || !rules || isOwner) {
+        return true;
+    }
+
+    const checks = [];
+    if (rules.ip && request.ip && !apiKeyId) {
+        checks.push({ key: `ip:${request.ip}`, limit: rules.ip });
+    }
+    if (rules.visitor && visitorId && !apiKeyId) {
+        checks.push({
+            key: `visitor:${tenantId || "public"}:${visitorId}`,
+            limit: rules.visitor,
+        });
+    }
+    if (tenantId) {
+        const tenantLimit = await resolveTenantRateLimit(bucket, tenantId);
+        if (tenantLimit) {
+            checks.push({ key: `tenant:${tenantId}`, limit: tenantLimit });
+        }
+    }
+    if (checks.length === 0) {
+        return true;
+    }
+
+    let result;
+    try {
+        const now = Date.now();
+        result = await redis.eval(
+            slidingWindowScript,
+            checks.length,
+            ...checks.map((check) => `ratelimit:${bucket}:${check.key}`),
+            now,
+            rateLimitWindowMs,
+            `${now}:${crypto.randomUUID()}`,
+            ...checks.map((check) => check.limit)
+        );
+    } catch (err) {
+        app.log.warn({ err: err.message || err }, "Rate limit check failed");
+        return true;
+    }
+
+    const [allowed, binding, remaining, resetMs, retryAfterMs] = result;
+    const limit = checks[binding - 1]?.limit ?? checks[0].limit;
+    reply.raw.setHeader("RateLimit-Limit", String(limit));
+    reply.raw.setHeader("RateLimit-Remaining", String(remaining));
+    reply.raw.setHeader(
+        "RateLimit-Reset",
+        String(Math.max(Math.ceil(resetMs / 1000), 0))
+    );
+    if (allowed === 1) {
+        return true;
+    }
+
+    const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    reply.raw.setHeader("Retry-After", String(retryAfter));
+    reply.code(429).send({
+        error: "Too many requests. Please slow down.",
+        retryAfter,
+    });
+    return false;
+};
+
 const fetchRepoCount = async (tenantId) => {
     if (!tenantId) {
         return 0;
@@ -1008,7 +1478,13 @@ const fetchTokenUsageForPeriod = async (tenantId, period) => {
     return Number.isFinite(count) ? count : 0;
 };
 
-const recordUsageEvent = async ({ tenantId, sessionId, tokens, eventType }) => {
+const recordUsageEvent = async ({
+    tenantId,
+    sessionId,
+    tokens,
+    eventType,
+    latencyMs = null,
+}) => {
     if (!tenantId || !eventType) {
         return null;
     }
@@ -1025,6 +1501,9 @@ const recordUsageEvent = async ({ tenantId, sessionId, tokens, eventType }) => {
                 sessionId: sessionId || null,
                 eventType,
                 tokens: safeTokens,
+                latencyMs: Number.isFinite(latencyMs)
+                    ? Math.round(latencyMs)
+                    : null,
             })
             .returning({ id: usageEvents.id });
         return row?.id || null;
@@ -1257,6 +1736,15 @@ const reportUsageToStripe = async ({ tenantId, usageEventId, tokens }) => {
     }
 };
 
+const recordBilledUsage = async (event) => {
+    const usageEventId = await recordUsageEvent(event);
+    await reportUsageToStripe({
+        tenantId: event.tenantId,
+        usageEventId,
+        tokens: event.tokens,
+    });
+};
+
 const formatUsageSnapshotKey = (value = new Date()) => {
     const year = value.getUTCFullYear();
     const month = String(value.getUTCMonth() + 1).padStart(2, "0");
@@ -1390,6 +1878,14 @@ const fetchProjectRowsForTenant = async (tenantId) => {
             tags: projects.tags,
             featured: projects.featured,
             category: projects.category,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
             createdAt: projects.createdAt,
         })
         .from(projects)
@@ -1408,9 +1904,18 @@ const fetchAllProjectRows = async () =>
             tags: projects.tags,
             featured: projects.featured,
             category: projects.category,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
             createdAt: projects.createdAt,
         })
         .from(projects)
+        .where(eq(projects.isActive, true))
         .orderBy(desc(projects.id));
 
 const fetchProjectsForTenant = async (tenantId) => {
@@ -1431,6 +1936,14 @@ const fetchProjectById = async (tenantId, projectId) => {
             tags: projects.tags,
             featured: projects.featured,
             category: projects.category,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
         })
         .from(projects)
         .where(and(eq(projects.tenantId, tenantId), eq(projects.id, projectId)))
@@ -1438,105 +1951,106 @@ const fetchProjectById = async (tenantId, projectId) => {
     return rows[0] ? formatProjectRow(rows[0]) : null;
 };
 
-const parseGitHubRepo = (repoUrl) => {
-    let url;
-    try {
-        url = new URL(repoUrl);
-    } catch {
+const parseRepoFilter = (value) => {
+    if (!value || typeof value !== "string") {
         return null;
     }
 
-    if (url.hostname !== "github.com" && url.hostname !== "www.github.com") {
+    const trimmed = value.trim();
+    if (!trimmed) {
         return null;
     }
 
-    const parts = url.pathname
-        .replace(/^\/+/, "")
-        .replace(/\.git$/, "")
-        .split("/")
-        .filter(Boolean);
-
-    if (parts.length < 2) {
-        return null;
+    if (/^https?:\/\//i.test(trimmed)) {
+        return parseRepoUrl(trimmed) || parseGitRemote(trimmed);
+    }
+    if (
+        /^([a-z][a-z0-9+.-]*:\/\/|[\w.-]+@[\w.-]+:)/i.test(trimmed) ||
+        (allowGitRemotes && trimmed.startsWith("/"))
+    ) {
+        return parseGitRemote(trimmed);
     }
 
-    const [owner, repo] = parts;
-    if (!owner || !repo) {
-        return null;
+    const [repoPart, ...scopeParts] = trimmed.split(":");
+    const subpath = normalizeSubpath(scopeParts.join(":"));
+    const normalized = repoPart.replace(/^\/+/, "").replace(/\.git$/, "");
+    const parts = normalized.split("/").filter(Boolean);
+    if (parts.length >= 2) {
+        return {
+            owner: parts.slice(0, -1).join("/"),
+            repo: parts[parts.length - 1],
+            subpath: subpath || null,
+        };
     }
 
-    return { owner, repo };
+    return null;
 };
 
-const parseRepoFilter = (value) => {
-    if (!value || typeof value !== "string") {
-        return null;
+const loadProjectsConfig = () => {
+    const entries = new Map();
+    let parsed = null;
+    try {
+        parsed = YAML.parse(fsSync.readFileSync(projectsConfigPath, "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            app.log.warn(
+                { err: err.message || err, path: projectsConfigPath },
+                "Failed to read projects config"
+            );
+        }
+        return entries;
     }
-
-    const trimmed = value.trim();
-    if (!trimmed) {
-        return null;
+    for (const entry of Array.isArray(parsed?.projects) ? parsed.projects : []) {
+        const repo = parseRepoFilter(entry?.repo);
+        if (!repo) {
+            continue;
+        }
+        const subpath = normalizeSubpath(entry.subpath) || repo.subpath;
+        entries.set(formatRepoScope({ ...repo, subpath }).toLowerCase(), {
+            priorityPaths: normalizePathPatterns(entry.docs) || [],
+            includePaths: normalizePathPatterns(entry.include) || [],
+            excludePaths: normalizePathPatterns(entry.exclude) || [],
+        });
     }
+    return entries;
+};
 
-    if (trimmed.includes("github.com")) {
-        return parseGitHubRepo(trimmed);
+const findProjectConfig = (repoUrl, subpath = null) => {
+    if (!projectsConfigCache) {
+        projectsConfigCache = loadProjectsConfig();
     }
-
-    const normalized = trimmed.replace(/^\/+/, "").replace(/\.git$/, "");
-    const parts = normalized.split("/").filter(Boolean);
-    if (parts.length >= 2) {
-        return { owner: parts[0], repo: parts[1] };
+    const repo = parseRepoFilter(repoUrl);
+    if (!repo) {
+        return null;
     }
+    const key = formatRepoScope({ ...repo, subpath: subpath || repo.subpath });
+    return projectsConfigCache.get(key.toLowerCase()) || null;
+};
 
-    return null;
+const applyProjectsConfigDefaults = async () => {
+    const rows = await db
+        .select({
+            id: projects.id,
+            repoUrl: projects.repoUrl,
+            subpath: projects.subpath,
+        })
+        .from(projects)
+        .where(isNull(projects.priorityPaths));
+    let updated = 0;
+    for (const row of rows) {
+        const config = findProjectConfig(row.repoUrl, row.subpath);
+        if (!config) {
+            continue;
+        }
+        await db.update(projects).set(config).where(eq(projects.id, row.id));
+        updated += 1;
+    }
+    return { updated };
 };
 
 const normalizeLoose = (value) =>
     value.toLowerCase().replace(/[^a-z0-9]+/g, "");
 
-const tokenizeText = (value) =>
-    value.toLowerCase().split(/[^a-z0-9]+/g).filter(Boolean);
-
-const stopWords = new Set([
-    "a",
-    "an",
-    "and",
-    "are",
-    "as",
-    "at",
-    "be",
-    "but",
-    "by",
-    "for",
-    "from",
-    "has",
-    "have",
-    "how",
-    "i",
-    "in",
-    "is",
-    "it",
-    "its",
-    "me",
-    "of",
-    "on",
-    "or",
-    "that",
-    "the",
-    "this",
-    "to",
-    "was",
-    "were",
-    "what",
-    "when",
-    "where",
-    "which",
-    "who",
-    "why",
-    "you",
-    "your",
-]);
-
 const repoIntentTokens = new Set([
     "project",
     "repo",
@@ -1611,17 +2125,6 @@ const isExplicitTokenMatch = (questionTokens, phraseTokens, hasIntent) => {
     return true;
 };
 
-const extractKeywords = (value) => {
-    if (typeof value !== "string") {
-        return [];
-    }
-    const tokens = tokenizeText(value);
-    const filtered = tokens.filter(
-        (token) => token.length >= 3 && !stopWords.has(token)
-    );
-    return [...new Set(filtered)].slice(0, 8);
-};
-
 const isStatsQuestion = (question) => {
     if (typeof question !== "string") {
         return false;
@@ -1639,18 +2142,51 @@ const isStatsQuestion = (question) => {
     );
 };
 
-const isEntryPointQuestion = (question) => {
+const inferIssueState = (question) => {
     if (typeof question !== "string") {
-        return false;
+        return null;
     }
     const normalized = question.toLowerCase();
-    return (
-        normalized.includes("entry point") ||
-        normalized.includes("entrypoint") ||
-        normalized.includes("startup") ||
-        normalized.includes("bootstrap") ||
-        normalized.includes("starting point")
-    );
+    if (
+        /\b(open|known|outstanding|unresolved) (issues?|bugs?|prs?|pull requests?|problems?)\b/.test(
+            normalized
+        ) ||
+        normalized.includes("roadmap") ||
+        normalized.includes("planned")
+    ) {
+        return "open";
+    }
+    if (
+        /\b(closed|fixed|resolved|merged) (issues?|bugs?|prs?|pull requests?)\b/.test(
+            normalized
+        )
+    ) {
+        return "closed";
+    }
+    return null;
+};
+
+const normalizeIssueFilter = ({ state, labels } = {}, question = "") => {
+    const rawState = typeof state === "string" ? state.trim().toLowerCase() : "";
+    const labelList = Array.isArray(labels)
+        ? labels
+        : typeof labels === "string"
+        ? labels.split(",")
+        : [];
+    const normalizedLabels = labelList
+        .map((label) =>
+            typeof label === "string" ? label.trim().toLowerCase() : ""
+        )
+        .filter(Boolean)
+        .slice(0, 10);
+    const resolvedState =
+        rawState === "open" || rawState === "closed"
+            ? rawState
+            : inferIssueState(question);
+    if (!resolvedState && normalizedLabels.length === 0) {
+        return null;
+    }
+    return { state: resolvedState, labels: normalizedLabels };
 };
 
 const entrypointConfigFiles = new Set([
@@ -1777,7 +2313,10 @@ const parseRepoFromProject = (project) => {
     if (repoValue) {
         const parsed = parseRepoFilter(repoValue);
         if (parsed) {
-            return parsed;
+            return {
+                ...parsed,
+                subpath: project.subpath || parsed.subpath || null,
+            };
         }
     }
     const nameValue =
@@ -1837,7 +2376,9 @@ const resolveRepoFromQuestion = (question, projects) => {
             continue;
         }
 
-        const repoName = repo.repo || "";
+        const repoName = repo.subpath
+            ? repo.subpath.split("/").pop()
+            : repo.repo || "";
         const repoLoose = normalizeLoose(repoName);
         const repoTokens = tokenizeText(repoName);
         const explicitRepoMatch = isExplicitTokenMatch(
@@ -1901,7 +2442,10 @@ const resolveRepoFromQuestion = (question, projects) => {
         ...new Map(
             candidates
                 .filter((item) => item.score === topScore)
-                .map((item) => [`${item.repo.owner}/${item.repo.repo}`, item])
+                .map((item) => [
+                    formatRepoScope(item.repo).toLowerCase(),
+                    item,
+                ])
         ).values(),
     ];
 
@@ -1918,6 +2462,13 @@ const isSameRepo = (left, right) => {
     );
 };
 
+const isSameRepoScope = (left, right) =>
+    isSameRepo(left, right) &&
+    (left.subpath || null) === (right.subpath || null);
+
+const formatRepoScope = (repo) =>
+    `${repo.owner}/${repo.repo}${repo.subpath ? `:${repo.subpath}` : ""}`;
+
 const normalizeChatHistory = (value, limit) => {
     if (!Array.isArray(value)) {
         return [];
@@ -1959,16 +2510,6 @@ const historyToText = (history) =>
         )
         .join("\n");
 
-const buildRetrievalQuestion = (question, history) => {
-    const lastUser = [...history]
-        .reverse()
-        .find((item) => item.role === "user");
-    if (!lastUser) {
-        return question;
-    }
-    return `${lastUser.content}\n\nFollow-up: ${question}`;
-};
-
 const inferRepoFromHistory = (history) => {
     for (let index = history.length - 1; index >= 0; index -= 1) {
         const item = history[index];
@@ -2093,6 +2634,7 @@ const fetchChatHistory = async (sessionId, limit) => {
             role: chatMessages.role,
             content: chatMessages.content,
             citations: chatMessages.citations,
+            retrievalQuery: chatMessages.retrievalQuery,
             createdAt: chatMessages.createdAt,
         })
         .from(chatMessages)
@@ -2107,6 +2649,7 @@ const storeChatMessage = async ({
     role,
     content,
     citations = null,
+    retrievalQuery = null,
 }) => {
     if (!sessionId || !role || !content) {
         return;
@@ -2116,6 +2659,7 @@ const storeChatMessage = async ({
         role,
         content,
         citations,
+        retrievalQuery,
     });
 };
 
@@ -2307,10 +2851,20 @@ const fetchGitHubJson = async (endpoint, options = {}) => {
     }
 };
 
-const fetchRepoMetadata = async (owner, repo) => {
-    const result = await fetchGitHubJson(`/repos/${owner}/${repo}`, {
-        auth: { owner, repo },
+const createRepoProvider = (repo) => {
+    const target = repo.provider
+        ? repo
+        : parseRepoUrl(`https://github.com/${repo.owner}/${repo.repo}`);
+    return createGitProvider(target, {
+        githubRequest: (endpoint) =>
+            fetchGitHubJson(endpoint, {
+                auth: { owner: target.owner, repo: target.repo },
+            }),
     });
+};
+
+const fetchRepoMetadata = async (repo) => {
+    const result = await createRepoProvider(repo).getRepo();
     if (result.error) {
         if (result.status === 404) {
             return { error: "Repository not found or not accessible." };
@@ -2321,7 +2875,7 @@ const fetchRepoMetadata = async (owner, repo) => {
             };
         }
         if (result.status === 401) {
-            return { error: "GitHub authentication failed." };
+            return { error: "Repository host authentication failed." };
         }
         return { error: result.error };
     }
@@ -2532,21 +3086,41 @@ const normalizeProjectInput = async (body) => {
         return { error: "repoUrl is required" };
     }
 
-    const parsed = parseGitHubRepo(repoUrl.trim());
+    const parsed =
+        parseRepoUrl(repoUrl.trim()) ||
+        (allowGitRemotes ? parseGitRemote(repoUrl) : null);
     if (!parsed) {
-        return { error: "Invalid GitHub repo URL" };
+        return {
+            error: "Invalid repo URL. Use a GitHub, GitLab or Bitbucket repository URL.",
+        };
     }
 
-    const repoInfo = await fetchRepoMetadata(parsed.owner, parsed.repo);
+    const repoInfo =
+        parsed.provider === "git"
+            ? {
+                  data: {
+                      webUrl: parsed.remote,
+                      fullName: `${parsed.owner}/${parsed.repo}`,
+                      description: "",
+                      topics: [],
+                  },
+              }
+            : await fetchRepoMetadata(parsed);
     if (repoInfo.error) {
         return { error: repoInfo.error };
     }
 
-    const canonicalRepo =
-        repoInfo.data?.html_url ||
-        `https://github.com/${parsed.owner}/${parsed.repo}`;
-    const defaultName =
-        repoInfo.data?.full_name || `${parsed.owner}/${parsed.repo}`;
+    const subpath = normalizeSubpath(
+        body?.subpath === undefined ? parsed.subpath : body.subpath
+    );
+    if (subpath === null) {
+        return { error: "subpath must be a relative directory path" };
+    }
+
+    const canonicalRepo = repoInfo.data.webUrl || parsed.webUrl;
+    const defaultName = subpath
+        ? `${repoInfo.data.fullName}/${subpath}`
+        : repoInfo.data.fullName;
     const name =
         typeof body?.name === "string" && body.name.trim()
             ? body.name.trim()
@@ -2557,9 +3131,7 @@ const normalizeProjectInput = async (body) => {
             : repoInfo.data?.description || "";
     const tags = Array.isArray(body?.tags)
         ? body.tags.filter((tag) => typeof tag === "string" && tag.trim())
-        : Array.isArray(repoInfo.data?.topics)
-        ? repoInfo.data.topics
-        : [];
+        : repoInfo.data.topics;
     const featured = Boolean(body?.featured);
     const category = (() => {
         if (typeof body?.category === "string" && body.category.trim()) {
@@ -2573,9 +3145,21 @@ const normalizeProjectInput = async (body) => {
         }
         return "";
     })();
+    const urlRef =
+        parsed.ref && parsed.ref !== repoInfo.data.defaultBranch
+            ? [parsed.ref]
+            : null;
+    const refs = normalizeProjectRefs(body?.refs ?? body?.ref ?? urlRef);
+    if (!refs) {
+        return {
+            error: `refs must be a list of up to ${maxProjectRefs} branch, tag or commit names`,
+        };
+    }
     const project = {
         name,
         repoUrl: canonicalRepo,
+        subpath: subpath || null,
+        refs: refs.length > 0 ? refs : null,
         description,
         tags,
         featured,
@@ -2585,13 +3169,30 @@ const normalizeProjectInput = async (body) => {
         project.category = category;
     }
 
-    return { project };
-};
-
-const fetchUsageSummary = async (tenantId) => {
-    if (!tenantId) {
-        return {
-            repoCount: 0,
+    const configDefaults = findProjectConfig(canonicalRepo, subpath) || {};
+    for (const field of projectPathFields) {
+        if (body?.[field] === undefined) {
+            if (configDefaults[field]?.length > 0) {
+                project[field] = configDefaults[field];
+            }
+            continue;
+        }
+        const patterns = normalizePathPatterns(body[field]);
+        if (!patterns) {
+            return {
+                error: `${field} must be a list of up to ${maxPathPatterns} globs`,
+            };
+        }
+        project[field] = patterns;
+    }
+
+    return { project };
+};
+
+const fetchUsageSummary = async (tenantId) => {
+    if (!tenantId) {
+        return {
+            repoCount: 0,
             sessionCount: 0,
             messageCount: 0,
             tokenCount: 0,
@@ -2634,13 +3235,20 @@ const fetchUsageSummary = async (tenantId) => {
     };
 };
 
-const fetchLatestIngestJob = async (projectId, projectRepo) => {
+const fetchLatestIngestJob = async (
+    projectId,
+    projectRepo,
+    jobType = JOB_TYPES.ingestRepoDocs
+) => {
     if (!projectId && !projectRepo) {
         return null;
     }
-    const predicate = projectId
-        ? eq(ingestJobs.projectId, projectId)
-        : eq(ingestJobs.projectRepo, projectRepo);
+    const predicate = and(
+        projectId
+            ? eq(ingestJobs.projectId, projectId)
+            : eq(ingestJobs.projectRepo, projectRepo),
+        eq(ingestJobs.jobType, jobType)
+    );
     const rows = await db
         .select({
             status: ingestJobs.status,
@@ -2664,6 +3272,127 @@ const getJobTimestamp = (job) => {
     return Number.isFinite(timestamp) ? timestamp : null;
 };
 
+const ingestJobSelect = {
+    id: ingestJobs.id,
+    projectId: ingestJobs.projectId,
+    jobType: ingestJobs.jobType,
+    status: ingestJobs.status,
+    totalFiles: ingestJobs.totalFiles,
+    totalBytes: ingestJobs.totalBytes,
+    filesProcessed: ingestJobs.filesProcessed,
+    chunksStored: ingestJobs.chunksStored,
+    error: ingestJobs.error,
+    lastMessage: ingestJobs.lastMessage,
+    stats: ingestJobs.stats,
+    createdAt: ingestJobs.createdAt,
+    startedAt: ingestJobs.startedAt,
+    finishedAt: ingestJobs.finishedAt,
+    updatedAt: ingestJobs.updatedAt,
+};
+
+const formatIngestJobRow = (row) => {
+    const totalFiles = Number(row.totalFiles);
+    const progress =
+        row.status === "completed"
+            ? 1
+            : Number.isFinite(totalFiles) && totalFiles > 0
+            ? Math.min(row.filesProcessed / totalFiles, 1)
+            : null;
+    return {
+        id: row.id,
+        projectId: row.projectId,
+        jobType: row.jobType,
+        status: row.status,
+        active: activeIngestStatuses.has(row.status),
+        totalFiles: row.totalFiles,
+        totalBytes: row.totalBytes,
+        filesProcessed: row.filesProcessed,
+        chunksStored: row.chunksStored,
+        progress,
+        error: row.error || null,
+        lastMessage: row.lastMessage || null,
+        stats: row.stats || null,
+        createdAt: row.createdAt,
+        startedAt: row.startedAt,
+        finishedAt: row.finishedAt,
+        updatedAt: row.updatedAt,
+    };
+};
+
+const fetchIngestJobsForProject = async (
+    projectId,
+    { limit = 20, jobType = null } = {}
+) => {
+    const rows = await db
+        .select(ingestJobSelect)
+        .from(ingestJobs)
+        .where(
+            jobType
+                ? and(
+                      eq(ingestJobs.projectId, projectId),
+                      eq(ingestJobs.jobType, jobType)
+                  )
+                : eq(ingestJobs.projectId, projectId)
+        )
+        .orderBy(desc(ingestJobs.id))
+        .limit(limit);
+    return rows.map(formatIngestJobRow);
+};
+
+const fetchIngestSummaries = async (projectIds) => {
+    const ids = Array.isArray(projectIds) ? projectIds.filter(Boolean) : [];
+    if (ids.length === 0) {
+        return new Map();
+    }
+    const idList = sql.join(
+        ids.map((id) => sql`${id}`),
+        sql`, `
+    );
+    const result = await db.execute(sql`
+        select distinct on (j.project_id)
+            j.id,
+            j.project_id as "projectId",
+            j.job_type as "jobType",
+            j.status,
+            j.total_files as "totalFiles",
+            j.total_bytes as "totalBytes",
+            j.files_processed as "filesProcessed",
+            j.chunks_stored as "chunksStored",
+            j.error,
+            j.last_message as "lastMessage",
+            j.stats,
+            j.created_at as "createdAt",
+            j.started_at as "startedAt",
+            j.finished_at as "finishedAt",
+            j.updated_at as "updatedAt",
+            (
+                select max(done.finished_at)
+                from ${ingestJobs} done
+                where done.project_id = j.project_id
+                  and done.job_type = j.job_type
+                  and done.status = 'completed'
+            ) as "lastIndexedAt"
+        from ${ingestJobs} j
+        where j.project_id in (${idList})
+          and j.job_type = ${JOB_TYPES.ingestRepoDocs}
+        order by j.project_id, j.id desc
+    `);
+    const summaries = new Map();
+    for (const row of extractRows(result)) {
+        summaries.set(row.projectId, {
+            latestJob: formatIngestJobRow(row),
+            lastIndexedAt: row.lastIndexedAt || null,
+        });
+    }
+    return summaries;
+};
+
+const buildIngestSummary = (summary) => ({
+    status: summary?.latestJob?.status || "not_indexed",
+    lastIndexedAt: summary?.lastIndexedAt || null,
+    latestJob: summary?.latestJob || null,
+});
+
 const hasSourcesForProject = async (projectId) => {
     if (!projectId) {
         return false;
@@ -2686,35 +3415,41 @@ const enqueueReindexForAllProjects = async () => {
     }
 
     const now = Date.now();
-    const toEnqueue = [];
+    let enqueuedCount = 0;
     let skippedActive = 0;
     let skippedRecent = 0;
 
-    for (const project of projects) {
-        const latestJob = await fetchLatestIngestJob(
-            project.id,
-            project.repoUrl
-        );
-        if (latestJob && activeIngestStatuses.has(latestJob.status)) {
-            skippedActive += 1;
-            continue;
-        }
-        if (ingestReindexIntervalMs && latestJob) {
-            const timestamp = getJobTimestamp(latestJob);
-            if (timestamp && now - timestamp < ingestReindexIntervalMs) {
-                skippedRecent += 1;
+    for (const jobType of scheduledIngestJobTypes) {
+        const toEnqueue = [];
+        for (const project of projects) {
+            const latestJob = await fetchLatestIngestJob(
+                project.id,
+                project.repoUrl,
+                jobType
+            );
+            if (latestJob && activeIngestStatuses.has(latestJob.status)) {
+                skippedActive += 1;
                 continue;
             }
+            if (ingestReindexIntervalMs && latestJob) {
+                const timestamp = getJobTimestamp(latestJob);
+                if (timestamp && now - timestamp < ingestReindexIntervalMs) {
+                    skippedRecent += 1;
+                    continue;
+                }
+            }
+            toEnqueue.push(project);
         }
-        toEnqueue.push(project);
-    }
 
-    if (toEnqueue.length === 0) {
-        return { enqueued: 0, skippedActive, skippedRecent };
+        if (toEnqueue.length === 0) {
+            continue;
+        }
+
+        const enqueued = await enqueueIngestJobs(toEnqueue, { jobType });
+        enqueuedCount += enqueued.length;
     }
 
-    const enqueued = await enqueueIngestJobs(toEnqueue);
-    return { enqueued: enqueued.length, skippedActive, skippedRecent };
+    return { enqueued: enqueuedCount, skippedActive, skippedRecent };
 };
 
 const enqueueInitialIndexForMissingProjects = async () => {
@@ -2785,6 +3520,7 @@ const requeueStaleIngestJobs = async () => {
             projectId: ingestJobs.projectId,
             projectRepo: ingestJobs.projectRepo,
             projectName: ingestJobs.projectName,
+            jobType: ingestJobs.jobType,
             tenantId: projects.tenantId,
         })
         .from(ingestJobs)
@@ -2842,7 +3578,7 @@ const requeueStaleIngestJobs = async () => {
                 canceled += 1;
             } else {
                 await ingestQueue.add(
-                    JOB_TYPES.ingestRepoDocs,
+                    row.jobType || JOB_TYPES.ingestRepoDocs,
                     {
                         ingestJobId: row.id,
                         repo: row.projectRepo,
@@ -2935,373 +3671,39 @@ const maybePurgeExpiredChatSessions = async () => {
     }
 };
 
-const retrieveChunks = async (question, repoFilter, limit, tenantId) => {
-    if (!openai) {
-        throw new Error("OPENAI_API_KEY is not set");
-    }
-    if (!tenantId) {
-        return [];
-    }
-
-    const embeddingResponse = await openai.embeddings.create({
-        model: embeddingModel,
-        input: question,
-    });
-
-    const embedding = embeddingResponse.data?.[0]?.embedding;
-    if (!embedding) {
-        throw new Error("Failed to embed question");
-    }
-
-    const vector = `[${embedding.join(",")}]`;
-    let query = sql`
-    select
-      c.id,
-      c.source_id as "sourceId",
-      c.content,
-      c.metadata,
-      s.path,
-      s.url,
-      s.repo_owner,
-      s.repo_name,
-      s.ref,
-      s.ref_type
-    from ${chunks} c
-    join ${sources} s on s.id = c.source_id
-    join ${projects} p on p.id = s.project_id
-  `;
-
-    const clauses = [sql`p.tenant_id = ${tenantId}`];
-    if (repoFilter) {
-        clauses.push(
-            sql`s.repo_owner = ${repoFilter.owner}`,
-            sql`s.repo_name = ${repoFilter.repo}`
-        );
-    }
-
-    query = sql`${query}
-    where ${sql.join(clauses, sql` and `)}
-    order by c.embedding <=> ${vector}::vector
-    limit ${limit}
-  `;
-
-    const result = await db.execute(query);
-    return extractRows(result);
-};
-
-const retrieveLexicalChunks = async (keywords, repoFilter, limit, tenantId) => {
-    if (!Array.isArray(keywords) || keywords.length === 0) {
-        return [];
-    }
-    if (!tenantId) {
-        return [];
-    }
-
-    const patterns = keywords.map((keyword) => `%${keyword}%`);
-    const patternSql = sql`ARRAY[${sql.join(
-        patterns.map((pattern) => sql`${pattern}`),
-        sql`, `
-    )}]`;
-    const keywordClause = sql`(c.content ILIKE ANY (${patternSql}) or s.path ILIKE ANY (${patternSql}))`;
-
-    let query = sql`
-      select
-        c.id,
-        c.source_id as "sourceId",
-        c.content,
-        c.metadata,
-        s.path,
-        s.url,
-        s.repo_owner,
-        s.repo_name,
-        s.ref,
-        s.ref_type
-      from ${chunks} c
-      join ${sources} s on s.id = c.source_id
-      join ${projects} p on p.id = s.project_id
-    `;
-
-    const clauses = [sql`p.tenant_id = ${tenantId}`];
-    if (repoFilter) {
-        clauses.push(
-            sql`s.repo_owner = ${repoFilter.owner}`,
-            sql`s.repo_name = ${repoFilter.repo}`
-        );
-    }
-    clauses.push(keywordClause);
-
-    query = sql`${query}
-      where ${sql.join(clauses, sql` and `)}
-      order by c.id desc
-      limit ${limit}
-    `;
-
-    const result = await db.execute(query);
-    return extractRows(result);
-};
-
-const retrieveEntryPointChunks = async (repoFilter, limit, tenantId) => {
-    if (!tenantId) {
-        return [];
-    }
-    const patterns = [
-        "%/main.%",
-        "%/index.%",
-        "%/app.%",
-        "%/server.%",
-        "%/cli.%",
-        "%/program.%",
-        "%/__main__.py%",
-        "%/main.go%",
-        "%/main.rs%",
-        "%/main.cpp%",
-        "%/main.c%",
-        "%/main.java%",
-        "%/main.kt%",
-        "%/main.ts%",
-        "%/main.js%",
-        "%/main.tsx%",
-        "%/main.jsx%",
-        "%/main.vue%",
-        "%/app.tsx%",
-        "%/app.jsx%",
-        "%/app.vue%",
-        "%/package.json%",
-        "%/pyproject.toml%",
-        "%/setup.py%",
-        "%/cargo.toml%",
-        "%/go.mod%",
-        "%/cmakelists.txt%",
-        "%/makefile%",
-        "%/gradle.build%",
-        "%/build.gradle%",
-        "%/pom.xml%"
-    ];
-    const patternSql = sql`ARRAY[${sql.join(
-        patterns.map((pattern) => sql`${pattern}`),
-        sql`, `
-    )}]`;
-    const pathClause = sql`s.path ILIKE ANY (${patternSql})`;
-
-    let query = sql`
-      select
-        c.id,
-        c.source_id as "sourceId",
-        c.content,
-        c.metadata,
-        s.path,
-        s.url,
-        s.repo_owner,
-        s.repo_name,
-        s.ref,
-        s.ref_type
-      from ${chunks} c
-      join ${sources} s on s.id = c.source_id
-      join ${projects} p on p.id = s.project_id
-    `;
-
-    const clauses = [
-        pathClause,
-        sql`(c.metadata->>'chunkIndex')::int in (0, 1)`,
-        sql`p.tenant_id = ${tenantId}`,
-    ];
-    if (repoFilter) {
-        clauses.push(
-            sql`s.repo_owner = ${repoFilter.owner}`,
-            sql`s.repo_name = ${repoFilter.repo}`
-        );
-    }
-
-    query = sql`${query}
-      where ${sql.join(clauses, sql` and `)}
-      order by s.path asc
-      limit ${limit}
-    `;
-
-    const result = await db.execute(query);
-    return extractRows(result);
-};
-
-const mergeRows = (primary, secondary, maxRows) => {
-    const merged = [];
-    const seen = new Set();
-
-    for (const row of primary || []) {
-        if (row && !seen.has(row.id)) {
-            seen.add(row.id);
-            merged.push(row);
-        }
-    }
-
-    for (const row of secondary || []) {
-        if (row && !seen.has(row.id)) {
-            seen.add(row.id);
-            merged.push(row);
-        }
-    }
-
-    if (Number.isFinite(maxRows) && maxRows > 0 && merged.length > maxRows) {
-        return merged.slice(0, maxRows);
-    }
-
-    return merged;
-};
-
-const expandWithNeighborChunks = async (rows, neighborCount, maxRows) => {
-    if (!Array.isArray(rows) || rows.length === 0 || neighborCount <= 0) {
-        return rows;
-    }
-
-    const indicesBySource = new Map();
-    for (const row of rows) {
-        const sourceId = row?.sourceId;
-        const chunkIndex = Number.parseInt(
-            row?.metadata?.chunkIndex,
-            10
-        );
-        if (!sourceId || !Number.isFinite(chunkIndex)) {
-            continue;
-        }
-        const set = indicesBySource.get(sourceId) || new Set();
-        for (let offset = 1; offset <= neighborCount; offset += 1) {
-            if (chunkIndex - offset >= 0) {
-                set.add(chunkIndex - offset);
-            }
-            set.add(chunkIndex + offset);
-        }
-        indicesBySource.set(sourceId, set);
-    }
-
-    if (indicesBySource.size === 0) {
-        return rows;
-    }
-
-    const extras = [];
-    for (const [sourceId, indexSet] of indicesBySource) {
-        const indexes = [...indexSet].filter((value) =>
-            Number.isFinite(value)
-        );
-        if (indexes.length === 0) {
-            continue;
-        }
-        const indexSql = sql.join(
-            indexes.map((value) => sql`${value}`),
-            sql`, `
-        );
-        const result = await db.execute(sql`
-            select
-              c.id,
-              c.source_id as "sourceId",
-              c.content,
-              c.metadata,
-              s.path,
-              s.url,
-              s.repo_owner,
-              s.repo_name,
-              s.ref,
-              s.ref_type
-            from ${chunks} c
-            join ${sources} s on s.id = c.source_id
-            where c.source_id = ${sourceId}
-              and (c.metadata->>'chunkIndex')::int in (${indexSql})
-        `);
-        extras.push(...extractRows(result));
-    }
-
-    const seen = new Set(rows.map((row) => row.id));
-    const merged = [...rows];
-    for (const row of extras) {
-        if (row && !seen.has(row.id)) {
-            seen.add(row.id);
-            merged.push(row);
-        }
-    }
-
-    if (Number.isFinite(maxRows) && maxRows > 0 && merged.length > maxRows) {
-        return merged.slice(0, maxRows);
-    }
-
-    return merged;
-};
-
-const buildContextRows = async ({
-    question,
-    retrievalQuestion,
-    repoFilter,
-    allowGlobalFallback,
-    limit,
-    tenantId,
-    skipSemantic = false,
-}) => {
-    if (skipSemantic) {
-        return [];
-    }
-
-    let keywords = extractKeywords(question);
-    const baseRows = await retrieveChunks(
-        retrievalQuestion,
-        repoFilter,
-        limit,
-        tenantId
-    );
-    if (isEntryPointQuestion(question)) {
-        const entryKeywords = [
-            "entry",
-            "entrypoint",
-            "main",
-            "index",
-            "app",
-            "server",
-            "bootstrap",
-            "start",
-        ];
-        keywords = [
-            ...new Set([...keywords, ...entryKeywords]),
-        ];
-    }
-    const lexicalRows = await retrieveLexicalChunks(
-        keywords,
-        repoFilter,
-        limit,
-        tenantId
+const completeRetrievalPrompt = (messages, options) =>
+    chatProvider.createCompletion(
+        buildCompletionOptions(messages, { stream: false, tools: null }),
+        options
     );
-    let merged = mergeRows(baseRows, lexicalRows, chatMaxContextChunks);
 
-    if (isEntryPointQuestion(question)) {
-        const entryRows = await retrieveEntryPointChunks(
-            repoFilter,
-            Math.max(limit, 6),
-            tenantId
-        );
-        merged = mergeRows(merged, entryRows, chatMaxContextChunks);
-    }
-
-    if (allowGlobalFallback && merged.length < limit) {
-        const globalBase = await retrieveChunks(
-            retrievalQuestion,
-            null,
-            limit,
-            tenantId
-        );
-        const globalLexical = await retrieveLexicalChunks(
-            keywords,
-            null,
-            limit,
-            tenantId
-        );
-        merged = mergeRows(
-            merged,
-            mergeRows(globalBase, globalLexical),
-            chatMaxContextChunks
-        );
-    }
+const rewriteChatQuery = ({ question, history, tenantId, sessionId }) =>
+    rewriteRetrievalQuery({
+        question,
+        history,
+        complete: completeRetrievalPrompt,
+        onUsage: (usage) =>
+            void recordBilledUsage({ tenantId, sessionId, ...usage }),
+        onError: (err) =>
+            app.log.warn(
+                { err: err.message || err },
+                "Query rewriting failed, using conversation history"
+            ),
+    });
 
-    return expandWithNeighborChunks(
-        merged,
-        chatNeighborChunks,
-        chatMaxContextChunks
-    );
-};
+const createContextReranker = async ({ question, tenantId, sessionId }) =>
+    createReranker({
+        provider: await resolveTenantReranker(tenantId),
+        question,
+        complete: completeRetrievalPrompt,
+        onUsage: (usage) =>
+            void recordBilledUsage({ tenantId, sessionId, ...usage }),
+        onError: (err, provider) =>
+            app.log.warn(
+                { err: err.message || err, provider },
+                "Reranking failed, keeping retrieval order"
+            ),
+    });
 
 const formatNumber = (value) => {
     if (value === null || value === undefined) {
@@ -3331,6 +3733,7 @@ const fetchRepoStats = async (limit, tenantId) => {
         join ${chunks} c on c.source_id = s.id
         join ${projects} p on p.id = s.project_id
         where p.tenant_id = ${tenantId}
+          and coalesce(s.ref_type, 'branch') = 'branch'
         group by s.repo_owner, s.repo_name
         order by sum(length(c.content)) desc
         limit ${cappedLimit}
@@ -3363,26 +3766,119 @@ const buildStatsContext = (rows) => {
     };
 };
 
+const readLineRange = (metadata) => {
+    const startLine = Number(metadata?.startLine);
+    const endLine = Number(metadata?.endLine);
+    if (!Number.isFinite(startLine) || startLine <= 0) {
+        return null;
+    }
+    return {
+        startLine,
+        endLine:
+            Number.isFinite(endLine) && endLine >= startLine
+                ? endLine
+                : startLine,
+    };
+};
+
+const buildPinnedSourceUrl = (row) => {
+    const range = readLineRange(row.metadata);
+    const isFileSource = (row.ref_type || "branch") === "branch";
+    const repo = row.repo || parseRepoUrl(row.url);
+    if (isFileSource && row.commit_sha && repo && row.path) {
+        return buildFileUrl(repo, {
+            ref: row.commit_sha,
+            path: row.path.replace(/^\/+/, ""),
+            startLine: range?.startLine,
+            endLine: range?.endLine,
+            plain: Boolean(row.metadata?.format),
+        });
+    }
+    if (!row.url) {
+        return null;
+    }
+    const anchor =
+        isFileSource && range
+            ? buildLineAnchor(
+                  repo?.provider || "github",
+                  range.startLine,
+                  range.endLine
+              )
+            : "";
+    return anchor && !row.url.includes("#") ? `${row.url}${anchor}` : row.url;
+};
+
 const buildChatContext = (rows, extras = []) => {
-    const citations = rows.map((row, index) => ({
-        index: index + 1,
-        repo:
-            row.repo_owner && row.repo_name
-                ? `${row.repo_owner}/${row.repo_name}`
-                : null,
-        path: row.path || null,
-        ref: row.ref || null,
-        url: row.url || null,
-    }));
+    const citations = rows.map((row, index) => {
+        const range = readLineRange(row.metadata);
+        return {
+            index: index + 1,
+            repo:
+                row.repo_owner && row.repo_name
+                    ? `${row.repo_owner}/${row.repo_name}`
+                    : null,
+            path:
+                row.path ||
+                (row.ref_type === "release"
+                    ? `releases/${row.ref}`
+                    : row.ref_type === "issue"
+                    ? `issues/${row.ref}`
+                    : row.ref_type === "pull_request"
+                    ? `pull/${row.ref}`
+                    : null),
+            ref: row.ref || null,
+            commitSha: row.commit_sha || null,
+            startLine: range?.startLine ?? null,
+            endLine: range?.endLine ?? null,
+            url: buildPinnedSourceUrl(row),
+        };
+    });
 
     const contextBlocks = rows.map((row, index) => {
         const repoLabel =
             row.repo_owner && row.repo_name
                 ? `${row.repo_owner}/${row.repo_name}`
                 : "unknown";
-        const header = `[source:${index + 1}] repo=${repoLabel} path=${
-            row.path || "unknown"
-        } url=${row.url || "n/a"}`;
+        const commitLabel =
+            row.ref_type === "commit" && row.commit_sha
+                ? ` commit=${row.commit_sha.slice(0, 12)}`
+                : "";
+        const refLabel =
+            (row.ref_type || "branch") === "branch" && row.ref
+                ? ` ref=${row.ref}`
+                : "";
+        const range = readLineRange(row.metadata);
+        const linesLabel = range
+            ? ` lines=${range.startLine}-${range.endLine}`
+            : "";
+        const sectionLabel = row.metadata?.breadcrumb
+            ? ` section="${row.metadata.breadcrumb}"`
+            : "";
+        const releaseLabel =
+            row.ref_type === "release"
+                ? ` tag=${row.ref}${
+                      row.metadata?.publishedAt
+                          ? ` published=${row.metadata.publishedAt}`
+                          : ""
+                  }`
+                : "";
+        const isIssueSource = issueSourceTypes.includes(row.ref_type);
+        const issueLabel = isIssueSource
+            ? ` number=#${row.ref} state=${
+                  row.metadata?.merged ? "merged" : row.metadata?.state || "unknown"
+              }${
+                  row.metadata?.labels?.length
+                      ? ` labels=${row.metadata.labels.join(",")}`
+                      : ""
+              }`
+            : "";
+        const pathLabel =
+            row.ref_type === "release" || isIssueSource
+                ? row.ref_type
+                : row.path || (row.commit_sha ? "commit" : "unknown");
+        const header = `[source:${index + 1}] repo=${repoLabel} path=${pathLabel}${refLabel}${linesLabel}${commitLabel}${releaseLabel}${issueLabel}${sectionLabel} url=${
+            citations[index].url || "n/a"
+        }`;
         return `${header}\n${row.content}`;
     });
 
@@ -3393,6 +3889,8 @@ const buildChatContext = (rows, extras = []) => {
             index: nextIndex,
             repo: extra.repo || null,
             path: extra.path || extra.label || "context",
+            startLine: extra.startLine ?? null,
+            endLine: extra.endLine ?? null,
             url: extra.url || null,
         });
         const header = `[source:${nextIndex}] ${extra.header || extra.label}`;
@@ -3422,7 +3920,12 @@ const fetchSourceSnippet = async (sourceId, options = {}) => {
             c.metadata
         from ${chunks} c
         where c.source_id = ${sourceId}
-        order by (c.metadata->>'chunkIndex')::int asc
+        order by
+            coalesce(
+                (c.metadata->>'startLine')::int,
+                (c.metadata->>'chunkIndex')::int
+            ) asc,
+            (c.metadata->>'chunkIndex')::int asc
         limit ${maxChunks}
     `);
     const rows = extractRows(result);
@@ -3430,13 +3933,41 @@ const fetchSourceSnippet = async (sourceId, options = {}) => {
         return null;
     }
 
-    const combined = rows.map((row) => row.content).join("\n");
-    let snippet = combined;
+    const lines = [];
     let truncated = false;
+    let startLine = null;
+    let endLine = null;
+    for (const row of rows) {
+        const rowStart = Number(row.metadata?.startLine);
+        const rowEnd = Number(row.metadata?.endLine);
+        let rowLines = row.content.split("\n");
+        if (Number.isFinite(rowStart) && Number.isFinite(endLine)) {
+            if (rowEnd <= endLine) {
+                continue;
+            }
+            if (rowStart <= endLine) {
+                rowLines = rowLines.slice(endLine - rowStart + 1);
+            } else if (rowStart > endLine + 1) {
+                rowLines = ["...", ...rowLines];
+            }
+        }
+        if (lines.length > 0 && lines.length + rowLines.length > maxLines) {
+            truncated = true;
+            break;
+        }
+        lines.push(...rowLines);
+        if (Number.isFinite(rowStart) && startLine === null) {
+            startLine = rowStart;
+        }
+        if (Number.isFinite(rowEnd)) {
+            endLine = rowEnd;
+        }
+    }
 
-    const lines = snippet.split("\n");
+    let snippet = lines.join("\n");
     if (lines.length > maxLines) {
         snippet = lines.slice(0, maxLines).join("\n");
+        endLine = Number.isFinite(startLine) ? startLine + maxLines - 1 : null;
         truncated = true;
     }
     if (snippet.length > maxChars) {
@@ -3444,7 +3975,7 @@ const fetchSourceSnippet = async (sourceId, options = {}) => {
         truncated = true;
     }
 
-    return { snippet, truncated };
+    return { snippet, truncated, startLine, endLine };
 };
 
 const buildSnippetContext = (row, snippetResult) => {
@@ -3458,812 +3989,2738 @@ const buildSnippetContext = (row, snippetResult) => {
         : "";
     return {
         label: "entrypoint snippet",
-        header: `type=snippet path=${row.path || "unknown"}`,
+        header: `type=snippet path=${row.path || "unknown"}${
+            Number.isFinite(snippetResult.startLine) &&
+            Number.isFinite(snippetResult.endLine)
+                ? ` lines=${snippetResult.startLine}-${snippetResult.endLine}`
+                : ""
+        }`,
         content: `${fence}\n${snippetResult.snippet}\n\`\`\`${note}`,
         repo:
             row.repo_owner && row.repo_name
                 ? `${row.repo_owner}/${row.repo_name}`
                 : null,
         path: row.path || null,
-        url: row.url || null,
+        startLine: snippetResult.startLine ?? null,
+        endLine: snippetResult.endLine ?? null,
+        url: buildPinnedSourceUrl({
+            ...row,
+            metadata: {
+                ...(row.metadata || {}),
+                startLine: snippetResult.startLine,
+                endLine: snippetResult.endLine,
+            },
+        }),
     };
 };
 
-const requireAuth = async (request, reply) => {
-    const session = await getAuthSession(request);
-    if (!session) {
-        reply.code(401).send({ error: "Not authenticated" });
+const readStoredObject = async (objectKey) => {
+    try {
+        const stream = await minioClient.getObject(artifactsBucket, objectKey);
+        const parts = [];
+        for await (const part of stream) {
+            parts.push(Buffer.isBuffer(part) ? part : Buffer.from(part));
+        }
+        return Buffer.concat(parts).toString("utf8");
+    } catch {
         return null;
     }
-    return session;
 };
 
-const resolveTenantContext = async (request, { allowPublic = false } = {}) => {
-    const handleInput =
-        request.query?.handle ||
-        request.query?.tenant ||
-        request.body?.handle ||
-        request.body?.tenant ||
-        request.headers["x-tenant-handle"];
-    const normalizedHandle = normalizeHandle(handleInput);
-    const session = await getAuthSession(request);
-    if (allowPublic && normalizedHandle) {
-        const tenant = await resolveTenantByHandle(normalizedHandle);
-        if (!tenant) {
-            return null;
-        }
-        const isOwner = Boolean(
-            session && session.tenantId === tenant.tenantId
-        );
-        if (!tenant.isPublic && !isOwner) {
-            return null;
-        }
-        return {
-            tenantId: tenant.tenantId,
-            owner: tenant,
-            user: session?.user,
-            isOwner,
-        };
-    }
-    if (session) {
-        return {
-            tenantId: session.tenantId,
-            user: session.user,
-            isOwner: true,
-        };
-    }
-    if (!allowPublic) {
-        return null;
+const truncateToolOutput = (value) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    if (text.length <= chatToolMaxChars) {
+        return text;
     }
-    return null;
+    return `${text.slice(0, chatToolMaxChars)}\n... (truncated)`;
 };
 
-const refreshProjectDescriptions = async (projectRows) => {
-    if (!Array.isArray(projectRows) || projectRows.length === 0) {
-        return { updated: 0, checked: 0 };
+const shortSha = (value) => (typeof value === "string" ? value.slice(0, 7) : "");
+
+const chatToolDefinitions = [
+    {
+        type: "function",
+        function: {
+            name: "get_commit",
+            description:
+                "Get a commit's message, author, date and changed files.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    sha: {
+                        type: "string",
+                        description: "Full or abbreviated commit SHA.",
+                    },
+                },
+                required: ["sha"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_commit_diff",
+            description:
+                "Get the unified diff for a commit, optionally limited to one file path.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    sha: { type: "string", description: "Commit SHA." },
+                    path: {
+                        type: "string",
+                        description: "Optional file path to filter the diff.",
+                    },
+                },
+                required: ["sha"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_file_at_commit",
+            description:
+                "Read an indexed file's contents at a specific commit, branch or tag.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    path: { type: "string", description: "File path." },
+                    ref: {
+                        type: "string",
+                        description: "Commit SHA, branch or tag.",
+                    },
+                },
+                required: ["path", "ref"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "compare_commits",
+            description:
+                "Compare two commits, branches or tags and list commits and changed files between them.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    base: { type: "string", description: "Base ref." },
+                    head: { type: "string", description: "Head ref." },
+                },
+                required: ["base", "head"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "list_files",
+            description:
+                "List file paths in a repository, optionally under a directory prefix.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    prefix: {
+                        type: "string",
+                        description: "Optional directory prefix.",
+                    },
+                },
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "read_file",
+            description:
+                "Read an indexed file, optionally limited to a line range. Defaults to the project's primary ref.",
+            parameters: {
+                type: "object",
+                properties: {
+                    repo: {
+                        type: "string",
+                        description: "Repository as owner/name.",
+                    },
+                    path: { type: "string", description: "File path." },
+                    ref: {
+                        type: "string",
+                        description: "Indexed branch, tag or commit to read.",
+                    },
+                    startLine: { type: "integer", minimum: 1 },
+                    endLine: { type: "integer", minimum: 1 },
+                },
+                required: ["path"],
+            },
+        },
+    },
+];
+
+const describeToolCall = (name, args) => {
+    switch (name) {
+        case "get_commit":
+            return `Looking at commit ${shortSha(args.sha)}…`;
+        case "get_commit_diff":
+            return `Reading diff for ${shortSha(args.sha)}${
+                args.path ? ` (${args.path})` : ""
+            }…`;
+        case "get_file_at_commit":
+            return `Opening ${args.path} at ${shortSha(args.ref) || args.ref}…`;
+        case "compare_commits":
+            return `Comparing ${shortSha(args.base)}…${shortSha(args.head)}`;
+        case "list_files":
+            return `Listing files${args.prefix ? ` in ${args.prefix}` : ""}…`;
+        case "read_file":
+            return `Reading ${args.path}…`;
+        default:
+            return `Running ${name}…`;
     }
+};
 
-    const targets = [];
-    for (const project of projectRows) {
-        const repo = parseRepoFromProject(project);
-        if (!repo) {
-            continue;
-        }
-        const key = `${repo.owner}/${repo.repo}`.toLowerCase();
-        targets.push({ repo, key, projectId: project.id });
+const resolveToolRepo = (args, toolContext) => {
+    const repo = args.repo ? parseRepoFilter(args.repo) : toolContext.repoFilter;
+    if (!repo) {
+        return { error: "repo is required (owner/name)." };
     }
-    if (targets.length === 0) {
-        return { updated: 0, checked: 0 };
+    const tenantRepo = toolContext.resolveRepo(repo);
+    if (!tenantRepo) {
+        return { error: "Repository is not part of this showcase." };
     }
+    return { repo: createRepoProvider(tenantRepo) };
+};
 
-    const descriptionsByRepo = new Map();
-    for (const target of targets) {
-        const result = await fetchRepoMetadata(
-            target.repo.owner,
-            target.repo.repo
-        );
-        if (result?.error) {
-            continue;
-        }
-        const description =
-            typeof result?.data?.description === "string"
-                ? result.data.description.trim()
-                : "";
-        descriptionsByRepo.set(target.projectId, description);
+const fetchToolIgnoreText = async (repo, subpath) => {
+    const ignorePath = subpath
+        ? `${subpath}/${SHOWCASE_IGNORE_FILE}`
+        : SHOWCASE_IGNORE_FILE;
+    const result = await repo.getFile(ignorePath);
+    if (result.status === 404) {
+        return null;
     }
-
-    if (descriptionsByRepo.size === 0) {
-        return { updated: 0, checked: targets.length };
+    if (result.error) {
+        throw new Error(`Could not read ${ignorePath}: ${result.error}`);
     }
+    return result.data.content.toString("utf8");
+};
 
-    let updatedCount = 0;
-    for (const project of projectRows) {
-        if (!descriptionsByRepo.has(project.id)) {
-            continue;
-        }
-        const nextDescription = descriptionsByRepo.get(project.id) || "";
-        const currentDescription =
-            typeof project.description === "string" ? project.description : "";
-        if (currentDescription === nextDescription) {
+// Tools read straight from the provider, so they apply the same subpath,
+// include/exclude and .showcaseignore rules as ingest. A path is visible when
+// any of the tenant's projects for the repo would index it.
+const createToolPathFilter = async (repo, tenantProjects) => {
+    const filters = [];
+    for (const project of tenantProjects) {
+        const parsed = parseRepoFromProject(project);
+        if (!parsed || !isSameRepo(parsed, repo)) {
             continue;
         }
-        updatedCount += 1;
-        await db
-            .update(projects)
-            .set({ description: nextDescription })
-            .where(eq(projects.id, project.id));
+        filters.push(
+            createPathFilter({
+                includePaths: project.includePaths,
+                excludePaths: project.excludePaths,
+                subpath: parsed.subpath,
+                ignoreText: await fetchToolIgnoreText(repo, parsed.subpath),
+            })
+        );
     }
-
-    return { updated: updatedCount, checked: targets.length };
+    return (filePath) => filters.some((isAllowed) => isAllowed(filePath));
 };
 
-const enqueueIngestJobs = async (projectRows) => {
-    if (!Array.isArray(projectRows) || projectRows.length === 0) {
-        return [];
+const normalizeToolPath = (value) => {
+    if (typeof value !== "string") {
+        return null;
     }
-    try {
-        await refreshProjectDescriptions(projectRows);
-    } catch (err) {
-        app.log.warn(
-            { err: err.message || err },
-            "Failed to refresh project descriptions"
-        );
+    const trimmed = value.trim();
+    if (!trimmed || trimmed.startsWith("/") || trimmed.includes("\\")) {
+        return null;
     }
-    const now = new Date();
-    const jobRows = projectRows.map((project) => ({
-        projectId: project.id,
-        projectRepo: project.repoUrl || project.repo,
-        projectName: project.name || project.repoUrl || project.repo,
-        status: "queued",
-        createdAt: now,
-    }));
+    const segments = trimmed.split("/");
+    if (
+        segments.some(
+            (segment) => !segment || segment === "." || segment === ".."
+        )
+    ) {
+        return null;
+    }
+    return trimmed;
+};
 
-    const inserted = await db.insert(ingestJobs).values(jobRows).returning({
-        id: ingestJobs.id,
-        projectRepo: ingestJobs.projectRepo,
-        projectName: ingestJobs.projectName,
-        projectId: ingestJobs.projectId,
-    });
+const fetchIndexedFileSource = async (
+    tenantId,
+    repo,
+    filePath,
+    ref = null,
+) => {
+    const result = await db.execute(sql`
+        select s.ref, s.url, s.commit_sha
+        from ${sources} s
+        join ${projects} p on p.id = s.project_id
+        where p.tenant_id = ${tenantId}
+          and s.repo_owner = ${repo.owner}
+          and s.repo_name = ${repo.repo}
+          and s.path = ${filePath}
+          and coalesce(s.ref_type, 'branch') = 'branch'
+        order by (s.ref = ${ref}) desc nulls last, s.id desc
+        limit 1
+    `);
+    return extractRows(result)[0] || null;
+};
 
-    const enqueued = [];
-    for (const jobRecord of inserted) {
-        const projectRow = projectRows.find(
-            (project) => project.id === jobRecord.projectId
-        );
-        const job = await ingestQueue.add(
-            JOB_TYPES.ingestRepoDocs,
-            {
-                ingestJobId: jobRecord.id,
-                repo: jobRecord.projectRepo,
-                name: jobRecord.projectName,
-                projectId: jobRecord.projectId,
-                tenantId: projectRow?.tenantId || null,
-            },
-            { jobId: `ingest-${jobRecord.id}` }
-        );
-        enqueued.push({
-            jobId: job.id,
-            ingestJobId: jobRecord.id,
-            repo: jobRecord.projectRepo,
-        });
+const fetchIndexedCommit = async (tenantId, repo, sha) => {
+    if (!/^[0-9a-f]{4,40}$/i.test(sha || "")) {
+        return null;
+    }
+    const result = await db.execute(sql`
+        select s.commit_sha as "commitSha", s.url, c.content
+        from ${chunks} c
+        join ${sources} s on s.id = c.source_id
+        join ${projects} p on p.id = s.project_id
+        where p.tenant_id = ${tenantId}
+          and s.repo_owner = ${repo.owner}
+          and s.repo_name = ${repo.repo}
+          and s.ref_type = 'commit'
+          and s.commit_sha like ${`${sha.toLowerCase()}%`}
+          and c.metadata->>'kind' = 'commit'
+        order by (c.metadata->>'chunkIndex')::int asc
+    `);
+    const rows = extractRows(result);
+    if (rows.length === 0) {
+        return null;
     }
+    return {
+        commitSha: rows[0].commitSha,
+        url: rows[0].url,
+        content: rows.map((row) => row.content).join("\n"),
+    };
+};
 
-    return enqueued;
+const fetchRepoFileContent = async (repo, filePath, ref) => {
+    const result = await repo.getFile(filePath, ref);
+    if (result.error) {
+        return { error: result.error };
+    }
+    return {
+        content: result.data.content.toString("utf8"),
+        url: result.data.url,
+    };
 };
 
-app.get("/healthz", async () => ({ ok: true }));
+const formatLineRange = (content, startLine, endLine) => {
+    const lines = content.replace(/\r\n/g, "\n").split("\n");
+    const start = Math.max(Number.parseInt(startLine, 10) || 1, 1);
+    const end = Math.min(
+        Number.parseInt(endLine, 10) || lines.length,
+        lines.length
+    );
+    return lines
+        .slice(start - 1, end)
+        .map((line, index) => `${start + index}: ${line}`)
+        .join("\n");
+};
 
-app.get("/auth/github/start", async (request, reply) => {
-    if (!oauthClientId || !oauthRedirectUrl) {
-        reply.code(500).send({ error: "GitHub OAuth is not configured" });
-        return;
-    }
-    const state = crypto.randomBytes(16).toString("hex");
-    const returnTo = resolveReturnToUrl(request.query?.returnTo);
-    setCookie(reply, OAUTH_STATE_COOKIE, state, {
-        maxAge: 300,
-        httpOnly: true,
-        sameSite: "Lax",
-        secure: cookieSecure,
-        domain: cookieDomain || undefined,
-    });
-    if (returnTo) {
-        setCookie(reply, OAUTH_RETURN_COOKIE, returnTo, {
-            maxAge: 600,
-            httpOnly: true,
-            sameSite: "Lax",
-            secure: cookieSecure,
-            domain: cookieDomain || undefined,
-        });
-    }
-    const params = new URLSearchParams({
-        client_id: oauthClientId,
-        redirect_uri: oauthRedirectUrl,
-        scope: "read:user user:email",
-        state,
-    });
-    reply.redirect(`https://github.com/login/oauth/authorize?${params.toString()}`);
-});
+const readDiffSectionPath = (section) => {
+    const header = section.split("\n", 1)[0];
+    const index = header.lastIndexOf(" b/");
+    return header.startsWith("diff --git ") && index >= 0
+        ? header.slice(index + 3)
+        : null;
+};
 
-app.get("/auth/github/callback", async (request, reply) => {
-    const code =
-        typeof request.query?.code === "string" ? request.query.code : "";
-    const state =
-        typeof request.query?.state === "string" ? request.query.state : "";
-    const storedState = getCookie(request, OAUTH_STATE_COOKIE);
-    const returnTo = getCookie(request, OAUTH_RETURN_COOKIE) || webBaseUrl || "/";
-    clearCookie(reply, OAUTH_STATE_COOKIE);
-    clearCookie(reply, OAUTH_RETURN_COOKIE);
+const filterDiffSections = (diffText, { filePath, isAllowedPath }) =>
+    diffText
+        .split(/\n(?=diff --git )/)
+        .filter((section) => {
+            const sectionPath = readDiffSectionPath(section);
+            if (sectionPath === null) {
+                return !filePath;
+            }
+            return (
+                (!filePath || sectionPath === filePath) &&
+                isAllowedPath(sectionPath)
+            );
+        })
+        .join("\n");
 
-    if (!code || !state || !storedState || state !== storedState) {
-        reply.code(400).send({ error: "OAuth state mismatch" });
-        return;
-    }
+const formatGitHubCommitFiles = (files, withPatches, isAllowedPath) =>
+    (Array.isArray(files) ? files : [])
+        .filter((file) => isAllowedPath(file.filename))
+        .map((file) => {
+            const line = `- ${file.filename} (${file.status}, +${
+                file.additions || 0
+            } -${file.deletions || 0})`;
+            return withPatches && file.patch
+                ? `diff --git a/${file.previous_filename || file.filename} b/${
+                      file.filename
+                  }\n${file.patch}`
+                : line;
+        })
+        .join("\n");
 
-    try {
-        const accessToken = await exchangeGitHubCode(code);
-        const profile = await fetchGitHubUserProfile(accessToken);
-        const emails = await fetchGitHubUserEmails(accessToken);
-        const { userId, tenantId } = await upsertUserFromGitHub(profile, emails);
-        if (!userId || !tenantId) {
-            reply.code(500).send({ error: "Failed to create user account" });
-            return;
+const chatToolHandlers = {
+    get_commit: async (repo, args, toolContext) => {
+        if (!args.sha) {
+            return { error: "sha is required." };
+        }
+        const indexed = await fetchIndexedCommit(
+            toolContext.tenantId,
+            repo,
+            args.sha
+        );
+        if (indexed) {
+            return {
+                content: indexed.content,
+                citation: {
+                    commitSha: indexed.commitSha,
+                    url: indexed.url,
+                },
+            };
+        }
+        const result = await repo.getCommit(args.sha);
+        if (result.error) {
+            return { error: result.error };
+        }
+        const commit = result.data;
+        const isAllowedPath = await toolContext.getPathFilter(repo);
+        return {
+            content: `Commit ${commit.sha} by ${
+                commit.commit?.author?.name || "unknown"
+            } on ${commit.commit?.author?.date || "unknown date"}\n\n${
+                commit.commit?.message || ""
+            }\n\nFiles changed:\n${formatGitHubCommitFiles(
+                commit.files,
+                false,
+                isAllowedPath
+            )}`,
+            citation: { commitSha: commit.sha, url: commit.html_url },
+        };
+    },
+    get_commit_diff: async (repo, args, toolContext) => {
+        if (!args.sha) {
+            return { error: "sha is required." };
+        }
+        const isAllowedPath = await toolContext.getPathFilter(repo);
+        const diffFilter = { filePath: args.path || null, isAllowedPath };
+        const indexed = await fetchIndexedCommit(
+            toolContext.tenantId,
+            repo,
+            args.sha
+        );
+        if (indexed) {
+            const stored = await readStoredObject(
+                buildCommitObjectKey(
+                    toolContext.tenantId,
+                    repo.owner,
+                    repo.repo,
+                    indexed.commitSha
+                )
+            );
+            const filtered = stored
+                ? filterDiffSections(stored, diffFilter)
+                : "";
+            if (filtered) {
+                return {
+                    content: filtered,
+                    citation: {
+                        commitSha: indexed.commitSha,
+                        path: args.path || null,
+                        url: indexed.url,
+                    },
+                };
+            }
+        }
+        const result = await repo.getCommit(args.sha);
+        if (result.error) {
+            return { error: result.error };
+        }
+        const diff = filterDiffSections(
+            formatGitHubCommitFiles(result.data.files, true, isAllowedPath),
+            diffFilter
+        );
+        return {
+            content: diff || "No diff available for that path.",
+            citation: {
+                commitSha: result.data.sha,
+                path: args.path || null,
+                url: result.data.html_url,
+            },
+        };
+    },
+    get_file_at_commit: async (repo, args, toolContext) => {
+        if (!args.path || !args.ref) {
+            return { error: "path and ref are required." };
+        }
+        const filePath = normalizeToolPath(args.path);
+        if (!filePath) {
+            return { error: "path must be a relative repository path." };
+        }
+        if (!(await toolContext.getPathFilter(repo))(filePath)) {
+            return { error: "File is not indexed for this repository." };
+        }
+        const indexed = await fetchIndexedFileSource(
+            toolContext.tenantId,
+            repo,
+            filePath,
+            args.ref,
+        );
+        if (!indexed) {
+            return { error: "File is not indexed for this repository." };
+        }
+        if (indexed.ref === args.ref) {
+            const stored = await readStoredObject(
+                buildObjectKey(
+                    toolContext.tenantId,
+                    repo.owner,
+                    repo.repo,
+                    indexed.ref,
+                    filePath
+                )
+            );
+            if (stored !== null) {
+                return {
+                    content: stored,
+                    citation: {
+                        path: filePath,
+                        ref: args.ref,
+                        url: indexed.url,
+                    },
+                };
+            }
+        }
+        const result = await fetchRepoFileContent(repo, filePath, args.ref);
+        if (result.error) {
+            return { error: result.error };
+        }
+        return {
+            content: result.content,
+            citation: { path: filePath, ref: args.ref, url: result.url },
+        };
+    },
+    compare_commits: async (repo, args, toolContext) => {
+        if (!args.base || !args.head) {
+            return { error: "base and head are required." };
+        }
+        const result = await repo.compareCommits(args.base, args.head);
+        if (result.error) {
+            return { error: result.error };
+        }
+        const data = result.data;
+        const isAllowedPath = await toolContext.getPathFilter(repo);
+        const commitLines = (Array.isArray(data.commits) ? data.commits : [])
+            .map(
+                (commit) =>
+                    `- ${shortSha(commit.sha)} ${
+                        (commit.commit?.message || "").split("\n")[0]
+                    } (${commit.commit?.author?.name || "unknown"})`
+            )
+            .join("\n");
+        return {
+            content: `Status: ${data.status} (ahead ${data.ahead_by}, behind ${
+                data.behind_by
+            })\n\nCommits:\n${commitLines || "none"}\n\nFiles:\n${
+                formatGitHubCommitFiles(data.files, true, isAllowedPath) ||
+                "none"
+            }`,
+            citation: { url: data.html_url },
+        };
+    },
+    list_files: async (repo, args, toolContext) => {
+        const prefix =
+            typeof args.prefix === "string"
+                ? args.prefix.replace(/^\/+/, "")
+                : "";
+        const result = await db.execute(sql`
+            select distinct s.path
+            from ${sources} s
+            join ${projects} p on p.id = s.project_id
+            where p.tenant_id = ${toolContext.tenantId}
+              and s.repo_owner = ${repo.owner}
+              and s.repo_name = ${repo.repo}
+              and coalesce(s.ref_type, 'branch') = 'branch'
+              and starts_with(s.path, ${prefix})
+            order by s.path asc
+            limit 500
+        `);
+        const isAllowedPath = await toolContext.getPathFilter(repo);
+        let paths = extractRows(result)
+            .map((row) => row.path)
+            .filter(isAllowedPath);
+        if (paths.length === 0) {
+            const metadata = await fetchRepoMetadata(repo);
+            if (metadata.error) {
+                return { error: metadata.error };
+            }
+            const tree = await repo.listTree(metadata.data.defaultBranch);
+            if (tree.error) {
+                return { error: tree.error };
+            }
+            paths = tree.data
+                .filter(
+                    (item) =>
+                        item.path.startsWith(prefix) && isAllowedPath(item.path)
+                )
+                .map((item) => item.path)
+                .slice(0, 500);
+        }
+        return {
+            content: paths.length > 0 ? paths.join("\n") : "No files found.",
+        };
+    },
+    read_file: async (repo, args, toolContext) => {
+        if (!args.path) {
+            return { error: "path is required." };
+        }
+        const filePath = normalizeToolPath(args.path);
+        if (!filePath) {
+            return { error: "path must be a relative repository path." };
+        }
+        if (!(await toolContext.getPathFilter(repo))(filePath)) {
+            return { error: "File is not indexed for this repository." };
+        }
+        const requestedRef = args.ref || toolContext.ref || null;
+        const match = await fetchIndexedFileSource(
+            toolContext.tenantId,
+            repo,
+            filePath,
+            requestedRef,
+        );
+        if (!match) {
+            return { error: "File is not indexed for this repository." };
+        }
+        const indexed =
+            !requestedRef || match.ref === requestedRef ? match : null;
+        let content = null;
+        let url = indexed?.url || null;
+        let ref = indexed?.ref || requestedRef;
+        if (indexed) {
+            content = await readStoredObject(
+                buildObjectKey(
+                    toolContext.tenantId,
+                    repo.owner,
+                    repo.repo,
+                    indexed.ref,
+                    filePath
+                )
+            );
+        }
+        if (content === null) {
+            const result = await fetchRepoFileContent(repo, filePath, ref);
+            if (result.error) {
+                return { error: result.error };
+            }
+            content = result.content;
+            url = result.url || url;
+        }
+        const range = readLineRange({
+            startLine: Number.parseInt(args.startLine, 10),
+            endLine: Number.parseInt(args.endLine, 10),
+        });
+        return {
+            content: formatLineRange(content, args.startLine, args.endLine),
+            citation: {
+                path: filePath,
+                ref,
+                commitSha: indexed?.commit_sha || null,
+                startLine: range?.startLine ?? null,
+                endLine: range?.endLine ?? null,
+                url: buildPinnedSourceUrl({
+                    repo,
+                    path: filePath,
+                    commit_sha: indexed?.commit_sha || null,
+                    url,
+                    metadata: range,
+                }),
+            },
+        };
+    },
+};
+
+const executeChatTool = async (name, args, toolContext) => {
+    const handler = chatToolHandlers[name];
+    if (!handler) {
+        return { error: `Unknown tool: ${name}` };
+    }
+    const { repo, error } = resolveToolRepo(args, toolContext);
+    if (error) {
+        return { error };
+    }
+    try {
+        const result = await handler(repo, args, toolContext);
+        if (result.error) {
+            return result;
+        }
+        const citation = toolContext.addCitation({
+            repo: `${repo.owner}/${repo.repo}`,
+            path: null,
+            ref: null,
+            commitSha: null,
+            url: null,
+            ...(result.citation || {}),
+        });
+        return {
+            citation,
+            content: `[source:${citation.index}] ${truncateToolOutput(
+                result.content
+            )}`,
+        };
+    } catch (err) {
+        return { error: err.message || "Tool failed." };
+    }
+};
+
+const parseToolArguments = (value) => {
+    if (!value) {
+        return {};
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+const buildChatSystemPrompt = ({ toolsEnabled }) =>
+    [
+        "You answer questions about GitHub repositories using ONLY the provided context blocks.",
+        "Use the conversation history to interpret follow-up questions, but answers must come from the context blocks.",
+        "If the answer is not in the context, say you don't know.",
+        "When asked about code or entry points, include the relevant snippet in a fenced code block.",
+        "Blocks tagged with commit= describe repository history; use them for questions about recent changes.",
+        "File blocks carry the branch, tag or commit they were indexed from as ref=; when blocks from several refs are present, compare them and say which ref each statement applies to.",
+        "Blocks with path=release describe published releases and tags; prefer them when the question names a version.",
+        "Blocks with path=issue or path=pull_request come from the issue tracker; cite them for roadmap, known-bug or feature questions and say whether they are open, closed or merged.",
+        ...(toolsEnabled
+            ? [
+                  "You may call tools to inspect commits, diffs and files in the showcased repositories when the context is not enough; tool results count as context blocks.",
+              ]
+            : []),
+        "Cite sources using [source:n] where n matches the context block.",
+    ].join(" ");
+
+const buildCompletionOptions = (
+    messages,
+    { stream, tools, toolChoice = "auto" },
+) => {
+    const resolvedMaxTokens = Number.isFinite(chatMaxTokens)
+        ? chatMaxTokens
+        : 800;
+    const options = { messages };
+    if (stream) {
+        options.stream = true;
+        options.stream_options = { include_usage: true };
+    }
+    if (tools) {
+        options.tools = tools;
+        options.tool_choice = toolChoice;
+    }
+    if (chatModelIsGpt5) {
+        options.max_completion_tokens = resolvedMaxTokens;
+    } else {
+        options.max_tokens = resolvedMaxTokens;
+    }
+    if (chatModelSupportsTemperature) {
+        options.temperature = Number.isFinite(chatTemperature)
+            ? chatTemperature
+            : 0.2;
+    }
+    return options;
+};
+
+const readCompletionStream = async (stream, onDelta) => {
+    let content = "";
+    let usageTokens = null;
+    const toolCalls = [];
+    for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.content) {
+            content += delta.content;
+            onDelta(delta.content);
+        }
+        for (const call of delta?.tool_calls || []) {
+            const current = toolCalls[call.index] || {
+                id: "",
+                type: "function",
+                function: { name: "", arguments: "" },
+            };
+            if (call.id) {
+                current.id = call.id;
+            }
+            if (call.function?.name) {
+                current.function.name += call.function.name;
+            }
+            if (call.function?.arguments) {
+                current.function.arguments += call.function.arguments;
+            }
+            toolCalls[call.index] = current;
+        }
+        const usage = chunk.usage?.total_tokens;
+        if (Number.isFinite(usage)) {
+            usageTokens = usage;
+        }
+    }
+    return { content, usageTokens, toolCalls: toolCalls.filter(Boolean) };
+};
+
+const runChatCompletion = async ({
+    messages,
+    toolContext = null,
+    signal,
+    onDelta = null,
+    onToolEvent = null,
+}) => {
+    const conversation = [...messages];
+    let usageTokens = null;
+    for (let step = 0; ; step += 1) {
+        // The last step keeps the tool definitions so providers accept the
+        // earlier tool calls in the history, but forbids new calls.
+        const finalStep = step >= chatToolMaxSteps;
+        const tools = toolContext ? chatToolDefinitions : null;
+        const options = buildCompletionOptions(conversation, {
+            stream: Boolean(onDelta),
+            tools,
+            toolChoice: finalStep ? "none" : "auto",
+        });
+        let result;
+        if (onDelta) {
+            const stream = await chatProvider.createCompletion(options, {
+                signal,
+            });
+            result = await readCompletionStream(stream, onDelta);
+        } else {
+            const completion = await chatProvider.createCompletion(options, {
+                signal,
+            });
+            const message = completion.choices?.[0]?.message || {};
+            result = {
+                content: message.content || "",
+                usageTokens: completion.usage?.total_tokens,
+                toolCalls: Array.isArray(message.tool_calls)
+                    ? message.tool_calls
+                    : [],
+            };
+        }
+        if (Number.isFinite(result.usageTokens)) {
+            usageTokens = (usageTokens || 0) + result.usageTokens;
+        }
+        if (!tools || finalStep || result.toolCalls.length === 0) {
+            return { content: result.content, usageTokens };
+        }
+
+        conversation.push({
+            role: "assistant",
+            content: result.content || null,
+            tool_calls: result.toolCalls,
+        });
+        for (const call of result.toolCalls) {
+            const name = call.function?.name || "";
+            const args = parseToolArguments(call.function?.arguments);
+            onToolEvent?.("tool_call", {
+                id: call.id,
+                name,
+                arguments: args,
+                label: describeToolCall(name, args),
+            });
+            const toolResult = await executeChatTool(name, args, toolContext);
+            onToolEvent?.("tool_result", {
+                id: call.id,
+                name,
+                ok: !toolResult.error,
+                error: toolResult.error || undefined,
+                citation: toolResult.citation || undefined,
+            });
+            conversation.push({
+                role: "tool",
+                tool_call_id: call.id,
+                content: toolResult.error
+                    ? `Error: ${toolResult.error}`
+                    : toolResult.content,
+            });
+        }
+    }
+};
+
+const chatToolsAvailable = chatToolsEnabled && chatToolMaxSteps > 0;
+
+const createChatToolContext = ({
+    tenantId,
+    repoFilter,
+    resolveRepo,
+    tenantProjects,
+    citations,
+    ref = null,
+}) => {
+    if (!chatToolsAvailable) {
+        return null;
+    }
+    const pathFilters = new Map();
+    return {
+        tenantId,
+        repoFilter,
+        resolveRepo,
+        ref,
+        getPathFilter: (repo) => {
+            const key = `${repo.owner}/${repo.repo}`.toLowerCase();
+            if (!pathFilters.has(key)) {
+                pathFilters.set(
+                    key,
+                    createToolPathFilter(repo, tenantProjects)
+                );
+            }
+            return pathFilters.get(key);
+        },
+        addCitation: (citation) => {
+            const entry = { index: citations.length + 1, ...citation };
+            citations.push(entry);
+            return entry;
+        },
+    };
+};
+
+const requireAuth = async (request, reply, { scope } = {}) => {
+    if (request.apiKey) {
+        const keySession = getApiKeySession(request, scope);
+        if (!keySession) {
+            reply.code(403).send({
+                error: scope
+                    ? `API key is missing the ${scope} scope`
+                    : "API keys cannot access this endpoint",
+            });
+        }
+        return keySession;
+    }
+    const session = await getAuthSession(request);
+    if (!session) {
+        reply.code(401).send({ error: "Not authenticated" });
+        return null;
+    }
+    return session;
+};
+
+const resolveTenantContext = async (
+    request,
+    { allowPublic = false, scope } = {}
+) => {
+    if (request.apiKey) {
+        const keySession = getApiKeySession(request, scope);
+        if (!keySession) {
+            return null;
+        }
+        return {
+            tenantId: keySession.tenantId,
+            apiKeyId: keySession.apiKeyId,
+            scopes: keySession.scopes,
+            isOwner: false,
+        };
+    }
+    const handleInput =
+        request.query?.handle ||
+        request.query?.tenant ||
+        request.body?.handle ||
+        request.body?.tenant ||
+        request.headers["x-tenant-handle"];
+    const normalizedHandle = normalizeHandle(handleInput);
+    const session = await getAuthSession(request);
+    if (allowPublic && normalizedHandle) {
+        const tenant = await resolveTenantByHandle(normalizedHandle);
+        if (!tenant) {
+            return null;
+        }
+        const isOwner = Boolean(
+            session && session.tenantId === tenant.tenantId
+        );
+        if (!tenant.isPublic && !isOwner) {
+            return null;
+        }
+        return {
+            tenantId: tenant.tenantId,
+            owner: tenant,
+            user: session?.user,
+            isOwner,
+        };
+    }
+    if (session) {
+        return {
+            tenantId: session.tenantId,
+            user: session.user,
+            isOwner: true,
+        };
+    }
+    if (!allowPublic) {
+        return null;
+    }
+    return null;
+};
+
+const refreshProjectDescriptions = async (projectRows) => {
+    if (!Array.isArray(projectRows) || projectRows.length === 0) {
+        return { updated: 0, checked: 0 };
+    }
+
+    const targets = [];
+    for (const project of projectRows) {
+        const repo = parseRepoFromProject(project);
+        if (!repo || repo.subpath) {
+            continue;
+        }
+        const key = `${repo.owner}/${repo.repo}`.toLowerCase();
+        targets.push({ repo, key, projectId: project.id });
+    }
+    if (targets.length === 0) {
+        return { updated: 0, checked: 0 };
+    }
+
+    const descriptionsByRepo = new Map();
+    for (const target of targets) {
+        const result = await fetchRepoMetadata(target.repo);
+        if (result?.error) {
+            continue;
+        }
+        const description =
+            typeof result?.data?.description === "string"
+                ? result.data.description.trim()
+                : "";
+        descriptionsByRepo.set(target.projectId, description);
+    }
+
+    if (descriptionsByRepo.size === 0) {
+        return { updated: 0, checked: targets.length };
+    }
+
+    let updatedCount = 0;
+    for (const project of projectRows) {
+        if (!descriptionsByRepo.has(project.id)) {
+            continue;
+        }
+        const nextDescription = descriptionsByRepo.get(project.id) || "";
+        const currentDescription =
+            typeof project.description === "string" ? project.description : "";
+        if (currentDescription === nextDescription) {
+            continue;
+        }
+        updatedCount += 1;
+        await db
+            .update(projects)
+            .set({ description: nextDescription })
+            .where(eq(projects.id, project.id));
+    }
+
+    return { updated: updatedCount, checked: targets.length };
+};
+
+const enqueueIngestJobs = async (
+    projectRows,
+    {
+        jobType = JOB_TYPES.ingestRepoDocs,
+        fullReindex = false,
+        paths = null,
+        strategy = null,
+        ref = null,
+    } = {}
+) => {
+    if (jobType === JOB_TYPES.ingestRepoIssues && Array.isArray(projectRows)) {
+        projectRows = projectRows.filter(
+            (project) => project.indexIssues !== false
+        );
+    }
+    if (
+        (jobType === JOB_TYPES.ingestRepoIssues ||
+            jobType === JOB_TYPES.ingestRepoReleases) &&
+        Array.isArray(projectRows)
+    ) {
+        projectRows = projectRows.filter((project) => !project.subpath);
+    }
+    if (!Array.isArray(projectRows) || projectRows.length === 0) {
+        return [];
+    }
+    if (jobType === JOB_TYPES.ingestRepoDocs) {
+        try {
+            await refreshProjectDescriptions(projectRows);
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err },
+                "Failed to refresh project descriptions"
+            );
+        }
+    }
+    const now = new Date();
+    const jobRows = projectRows.map((project) => ({
+        projectId: project.id,
+        projectRepo: project.repoUrl || project.repo,
+        projectName: project.name || project.repoUrl || project.repo,
+        jobType,
+        status: "queued",
+        createdAt: now,
+    }));
+
+    const inserted = await db.insert(ingestJobs).values(jobRows).returning({
+        id: ingestJobs.id,
+        projectRepo: ingestJobs.projectRepo,
+        projectName: ingestJobs.projectName,
+        projectId: ingestJobs.projectId,
+    });
+
+    const enqueued = [];
+    for (const jobRecord of inserted) {
+        const projectRow = projectRows.find(
+            (project) => project.id === jobRecord.projectId
+        );
+        const job = await ingestQueue.add(
+            jobType,
+            {
+                ingestJobId: jobRecord.id,
+                repo: jobRecord.projectRepo,
+                name: jobRecord.projectName,
+                projectId: jobRecord.projectId,
+                tenantId: projectRow?.tenantId || null,
+                fullReindex,
+                ...(paths ? { paths } : {}),
+                ...(strategy ? { strategy } : {}),
+                ...(ref ? { ref } : {}),
+            },
+            { jobId: `ingest-${jobRecord.id}` }
+        );
+        enqueued.push({
+            jobId: job.id,
+            ingestJobId: jobRecord.id,
+            jobType,
+            repo: jobRecord.projectRepo,
+        });
+    }
+
+    return enqueued;
+};
+
+const resolveReindexCooldownMs = async (tenantId) => {
+    let minutes = reindexCooldownMinutes;
+    if (billingEnabled && tenantId) {
+        const billing = await fetchTenantBilling(tenantId);
+        const plan = PLAN_DEFINITIONS[billing?.plan];
+        if (Number.isFinite(plan?.reindexCooldownMinutes)) {
+            minutes = plan.reindexCooldownMinutes;
+        }
+    }
+    return Math.max(minutes, 0) * 60 * 1000;
+};
+
+const reindexProject = async (
+    tenantId,
+    project,
+    { fullReindex = false, cooldownMs = 0, strategy = null } = {}
+) => {
+    if (project.active === false) {
+        return { projectId: project.id, status: "inactive" };
+    }
+    const latestDocsJob = await fetchLatestIngestJob(project.id, project.repo);
+    if (latestDocsJob && !activeIngestStatuses.has(latestDocsJob.status)) {
+        const lastRequestedAt = new Date(latestDocsJob.createdAt).getTime();
+        const remainingMs = lastRequestedAt + cooldownMs - Date.now();
+        if (cooldownMs > 0 && remainingMs > 0) {
+            return {
+                projectId: project.id,
+                status: "cooldown",
+                retryAfter: Math.ceil(remainingMs / 1000),
+            };
+        }
+    }
+
+    const jobs = [];
+    const skipped = [];
+    for (const jobType of scheduledIngestJobTypes) {
+        const latestJob =
+            jobType === JOB_TYPES.ingestRepoDocs
+                ? latestDocsJob
+                : await fetchLatestIngestJob(project.id, project.repo, jobType);
+        if (latestJob && activeIngestStatuses.has(latestJob.status)) {
+            skipped.push(jobType);
+            continue;
+        }
+        const enqueued = await enqueueIngestJobs(
+            [{ ...project, repoUrl: project.repo, tenantId }],
+            {
+                jobType,
+                fullReindex,
+                strategy: jobType === JOB_TYPES.ingestRepoDocs ? strategy : null,
+            }
+        );
+        jobs.push(...enqueued);
+    }
+
+    return {
+        projectId: project.id,
+        status: jobs.length > 0 ? "queued" : "already_running",
+        jobs,
+        skipped,
+    };
+};
+
+const cancelIngestJob = async (jobRow) => {
+    if (!activeIngestStatuses.has(jobRow.status)) {
+        return {
+            ingestJobId: jobRow.id,
+            status: jobRow.status,
+            changed: false,
+        };
+    }
+    let removed = false;
+    if (jobRow.status === "queued") {
+        try {
+            const queued = await ingestQueue.getJob(`ingest-${jobRow.id}`);
+            const state = queued ? await queued.getState() : null;
+            if (queued && (state === "waiting" || state === "delayed")) {
+                await queued.remove();
+                removed = true;
+            }
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err },
+                "Failed to remove queued ingest job"
+            );
+        }
+    }
+    const status = removed ? "canceled" : "cancel_requested";
+    await db
+        .update(ingestJobs)
+        .set({
+            status,
+            lastMessage: removed ? "Canceled by request" : "Cancel requested",
+            ...(removed ? { finishedAt: new Date() } : {}),
+            updatedAt: new Date(),
+        })
+        .where(
+            and(
+                eq(ingestJobs.id, jobRow.id),
+                inArray(ingestJobs.status, [...activeIngestStatuses])
+            )
+        );
+    return { ingestJobId: jobRow.id, status, changed: true };
+};
+
+const fetchTenantIngestJobs = async (
+    tenantId,
+    { jobIds = [], projectIds = [] }
+) => {
+    const filters = [];
+    if (jobIds.length > 0) {
+        filters.push(inArray(ingestJobs.id, jobIds));
+    }
+    if (projectIds.length > 0) {
+        filters.push(
+            and(
+                inArray(ingestJobs.projectId, projectIds),
+                inArray(ingestJobs.status, [...activeIngestStatuses])
+            )
+        );
+    }
+    if (filters.length === 0) {
+        return [];
+    }
+    return db
+        .select({
+            id: ingestJobs.id,
+            projectId: ingestJobs.projectId,
+            status: ingestJobs.status,
+        })
+        .from(ingestJobs)
+        .innerJoin(projects, eq(projects.id, ingestJobs.projectId))
+        .where(
+            and(
+                eq(projects.tenantId, tenantId),
+                filters.length === 1 ? filters[0] : or(...filters)
+            )
+        );
+};
+
+const normalizeIdList = (value, max = 100) => {
+    const list = Array.isArray(value) ? value : [];
+    const ids = new Set();
+    for (const item of list) {
+        const id = normalizeSessionId(item);
+        if (id) {
+            ids.add(id);
+        }
+    }
+    return Array.from(ids).slice(0, max);
+};
+
+const normalizeIngestStrategy = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return { strategy: null };
+    }
+    if (!INGEST_STRATEGIES.includes(value)) {
+        return {
+            error: `strategy must be one of ${INGEST_STRATEGIES.join(", ")}`,
+        };
+    }
+    return { strategy: value };
+};
+
+app.addHook("onRequest", async (request, reply) => {
+    const token = readBearerToken(request);
+    if (!token) {
+        return;
+    }
+    const apiKey = await verifyApiKey(token);
+    if (!apiKey) {
+        reply.code(401).send({ error: "Invalid API key" });
+        return reply;
+    }
+    request.apiKey = apiKey;
+});
+
+app.get("/healthz", async () => ({ ok: true }));
+
+app.get("/auth/github/start", async (request, reply) => {
+    if (!oauthClientId || !oauthRedirectUrl) {
+        reply.code(500).send({ error: "GitHub OAuth is not configured" });
+        return;
+    }
+    const state = crypto.randomBytes(16).toString("hex");
+    const returnTo = resolveReturnToUrl(request.query?.returnTo);
+    setCookie(reply, OAUTH_STATE_COOKIE, state, {
+        maxAge: 300,
+        httpOnly: true,
+        sameSite: "Lax",
+        secure: cookieSecure,
+        domain: cookieDomain || undefined,
+    });
+    if (returnTo) {
+        setCookie(reply, OAUTH_RETURN_COOKIE, returnTo, {
+            maxAge: 600,
+            httpOnly: true,
+            sameSite: "Lax",
+            secure: cookieSecure,
+            domain: cookieDomain || undefined,
+        });
+    }
+    const params = new URLSearchParams({
+        client_id: oauthClientId,
+        redirect_uri: oauthRedirectUrl,
+        scope: "read:user user:email",
+        state,
+    });
+    reply.redirect(`https://github.com/login/oauth/authorize?${params.toString()}`);
+});
+
+app.get("/auth/github/callback", async (request, reply) => {
+    const code =
+        typeof request.query?.code === "string" ? request.query.code : "";
+    const state =
+        typeof request.query?.state === "string" ? request.query.state : "";
+    const storedState = getCookie(request, OAUTH_STATE_COOKIE);
+    const returnTo = getCookie(request, OAUTH_RETURN_COOKIE) || webBaseUrl || "/";
+    clearCookie(reply, OAUTH_STATE_COOKIE);
+    clearCookie(reply, OAUTH_RETURN_COOKIE);
+
+    if (!code || !state || !storedState || state !== storedState) {
+        reply.code(400).send({ error: "OAuth state mismatch" });
+        return;
+    }
+
+    try {
+        const accessToken = await exchangeGitHubCode(code);
+        const profile = await fetchGitHubUserProfile(accessToken);
+        const emails = await fetchGitHubUserEmails(accessToken);
+        const { userId, tenantId } = await upsertUserFromGitHub(profile, emails);
+        if (!userId || !tenantId) {
+            reply.code(500).send({ error: "Failed to create user account" });
+            return;
+        }
+        const session = await createAuthSession({ userId, tenantId });
+        setCookie(reply, SESSION_COOKIE_NAME, session.token, {
+            expires: session.expiresAt,
+            maxAge: Math.floor(authSessionTtlMs / 1000),
+            httpOnly: true,
+            sameSite: "Lax",
+            secure: cookieSecure,
+            domain: cookieDomain || undefined,
+        });
+        reply.redirect(returnTo);
+    } catch (err) {
+        reply.code(500).send({ error: err.message || "OAuth failed" });
+    }
+});
+
+app.get("/auth/me", async (request, reply) => {
+    const session = await getAuthSession(request);
+    if (!session) {
+        reply.code(401).send({ error: "Not authenticated" });
+        return;
+    }
+    reply.send({
+        user: session.user,
+        tenantId: session.tenantId,
+    });
+});
+
+app.post("/auth/logout", async (request, reply) => {
+    const rawToken = getCookie(request, SESSION_COOKIE_NAME);
+    if (rawToken) {
+        const tokenHash = hashToken(rawToken);
+        await db.delete(authSessions).where(eq(authSessions.tokenHash, tokenHash));
+    }
+    clearCookie(reply, SESSION_COOKIE_NAME);
+    reply.send({ status: "ok" });
+});
+
+app.get("/account/usage", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    try {
+        const summary = await fetchUsageSummary(session.tenantId);
+        reply.send({ summary });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load usage summary" });
+    }
+});
+
+app.get("/account/profile", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    try {
+        const profile = await fetchTenantProfile(session.tenantId);
+        if (!profile) {
+            reply.code(404).send({ error: "Profile not found" });
+            return;
+        }
+        reply.send({
+            profile: {
+                handle: profile.handle || "",
+                bio: profile.bio || "",
+                isPublic:
+                    typeof profile.isPublic === "boolean"
+                        ? profile.isPublic
+                        : true,
+                name:
+                    profile.userName ||
+                    profile.tenantName ||
+                    profile.githubUsername ||
+                    "",
+                githubUsername: profile.githubUsername || "",
+                avatarUrl: profile.avatarUrl || "",
+            },
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load profile" });
+    }
+});
+
+app.post("/account/profile", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    const body = request.body || {};
+    try {
+        const current = await fetchTenantProfile(session.tenantId);
+        if (!current) {
+            reply.code(404).send({ error: "Profile not found" });
+            return;
+        }
+        const updates = {};
+
+        if (Object.prototype.hasOwnProperty.call(body, "handle")) {
+            const { handle, error } = validateHandleInput(body.handle);
+            if (error) {
+                reply.code(400).send({ error });
+                return;
+            }
+            if (handle) {
+                const available = await isHandleAvailable(
+                    handle,
+                    session.tenantId
+                );
+                if (!available) {
+                    reply
+                        .code(409)
+                        .send({ error: "Handle is already taken." });
+                    return;
+                }
+                updates.handle = handle;
+            } else {
+                updates.handle = null;
+            }
+        }
+
+        if (Object.prototype.hasOwnProperty.call(body, "bio")) {
+            if (typeof body.bio !== "string" && body.bio !== null) {
+                reply.code(400).send({ error: "Bio must be a string." });
+                return;
+            }
+            const trimmed = typeof body.bio === "string" ? body.bio.trim() : "";
+            if (trimmed.length > MAX_BIO_LENGTH) {
+                reply.code(400).send({
+                    error: `Bio must be ${MAX_BIO_LENGTH} characters or fewer.`,
+                });
+                return;
+            }
+            updates.bio = trimmed ? normalizeBioInput(trimmed) : null;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(body, "isPublic")) {
+            const nextValue = normalizeBooleanInput(
+                body.isPublic,
+                typeof current.isPublic === "boolean" ? current.isPublic : true
+            );
+            if (typeof nextValue !== "boolean") {
+                reply
+                    .code(400)
+                    .send({ error: "isPublic must be true or false." });
+                return;
+            }
+            updates.isPublic = nextValue;
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await db
+                .update(tenants)
+                .set(updates)
+                .where(eq(tenants.id, session.tenantId));
+        }
+
+        const updated = await fetchTenantProfile(session.tenantId);
+        reply.send({
+            profile: {
+                handle: updated?.handle || "",
+                bio: updated?.bio || "",
+                isPublic:
+                    typeof updated?.isPublic === "boolean"
+                        ? updated.isPublic
+                        : true,
+                name:
+                    updated?.userName ||
+                    updated?.tenantName ||
+                    updated?.githubUsername ||
+                    "",
+                githubUsername: updated?.githubUsername || "",
+                avatarUrl: updated?.avatarUrl || "",
+            },
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to update profile" });
+    }
+});
+
+app.get("/account/limits", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    try {
+        const limits = await fetchTenantLimits(session.tenantId);
+        reply.send({
+            limits: {
+                tokenLimit: limits.tokenLimit,
+            },
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load limits" });
+    }
+});
+
+app.post("/account/limits", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    if (billingEnabled) {
+        reply.code(403).send({ error: "Limits are managed by billing." });
+        return;
+    }
+    const body = request.body || {};
+
+    const parseLimit = (value, label) => {
+        if (value === undefined) {
+            return { skip: true };
+        }
+        if (value === null || value === "") {
+            return { value: null };
+        }
+        const parsed =
+            typeof value === "number"
+                ? Math.trunc(value)
+                : Number.parseInt(value, 10);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+            return {
+                error: `${label} must be a whole number or left blank.`,
+            };
+        }
+        return { value: parsed };
+    };
+
+    try {
+        const updates = {};
+        const tokenResult = parseLimit(body.tokenLimit, "Token limit");
+        if (tokenResult.error) {
+            reply.code(400).send({ error: tokenResult.error });
+            return;
+        }
+        if (!tokenResult.skip) {
+            updates.tokenLimit = tokenResult.value;
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await db
+                .update(tenants)
+                .set(updates)
+                .where(eq(tenants.id, session.tenantId));
+        }
+
+        const limits = await fetchTenantLimits(session.tenantId);
+        reply.send({
+            limits: {
+                tokenLimit: limits.tokenLimit,
+            },
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to update limits" });
+    }
+});
+
+app.get("/account/api-keys", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    try {
+        const rows = await db
+            .select()
+            .from(apiKeys)
+            .where(eq(apiKeys.tenantId, session.tenantId))
+            .orderBy(desc(apiKeys.createdAt));
+        reply.send({
+            apiKeys: rows.map(formatApiKeyRow),
+            scopes: API_KEY_SCOPES,
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load API keys" });
+    }
+});
+
+app.post("/account/api-keys", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    const name =
+        typeof request.body?.name === "string"
+            ? request.body.name.trim().slice(0, 80)
+            : "";
+    if (!name) {
+        reply.code(400).send({ error: "name is required" });
+        return;
+    }
+    const scopes = normalizeApiKeyScopes(request.body?.scopes);
+    if (scopes.length === 0) {
+        reply.code(400).send({
+            error: `scopes must include at least one of: ${API_KEY_SCOPES.join(
+                ", "
+            )}`,
+        });
+        return;
+    }
+
+    try {
+        const result = await createApiKey({
+            tenantId: session.tenantId,
+            name,
+            scopes,
+        });
+        reply.send(result);
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to create API key" });
+    }
+});
+
+app.delete("/account/api-keys/:id", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    const apiKeyId = normalizeSessionId(request.params?.id);
+    if (!apiKeyId) {
+        reply.code(400).send({ error: "API key id is required" });
+        return;
+    }
+
+    const rows = await db
+        .update(apiKeys)
+        .set({ revokedAt: new Date() })
+        .where(
+            and(
+                eq(apiKeys.id, apiKeyId),
+                eq(apiKeys.tenantId, session.tenantId),
+                isNull(apiKeys.revokedAt)
+            )
+        )
+        .returning();
+    if (rows.length === 0) {
+        reply.code(404).send({ error: "API key not found" });
+        return;
+    }
+    reply.send({ status: "revoked", apiKey: formatApiKeyRow(rows[0]) });
+});
+
+app.get("/account/billing", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    try {
+        const billing = await fetchTenantBilling(session.tenantId);
+        const planKey = billing?.plan || "";
+        const plan = PLAN_DEFINITIONS[planKey] || null;
+        reply.send({
+            billing: {
+                plan: planKey,
+                planLabel: plan?.label || "",
+                status: billing?.subscriptionStatus || "inactive",
+                currentPeriodEnd: billing?.currentPeriodEnd
+                    ? new Date(billing.currentPeriodEnd).toISOString()
+                    : null,
+                repoLimit: billing?.repoLimit ?? null,
+                tokenLimit: billing?.tokenLimit ?? null,
+                tokenUsage: plan?.tokenUsage || false,
+                hasCustomer: Boolean(billing?.stripeCustomerId),
+                billingEnabled,
+                unlimitedTokenLimit,
+            },
+        });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load billing details" });
+    }
+});
+
+app.post("/billing/checkout", async (request, reply) => {
+    const session = await requireAuth(request, reply);
+    if (!session) {
+        return;
+    }
+    if (!billingEnabled) {
+        reply.code(500).send({ error: "Stripe is not configured." });
+        return;
+    }
+    if (!stripeCheckoutSuccessUrl || !stripeCheckoutCancelUrl) {
+        reply.code(500).send({ error: "Checkout URLs are not configured." });
+        return;
+    }
+    const planKey = normalizePlanInput(request.body?.plan);
+    const plan = PLAN_DEFINITIONS[planKey];
+    if (!plan || !plan.priceId) {
+        reply.code(400).send({ error: "Invalid plan selection." });
+        return;
+    }
+    if (plan.tokenUsage && !stripePriceTokens) {
+        reply
+            .code(500)
+            .send({ error: "Token usage price is not configured." });
+        return;
+    }
+
+    try {
+        const billing = await fetchTenantBilling(session.tenantId);
+        const customerEmail = session.user?.email || undefined;
+        let stripeCustomerId = billing?.stripeCustomerId || "";
+        if (!stripeCustomerId) {
+            const customer = await stripe.customers.create({
+                email: customerEmail,
+                name: session.user?.name || customerEmail || undefined,
+                metadata: {
+                    tenantId: String(session.tenantId),
+                },
+            });
+            stripeCustomerId = customer.id;
+            await updateTenantBilling(session.tenantId, {
+                stripeCustomerId,
+                billingEmail: customerEmail || null,
+            });
+        }
+
+        const lineItems = [{ price: plan.priceId, quantity: 1 }];
+        if (plan.tokenUsage && stripePriceTokens) {
+            lineItems.push({ price: stripePriceTokens });
         }
-        const session = await createAuthSession({ userId, tenantId });
-        setCookie(reply, SESSION_COOKIE_NAME, session.token, {
-            expires: session.expiresAt,
-            maxAge: Math.floor(authSessionTtlMs / 1000),
-            httpOnly: true,
-            sameSite: "Lax",
-            secure: cookieSecure,
-            domain: cookieDomain || undefined,
-        });
-        reply.redirect(returnTo);
-    } catch (err) {
-        reply.code(500).send({ error: err.message || "OAuth failed" });
-    }
-});
 
-app.get("/auth/me", async (request, reply) => {
-    const session = await getAuthSession(request);
-    if (!session) {
-        reply.code(401).send({ error: "Not authenticated" });
-        return;
-    }
-    reply.send({
-        user: session.user,
-        tenantId: session.tenantId,
-    });
-});
+        const checkoutSession = await stripe.checkout.sessions.create({
+            mode: "subscription",
+            customer: stripeCustomerId,
+            line_items: lineItems,
+            success_url: stripeCheckoutSuccessUrl,
+            cancel_url: stripeCheckoutCancelUrl,
+            allow_promotion_codes: true,
+            client_reference_id: String(session.tenantId),
+            metadata: {
+                tenantId: String(session.tenantId),
+                plan: planKey,
+            },
+            subscription_data: {
+                metadata: {
+                    tenantId: String(session.tenantId),
+                    plan: planKey,
+                },
+            },
+        });
 
-app.post("/auth/logout", async (request, reply) => {
-    const rawToken = getCookie(request, SESSION_COOKIE_NAME);
-    if (rawToken) {
-        const tokenHash = hashToken(rawToken);
-        await db.delete(authSessions).where(eq(authSessions.tokenHash, tokenHash));
+        reply.send({ url: checkoutSession.url });
+    } catch (err) {
+        reply.code(500).send({
+            error: err.message || "Failed to create checkout session",
+        });
     }
-    clearCookie(reply, SESSION_COOKIE_NAME);
-    reply.send({ status: "ok" });
 });
 
-app.get("/account/usage", async (request, reply) => {
+app.post("/billing/portal", async (request, reply) => {
     const session = await requireAuth(request, reply);
     if (!session) {
         return;
     }
-    try {
-        const summary = await fetchUsageSummary(session.tenantId);
-        reply.send({ summary });
-    } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to load usage summary" });
+    if (!billingEnabled) {
+        reply.code(500).send({ error: "Stripe is not configured." });
+        return;
     }
-});
-
-app.get("/account/profile", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
+    if (!stripePortalReturnUrl) {
+        reply.code(500).send({ error: "Portal return URL is not configured." });
         return;
     }
     try {
-        const profile = await fetchTenantProfile(session.tenantId);
-        if (!profile) {
-            reply.code(404).send({ error: "Profile not found" });
+        const billing = await fetchTenantBilling(session.tenantId);
+        if (!billing?.stripeCustomerId) {
+            reply.code(400).send({ error: "No Stripe customer on file." });
             return;
         }
-        reply.send({
-            profile: {
-                handle: profile.handle || "",
-                bio: profile.bio || "",
-                isPublic:
-                    typeof profile.isPublic === "boolean"
-                        ? profile.isPublic
-                        : true,
-                name:
-                    profile.userName ||
-                    profile.tenantName ||
-                    profile.githubUsername ||
-                    "",
-                githubUsername: profile.githubUsername || "",
-                avatarUrl: profile.avatarUrl || "",
-            },
+        const portal = await stripe.billingPortal.sessions.create({
+            customer: billing.stripeCustomerId,
+            return_url: stripePortalReturnUrl,
         });
+        reply.send({ url: portal.url });
     } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to load profile" });
+        reply.code(500).send({
+            error: err.message || "Failed to open billing portal",
+        });
     }
 });
 
-app.post("/account/profile", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
+app.post("/webhooks/stripe", async (request, reply) => {
+    if (!billingEnabled || !stripeWebhookSecret) {
+        reply.code(500).send({ error: "Stripe webhook not configured." });
         return;
     }
-    const body = request.body || {};
+    const signature = request.headers["stripe-signature"];
+    if (!signature || typeof signature !== "string") {
+        reply.code(400).send({ error: "Missing Stripe signature." });
+        return;
+    }
+    let event;
     try {
-        const current = await fetchTenantProfile(session.tenantId);
-        if (!current) {
-            reply.code(404).send({ error: "Profile not found" });
+        event = stripe.webhooks.constructEvent(
+            request.rawBody || "",
+            signature,
+            stripeWebhookSecret
+        );
+    } catch (err) {
+        reply.code(400).send({ error: `Webhook error: ${err.message}` });
+        return;
+    }
+
+    const handleSubscriptionUpdate = async (subscription) => {
+        const items = subscription?.items?.data || [];
+        const planKey =
+            subscription?.metadata?.plan ||
+            resolvePlanFromSubscriptionItems(items);
+        const resolvedPlan = planKey || "";
+        const tokenItemId = resolveTokenItemId(items);
+        const currentPeriodEnd = subscription?.current_period_end
+            ? new Date(subscription.current_period_end * 1000)
+            : null;
+        const tenantId =
+            subscription?.metadata?.tenantId ||
+            subscription?.metadata?.tenant ||
+            null;
+        let tenant =
+            tenantId && Number.isFinite(Number(tenantId))
+                ? await fetchTenantBilling(Number(tenantId))
+                : null;
+        if (!tenant) {
+            tenant = await fetchTenantByStripeSubscriptionId(subscription.id);
+        }
+        if (!tenant) {
+            tenant = await fetchTenantByStripeCustomerId(subscription.customer);
+        }
+        if (!tenant) {
+            app.log.warn(
+                { subscriptionId: subscription.id },
+                "Stripe webhook: tenant not found"
+            );
             return;
         }
-        const updates = {};
 
-        if (Object.prototype.hasOwnProperty.call(body, "handle")) {
-            const { handle, error } = validateHandleInput(body.handle);
-            if (error) {
-                reply.code(400).send({ error });
-                return;
-            }
-            if (handle) {
-                const available = await isHandleAvailable(
-                    handle,
-                    session.tenantId
-                );
-                if (!available) {
-                    reply
-                        .code(409)
-                        .send({ error: "Handle is already taken." });
-                    return;
-                }
-                updates.handle = handle;
-            } else {
-                updates.handle = null;
-            }
-        }
+        const planToApply = resolvedPlan || tenant.plan || "";
+        const limits = planToApply
+            ? getPlanLimits(planToApply)
+            : {
+                  repoLimit: tenant.repoLimit ?? null,
+                  tokenLimit: tenant.tokenLimit ?? null,
+              };
 
-        if (Object.prototype.hasOwnProperty.call(body, "bio")) {
-            if (typeof body.bio !== "string" && body.bio !== null) {
-                reply.code(400).send({ error: "Bio must be a string." });
-                return;
-            }
-            const trimmed = typeof body.bio === "string" ? body.bio.trim() : "";
-            if (trimmed.length > MAX_BIO_LENGTH) {
-                reply.code(400).send({
-                    error: `Bio must be ${MAX_BIO_LENGTH} characters or fewer.`,
-                });
-                return;
-            }
-            updates.bio = trimmed ? normalizeBioInput(trimmed) : null;
+        await updateTenantBilling(tenant.tenantId, {
+            plan: planToApply || null,
+            subscriptionStatus: subscription.status || null,
+            stripeCustomerId: subscription.customer || tenant.stripeCustomerId,
+            stripeSubscriptionId: subscription.id || tenant.stripeSubscriptionId,
+            stripeTokenItemId: tokenItemId || null,
+            currentPeriodEnd,
+            repoLimit: limits.repoLimit ?? null,
+            tokenLimit: limits.tokenLimit ?? null,
+        });
+    };
+
+    const handleCheckoutCompleted = async (session) => {
+        const tenantId =
+            session?.metadata?.tenantId ||
+            session?.client_reference_id ||
+            null;
+        if (!tenantId) {
+            return;
+        }
+        const numericTenantId = Number(tenantId);
+        if (!Number.isFinite(numericTenantId)) {
+            return;
         }
+        await updateTenantBilling(numericTenantId, {
+            stripeCustomerId: session.customer || null,
+            stripeSubscriptionId: session.subscription || null,
+            billingEmail: session.customer_details?.email || null,
+        });
+    };
 
-        if (Object.prototype.hasOwnProperty.call(body, "isPublic")) {
-            const nextValue = normalizeBooleanInput(
-                body.isPublic,
-                typeof current.isPublic === "boolean" ? current.isPublic : true
+    const handleInvoicePaid = async (invoice) => {
+        const subscriptionId = invoice?.subscription || null;
+        if (!subscriptionId) {
+            return;
+        }
+        try {
+            const subscription = await stripe.subscriptions.retrieve(
+                subscriptionId
+            );
+            await handleSubscriptionUpdate(subscription);
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err, subscriptionId },
+                "Stripe webhook: failed to refresh subscription after invoice"
             );
-            if (typeof nextValue !== "boolean") {
-                reply
-                    .code(400)
-                    .send({ error: "isPublic must be true or false." });
-                return;
-            }
-            updates.isPublic = nextValue;
         }
+    };
 
-        if (Object.keys(updates).length > 0) {
-            await db
-                .update(tenants)
-                .set(updates)
-                .where(eq(tenants.id, session.tenantId));
+    try {
+        switch (event.type) {
+            case "checkout.session.completed":
+                await handleCheckoutCompleted(event.data.object);
+                break;
+            case "customer.subscription.created":
+            case "customer.subscription.updated":
+            case "customer.subscription.deleted":
+                await handleSubscriptionUpdate(event.data.object);
+                break;
+            case "invoice.payment_failed":
+                break;
+            case "invoice.paid":
+            case "invoice.payment_succeeded":
+                await handleInvoicePaid(event.data.object);
+                break;
+            default:
+                break;
         }
-
-        const updated = await fetchTenantProfile(session.tenantId);
-        reply.send({
-            profile: {
-                handle: updated?.handle || "",
-                bio: updated?.bio || "",
-                isPublic:
-                    typeof updated?.isPublic === "boolean"
-                        ? updated.isPublic
-                        : true,
-                name:
-                    updated?.userName ||
-                    updated?.tenantName ||
-                    updated?.githubUsername ||
-                    "",
-                githubUsername: updated?.githubUsername || "",
-                avatarUrl: updated?.avatarUrl || "",
-            },
-        });
     } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to update profile" });
+        app.log.error(
+            { err: err.message || err, eventType: event.type },
+            "Stripe webhook failed"
+        );
+        reply.code(500).send({ error: "Webhook handler failed." });
+        return;
     }
+
+    reply.send({ received: true });
 });
 
-app.get("/account/limits", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
-        return;
+const verifyGitHubSignature = (rawBody, signature) => {
+    if (!githubWebhookSecret || typeof signature !== "string") {
+        return false;
+    }
+    const expected = `sha256=${crypto
+        .createHmac("sha256", githubWebhookSecret)
+        .update(rawBody || "")
+        .digest("hex")}`;
+    const provided = Buffer.from(signature);
+    const computed = Buffer.from(expected);
+    return (
+        provided.length === computed.length &&
+        crypto.timingSafeEqual(provided, computed)
+    );
+};
+
+const claimWebhookDelivery = async (deliveryId) => {
+    if (!deliveryId) {
+        return true;
     }
     try {
-        const limits = await fetchTenantLimits(session.tenantId);
-        reply.send({
-            limits: {
-                tokenLimit: limits.tokenLimit,
-            },
-        });
+        const result = await redis.set(
+            `webhook:github:${deliveryId}`,
+            "1",
+            "EX",
+            24 * 60 * 60,
+            "NX"
+        );
+        return result === "OK";
     } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to load limits" });
+        app.log.warn(
+            { err: err.message || err },
+            "GitHub webhook: delivery dedupe unavailable"
+        );
+        return true;
     }
-});
+};
 
-app.post("/account/limits", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
-        return;
+const parseRepoFullName = (fullName) => {
+    if (!fullName || typeof fullName !== "string") {
+        return null;
     }
-    if (billingEnabled) {
-        reply.code(403).send({ error: "Limits are managed by billing." });
+    const [owner, repo] = fullName.split("/");
+    return owner && repo ? { owner, repo } : null;
+};
+
+const fetchProjectsForRepo = async ({ owner, repo }) => {
+    if (!owner || !repo) {
+        return [];
+    }
+    const pattern = `%github.com/${owner}/${repo}%`.toLowerCase();
+    const rows = await db
+        .select({
+            id: projects.id,
+            tenantId: projects.tenantId,
+            name: projects.name,
+            repoUrl: projects.repoUrl,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
+        })
+        .from(projects)
+        .where(sql`lower(${projects.repoUrl}) like ${pattern}`);
+    return rows.filter((row) => {
+        const parsed = parseRepoUrl(row.repoUrl);
+        return (
+            parsed?.provider === "github" &&
+            isSameRepo(parsed, { owner, repo })
+        );
+    });
+};
+
+const setProjectsActive = async (projectRows, isActive, reason = null) => {
+    const ids = projectRows.map((row) => row.id);
+    if (ids.length === 0) {
         return;
     }
-    const body = request.body || {};
+    await db
+        .update(projects)
+        .set({
+            isActive,
+            deactivatedReason: isActive ? null : reason,
+            deactivatedAt: isActive ? null : new Date(),
+        })
+        .where(inArray(projects.id, ids));
+};
 
-    const parseLimit = (value, label) => {
-        if (value === undefined) {
-            return { skip: true };
+const collectPushPaths = (commits) => {
+    const changed = new Set();
+    const removed = new Set();
+    for (const commit of commits) {
+        for (const filePath of [
+            ...(commit.added || []),
+            ...(commit.modified || []),
+        ]) {
+            removed.delete(filePath);
+            changed.add(filePath);
         }
-        if (value === null || value === "") {
-            return { value: null };
+        for (const filePath of commit.removed || []) {
+            changed.delete(filePath);
+            removed.add(filePath);
         }
-        const parsed =
-            typeof value === "number"
-                ? Math.trunc(value)
-                : Number.parseInt(value, 10);
-        if (!Number.isFinite(parsed) || parsed < 0) {
-            return {
-                error: `${label} must be a whole number or left blank.`,
-            };
+    }
+    return { changed: Array.from(changed), removed: Array.from(removed) };
+};
+
+const enqueueWebhookIngest = async (
+    projectRows,
+    {
+        jobTypes = scheduledIngestJobTypes,
+        paths = null,
+        fullReindex = false,
+        ref = null,
+    } = {}
+) => {
+    const enqueued = [];
+    for (const project of projectRows) {
+        if (!project.isActive) {
+            continue;
         }
-        return { value: parsed };
-    };
+        for (const jobType of jobTypes) {
+            const latestJob = await fetchLatestIngestJob(
+                project.id,
+                project.repoUrl,
+                jobType
+            );
+            if (
+                latestJob?.status === "queued" &&
+                jobType !== JOB_TYPES.ingestRepoDocs &&
+                !fullReindex
+            ) {
+                continue;
+            }
+            const jobs = await enqueueIngestJobs([project], {
+                jobType,
+                fullReindex,
+                paths: jobType === JOB_TYPES.ingestRepoDocs ? paths : null,
+                ref: jobType === JOB_TYPES.ingestRepoDocs ? ref : null,
+            });
+            enqueued.push(...jobs);
+        }
+    }
+    return enqueued;
+};
 
-    try {
-        const updates = {};
-        const tokenResult = parseLimit(body.tokenLimit, "Token limit");
-        if (tokenResult.error) {
-            reply.code(400).send({ error: tokenResult.error });
-            return;
+const handleGitHubPush = async (payload) => {
+    const repository = payload.repository || {};
+    const parsed = parseRepoFullName(repository.full_name);
+    const defaultBranch = repository.default_branch || "main";
+    if (parsed && payload.ref?.startsWith("refs/tags/")) {
+        return handleGitHubRelease({ ...payload, action: "published" });
+    }
+    const branch = payload.ref?.startsWith("refs/heads/")
+        ? payload.ref.slice("refs/heads/".length)
+        : null;
+    if (!parsed || payload.deleted || !branch) {
+        return { ignored: true };
+    }
+    const projectRows = (await fetchProjectsForRepo(parsed)).filter(
+        (project) =>
+            Array.isArray(project.refs) && project.refs.length > 0
+                ? project.refs.includes(branch)
+                : branch === defaultBranch
+    );
+    if (projectRows.length === 0) {
+        return { ignored: true };
+    }
+    const commits = Array.isArray(payload.commits) ? payload.commits : [];
+    const paths = collectPushPaths(commits);
+    const pushedPaths = [...paths.changed, ...paths.removed];
+    const targeted =
+        !payload.forced &&
+        !pushedPaths.some(
+            (filePath) =>
+                filePath === SHOWCASE_IGNORE_FILE ||
+                filePath.endsWith(`/${SHOWCASE_IGNORE_FILE}`)
+        ) &&
+        commits.length > 0 &&
+        commits.length < githubPushCommitLimit &&
+        paths.changed.length + paths.removed.length <= githubWebhookMaxPaths;
+    const jobTypes = targeted
+        ? scheduledIngestJobTypes.filter(
+              (jobType) =>
+                  jobType !== JOB_TYPES.ingestRepoDocs ||
+                  paths.changed.length + paths.removed.length > 0
+          )
+        : scheduledIngestJobTypes;
+    const affectedRows = targeted
+        ? projectRows.filter(
+              (project) =>
+                  !project.subpath ||
+                  pushedPaths.some((filePath) =>
+                      stripSubpath(filePath, project.subpath)
+                  )
+          )
+        : projectRows;
+    const jobs = await enqueueWebhookIngest(affectedRows, {
+        jobTypes,
+        paths: targeted ? paths : null,
+        ref: branch,
+    });
+    return { jobs: jobs.length, targeted };
+};
+
+const handleGitHubRelease = async (payload) => {
+    const parsed = parseRepoFullName(payload.repository?.full_name);
+    const actions = ["published", "edited", "deleted"];
+    if (!parsed || !actions.includes(payload.action)) {
+        return { ignored: true };
+    }
+    const projectRows = await fetchProjectsForRepo(parsed);
+    const jobs = await enqueueWebhookIngest(projectRows, {
+        jobTypes: scheduledIngestJobTypes.filter(
+            (jobType) => jobType === JOB_TYPES.ingestRepoReleases
+        ),
+    });
+    return { jobs: jobs.length };
+};
+
+const handleGitHubInstallationRepositories = async (payload) => {
+    const removed = Array.isArray(payload.repositories_removed)
+        ? payload.repositories_removed
+        : [];
+    for (const item of removed) {
+        const parsed = parseRepoFullName(item.full_name);
+        if (parsed) {
+            installationIdCache.delete(
+                `${parsed.owner}/${parsed.repo}`.toLowerCase()
+            );
         }
-        if (!tokenResult.skip) {
-            updates.tokenLimit = tokenResult.value;
+    }
+
+    const added = Array.isArray(payload.repositories_added)
+        ? payload.repositories_added
+        : [];
+    let jobCount = 0;
+    for (const item of added) {
+        const parsed = parseRepoFullName(item.full_name);
+        if (!parsed) {
+            continue;
+        }
+        if (payload.installation?.id) {
+            setCachedInstallationId(
+                parsed.owner,
+                parsed.repo,
+                payload.installation.id
+            );
         }
+        const projectRows = await fetchProjectsForRepo(parsed);
+        const restorable = projectRows.filter(
+            (row) => !row.isActive && row.deactivatedReason === "private"
+        );
+        await setProjectsActive(restorable, true);
+        const jobs = await enqueueWebhookIngest(
+            projectRows.map((row) =>
+                restorable.includes(row) ? { ...row, isActive: true } : row
+            )
+        );
+        jobCount += jobs.length;
+    }
+    return { jobs: jobCount, removed: removed.length };
+};
 
-        if (Object.keys(updates).length > 0) {
+const handleGitHubRepository = async (payload) => {
+    const repository = payload.repository || {};
+    const current = parseRepoFullName(repository.full_name);
+    if (!current) {
+        return { ignored: true };
+    }
+
+    if (payload.action === "renamed" || payload.action === "transferred") {
+        const previous = {
+            owner:
+                payload.changes?.owner?.from?.user?.login ||
+                payload.changes?.owner?.from?.organization?.login ||
+                current.owner,
+            repo: payload.changes?.repository?.name?.from || current.repo,
+        };
+        const projectRows = await fetchProjectsForRepo(previous);
+        const repoUrl =
+            repository.html_url ||
+            `https://github.com/${current.owner}/${current.repo}`;
+        for (const row of projectRows) {
             await db
-                .update(tenants)
-                .set(updates)
-                .where(eq(tenants.id, session.tenantId));
+                .update(projects)
+                .set({
+                    repoUrl,
+                    name:
+                        row.name.toLowerCase() === previous.repo.toLowerCase()
+                            ? current.repo
+                            : row.name,
+                })
+                .where(eq(projects.id, row.id));
         }
-
-        const limits = await fetchTenantLimits(session.tenantId);
-        reply.send({
-            limits: {
-                tokenLimit: limits.tokenLimit,
-            },
-        });
-    } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to update limits" });
+        const jobs = await enqueueWebhookIngest(
+            projectRows.map((row) => ({ ...row, repoUrl })),
+            { fullReindex: true }
+        );
+        return { updated: projectRows.length, jobs: jobs.length };
     }
-});
 
-app.get("/account/billing", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
-        return;
+    const projectRows = await fetchProjectsForRepo(current);
+    if (payload.action === "deleted") {
+        await setProjectsActive(projectRows, false, "deleted");
+        return { deactivated: projectRows.length };
     }
-    try {
-        const billing = await fetchTenantBilling(session.tenantId);
-        const planKey = billing?.plan || "";
-        const plan = PLAN_DEFINITIONS[planKey] || null;
-        reply.send({
-            billing: {
-                plan: planKey,
-                planLabel: plan?.label || "",
-                status: billing?.subscriptionStatus || "inactive",
-                currentPeriodEnd: billing?.currentPeriodEnd
-                    ? new Date(billing.currentPeriodEnd).toISOString()
-                    : null,
-                repoLimit: billing?.repoLimit ?? null,
-                tokenLimit: billing?.tokenLimit ?? null,
-                tokenUsage: plan?.tokenUsage || false,
-                hasCustomer: Boolean(billing?.stripeCustomerId),
-                billingEnabled,
-                unlimitedTokenLimit,
-            },
-        });
-    } catch (err) {
-        reply
-            .code(500)
-            .send({ error: err.message || "Failed to load billing details" });
+    if (payload.action === "privatized") {
+        const result = await fetchGitHubJson(
+            `/repos/${current.owner}/${current.repo}`,
+            { auth: current }
+        );
+        if (result.error && (result.status === 404 || result.status === 403)) {
+            await setProjectsActive(projectRows, false, "private");
+            return { deactivated: projectRows.length };
+        }
+        return { accessible: true };
     }
-});
+    if (payload.action === "publicized") {
+        const restorable = projectRows.filter(
+            (row) => !row.isActive && row.deactivatedReason === "private"
+        );
+        await setProjectsActive(restorable, true);
+        const jobs = await enqueueWebhookIngest(
+            restorable.map((row) => ({ ...row, isActive: true }))
+        );
+        return { reactivated: restorable.length, jobs: jobs.length };
+    }
+    return { ignored: true };
+};
 
-app.post("/billing/checkout", async (request, reply) => {
-    const session = await requireAuth(request, reply);
-    if (!session) {
+const githubWebhookHandlers = {
+    push: handleGitHubPush,
+    release: handleGitHubRelease,
+    installation_repositories: handleGitHubInstallationRepositories,
+    repository: handleGitHubRepository,
+};
+
+app.post("/webhooks/github", async (request, reply) => {
+    if (!githubWebhookSecret) {
+        reply.code(500).send({ error: "GitHub webhook not configured." });
         return;
     }
-    if (!billingEnabled) {
-        reply.code(500).send({ error: "Stripe is not configured." });
+    const signature = request.headers["x-hub-signature-256"];
+    if (!signature || typeof signature !== "string") {
+        reply.code(400).send({ error: "Missing GitHub signature." });
         return;
     }
-    if (!stripeCheckoutSuccessUrl || !stripeCheckoutCancelUrl) {
-        reply.code(500).send({ error: "Checkout URLs are not configured." });
+    if (!verifyGitHubSignature(request.rawBody, signature)) {
+        reply.code(401).send({ error: "Invalid GitHub signature." });
         return;
     }
-    const planKey = normalizePlanInput(request.body?.plan);
-    const plan = PLAN_DEFINITIONS[planKey];
-    if (!plan || !plan.priceId) {
-        reply.code(400).send({ error: "Invalid plan selection." });
+
+    const eventType = request.headers["x-github-event"];
+    const handler = githubWebhookHandlers[eventType];
+    if (!handler) {
+        reply.send({ received: true, ignored: true });
         return;
     }
-    if (plan.tokenUsage && !stripePriceTokens) {
-        reply
-            .code(500)
-            .send({ error: "Token usage price is not configured." });
+    const deliveryId = request.headers["x-github-delivery"];
+    if (!(await claimWebhookDelivery(deliveryId))) {
+        reply.send({ received: true, duplicate: true });
         return;
     }
 
     try {
-        const billing = await fetchTenantBilling(session.tenantId);
-        const customerEmail = session.user?.email || undefined;
-        let stripeCustomerId = billing?.stripeCustomerId || "";
-        if (!stripeCustomerId) {
-            const customer = await stripe.customers.create({
-                email: customerEmail,
-                name: session.user?.name || customerEmail || undefined,
-                metadata: {
-                    tenantId: String(session.tenantId),
-                },
-            });
-            stripeCustomerId = customer.id;
-            await updateTenantBilling(session.tenantId, {
-                stripeCustomerId,
-                billingEmail: customerEmail || null,
-            });
+        const result = await handler(request.body || {});
+        app.log.info(
+            { eventType, deliveryId, action: request.body?.action, ...result },
+            "GitHub webhook processed"
+        );
+        reply.send({ received: true, ...result });
+    } catch (err) {
+        app.log.error(
+            { err: err.message || err, eventType, deliveryId },
+            "GitHub webhook failed"
+        );
+        if (deliveryId) {
+            await redis.del(`webhook:github:${deliveryId}`).catch(() => {});
         }
+        reply.code(500).send({ error: "Webhook handler failed." });
+    }
+});
 
-        const lineItems = [{ price: plan.priceId, quantity: 1 }];
-        if (plan.tokenUsage && stripePriceTokens) {
-            lineItems.push({ price: stripePriceTokens });
+app.get("/projects", async (request, reply) => {
+    const handle = normalizeHandle(request.query?.handle);
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "projects:read",
+    });
+    if (!context) {
+        reply
+            .code(handle ? 404 : 401)
+            .send({ error: handle ? "Showcase not found" : "Not authenticated" });
+        return;
+    }
+    const canManage = canManageProjects(context);
+    let projects = await fetchProjectsForTenant(context.tenantId);
+    if (!canManage) {
+        projects = projects.filter((project) => project.active);
+    }
+    if (canManage) {
+        const summaries = await fetchIngestSummaries(
+            projects.map((project) => project.id)
+        );
+        projects = projects.map((project) => ({
+            ...project,
+            ingest: buildIngestSummary(summaries.get(project.id)),
+        }));
+    }
+    let owner = null;
+    if (context.owner) {
+        owner = context.owner;
+    } else {
+        const profile = await fetchTenantProfile(context.tenantId);
+        owner = profile ? buildOwnerPayload(profile) : null;
+        if (!owner && context.user) {
+            owner = {
+                handle: context.user.githubUsername || "",
+                name: context.user.name || context.user.email || "",
+                avatarUrl: context.user.avatarUrl || "",
+                bio: "",
+                isPublic: true,
+            };
         }
-
-        const checkoutSession = await stripe.checkout.sessions.create({
-            mode: "subscription",
-            customer: stripeCustomerId,
-            line_items: lineItems,
-            success_url: stripeCheckoutSuccessUrl,
-            cancel_url: stripeCheckoutCancelUrl,
-            allow_promotion_codes: true,
-            client_reference_id: String(session.tenantId),
-            metadata: {
-                tenantId: String(session.tenantId),
-                plan: planKey,
-            },
-            subscription_data: {
-                metadata: {
-                    tenantId: String(session.tenantId),
-                    plan: planKey,
-                },
-            },
-        });
-
-        reply.send({ url: checkoutSession.url });
-    } catch (err) {
-        reply.code(500).send({
-            error: err.message || "Failed to create checkout session",
-        });
     }
+    reply.send({ projects, owner });
 });
 
-app.post("/billing/portal", async (request, reply) => {
-    const session = await requireAuth(request, reply);
+app.get("/projects/:id/ingest-jobs", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:read",
+    });
     if (!session) {
         return;
     }
-    if (!billingEnabled) {
-        reply.code(500).send({ error: "Stripe is not configured." });
+    const projectId = normalizeSessionId(request.params?.id);
+    if (!projectId) {
+        reply.code(400).send({ error: "project id is required" });
         return;
     }
-    if (!stripePortalReturnUrl) {
-        reply.code(500).send({ error: "Portal return URL is not configured." });
+    const project = await fetchProjectById(session.tenantId, projectId);
+    if (!project) {
+        reply.code(404).send({ error: "Project not found" });
         return;
     }
+
+    const rawLimit = Number.parseInt(request.query?.limit, 10);
+    const limit = Number.isFinite(rawLimit)
+        ? Math.min(Math.max(rawLimit, 1), 100)
+        : 20;
+    const jobType = Object.values(JOB_TYPES).includes(request.query?.jobType)
+        ? request.query.jobType
+        : null;
+
     try {
-        const billing = await fetchTenantBilling(session.tenantId);
-        if (!billing?.stripeCustomerId) {
-            reply.code(400).send({ error: "No Stripe customer on file." });
-            return;
-        }
-        const portal = await stripe.billingPortal.sessions.create({
-            customer: billing.stripeCustomerId,
-            return_url: stripePortalReturnUrl,
+        const [jobs, summaries] = await Promise.all([
+            fetchIngestJobsForProject(projectId, { limit, jobType }),
+            fetchIngestSummaries([projectId]),
+        ]);
+        reply.send({
+            projectId,
+            jobs,
+            ingest: buildIngestSummary(summaries.get(projectId)),
         });
-        reply.send({ url: portal.url });
     } catch (err) {
-        reply.code(500).send({
-            error: err.message || "Failed to open billing portal",
-        });
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to load ingest jobs" });
     }
 });
 
-app.post("/webhooks/stripe", async (request, reply) => {
-    if (!billingEnabled || !stripeWebhookSecret) {
-        reply.code(500).send({ error: "Stripe webhook not configured." });
+app.get("/projects/:id/ingest-jobs/stream", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:read",
+    });
+    if (!session) {
         return;
     }
-    const signature = request.headers["stripe-signature"];
-    if (!signature || typeof signature !== "string") {
-        reply.code(400).send({ error: "Missing Stripe signature." });
+    const projectId = normalizeSessionId(request.params?.id);
+    if (!projectId) {
+        reply.code(400).send({ error: "project id is required" });
         return;
     }
-    let event;
-    try {
-        event = stripe.webhooks.constructEvent(
-            request.rawBody || "",
-            signature,
-            stripeWebhookSecret
-        );
-    } catch (err) {
-        reply.code(400).send({ error: `Webhook error: ${err.message}` });
+    const project = await fetchProjectById(session.tenantId, projectId);
+    if (!project) {
+        reply.code(404).send({ error: "Project not found" });
         return;
     }
 
-    const handleSubscriptionUpdate = async (subscription) => {
-        const items = subscription?.items?.data || [];
-        const planKey =
-            subscription?.metadata?.plan ||
-            resolvePlanFromSubscriptionItems(items);
-        const resolvedPlan = planKey || "";
-        const tokenItemId = resolveTokenItemId(items);
-        const currentPeriodEnd = subscription?.current_period_end
-            ? new Date(subscription.current_period_end * 1000)
-            : null;
-        const tenantId =
-            subscription?.metadata?.tenantId ||
-            subscription?.metadata?.tenant ||
-            null;
-        let tenant =
-            tenantId && Number.isFinite(Number(tenantId))
-                ? await fetchTenantBilling(Number(tenantId))
-                : null;
-        if (!tenant) {
-            tenant = await fetchTenantByStripeSubscriptionId(subscription.id);
-        }
-        if (!tenant) {
-            tenant = await fetchTenantByStripeCustomerId(subscription.customer);
-        }
-        if (!tenant) {
-            app.log.warn(
-                { subscriptionId: subscription.id },
-                "Stripe webhook: tenant not found"
-            );
-            return;
-        }
-
-        const planToApply = resolvedPlan || tenant.plan || "";
-        const limits = planToApply
-            ? getPlanLimits(planToApply)
-            : {
-                  repoLimit: tenant.repoLimit ?? null,
-                  tokenLimit: tenant.tokenLimit ?? null,
-              };
+    reply.hijack();
+    writeEventStreamHeaders(request, reply);
 
-        await updateTenantBilling(tenant.tenantId, {
-            plan: planToApply || null,
-            subscriptionStatus: subscription.status || null,
-            stripeCustomerId: subscription.customer || tenant.stripeCustomerId,
-            stripeSubscriptionId: subscription.id || tenant.stripeSubscriptionId,
-            stripeTokenItemId: tokenItemId || null,
-            currentPeriodEnd,
-            repoLimit: limits.repoLimit ?? null,
-            tokenLimit: limits.tokenLimit ?? null,
-        });
+    const sendEvent = (type, data) => {
+        reply.raw.write(`event: ${type}\n`);
+        reply.raw.write(`data: ${JSON.stringify(data)}\n\n`);
     };
 
-    const handleCheckoutCompleted = async (session) => {
-        const tenantId =
-            session?.metadata?.tenantId ||
-            session?.client_reference_id ||
-            null;
-        if (!tenantId) {
-            return;
-        }
-        const numericTenantId = Number(tenantId);
-        if (!Number.isFinite(numericTenantId)) {
+    let closed = false;
+    let polling = false;
+    let lastPayload = "";
+    let lastWriteAt = Date.now();
+    let timer = null;
+    const finish = () => {
+        if (closed) {
             return;
         }
-        await updateTenantBilling(numericTenantId, {
-            stripeCustomerId: session.customer || null,
-            stripeSubscriptionId: session.subscription || null,
-            billingEmail: session.customer_details?.email || null,
-        });
+        closed = true;
+        clearInterval(timer);
+        reply.raw.end();
     };
+    reply.raw.on("close", finish);
 
-    const handleInvoicePaid = async (invoice) => {
-        const subscriptionId = invoice?.subscription || null;
-        if (!subscriptionId) {
+    const poll = async () => {
+        if (closed || polling) {
             return;
         }
+        polling = true;
         try {
-            const subscription = await stripe.subscriptions.retrieve(
-                subscriptionId
-            );
-            await handleSubscriptionUpdate(subscription);
+            const jobs = await fetchIngestJobsForProject(projectId, {
+                limit: 10,
+            });
+            const latestJobs = [];
+            const seenTypes = new Set();
+            for (const job of jobs) {
+                if (!seenTypes.has(job.jobType)) {
+                    seenTypes.add(job.jobType);
+                    latestJobs.push(job);
+                }
+            }
+            const payload = JSON.stringify(latestJobs);
+            if (payload !== lastPayload) {
+                lastPayload = payload;
+                lastWriteAt = Date.now();
+                sendEvent("progress", { projectId, jobs: latestJobs });
+            } else if (Date.now() - lastWriteAt > 15000) {
+                lastWriteAt = Date.now();
+                reply.raw.write(": keepalive\n\n");
+            }
+            if (!latestJobs.some((job) => job.active)) {
+                sendEvent("done", { projectId });
+                finish();
+            }
         } catch (err) {
-            app.log.warn(
-                { err: err.message || err, subscriptionId },
-                "Stripe webhook: failed to refresh subscription after invoice"
-            );
+            sendEvent("error", {
+                error: err.message || "Failed to load ingest progress",
+            });
+            finish();
+        } finally {
+            polling = false;
         }
     };
 
+    timer = setInterval(poll, ingestProgressPollMs);
+    await poll();
+});
+
+app.post("/projects/:id/reindex", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
+    if (!session) {
+        return;
+    }
+    const projectId = normalizeSessionId(request.params?.id);
+    if (!projectId) {
+        reply.code(400).send({ error: "project id is required" });
+        return;
+    }
+    const hasAccess = await requireActiveSubscription(session.tenantId, reply);
+    if (!hasAccess) {
+        return;
+    }
+    const { strategy, error: strategyError } = normalizeIngestStrategy(
+        request.body?.strategy
+    );
+    if (strategyError) {
+        reply.code(400).send({ error: strategyError });
+        return;
+    }
+    const project = await fetchProjectById(session.tenantId, projectId);
+    if (!project) {
+        reply.code(404).send({ error: "Project not found" });
+        return;
+    }
+
     try {
-        switch (event.type) {
-            case "checkout.session.completed":
-                await handleCheckoutCompleted(event.data.object);
-                break;
-            case "customer.subscription.created":
-            case "customer.subscription.updated":
-            case "customer.subscription.deleted":
-                await handleSubscriptionUpdate(event.data.object);
-                break;
-            case "invoice.payment_failed":
-                break;
-            case "invoice.paid":
-            case "invoice.payment_succeeded":
-                await handleInvoicePaid(event.data.object);
-                break;
-            default:
-                break;
+        const cooldownMs = await resolveReindexCooldownMs(session.tenantId);
+        const result = await reindexProject(session.tenantId, project, {
+            fullReindex: request.body?.full === true,
+            cooldownMs,
+            strategy,
+        });
+        if (result.status === "cooldown") {
+            reply.header("Retry-After", String(result.retryAfter));
+            reply.code(429).send({
+                error: "This repo was indexed recently. Try again later.",
+                ...result,
+            });
+            return;
+        }
+        if (result.status === "inactive") {
+            reply.code(409).send({
+                error: "This repo is no longer available on GitHub.",
+                ...result,
+            });
+            return;
+        }
+        if (result.status === "already_running") {
+            reply.code(409).send({
+                error: "An ingest job is already running for this repo.",
+                ...result,
+            });
+            return;
+        }
+        reply.send(result);
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to queue reindex" });
+    }
+});
+
+app.post("/projects/reindex", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
+    if (!session) {
+        return;
+    }
+    const projectIds = normalizeIdList(request.body?.projectIds);
+    if (projectIds.length === 0) {
+        reply.code(400).send({ error: "projectIds is required" });
+        return;
+    }
+    const { strategy, error: strategyError } = normalizeIngestStrategy(
+        request.body?.strategy
+    );
+    if (strategyError) {
+        reply.code(400).send({ error: strategyError });
+        return;
+    }
+    const hasAccess = await requireActiveSubscription(session.tenantId, reply);
+    if (!hasAccess) {
+        return;
+    }
+
+    try {
+        const cooldownMs = await resolveReindexCooldownMs(session.tenantId);
+        const projectRows = await fetchProjectsForTenant(session.tenantId);
+        const results = [];
+        for (const projectId of projectIds) {
+            const project = projectRows.find((row) => row.id === projectId);
+            if (!project) {
+                results.push({ projectId, status: "not_found" });
+                continue;
+            }
+            results.push(
+                await reindexProject(session.tenantId, project, {
+                    fullReindex: request.body?.full === true,
+                    cooldownMs,
+                    strategy,
+                })
+            );
         }
+        reply.send({ results });
     } catch (err) {
-        app.log.error(
-            { err: err.message || err, eventType: event.type },
-            "Stripe webhook failed"
-        );
-        reply.code(500).send({ error: "Webhook handler failed." });
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to queue reindex" });
+    }
+});
+
+app.post("/ingest-jobs/:id/cancel", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
+    if (!session) {
+        return;
+    }
+    const ingestJobId = normalizeSessionId(request.params?.id);
+    if (!ingestJobId) {
+        reply.code(400).send({ error: "ingest job id is required" });
         return;
     }
 
-    reply.send({ received: true });
+    try {
+        const [jobRow] = await fetchTenantIngestJobs(session.tenantId, {
+            jobIds: [ingestJobId],
+        });
+        if (!jobRow) {
+            reply.code(404).send({ error: "Ingest job not found" });
+            return;
+        }
+        const result = await cancelIngestJob(jobRow);
+        if (!result.changed) {
+            reply.code(409).send({
+                error: `Ingest job is already ${jobRow.status}.`,
+                ...result,
+            });
+            return;
+        }
+        reply.send(result);
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to cancel ingest job" });
+    }
 });
 
-app.get("/projects", async (request, reply) => {
-    const handle = normalizeHandle(request.query?.handle);
-    const context = await resolveTenantContext(request, { allowPublic: true });
-    if (!context) {
-        reply
-            .code(handle ? 404 : 401)
-            .send({ error: handle ? "Showcase not found" : "Not authenticated" });
+app.post("/ingest-jobs/cancel", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
+    if (!session) {
         return;
     }
-    const projects = await fetchProjectsForTenant(context.tenantId);
-    let owner = null;
-    if (context.owner) {
-        owner = context.owner;
-    } else {
-        const profile = await fetchTenantProfile(context.tenantId);
-        owner = profile ? buildOwnerPayload(profile) : null;
-        if (!owner && context.user) {
-            owner = {
-                handle: context.user.githubUsername || "",
-                name: context.user.name || context.user.email || "",
-                avatarUrl: context.user.avatarUrl || "",
-                bio: "",
-                isPublic: true,
-            };
+    const jobIds = normalizeIdList(request.body?.jobIds);
+    const projectIds = normalizeIdList(request.body?.projectIds);
+    if (jobIds.length === 0 && projectIds.length === 0) {
+        reply.code(400).send({ error: "jobIds or projectIds is required" });
+        return;
+    }
+
+    try {
+        const jobRows = await fetchTenantIngestJobs(session.tenantId, {
+            jobIds,
+            projectIds,
+        });
+        const results = [];
+        for (const jobRow of jobRows) {
+            results.push(await cancelIngestJob(jobRow));
         }
+        reply.send({ results });
+    } catch (err) {
+        reply
+            .code(500)
+            .send({ error: err.message || "Failed to cancel ingest jobs" });
     }
-    reply.send({ projects, owner });
 });
 
 app.get("/showcases", async (request, reply) => {
@@ -4272,7 +6729,9 @@ app.get("/showcases", async (request, reply) => {
 });
 
 app.post("/projects", async (request, reply) => {
-    const session = await requireAuth(request, reply);
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
     if (!session) {
         return;
     }
@@ -4280,6 +6739,13 @@ app.post("/projects", async (request, reply) => {
     if (!hasAccess) {
         return;
     }
+    const { strategy, error: strategyError } = normalizeIngestStrategy(
+        request.body?.strategy
+    );
+    if (strategyError) {
+        reply.code(400).send({ error: strategyError });
+        return;
+    }
     const { project, error } = await normalizeProjectInput(request.body);
     if (error) {
         reply.code(400).send({ error });
@@ -4292,7 +6758,10 @@ app.post("/projects", async (request, reply) => {
         .where(
             and(
                 eq(projects.tenantId, session.tenantId),
-                eq(projects.repoUrl, project.repoUrl)
+                eq(projects.repoUrl, project.repoUrl),
+                project.subpath
+                    ? eq(projects.subpath, project.subpath)
+                    : isNull(projects.subpath)
             )
         )
         .limit(1);
@@ -4318,6 +6787,8 @@ app.post("/projects", async (request, reply) => {
             id: projects.id,
             name: projects.name,
             repoUrl: projects.repoUrl,
+            subpath: projects.subpath,
+            refs: projects.refs,
             description: projects.description,
             tags: projects.tags,
             featured: projects.featured,
@@ -4327,13 +6798,30 @@ app.post("/projects", async (request, reply) => {
     let ingestJob = null;
     let ingestError = null;
     try {
-        const enqueued = await enqueueIngestJobs([
-            { ...created, tenantId: session.tenantId },
-        ]);
+        const enqueued = await enqueueIngestJobs(
+            [{ ...created, tenantId: session.tenantId }],
+            { strategy }
+        );
         ingestJob = enqueued[0] || null;
     } catch (err) {
         ingestError = err.message || "Failed to enqueue ingest job";
     }
+    for (const jobType of scheduledIngestJobTypes) {
+        if (ingestError || jobType === JOB_TYPES.ingestRepoDocs) {
+            continue;
+        }
+        try {
+            await enqueueIngestJobs(
+                [{ ...created, tenantId: session.tenantId }],
+                { jobType }
+            );
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err, projectId: created.id, jobType },
+                "Failed to enqueue follow-up ingest job"
+            );
+        }
+    }
     reply.code(201).send({
         status: "created",
         project: formatProjectRow(created),
@@ -4343,7 +6831,9 @@ app.post("/projects", async (request, reply) => {
 });
 
 app.post("/projects/:id/category", async (request, reply) => {
-    const session = await requireAuth(request, reply);
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
     if (!session) {
         return;
     }
@@ -4377,6 +6867,14 @@ app.post("/projects/:id/category", async (request, reply) => {
             tags: projects.tags,
             featured: projects.featured,
             category: projects.category,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
         });
 
     if (!updated) {
@@ -4403,6 +6901,25 @@ app.post("/telemetry", async (request, reply) => {
         return;
     }
 
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "chat",
+    });
+    if (request.apiKey && !context) {
+        reply.code(403).send({ error: "API key is missing the chat scope" });
+        return;
+    }
+    const withinLimit = await enforceRateLimit(request, reply, {
+        bucket: "telemetry",
+        tenantId: context?.tenantId,
+        visitorId,
+        isOwner: context?.isOwner,
+        apiKeyId: context?.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
+
     const eventType = normalizeTelemetryEventType(
         request.body?.eventType || request.body?.event_type
     );
@@ -4433,8 +6950,176 @@ app.post("/telemetry", async (request, reply) => {
     }
 });
 
+app.post("/projects/:id/settings", async (request, reply) => {
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
+    if (!session) {
+        return;
+    }
+    const projectId = normalizeSessionId(request.params?.id);
+    if (!projectId) {
+        reply.code(400).send({ error: "project id is required" });
+        return;
+    }
+    const project = await fetchProjectById(session.tenantId, projectId);
+    if (!project) {
+        reply.code(404).send({ error: "Project not found" });
+        return;
+    }
+
+    const updates = {};
+    if (request.body?.indexIssues !== undefined) {
+        if (typeof request.body.indexIssues !== "boolean") {
+            reply.code(400).send({ error: "indexIssues must be a boolean" });
+            return;
+        }
+        updates.indexIssues = request.body.indexIssues;
+    }
+    for (const field of projectPathFields) {
+        if (request.body?.[field] === undefined) {
+            continue;
+        }
+        const patterns = normalizePathPatterns(request.body[field]);
+        if (!patterns) {
+            reply.code(400).send({
+                error: `${field} must be a list of up to ${maxPathPatterns} globs`,
+            });
+            return;
+        }
+        updates[field] = patterns;
+    }
+    if (request.body?.refs !== undefined) {
+        const refs = normalizeProjectRefs(request.body.refs);
+        if (!refs) {
+            reply.code(400).send({
+                error: `refs must be a list of up to ${maxProjectRefs} branch, tag or commit names`,
+            });
+            return;
+        }
+        updates.refs = refs.length > 0 ? refs : null;
+    }
+    if (Object.keys(updates).length === 0) {
+        reply.code(400).send({ error: "No settings provided" });
+        return;
+    }
+
+    const [updated] = await db
+        .update(projects)
+        .set(updates)
+        .where(
+            and(eq(projects.tenantId, session.tenantId), eq(projects.id, projectId))
+        )
+        .returning({
+            id: projects.id,
+            name: projects.name,
+            repoUrl: projects.repoUrl,
+            description: projects.description,
+            tags: projects.tags,
+            featured: projects.featured,
+            category: projects.category,
+            isActive: projects.isActive,
+            deactivatedReason: projects.deactivatedReason,
+            indexIssues: projects.indexIssues,
+            includePaths: projects.includePaths,
+            excludePaths: projects.excludePaths,
+            priorityPaths: projects.priorityPaths,
+            subpath: projects.subpath,
+            refs: projects.refs,
+        });
+
+    if (updates.indexIssues === false && project.indexIssues) {
+        const issueJobs = await db
+            .select({ id: ingestJobs.id, status: ingestJobs.status })
+            .from(ingestJobs)
+            .where(
+                and(
+                    eq(ingestJobs.projectId, projectId),
+                    eq(ingestJobs.jobType, JOB_TYPES.ingestRepoIssues),
+                    inArray(ingestJobs.status, [...activeIngestStatuses])
+                )
+            );
+        for (const jobRow of issueJobs) {
+            await cancelIngestJob(jobRow);
+        }
+        const issueSources = await db
+            .select({ id: sources.id })
+            .from(sources)
+            .where(
+                and(
+                    eq(sources.projectId, projectId),
+                    inArray(sources.refType, issueSourceTypes)
+                )
+            );
+        const ids = issueSources.map((row) => row.id);
+        if (ids.length > 0) {
+            await db.delete(chunks).where(inArray(chunks.sourceId, ids));
+            await db.delete(sources).where(inArray(sources.id, ids));
+        }
+    }
+    if (
+        updates.indexIssues === true &&
+        !project.indexIssues &&
+        project.active &&
+        scheduledIngestJobTypes.includes(JOB_TYPES.ingestRepoIssues)
+    ) {
+        try {
+            await enqueueIngestJobs(
+                [{ ...updated, tenantId: session.tenantId }],
+                { jobType: JOB_TYPES.ingestRepoIssues }
+            );
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err, projectId },
+                "Failed to enqueue issue ingest job"
+            );
+        }
+    }
+
+    const pathsChanged = projectPathFields.some(
+        (field) =>
+            updates[field] &&
+            updates[field].join("\n") !== project[field].join("\n")
+    );
+    const refsChanged =
+        updates.refs !== undefined &&
+        (updates.refs || []).join("\n") !== project.refs.join("\n");
+    if ((pathsChanged || refsChanged) && project.active) {
+        try {
+            const latestJob = await fetchLatestIngestJob(
+                project.id,
+                project.repo
+            );
+            if (latestJob?.status !== "queued") {
+                await enqueueIngestJobs([
+                    { ...updated, tenantId: session.tenantId },
+                ]);
+            }
+            if (
+                refsChanged &&
+                (updates.refs?.[0] || null) !== (project.refs[0] || null) &&
+                scheduledIngestJobTypes.includes(JOB_TYPES.ingestRepoCommits)
+            ) {
+                await enqueueIngestJobs(
+                    [{ ...updated, tenantId: session.tenantId }],
+                    { jobType: JOB_TYPES.ingestRepoCommits, fullReindex: true }
+                );
+            }
+        } catch (err) {
+            app.log.warn(
+                { err: err.message || err, projectId },
+                "Failed to enqueue ingest job after settings change"
+            );
+        }
+    }
+
+    reply.send({ project: formatProjectRow(updated) });
+});
+
 app.delete("/projects/:id", async (request, reply) => {
-    const session = await requireAuth(request, reply);
+    const session = await requireAuth(request, reply, {
+        scope: "projects:write",
+    });
     if (!session) {
         return;
     }
@@ -4477,11 +7162,24 @@ app.post("/chat/sessions", async (request, reply) => {
         return;
     }
 
-    const context = await resolveTenantContext(request, { allowPublic: true });
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "chat",
+    });
     if (!context) {
         reply.code(400).send({ error: "tenant handle is required" });
         return;
     }
+    const withinLimit = await enforceRateLimit(request, reply, {
+        bucket: "sessions",
+        tenantId: context.tenantId,
+        visitorId,
+        isOwner: context.isOwner,
+        apiKeyId: context.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
 
     try {
         const sessionId = await createChatSession({
@@ -4504,11 +7202,24 @@ app.get("/chat/sessions", async (request, reply) => {
         reply.code(400).send({ error: "visitorId is required" });
         return;
     }
-    const context = await resolveTenantContext(request, { allowPublic: true });
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "chat",
+    });
     if (!context) {
         reply.code(400).send({ error: "tenant handle is required" });
         return;
     }
+    const withinLimit = await enforceRateLimit(request, reply, {
+        bucket: "sessions",
+        tenantId: context.tenantId,
+        visitorId,
+        isOwner: context.isOwner,
+        apiKeyId: context.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
     await maybePurgeExpiredChatSessions();
 
     const rawLimit = Number.parseInt(request.query?.limit, 10);
@@ -4544,11 +7255,24 @@ app.get("/chat/sessions/:id/messages", async (request, reply) => {
         reply.code(400).send({ error: "visitorId is required" });
         return;
     }
-    const context = await resolveTenantContext(request, { allowPublic: true });
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "chat",
+    });
     if (!context) {
         reply.code(400).send({ error: "tenant handle is required" });
         return;
     }
+    const withinLimit = await enforceRateLimit(request, reply, {
+        bucket: "sessions",
+        tenantId: context.tenantId,
+        visitorId,
+        isOwner: context.isOwner,
+        apiKeyId: context.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
     await maybePurgeExpiredChatSessions();
 
     const session = await fetchChatSession(sessionId, context.tenantId);
@@ -4564,7 +7288,12 @@ app.get("/chat/sessions/:id/messages", async (request, reply) => {
 
     try {
         const messages = await fetchChatHistory(sessionId, limit);
-        reply.send({ sessionId, messages });
+        reply.send({
+            sessionId,
+            messages: canAdministerChat(context)
+                ? messages
+                : messages.map(({ retrievalQuery, ...message }) => message),
+        });
     } catch (err) {
         reply
             .code(500)
@@ -4584,19 +7313,32 @@ app.delete("/chat/sessions/:id", async (request, reply) => {
             request.headers["x-visitor-id"] ||
             request.body?.visitorId
     );
-    const context = await resolveTenantContext(request, { allowPublic: true });
+    const context = await resolveTenantContext(request, {
+        allowPublic: true,
+        scope: "chat",
+    });
     if (!context) {
         reply.code(400).send({ error: "tenant handle is required" });
         return;
     }
-    if (!context.isOwner && !visitorId) {
+    if (!canAdministerChat(context) && !visitorId) {
         reply.code(400).send({ error: "visitorId is required" });
         return;
     }
+    const withinLimit = await enforceRateLimit(request, reply, {
+        bucket: "sessions",
+        tenantId: context.tenantId,
+        visitorId,
+        isOwner: context.isOwner,
+        apiKeyId: context.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
 
     const session = await fetchChatSession(sessionId, context.tenantId);
     const visitorMismatch =
-        !context.isOwner &&
+        !canAdministerChat(context) &&
         visitorId &&
         session?.visitorId &&
         session.visitorId !== visitorId;
@@ -4639,7 +7381,10 @@ app.post("/chat", async (_request, reply) => {
             _request.query?.handle ||
             _request.headers["x-tenant-handle"]
     );
-    const context = await resolveTenantContext(_request, { allowPublic: true });
+    const context = await resolveTenantContext(_request, {
+        allowPublic: true,
+        scope: "chat",
+    });
     if (!context) {
         reply
             .code(handle ? 404 : 401)
@@ -4647,10 +7392,27 @@ app.post("/chat", async (_request, reply) => {
         return;
     }
 
+    const visitorId = normalizeVisitorId(
+        body.visitorId || _request.headers["x-visitor-id"]
+    );
+    const withinLimit = await enforceRateLimit(_request, reply, {
+        bucket: "chat",
+        tenantId: context.tenantId,
+        visitorId,
+        isOwner: context.isOwner,
+        apiKeyId: context.apiKeyId,
+    });
+    if (!withinLimit) {
+        return;
+    }
+
     const publicSubscriptionMessage =
         "Chat is unavailable because this showcase owner does not have an active subscription.";
     const hasAccess = await requireActiveSubscription(context.tenantId, reply, {
-        message: context.isOwner ? undefined : publicSubscriptionMessage,
+        message:
+            context.isOwner || context.apiKeyId
+                ? undefined
+                : publicSubscriptionMessage,
     });
     if (!hasAccess) {
         return;
@@ -4672,9 +7434,6 @@ app.post("/chat", async (_request, reply) => {
     }
 
     const statsQuestion = isStatsQuestion(question);
-    const visitorId = normalizeVisitorId(
-        body.visitorId || _request.headers["x-visitor-id"]
-    );
     const sessionIdInput =
         body.sessionId || body.session_id || body.chatSessionId;
     let sessionId = normalizeSessionId(sessionIdInput);
@@ -4682,7 +7441,7 @@ app.post("/chat", async (_request, reply) => {
     if (sessionId) {
         const session = await fetchChatSession(sessionId, context.tenantId);
         const visitorMismatch =
-            !context.isOwner &&
+            !canAdministerChat(context) &&
             visitorId &&
             session?.visitorId &&
             session.visitorId !== visitorId;
@@ -4725,15 +7484,19 @@ app.post("/chat", async (_request, reply) => {
         );
     }
 
-    const isRepoAllowed = (repo) => {
+    const findTenantRepo = (repo) => {
         if (!repo) {
-            return false;
+            return null;
         }
-        return tenantProjects.some((project) => {
+        for (const project of tenantProjects) {
             const parsed = parseRepoFromProject(project);
-            return parsed && isSameRepo(parsed, repo);
-        });
+            if (parsed && isSameRepo(parsed, repo)) {
+                return parsed;
+            }
+        }
+        return null;
     };
+    const isRepoAllowed = (repo) => Boolean(findTenantRepo(repo));
 
     let historyRepo =
         history.length > 0 ? inferRepoFromHistory(history) : null;
@@ -4749,7 +7512,12 @@ app.post("/chat", async (_request, reply) => {
     const questionRepoExplicit = Boolean(questionRepoMatch?.explicit);
     const repoFilterInput =
         body.repo || body.repoUrl || body.project || body.projectRepo;
-    const repoInput = parseRepoFilter(repoFilterInput);
+    const parsedRepoInput = parseRepoFilter(repoFilterInput);
+    const subpathInput = normalizeSubpath(body.subpath);
+    const repoInput =
+        parsedRepoInput && subpathInput
+            ? { ...parsedRepoInput, subpath: subpathInput }
+            : parsedRepoInput;
     let repoFilter =
         repoInput && isRepoAllowed(repoInput) ? repoInput : null;
     const hasContextRepo = Boolean(historyRepo || repoFilter);
@@ -4757,7 +7525,7 @@ app.post("/chat", async (_request, reply) => {
         questionRepo && (!hasContextRepo || questionRepoExplicit);
     if (
         shouldUseQuestionRepo &&
-        (!repoFilter || !isSameRepo(repoFilter, questionRepo))
+        (!repoFilter || !isSameRepoScope(repoFilter, questionRepo))
     ) {
         repoFilter = questionRepo;
     }
@@ -4773,7 +7541,22 @@ app.post("/chat", async (_request, reply) => {
     }
 
     const historyText = historyToText(history);
-    const retrievalQuestion = buildRetrievalQuestion(question, history);
+    const queryRewrite = statsQuestion
+        ? null
+        : await rewriteChatQuery({
+              question,
+              history,
+              tenantId: context.tenantId,
+              sessionId,
+          });
+    const retrievalQuestion =
+        queryRewrite?.standalone || buildRetrievalQuestion(question, history);
+    const issueFilter = normalizeIssueFilter(
+        { state: body.issueState, labels: body.issueLabels },
+        question
+    );
+    const refFilter = normalizeRefName(body.ref);
+    const debugRetrieval = body.debug === true && canAdministerChat(context);
     const limit = Number.isFinite(Number(body.topK))
         ? Math.min(Math.max(Number(body.topK), 1), 20)
         : Math.min(Math.max(chatTopK, 1), 20);
@@ -4781,6 +7564,13 @@ app.post("/chat", async (_request, reply) => {
         repoFilter && (questionRepoExplicit || repoInput || historyRepo)
     );
     const allowGlobalFallback = statsQuestion || !repoFilter || !repoIsExplicit;
+    const rerank = statsQuestion
+        ? null
+        : await createContextReranker({
+              question: retrievalQuestion,
+              tenantId: context.tenantId,
+              sessionId,
+          });
     const conversationBlock = historyText
         ? `Conversation:\n${historyText}\n\n`
         : "";
@@ -4791,6 +7581,7 @@ app.post("/chat", async (_request, reply) => {
                 sessionId,
                 role: "user",
                 content: question,
+                retrievalQuery: queryRewrite,
             });
         } catch (err) {
             app.log.error(err);
@@ -4800,22 +7591,7 @@ app.post("/chat", async (_request, reply) => {
     try {
         if (wantsStream) {
             reply.hijack();
-            const allowedOrigin = resolveCorsOrigin(_request);
-            if (allowedOrigin) {
-                reply.raw.setHeader(
-                    "Access-Control-Allow-Origin",
-                    allowedOrigin
-                );
-                reply.raw.setHeader(
-                    "Access-Control-Allow-Credentials",
-                    "true"
-                );
-                reply.raw.setHeader("Vary", "Origin");
-            }
-            reply.raw.setHeader("Content-Type", "text/event-stream");
-            reply.raw.setHeader("Cache-Control", "no-cache");
-            reply.raw.setHeader("Connection", "keep-alive");
-            reply.raw.flushHeaders?.();
+            writeEventStreamHeaders(_request, reply);
 
             const sendEvent = (type, data) => {
                 reply.raw.write(`event: ${type}\n`);
@@ -4835,6 +7611,10 @@ app.post("/chat", async (_request, reply) => {
                     limit,
                     tenantId: context.tenantId,
                     skipSemantic: statsQuestion,
+                    issueFilter,
+                    ref: refFilter,
+                    rerank,
+                    queryRewrite,
                 });
                 const extras = [];
                 if (statsQuestion) {
@@ -4876,7 +7656,11 @@ app.post("/chat", async (_request, reply) => {
                     }
                 }
 
-                if (rows.length === 0 && extras.length === 0) {
+                if (
+                    rows.length === 0 &&
+                    extras.length === 0 &&
+                    !chatToolsAvailable
+                ) {
                     sendEvent("meta", {
                         sessionId,
                         citations: [],
@@ -4902,14 +7686,18 @@ app.post("/chat", async (_request, reply) => {
                     rows,
                     extras
                 );
+                const chatToolContext = createChatToolContext({
+                    tenantId: context.tenantId,
+                    repoFilter,
+                    resolveRepo: findTenantRepo,
+                    tenantProjects,
+                    citations,
+                    ref: refFilter,
+                });
 
-                const systemPrompt = [
-                    "You answer questions about GitHub repositories using ONLY the provided context blocks.",
-                    "Use the conversation history to interpret follow-up questions, but answers must come from the context blocks.",
-                    "If the answer is not in the context, say you don't know.",
-                    "When asked about code or entry points, include the relevant snippet in a fenced code block.",
-                    "Cite sources using [source:n] where n matches the context block.",
-                ].join(" ");
+                const systemPrompt = buildChatSystemPrompt({
+                    toolsEnabled: Boolean(chatToolContext),
+                });
 
                 const userPrompt = `${conversationBlock}Question: ${question}\n\nContext:\n${contextBlocks.join(
                     "\n\n"
@@ -4919,50 +7707,23 @@ app.post("/chat", async (_request, reply) => {
                     sessionId,
                     citations,
                     context: { count: contextBlocks.length },
+                    ...(debugRetrieval
+                        ? { debug: buildRetrievalDebug(rows, queryRewrite) }
+                        : {}),
                 });
 
-                let assistantContent = "";
-                let usageTokens = null;
-                const resolvedMaxTokens = Number.isFinite(chatMaxTokens)
-                    ? chatMaxTokens
-                    : 800;
-                const streamOptions = {
-                    model: chatModel,
-                    stream: true,
-                    stream_options: { include_usage: true },
+                const completion = await runChatCompletion({
                     messages: [
                         { role: "system", content: systemPrompt },
                         { role: "user", content: userPrompt },
                     ],
-                };
-                if (chatModelIsGpt5) {
-                    streamOptions.max_completion_tokens = resolvedMaxTokens;
-                } else {
-                    streamOptions.max_tokens = resolvedMaxTokens;
-                }
-                if (chatModelSupportsTemperature) {
-                    streamOptions.temperature = Number.isFinite(chatTemperature)
-                        ? chatTemperature
-                        : 0.2;
-                }
-                const stream = await openai.chat.completions.create(
-                    streamOptions,
-                    {
-                        signal: abortController.signal,
-                    }
-                );
-
-                for await (const chunk of stream) {
-                    const delta = chunk.choices?.[0]?.delta?.content;
-                    if (delta) {
-                        assistantContent += delta;
-                        sendEvent("delta", { delta });
-                    }
-                    const usage = chunk.usage?.total_tokens;
-                    if (Number.isFinite(usage)) {
-                        usageTokens = usage;
-                    }
-                }
+                    toolContext: chatToolContext,
+                    signal: abortController.signal,
+                    onDelta: (delta) => sendEvent("delta", { delta }),
+                    onToolEvent: sendEvent,
+                });
+                const assistantContent = completion.content;
+                const usageTokens = completion.usageTokens;
 
                 sendEvent("done", {});
                 if (sessionId && assistantContent.trim()) {
@@ -5002,6 +7763,10 @@ app.post("/chat", async (_request, reply) => {
             limit,
             tenantId: context.tenantId,
             skipSemantic: statsQuestion,
+            issueFilter,
+            ref: refFilter,
+            rerank,
+            queryRewrite,
         });
         const extras = [];
         if (statsQuestion) {
@@ -5040,7 +7805,7 @@ app.post("/chat", async (_request, reply) => {
             }
         }
 
-        if (rows.length === 0 && extras.length === 0) {
+        if (rows.length === 0 && extras.length === 0 && !chatToolsAvailable) {
             reply.send({
                 answer: "I don't know based on the indexed sources.",
                 citations: [],
@@ -5059,51 +7824,49 @@ app.post("/chat", async (_request, reply) => {
         }
 
         const { citations, contextBlocks } = buildChatContext(rows, extras);
+        const chatToolContext = createChatToolContext({
+            tenantId: context.tenantId,
+            repoFilter,
+            resolveRepo: findTenantRepo,
+            tenantProjects,
+            citations,
+            ref: refFilter,
+        });
 
-        const systemPrompt = [
-            "You answer questions about GitHub repositories using ONLY the provided context blocks.",
-            "Use the conversation history to interpret follow-up questions, but answers must come from the context blocks.",
-            "If the answer is not in the context, say you don't know.",
-            "When asked about code or entry points, include the relevant snippet in a fenced code block.",
-            "Cite sources using [source:n] where n matches the context block.",
-        ].join(" ");
+        const systemPrompt = buildChatSystemPrompt({
+            toolsEnabled: Boolean(chatToolContext),
+        });
 
         const userPrompt = `${conversationBlock}Question: ${question}\n\nContext:\n${contextBlocks.join(
             "\n\n"
         )}`;
 
-        const resolvedMaxTokens = Number.isFinite(chatMaxTokens)
-            ? chatMaxTokens
-            : 800;
-        const completionOptions = {
-            model: chatModel,
+        const tools = [];
+        const completion = await runChatCompletion({
             messages: [
                 { role: "system", content: systemPrompt },
                 { role: "user", content: userPrompt },
             ],
-        };
-        if (chatModelIsGpt5) {
-            completionOptions.max_completion_tokens = resolvedMaxTokens;
-        } else {
-            completionOptions.max_tokens = resolvedMaxTokens;
-        }
-        if (chatModelSupportsTemperature) {
-            completionOptions.temperature = Number.isFinite(chatTemperature)
-                ? chatTemperature
-                : 0.2;
-        }
-        const completion = await openai.chat.completions.create(
-            completionOptions
-        );
+            toolContext: chatToolContext,
+            onToolEvent: (type, data) => {
+                if (type === "tool_result") {
+                    tools.push(data);
+                }
+            },
+        });
 
-        const answer = completion.choices?.[0]?.message?.content?.trim() || "";
-        const usageTokens = completion.usage?.total_tokens;
+        const answer = completion.content.trim();
+        const usageTokens = completion.usageTokens;
 
         reply.send({
             answer,
             citations,
             context: { count: contextBlocks.length },
+            tools,
             sessionId,
+            ...(debugRetrieval
+                ? { debug: buildRetrievalDebug(rows, queryRewrite) }
+                : {}),
         });
         if (sessionId && answer) {
             await storeChatMessage({
@@ -5210,6 +7973,20 @@ if (billingEnabled && tokenMeterConfigured) {
     }, 5000);
 }
 
+setTimeout(async () => {
+    try {
+        const result = await applyProjectsConfigDefaults();
+        if (result.updated > 0) {
+            app.log.info(result, "Applied projects config path defaults");
+        }
+    } catch (err) {
+        app.log.warn(
+            { err: err.message || err },
+            "Failed to apply projects config path defaults"
+        );
+    }
+}, 3000);
+
 const port = Number(process.env.API_PORT || process.env.PORT || 4011);
 const host = process.env.HOST || "0.0.0.0";
 
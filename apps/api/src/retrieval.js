@@ -0,0 +1,1280 @@
+import { sql } from "drizzle-orm";
+import {
+    chunks,
+    createEmbeddingProvider,
+    projects,
+    sources,
+} from "@app/shared";
+import { db, extractRows } from "./db/index.js";
+
+const embeddingProvider = createEmbeddingProvider();
+export const chatTopK = Number.parseInt(process.env.CHAT_TOP_K || "12", 10);
+const chatVectorEfSearchRaw = Number.parseInt(
+    process.env.CHAT_VECTOR_EF_SEARCH || "100",
+    10
+);
+const chatVectorEfSearch =
+    Number.isFinite(chatVectorEfSearchRaw) && chatVectorEfSearchRaw > 0
+        ? Math.min(chatVectorEfSearchRaw, 1000)
+        : 100;
+const chatNeighborChunksRaw = Number.parseInt(
+    process.env.CHAT_NEIGHBOR_CHUNKS || "1",
+    10
+);
+const chatNeighborChunks =
+    Number.isFinite(chatNeighborChunksRaw) && chatNeighborChunksRaw > 0
+        ? chatNeighborChunksRaw
+        : 0;
+const chatMaxContextChunksRaw = Number.parseInt(
+    process.env.CHAT_MAX_CONTEXT_CHUNKS || "",
+    10
+);
+const chatMaxContextChunks =
+    Number.isFinite(chatMaxContextChunksRaw) && chatMaxContextChunksRaw > 0
+        ? chatMaxContextChunksRaw
+        : Math.min(
+              Math.max(
+                  chatTopK * (chatNeighborChunks * 2 + 1),
+                  chatTopK
+              ),
+              40
+          );
+const readRetrievalWeight = (value, fallback) => {
+    const parsed = Number.parseFloat(value || "");
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+const chatRrfKRaw = Number.parseInt(process.env.CHAT_RRF_K || "60", 10);
+const chatRrfK =
+    Number.isFinite(chatRrfKRaw) && chatRrfKRaw > 0 ? chatRrfKRaw : 60;
+const chatRrfWeights = {
+    vector: readRetrievalWeight(process.env.CHAT_RRF_VECTOR_WEIGHT, 1),
+    lexical: readRetrievalWeight(process.env.CHAT_RRF_LEXICAL_WEIGHT, 1),
+    intent: readRetrievalWeight(process.env.CHAT_RRF_INTENT_WEIGHT, 1),
+};
+const globalFallbackWeight = 0.5;
+const chatMmrLambda = Math.min(
+    readRetrievalWeight(process.env.CHAT_MMR_LAMBDA, 0.7),
+    1
+);
+
+const chatQueryRewriteEnabled = process.env.CHAT_QUERY_REWRITE === "true";
+const chatQueryRewriteHyde = process.env.CHAT_QUERY_REWRITE_HYDE !== "false";
+const chatQueryRewriteAlternativesRaw = Number.parseInt(
+    process.env.CHAT_QUERY_REWRITE_ALTERNATIVES || "2",
+    10
+);
+const chatQueryRewriteAlternatives = Number.isFinite(
+    chatQueryRewriteAlternativesRaw
+)
+    ? Math.min(Math.max(chatQueryRewriteAlternativesRaw, 0), 3)
+    : 2;
+const chatQueryRewriteTimeoutMsRaw = Number.parseInt(
+    process.env.CHAT_QUERY_REWRITE_TIMEOUT_MS || "8000",
+    10
+);
+const chatQueryRewriteTimeoutMs =
+    Number.isFinite(chatQueryRewriteTimeoutMsRaw) &&
+    chatQueryRewriteTimeoutMsRaw > 0
+        ? chatQueryRewriteTimeoutMsRaw
+        : 8000;
+const chatQueryRewriteHistoryChars = 600;
+export const rerankProviders = ["none", "llm", "http"];
+export const normalizeRerankProvider = (value, fallback) => {
+    const normalized = String(value || "")
+        .trim()
+        .toLowerCase();
+    return rerankProviders.includes(normalized) ? normalized : fallback;
+};
+const rerankHttpUrl = process.env.RERANK_HTTP_URL || "";
+const rerankCandidatesRaw = Number.parseInt(
+    process.env.RERANK_CANDIDATES || "40",
+    10
+);
+const rerankCandidates =
+    Number.isFinite(rerankCandidatesRaw) && rerankCandidatesRaw > 0
+        ? Math.min(rerankCandidatesRaw, 100)
+        : 40;
+const rerankTopNRaw = Number.parseInt(process.env.RERANK_TOP_N || "", 10);
+const rerankTopN =
+    Number.isFinite(rerankTopNRaw) && rerankTopNRaw > 0
+        ? rerankTopNRaw
+        : Math.max(chatTopK, 1);
+const rerankTimeoutMsRaw = Number.parseInt(
+    process.env.RERANK_TIMEOUT_MS || "8000",
+    10
+);
+const rerankTimeoutMs =
+    Number.isFinite(rerankTimeoutMsRaw) && rerankTimeoutMsRaw > 0
+        ? rerankTimeoutMsRaw
+        : 8000;
+const rerankMaxChars = 1200;
+
+export const describeRetrievalConfig = () => ({
+    embedding: embeddingProvider.id,
+    topK: chatTopK,
+    vectorEfSearch: chatVectorEfSearch,
+    neighborChunks: chatNeighborChunks,
+    maxContextChunks: chatMaxContextChunks,
+    rrfK: chatRrfK,
+    weights: chatRrfWeights,
+    mmrLambda: chatMmrLambda,
+});
+
+export const issueSourceTypes = ["issue", "pull_request"];
+
+export const tokenizeText = (value) =>
+    value.toLowerCase().split(/[^a-z0-9]+/g).filter(Boolean);
+
+const stopWords = new Set([
+    "a",
+    "an",
+    "and",
+    "are",
+    "as",
+    "at",
+    "be",
+    "but",
+    "by",
+    "for",
+    "from",
+    "has",
+    "have",
+    "how",
+    "i",
+    "in",
+    "is",
+    "it",
+    "its",
+    "me",
+    "of",
+    "on",
+    "or",
+    "that",
+    "the",
+    "this",
+    "to",
+    "was",
+    "were",
+    "what",
+    "when",
+    "where",
+    "which",
+    "who",
+    "why",
+    "you",
+    "your",
+]);
+
+const extractKeywords = (value) => {
+    if (typeof value !== "string") {
+        return [];
+    }
+    const tokens = tokenizeText(value);
+    const filtered = tokens.filter(
+        (token) => token.length >= 3 && !stopWords.has(token)
+    );
+    return [...new Set(filtered)].slice(0, 8);
+};
+
+export const isEntryPointQuestion = (question) => {
+    if (typeof question !== "string") {
+        return false;
+    }
+    const normalized = question.toLowerCase();
+    return (
+        normalized.includes("entry point") ||
+        normalized.includes("entrypoint") ||
+        normalized.includes("startup") ||
+        normalized.includes("bootstrap") ||
+        normalized.includes("starting point")
+    );
+};
+
+const isRecentChangesQuestion = (question) => {
+    if (typeof question !== "string") {
+        return false;
+    }
+    const normalized = question.toLowerCase();
+    return (
+        normalized.includes("changed recently") ||
+        normalized.includes("recent change") ||
+        normalized.includes("recent commit") ||
+        normalized.includes("latest commit") ||
+        normalized.includes("last commit") ||
+        normalized.includes("what changed") ||
+        normalized.includes("what's new") ||
+        normalized.includes("refactor") ||
+        normalized.includes("commit history")
+    );
+};
+
+const versionPattern = /\bv?(\d+(?:\.\d+){1,3}(?:-[0-9a-z][0-9a-z.]*)?)\b|\bv(\d+)\b/gi;
+
+const extractVersionStrings = (question) => {
+    if (typeof question !== "string") {
+        return [];
+    }
+    const versions = new Set();
+    for (const match of question.matchAll(versionPattern)) {
+        const version = (match[1] || match[2] || "").toLowerCase();
+        if (version) {
+            versions.add(version);
+        }
+    }
+    return Array.from(versions).slice(0, 5);
+};
+
+const isReleaseQuestion = (question) => {
+    if (typeof question !== "string") {
+        return false;
+    }
+    const normalized = question.toLowerCase();
+    return (
+        normalized.includes("release") ||
+        normalized.includes("changelog") ||
+        normalized.includes("latest version") ||
+        normalized.includes("new version")
+    );
+};
+
+const isIssueQuestion = (question) => {
+    if (typeof question !== "string") {
+        return false;
+    }
+    const normalized = question.toLowerCase();
+    return (
+        /\b(issues?|bugs?|roadmap|prs?|pull requests?|feature requests?)\b/.test(
+            normalized
+        ) ||
+        normalized.includes("planned") ||
+        normalized.includes("known problem")
+    );
+};
+
+const buildRepoFilterClauses = (repoFilter) => {
+    if (!repoFilter) {
+        return [];
+    }
+    const clauses = [
+        sql`s.repo_owner = ${repoFilter.owner}`,
+        sql`s.repo_name = ${repoFilter.repo}`,
+    ];
+    if (repoFilter.subpath) {
+        clauses.push(
+            sql`(starts_with(s.path, ${`${repoFilter.subpath}/`}) or (s.path is null and exists (select 1 from ${projects} p where p.id = s.project_id and p.subpath = ${repoFilter.subpath})))`
+        );
+    }
+    return clauses;
+};
+
+const buildSourceFilterClauses = ({ issueFilter, refTypes, ref } = {}) => {
+    const clauses = [];
+    if (ref) {
+        clauses.push(
+            sql`(coalesce(s.ref_type, 'branch') <> 'branch' or s.ref = ${ref})`
+        );
+    }
+    if (Array.isArray(refTypes) && refTypes.length > 0) {
+        clauses.push(
+            sql`coalesce(s.ref_type, 'branch') in (${sql.join(
+                refTypes.map((refType) => sql`${refType}`),
+                sql`, `
+            )})`
+        );
+    }
+    if (issueFilter) {
+        const conditions = [];
+        if (issueFilter.state) {
+            conditions.push(sql`c.metadata->>'state' = ${issueFilter.state}`);
+        }
+        if (issueFilter.labels.length > 0) {
+            conditions.push(
+                sql`c.metadata->'labels' ?| ARRAY[${sql.join(
+                    issueFilter.labels.map((label) => sql`${label}`),
+                    sql`, `
+                )}]::text[]`
+            );
+        }
+        if (conditions.length > 0) {
+            clauses.push(
+                sql`(coalesce(s.ref_type, 'branch') not in ('issue', 'pull_request') or (${sql.join(
+                    conditions,
+                    sql` and `
+                )}))`
+            );
+        }
+    }
+    return clauses;
+};
+
+const retrieveChunks = async (
+    question,
+    repoFilter,
+    limit,
+    tenantId,
+    options = {}
+) => {
+    if (!tenantId) {
+        return [];
+    }
+
+    const [embedding] = options.embedding
+        ? [options.embedding]
+        : await embeddingProvider.embed([question]);
+    if (!embedding) {
+        throw new Error("Failed to embed question");
+    }
+
+    const vector = `[${embedding.join(",")}]`;
+    let query = sql`
+    select
+      c.id,
+      c.source_id as "sourceId",
+      c.content,
+      c.metadata,
+      c.embedding::text as embedding,
+      1 - (c.embedding <=> ${vector}::vector) as "vectorScore",
+      s.path,
+      s.url,
+      s.repo_owner,
+      s.repo_name,
+      s.ref,
+      s.ref_type,
+      s.commit_sha
+    from ${chunks} c
+    join ${sources} s on s.id = c.source_id
+  `;
+
+    const clauses = [
+        sql`c.tenant_id = ${tenantId}`,
+        ...buildSourceFilterClauses(options),
+    ];
+    clauses.push(...buildRepoFilterClauses(repoFilter));
+
+    query = sql`${query}
+    where ${sql.join(clauses, sql` and `)}
+    order by c.embedding <=> ${vector}::vector
+    limit ${limit}
+  `;
+
+    const result = await db.transaction(async (tx) => {
+        await tx.execute(
+            sql.raw(`set local hnsw.ef_search = ${chatVectorEfSearch}`)
+        );
+        await tx.execute(sql`set local hnsw.iterative_scan = strict_order`);
+        return tx.execute(query);
+    });
+    return extractRows(result);
+};
+
+const buildKeywordSearchQuery = (keywords) => {
+    const terms = keywords
+        .map((keyword) =>
+            (String(keyword).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+                .map((token) => `${token}:*`)
+                .join(" & ")
+        )
+        .filter(Boolean);
+    if (terms.length === 0) {
+        return null;
+    }
+    return sql`to_tsquery('simple', ${terms
+        .map((term) => `(${term})`)
+        .join(" | ")})`;
+};
+
+const selectChunkColumns = (score) => sql`
+      select
+        c.id,
+        c.source_id as "sourceId",
+        c.content,
+        c.metadata,
+        c.embedding::text as embedding,
+        ${score} as "textScore",
+        s.path,
+        s.url,
+        s.repo_owner,
+        s.repo_name,
+        s.ref,
+        s.ref_type,
+        s.commit_sha
+      from ${chunks} c
+      join ${sources} s on s.id = c.source_id
+    `;
+
+const retrieveLexicalChunks = async (
+    keywords,
+    repoFilter,
+    limit,
+    tenantId,
+    options = {}
+) => {
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+        return [];
+    }
+    if (!tenantId) {
+        return [];
+    }
+    const searchQuery = buildKeywordSearchQuery(keywords);
+    if (!searchQuery) {
+        return [];
+    }
+
+    const rank = sql`ts_rank_cd(c.search_vector, ${searchQuery})`;
+    const clauses = [
+        sql`c.tenant_id = ${tenantId}`,
+        ...buildSourceFilterClauses(options),
+        ...buildRepoFilterClauses(repoFilter),
+        sql`c.search_vector @@ ${searchQuery}`,
+    ];
+    const result = await db.execute(sql`${selectChunkColumns(rank)}
+      where ${sql.join(clauses, sql` and `)}
+      order by ${rank} desc, c.id desc
+      limit ${limit}
+    `);
+    return extractRows(result);
+};
+
+// Kept apart from the full-text query so that one can use the GIN index on
+// search_vector; path matches are fused in as their own channel.
+const retrievePathChunks = async (
+    keywords,
+    repoFilter,
+    limit,
+    tenantId,
+    options = {}
+) => {
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+        return [];
+    }
+    if (!tenantId) {
+        return [];
+    }
+
+    const patternSql = sql`ARRAY[${sql.join(
+        keywords.map((keyword) => sql`${`%${keyword}%`}`),
+        sql`, `
+    )}]`;
+    const matchCount = sql`(
+        select count(*) from unnest(${patternSql}) as pattern
+        where s.path ILIKE pattern
+    )`;
+    const clauses = [
+        sql`c.tenant_id = ${tenantId}`,
+        ...buildSourceFilterClauses(options),
+        ...buildRepoFilterClauses(repoFilter),
+        sql`s.path ILIKE ANY (${patternSql})`,
+    ];
+    const result = await db.execute(sql`${selectChunkColumns(matchCount)}
+      where ${sql.join(clauses, sql` and `)}
+      order by ${matchCount} desc, c.id desc
+      limit ${limit}
+    `);
+    return extractRows(result);
+};
+
+export const retrieveEntryPointChunks = async (
+    repoFilter,
+    limit,
+    tenantId,
+    options = {}
+) => {
+    if (!tenantId) {
+        return [];
+    }
+    const patterns = [
+        "%/main.%",
+        "%/index.%",
+        "%/app.%",
+        "%/server.%",
+        "%/cli.%",
+        "%/program.%",
+        "%/__main__.py%",
+        "%/main.go%",
+        "%/main.rs%",
+        "%/main.cpp%",
+        "%/main.c%",
+        "%/main.java%",
+        "%/main.kt%",
+        "%/main.ts%",
+        "%/main.js%",
+        "%/main.tsx%",
+        "%/main.jsx%",
+        "%/main.vue%",
+        "%/app.tsx%",
+        "%/app.jsx%",
+        "%/app.vue%",
+        "%/package.json%",
+        "%/pyproject.toml%",
+        "%/setup.py%",
+        "%/cargo.toml%",
+        "%/go.mod%",
+        "%/cmakelists.txt%",
+        "%/makefile%",
+        "%/gradle.build%",
+        "%/build.gradle%",
+        "%/pom.xml%"
+    ];
+    const patternSql = sql`ARRAY[${sql.join(
+        patterns.map((pattern) => sql`${pattern}`),
+        sql`, `
+    )}]`;
+    const pathClause = sql`s.path ILIKE ANY (${patternSql})`;
+
+    let query = sql`
+      select
+        c.id,
+        c.source_id as "sourceId",
+        c.content,
+        c.metadata,
+        s.path,
+        s.url,
+        s.repo_owner,
+        s.repo_name,
+        s.ref,
+        s.ref_type,
+        s.commit_sha
+      from ${chunks} c
+      join ${sources} s on s.id = c.source_id
+    `;
+
+    const clauses = [
+        pathClause,
+        sql`coalesce(s.ref_type, 'branch') = 'branch'`,
+        sql`(c.metadata->>'chunkIndex')::int in (0, 1)`,
+        sql`c.tenant_id = ${tenantId}`,
+        ...buildSourceFilterClauses(options),
+    ];
+    clauses.push(...buildRepoFilterClauses(repoFilter));
+
+    query = sql`${query}
+      where ${sql.join(clauses, sql` and `)}
+      order by s.path asc
+      limit ${limit}
+    `;
+
+    const result = await db.execute(query);
+    return extractRows(result);
+};
+
+const retrieveRecentCommitChunks = async (repoFilter, limit, tenantId) => {
+    if (!tenantId) {
+        return [];
+    }
+    const clauses = [
+        sql`s.ref_type = 'commit'`,
+        sql`c.metadata->>'kind' = 'commit'`,
+        sql`c.tenant_id = ${tenantId}`,
+    ];
+    clauses.push(...buildRepoFilterClauses(repoFilter));
+
+    const result = await db.execute(sql`
+      select
+        c.id,
+        c.source_id as "sourceId",
+        c.content,
+        c.metadata,
+        s.path,
+        s.url,
+        s.repo_owner,
+        s.repo_name,
+        s.ref,
+        s.ref_type,
+        s.commit_sha
+      from ${chunks} c
+      join ${sources} s on s.id = c.source_id
+      where ${sql.join(clauses, sql` and `)}
+      order by c.metadata->>'committedAt' desc nulls last, c.id desc
+      limit ${limit}
+    `);
+    return extractRows(result);
+};
+
+const retrieveReleaseChunks = async (versions, repoFilter, limit, tenantId) => {
+    if (!tenantId) {
+        return [];
+    }
+    const clauses = [
+        sql`s.ref_type = 'release'`,
+        sql`c.tenant_id = ${tenantId}`,
+    ];
+    if (versions.length > 0) {
+        const patterns = versions.map(
+            (version) =>
+                `(^|[^0-9.])${version.replace(/[.+]/g, "\\$&")}(\\.0)*$`
+        );
+        clauses.push(
+            sql`(${sql.join(
+                patterns.map((pattern) => sql`s.ref ~* ${pattern}`),
+                sql` or `
+            )})`
+        );
+    }
+    clauses.push(...buildRepoFilterClauses(repoFilter));
+
+    const result = await db.execute(sql`
+      select
+        c.id,
+        c.source_id as "sourceId",
+        c.content,
+        c.metadata,
+        s.path,
+        s.url,
+        s.repo_owner,
+        s.repo_name,
+        s.ref,
+        s.ref_type,
+        s.commit_sha
+      from ${chunks} c
+      join ${sources} s on s.id = c.source_id
+      where ${sql.join(clauses, sql` and `)}
+      order by
+        c.metadata->>'publishedAt' desc nulls last,
+        s.id desc,
+        (c.metadata->>'chunkIndex')::int asc
+      limit ${limit}
+    `);
+    return extractRows(result);
+};
+
+export const roundScore = (value) => Number(Number(value).toFixed(4));
+
+const parseEmbedding = (value) => {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value !== "string") {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+};
+
+export const fuseRankedLists = (lists) => {
+    const fused = new Map();
+    for (const { channel, rows, weight } of lists) {
+        if (!Array.isArray(rows) || !(weight > 0)) {
+            continue;
+        }
+        rows.forEach((row, index) => {
+            if (!row) {
+                return;
+            }
+            const entry = fused.get(row.id) || {
+                row,
+                embedding: null,
+                score: 0,
+                channels: {},
+            };
+            const rawScore = Number(row.vectorScore ?? row.textScore);
+            entry.score += weight / (chatRrfK + index + 1);
+            entry.embedding = entry.embedding || parseEmbedding(row.embedding);
+            entry.channels[channel] = {
+                rank: index + 1,
+                ...(Number.isFinite(rawScore)
+                    ? { score: roundScore(rawScore) }
+                    : {}),
+            };
+            fused.set(row.id, entry);
+        });
+    }
+    return [...fused.values()].sort((left, right) => right.score - left.score);
+};
+
+const cosineSimilarity = (left, right) => {
+    if (!left || !right || left.length !== right.length) {
+        return 0;
+    }
+    let dot = 0;
+    let leftNorm = 0;
+    let rightNorm = 0;
+    for (let index = 0; index < left.length; index += 1) {
+        dot += left[index] * right[index];
+        leftNorm += left[index] * left[index];
+        rightNorm += right[index] * right[index];
+    }
+    return leftNorm > 0 && rightNorm > 0
+        ? dot / Math.sqrt(leftNorm * rightNorm)
+        : 0;
+};
+
+export const diversifyRows = (candidates, maxRows) => {
+    const topScore = candidates[0]?.score || 0;
+    const remaining = candidates.map((candidate) => ({
+        ...candidate,
+        relevance:
+            candidate.relevance ??
+            (topScore > 0 ? candidate.score / topScore : 0),
+        redundancy: 0,
+    }));
+    const selected = [];
+    while (remaining.length > 0 && selected.length < maxRows) {
+        let bestIndex = 0;
+        let bestScore = Number.NEGATIVE_INFINITY;
+        remaining.forEach((candidate, index) => {
+            const score =
+                chatMmrLambda * candidate.relevance -
+                (1 - chatMmrLambda) * candidate.redundancy;
+            if (score > bestScore) {
+                bestIndex = index;
+                bestScore = score;
+            }
+        });
+        const [chosen] = remaining.splice(bestIndex, 1);
+        selected.push({
+            ...chosen,
+            mmr: { redundancy: chosen.redundancy, score: bestScore },
+        });
+        for (const candidate of remaining) {
+            candidate.redundancy = Math.max(
+                candidate.redundancy,
+                chosen.row.sourceId === candidate.row.sourceId
+                    ? 1
+                    : cosineSimilarity(chosen.embedding, candidate.embedding)
+            );
+        }
+    }
+    return selected.map(({ row, score, channels, relevance, mmr, rerank }) => {
+        const { embedding, vectorScore, textScore, ...rest } = row;
+        return {
+            ...rest,
+            retrieval: {
+                rrf: roundScore(score),
+                channels,
+                ...(rerank ? { rerank } : {}),
+                mmr: {
+                    relevance: roundScore(relevance),
+                    redundancy: roundScore(mmr.redundancy),
+                    score: roundScore(mmr.score),
+                },
+            },
+        };
+    });
+};
+
+// Reranker scores replace RRF as the MMR relevance, so diversity is applied
+// to the final ordering rather than lost when the reranker re-sorts.
+const rerankAndDiversify = async (candidates, rerank, limit) => {
+    const maxRows = Math.min(rerank.topN, limit);
+    const pool = candidates.slice(0, rerank.candidates);
+    const scores =
+        pool.length > 0 ? await rerank.score(pool.map(({ row }) => row)) : null;
+    if (!scores) {
+        return diversifyRows(pool, maxRows);
+    }
+    const ranked = pool
+        .map((candidate, index) => ({
+            ...candidate,
+            rerankScore: Number(scores[index]) || 0,
+        }))
+        .sort((left, right) => right.rerankScore - left.rerankScore);
+    const top = ranked[0].rerankScore;
+    const bottom = ranked[ranked.length - 1].rerankScore;
+    return diversifyRows(
+        ranked.map(({ rerankScore, ...candidate }, index) => ({
+            ...candidate,
+            relevance: top > bottom ? (rerankScore - bottom) / (top - bottom) : 1,
+            rerank: {
+                provider: rerank.provider,
+                rank: index + 1,
+                score: roundScore(rerankScore),
+            },
+        })),
+        maxRows
+    );
+};
+
+export const buildRetrievalDebug = (rows, queryRewrite = null) => ({
+    ...(queryRewrite ? { query: queryRewrite } : {}),
+    rrfK: chatRrfK,
+    weights: chatRrfWeights,
+    mmrLambda: chatMmrLambda,
+    rows: rows.map((row, index) => ({
+        source: index + 1,
+        id: row.id,
+        path: row.path || null,
+        ...(row.retrieval || { channels: { neighbor: {} } }),
+    })),
+});
+
+const expandWithNeighborChunks = async (rows, neighborCount, maxRows) => {
+    if (!Array.isArray(rows) || rows.length === 0 || neighborCount <= 0) {
+        return rows;
+    }
+
+    const indicesBySource = new Map();
+    for (const row of rows) {
+        const sourceId = row?.sourceId;
+        const chunkIndex = Number.parseInt(
+            row?.metadata?.chunkIndex,
+            10
+        );
+        if (!sourceId || !Number.isFinite(chunkIndex)) {
+            continue;
+        }
+        const set = indicesBySource.get(sourceId) || new Set();
+        for (let offset = 1; offset <= neighborCount; offset += 1) {
+            if (chunkIndex - offset >= 0) {
+                set.add(chunkIndex - offset);
+            }
+            set.add(chunkIndex + offset);
+        }
+        indicesBySource.set(sourceId, set);
+    }
+
+    if (indicesBySource.size === 0) {
+        return rows;
+    }
+
+    const extras = [];
+    for (const [sourceId, indexSet] of indicesBySource) {
+        const indexes = [...indexSet].filter((value) =>
+            Number.isFinite(value)
+        );
+        if (indexes.length === 0) {
+            continue;
+        }
+        const indexSql = sql.join(
+            indexes.map((value) => sql`${value}`),
+            sql`, `
+        );
+        const result = await db.execute(sql`
+            select
+              c.id,
+              c.source_id as "sourceId",
+              c.content,
+              c.metadata,
+              s.path,
+              s.url,
+              s.repo_owner,
+              s.repo_name,
+              s.ref,
+              s.ref_type,
+              s.commit_sha
+            from ${chunks} c
+            join ${sources} s on s.id = c.source_id
+            where c.source_id = ${sourceId}
+              and (c.metadata->>'chunkIndex')::int in (${indexSql})
+        `);
+        extras.push(...extractRows(result));
+    }
+
+    const seen = new Set(rows.map((row) => row.id));
+    const merged = [...rows];
+    for (const row of extras) {
+        if (row && !seen.has(row.id)) {
+            seen.add(row.id);
+            merged.push(row);
+        }
+    }
+
+    if (Number.isFinite(maxRows) && maxRows > 0 && merged.length > maxRows) {
+        return merged.slice(0, maxRows);
+    }
+
+    return merged;
+};
+
+export const buildContextRows = async ({
+    question,
+    retrievalQuestion,
+    repoFilter,
+    allowGlobalFallback,
+    limit,
+    tenantId,
+    skipSemantic = false,
+    issueFilter = null,
+    ref = null,
+    rerank = null,
+    queryRewrite = null,
+}) => {
+    if (skipSemantic) {
+        return [];
+    }
+
+    let keywords = extractKeywords(
+        queryRewrite ? `${question} ${queryRewrite.standalone}` : question
+    );
+    const channelLimit = rerank ? Math.max(limit, rerank.candidates) : limit;
+    const intentLimit = Math.max(Math.ceil(limit / 2), 4);
+    const vectorQueries = [
+        { channel: "vector", text: retrievalQuestion },
+        ...(queryRewrite?.alternatives || []).map((text, index) => ({
+            channel: `alternative${index + 1}`,
+            text,
+        })),
+        ...(queryRewrite?.hypothetical
+            ? [{ channel: "hypothetical", text: queryRewrite.hypothetical }]
+            : []),
+    ];
+    const embeddings = tenantId
+        ? await embeddingProvider.embed(vectorQueries.map(({ text }) => text))
+        : [];
+    const [questionEmbedding] = embeddings;
+    const lists = await Promise.all(
+        vectorQueries.map(async ({ channel, text }, index) => ({
+            channel,
+            weight: chatRrfWeights.vector,
+            rows: await retrieveChunks(
+                text,
+                repoFilter,
+                channelLimit,
+                tenantId,
+                { issueFilter, ref, embedding: embeddings[index] }
+            ),
+        }))
+    );
+    if (isEntryPointQuestion(question)) {
+        const entryKeywords = [
+            "entry",
+            "entrypoint",
+            "main",
+            "index",
+            "app",
+            "server",
+            "bootstrap",
+            "start",
+        ];
+        keywords = [
+            ...new Set([...keywords, ...entryKeywords]),
+        ];
+    }
+    lists.push(
+        {
+            channel: "lexical",
+            weight: chatRrfWeights.lexical,
+            rows: await retrieveLexicalChunks(
+                keywords,
+                repoFilter,
+                channelLimit,
+                tenantId,
+                { issueFilter, ref }
+            ),
+        },
+        {
+            channel: "path",
+            weight: chatRrfWeights.lexical,
+            rows: await retrievePathChunks(
+                keywords,
+                repoFilter,
+                channelLimit,
+                tenantId,
+                { issueFilter, ref }
+            ),
+        }
+    );
+
+    if (issueFilter || isIssueQuestion(question)) {
+        lists.push({
+            channel: "issues",
+            weight: chatRrfWeights.intent,
+            rows: await retrieveChunks(
+                retrievalQuestion,
+                repoFilter,
+                intentLimit,
+                tenantId,
+                {
+                    issueFilter,
+                    refTypes: issueSourceTypes,
+                    ref,
+                    embedding: questionEmbedding,
+                }
+            ),
+        });
+    }
+
+    if (isRecentChangesQuestion(question)) {
+        lists.push({
+            channel: "commits",
+            weight: chatRrfWeights.intent,
+            rows: await retrieveRecentCommitChunks(
+                repoFilter,
+                intentLimit,
+                tenantId
+            ),
+        });
+    }
+
+    const versions = extractVersionStrings(question);
+    if (versions.length > 0 || isReleaseQuestion(question)) {
+        lists.push({
+            channel: "releases",
+            weight: chatRrfWeights.intent,
+            rows: await retrieveReleaseChunks(
+                versions,
+                repoFilter,
+                intentLimit,
+                tenantId
+            ),
+        });
+    }
+
+    if (isEntryPointQuestion(question)) {
+        lists.push({
+            channel: "entryPoints",
+            weight: chatRrfWeights.intent,
+            rows: await retrieveEntryPointChunks(
+                repoFilter,
+                Math.max(limit, 6),
+                tenantId,
+                { ref }
+            ),
+        });
+    }
+
+    let candidates = fuseRankedLists(lists);
+    if (allowGlobalFallback && candidates.length < channelLimit) {
+        lists.push(
+            {
+                channel: "globalVector",
+                weight: chatRrfWeights.vector * globalFallbackWeight,
+                rows: await retrieveChunks(
+                    retrievalQuestion,
+                    null,
+                    channelLimit,
+                    tenantId,
+                    { issueFilter, ref, embedding: questionEmbedding }
+                ),
+            },
+            {
+                channel: "globalLexical",
+                weight: chatRrfWeights.lexical * globalFallbackWeight,
+                rows: await retrieveLexicalChunks(
+                    keywords,
+                    null,
+                    channelLimit,
+                    tenantId,
+                    { issueFilter, ref }
+                ),
+            },
+            {
+                channel: "globalPath",
+                weight: chatRrfWeights.lexical * globalFallbackWeight,
+                rows: await retrievePathChunks(
+                    keywords,
+                    null,
+                    channelLimit,
+                    tenantId,
+                    { issueFilter, ref }
+                ),
+            }
+        );
+        candidates = fuseRankedLists(lists);
+    }
+
+    const selected = rerank
+        ? await rerankAndDiversify(candidates, rerank, limit)
+        : diversifyRows(candidates, chatMaxContextChunks);
+    return expandWithNeighborChunks(
+        selected,
+        chatNeighborChunks,
+        chatMaxContextChunks
+    );
+};
+
+export const buildRetrievalQuestion = (question, history) => {
+    const lastUser = [...history]
+        .reverse()
+        .find((item) => item.role === "user");
+    if (!lastUser) {
+        return question;
+    }
+    return `${lastUser.content}\n\nFollow-up: ${question}`;
+};
+
+const readRewriteText = (value) =>
+    typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+
+// `complete(messages, { signal })` runs a non-streaming chat completion;
+// callers supply it so the chat server and the eval harness share this code.
+export const rewriteRetrievalQuery = async ({
+    question,
+    history,
+    complete,
+    enabled = chatQueryRewriteEnabled,
+    onUsage = () => {},
+    onError = () => {},
+}) => {
+    if (!enabled || history.length === 0) {
+        return null;
+    }
+    const conversation = history
+        .slice(-6)
+        .map(
+            (item) =>
+                `${item.role === "assistant" ? "Assistant" : "User"}: ${String(
+                    item.content || ""
+                ).slice(0, chatQueryRewriteHistoryChars)}`
+        )
+        .join("\n");
+    const fields = [
+        '"standalone": the question rewritten to be understandable without the conversation',
+        `"alternatives": up to ${chatQueryRewriteAlternatives} different phrasings of the standalone question using likely code identifiers, file names or terms`,
+        ...(chatQueryRewriteHyde
+            ? [
+                  '"hypothetical": a short plausible answer as it might appear in the repository source or docs',
+              ]
+            : []),
+    ];
+    const startedAt = Date.now();
+    try {
+        const completion = await complete(
+            [
+                {
+                    role: "system",
+                    content: `You rewrite questions about a code repository for search. Reply with JSON only, with these keys:\n${fields.join(
+                        "\n"
+                    )}`,
+                },
+                {
+                    role: "user",
+                    content: `${
+                        conversation ? `Conversation:\n${conversation}\n\n` : ""
+                    }Question: ${question}`,
+                },
+            ],
+            { signal: AbortSignal.timeout(chatQueryRewriteTimeoutMs) }
+        );
+        const content = completion.choices?.[0]?.message?.content || "";
+        const match = content.match(/\{[\s\S]*\}/);
+        const parsed = match ? JSON.parse(match[0]) : null;
+        const standalone = readRewriteText(parsed?.standalone) || question;
+        const alternatives = [
+            ...new Set(
+                (Array.isArray(parsed?.alternatives) ? parsed.alternatives : [])
+                    .map(readRewriteText)
+                    .filter((item) => item && item !== standalone)
+            ),
+        ].slice(0, chatQueryRewriteAlternatives);
+        const hypothetical = chatQueryRewriteHyde
+            ? readRewriteText(parsed?.hypothetical) || null
+            : null;
+        onUsage({
+            tokens: completion.usage?.total_tokens ?? 0,
+            eventType: "query_rewrite",
+            latencyMs: Date.now() - startedAt,
+        });
+        return { standalone, alternatives, hypothetical };
+    } catch (err) {
+        onError(err);
+        return null;
+    }
+};
+
+const buildRerankDocument = (row) =>
+    `${row.path || row.ref_type || "source"}\n${String(row.content || "").slice(
+        0,
+        rerankMaxChars
+    )}`;
+
+const scoreWithLlm = async (complete, question, rows) => {
+    const passages = rows
+        .map((row, index) => `[${index + 1}] ${buildRerankDocument(row)}`)
+        .join("\n\n");
+    const completion = await complete(
+        [
+            {
+                role: "system",
+                content:
+                    'Rate how useful each numbered passage is for answering the question, from 0 (irrelevant) to 10 (answers it). Reply with JSON only: {"scores":[{"index":1,"score":7}]}.',
+            },
+            {
+                role: "user",
+                content: `Question: ${question}\n\nPassages:\n${passages}`,
+            },
+        ],
+        { signal: AbortSignal.timeout(rerankTimeoutMs) }
+    );
+    const content = completion.choices?.[0]?.message?.content || "";
+    const match = content.match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : null;
+    const scores = rows.map(() => 0);
+    for (const item of Array.isArray(parsed?.scores) ? parsed.scores : []) {
+        const index = Number(item?.index) - 1;
+        const score = Number(item?.score);
+        if (index >= 0 && index < rows.length && Number.isFinite(score)) {
+            scores[index] = score;
+        }
+    }
+    return { scores, tokens: completion.usage?.total_tokens ?? 0 };
+};
+
+const scoreWithHttp = async (question, rows) => {
+    if (!rerankHttpUrl) {
+        throw new Error("RERANK_HTTP_URL is not set");
+    }
+    const response = await fetch(rerankHttpUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            query: question,
+            texts: rows.map((row) => buildRerankDocument(row)),
+        }),
+        signal: AbortSignal.timeout(rerankTimeoutMs),
+    });
+    if (!response.ok) {
+        throw new Error(`Reranker request failed (${response.status})`);
+    }
+    const payload = await response.json();
+    const results = Array.isArray(payload) ? payload : payload?.results;
+    const scores = rows.map(() => 0);
+    if (Array.isArray(results)) {
+        for (const item of results) {
+            const index = Number(item?.index);
+            const score = Number(item?.score ?? item?.relevance_score);
+            if (index >= 0 && index < rows.length && Number.isFinite(score)) {
+                scores[index] = score;
+            }
+        }
+    } else if (Array.isArray(payload?.scores)) {
+        payload.scores.forEach((score, index) => {
+            if (index < rows.length && Number.isFinite(Number(score))) {
+                scores[index] = Number(score);
+            }
+        });
+    }
+    return { scores, tokens: 0 };
+};
+
+export const createReranker = ({
+    provider,
+    question,
+    complete,
+    onUsage = () => {},
+    onError = () => {},
+}) => {
+    const scorers = {
+        llm: (rows) => scoreWithLlm(complete, question, rows),
+        http: (rows) => scoreWithHttp(question, rows),
+    };
+    const scorer = scorers[provider];
+    if (!scorer) {
+        return null;
+    }
+    const score = async (rows) => {
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = await scorer(rows);
+        } catch (err) {
+            onError(err, provider);
+            return null;
+        }
+        onUsage({
+            tokens: result.tokens,
+            eventType: "rerank",
+            latencyMs: Date.now() - startedAt,
+        });
+        return result.scores;
+    };
+    return {
+        provider,
+        candidates: rerankCandidates,
+        topN: rerankTopN,
+        score,
+    };
+};
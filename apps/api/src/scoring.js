@@ -0,0 +1,129 @@
+const normalizeRepo = (value) =>
+    typeof value === "string"
+        ? value
+              .trim()
+              .toLowerCase()
+              .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+\//, "")
+              .replace(/\.git$/, "")
+              .replace(/^\/+|\/+$/g, "")
+        : "";
+
+const normalizePath = (value) =>
+    typeof value === "string"
+        ? value
+              .trim()
+              .toLowerCase()
+              .replace(/^(\.\/|\/)+/, "")
+        : "";
+
+export const normalizeHistory = (value) =>
+    (Array.isArray(value) ? value : [])
+        .map((item) => ({
+            role: item?.role === "assistant" ? "assistant" : "user",
+            content:
+                typeof item?.content === "string" ? item.content.trim() : "",
+        }))
+        .filter((item) => item.content);
+
+export const normalizeCase = (entry) => {
+    const question =
+        typeof entry?.question === "string" ? entry.question.trim() : "";
+    if (!question) {
+        return null;
+    }
+    const rawPaths = Array.isArray(entry.paths)
+        ? entry.paths
+        : entry.path
+        ? [entry.path]
+        : [];
+    const paths = [...new Set(rawPaths.map(normalizePath).filter(Boolean))];
+    const repo = normalizeRepo(entry.repo) || null;
+    if (!repo && paths.length === 0) {
+        return null;
+    }
+    return {
+        question,
+        repo,
+        paths,
+        history: normalizeHistory(entry.history),
+    };
+};
+
+const listRetrievedDocuments = (rows) => {
+    const documents = [];
+    const seen = new Set();
+    for (const row of rows) {
+        const repo = normalizeRepo(`${row.repo_owner}/${row.repo_name}`);
+        const path = normalizePath(row.path);
+        const key = `${repo}:${path || `source-${row.sourceId}`}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            documents.push({ repo, path, key });
+        }
+    }
+    return documents;
+};
+
+export const scoreCase = (testCase, rows, k) => {
+    const documents = listRetrievedDocuments(rows);
+    const targets = testCase.paths.length > 0 ? testCase.paths : [null];
+    const isHit = (document, target) =>
+        (!testCase.repo || document.repo === testCase.repo) &&
+        (target === null ||
+            (target.endsWith("/")
+                ? document.path.startsWith(target)
+                : document.path === target));
+    const rank =
+        documents.findIndex((document) =>
+            targets.some((target) => isHit(document, target))
+        ) + 1;
+    const topDocuments = documents.slice(0, k);
+    const found = targets.filter((target) =>
+        topDocuments.some((document) => isHit(document, target))
+    ).length;
+    return {
+        question: testCase.question,
+        repo: testCase.repo,
+        paths: testCase.paths,
+        rank: rank || null,
+        recall: found / targets.length,
+        reciprocalRank: rank ? 1 / rank : 0,
+        citationHit: rank > 0,
+        retrieved: topDocuments.map((document) => document.key),
+    };
+};
+
+const average = (values) =>
+    values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : 0;
+
+const summarizeResults = (results) => ({
+    cases: results.length,
+    recallAtK: average(results.map((result) => result.recall)),
+    mrr: average(results.map((result) => result.reciprocalRank)),
+    citationHitRate: average(
+        results.map((result) => (result.citationHit ? 1 : 0))
+    ),
+    latencyMs: Math.round(average(results.map((result) => result.latencyMs))),
+});
+
+export const buildMetrics = (results, k) => {
+    const byRepo = new Map();
+    for (const result of results) {
+        const repo = result.repo || "(any)";
+        byRepo.set(repo, [...(byRepo.get(repo) || []), result]);
+    }
+    return {
+        k,
+        overall: summarizeResults(results),
+        repos: Object.fromEntries(
+            [...byRepo.entries()]
+                .sort(([left], [right]) => (left < right ? -1 : 1))
+                .map(([repo, repoResults]) => [
+                    repo,
+                    summarizeResults(repoResults),
+                ])
+        ),
+    };
+};
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+process.env.EMBEDDING_PROVIDER = "stub";
+process.env.CHAT_RRF_K = "60";
+process.env.CHAT_MMR_LAMBDA = "0.7";
+
+const { diversifyRows, fuseRankedLists } = await import("../src/retrieval.js");
+
+const row = (id, sourceId, extra = {}) => ({ id, sourceId, ...extra });
+
+describe("fuseRankedLists", () => {
+    it("sums weighted reciprocal ranks across channels", () => {
+        const fused = fuseRankedLists([
+            {
+                channel: "vector",
+                weight: 1,
+                rows: [
+                    row(1, 10, { vectorScore: 0.91234 }),
+                    row(2, 20, { vectorScore: 0.8 }),
+                ],
+            },
+            {
+                channel: "lexical",
+                weight: 2,
+                rows: [row(2, 20, { textScore: 0.5 }), row(3, 30)],
+            },
+        ]);
+        assert.deepEqual(
+            fused.map((entry) => entry.row.id),
+            [2, 3, 1],
+        );
+        const [second, third, first] = fused;
+        assert.equal(second.score, 1 / 62 + 2 / 61);
+        assert.equal(third.score, 2 / 62);
+        assert.equal(first.score, 1 / 61);
+        assert.deepEqual(second.channels, {
+            vector: { rank: 2, score: 0.8 },
+            lexical: { rank: 1, score: 0.5 },
+        });
+        assert.deepEqual(first.channels, { vector: { rank: 1, score: 0.9123 } });
+        assert.deepEqual(third.channels, { lexical: { rank: 2 } });
+    });
+
+    it("skips channels without weight and empty rows", () => {
+        const fused = fuseRankedLists([
+            { channel: "vector", weight: 0, rows: [row(1, 10)] },
+            { channel: "lexical", weight: 1, rows: [null, row(2, 20)] },
+            { channel: "path", weight: 1, rows: null },
+        ]);
+        assert.deepEqual(
+            fused.map((entry) => [entry.row.id, entry.score]),
+            [[2, 1 / 62]],
+        );
+    });
+
+    it("keeps the first parsed embedding for a row", () => {
+        const [entry] = fuseRankedLists([
+            {
+                channel: "vector",
+                weight: 1,
+                rows: [row(1, 10, { embedding: "[1,0]" })],
+            },
+            {
+                channel: "lexical",
+                weight: 1,
+                rows: [row(1, 10, { embedding: "not json" })],
+            },
+        ]);
+        assert.deepEqual(entry.embedding, [1, 0]);
+    });
+});
+
+describe("diversifyRows", () => {
+    const candidate = (id, sourceId, score, embedding) => ({
+        row: row(id, sourceId, { embedding: "[]", vectorScore: score }),
+        embedding,
+        score,
+        channels: {},
+    });
+
+    it("penalizes further chunks from an already selected source", () => {
+        const rows = diversifyRows(
+            [
+                candidate(1, 10, 1, [1, 0]),
+                candidate(2, 10, 0.95, [0, 1]),
+                candidate(3, 30, 0.6, [0, 1]),
+            ],
+            2,
+        );
+        assert.deepEqual(
+            rows.map((entry) => entry.id),
+            [1, 3],
+        );
+        assert.equal(rows[1].retrieval.mmr.redundancy, 0);
+        assert.equal(rows[1].retrieval.mmr.relevance, 0.6);
+    });
+
+    it("penalizes near-duplicate embeddings from other sources", () => {
+        const rows = diversifyRows(
+            [
+                candidate(1, 10, 1, [1, 0]),
+                candidate(2, 20, 0.95, [1, 0]),
+                candidate(3, 30, 0.8, [0, 1]),
+            ],
+            3,
+        );
+        assert.deepEqual(
+            rows.map((entry) => entry.id),
+            [1, 3, 2],
+        );
+        assert.equal(rows[2].retrieval.mmr.redundancy, 1);
+    });
+
+    it("uses precomputed relevance and strips scoring fields", () => {
+        const [first] = diversifyRows(
+            [
+                { ...candidate(1, 10, 1, null), relevance: 0.2 },
+                {
+                    ...candidate(2, 20, 0.5, null),
+                    relevance: 1,
+                    rerank: { provider: "llm", rank: 1, score: 9 },
+                },
+            ],
+            1,
+        );
+        assert.equal(first.id, 2);
+        assert.equal(first.embedding, undefined);
+        assert.equal(first.vectorScore, undefined);
+        assert.deepEqual(first.retrieval.rerank, {
+            provider: "llm",
+            rank: 1,
+            score: 9,
+        });
+        assert.equal(first.retrieval.rrf, 0.5);
+    });
+});
@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+    buildMetrics,
+    normalizeCase,
+    normalizeHistory,
+    scoreCase,
+} from "../src/scoring.js";
+
+const retrieved = (repo, path, sourceId = path) => {
+    const [repoOwner, repoName] = repo.split("/");
+    return { repo_owner: repoOwner, repo_name: repoName, path, sourceId };
+};
+
+const rows = [
+    retrieved("acme/api", "src/Server.js"),
+    retrieved("acme/api", "src/server.js", "chunk-2"),
+    retrieved("acme/web", "docs/guide.md"),
+    retrieved("acme/api", "docs/deployment.md"),
+    retrieved("acme/api", "src/auth.js"),
+];
+
+describe("normalizeCase", () => {
+    it("normalizes repos, paths and history", () => {
+        assert.deepEqual(
+            normalizeCase({
+                question: "  Where is auth?  ",
+                repo: "https://github.com/Acme/API.git",
+                path: "./src/Auth.js",
+                history: [
+                    { role: "assistant", content: " Earlier answer " },
+                    { role: "system", content: "Treated as user" },
+                    { role: "user", content: "   " },
+                ],
+            }),
+            {
+                question: "Where is auth?",
+                repo: "acme/api",
+                paths: ["src/auth.js"],
+                history: [
+                    { role: "assistant", content: "Earlier answer" },
+                    { role: "user", content: "Treated as user" },
+                ],
+            },
+        );
+    });
+
+    it("drops cases without a question or a target", () => {
+        assert.equal(normalizeCase({ question: " ", paths: ["a.md"] }), null);
+        assert.equal(normalizeCase({ question: "Anything?" }), null);
+        assert.deepEqual(normalizeHistory("not a list"), []);
+    });
+});
+
+describe("scoreCase", () => {
+    const testCase = (fields) => ({ repo: null, paths: [], ...fields });
+
+    it("ranks retrieved documents once per path", () => {
+        const result = scoreCase(
+            testCase({
+                question: "How is auth checked?",
+                repo: "acme/api",
+                paths: ["src/auth.js"],
+            }),
+            rows,
+            5,
+        );
+        assert.equal(result.rank, 4);
+        assert.equal(result.reciprocalRank, 0.25);
+        assert.equal(result.recall, 1);
+        assert.equal(result.citationHit, true);
+        assert.deepEqual(result.retrieved, [
+            "acme/api:src/server.js",
+            "acme/web:docs/guide.md",
+            "acme/api:docs/deployment.md",
+            "acme/api:src/auth.js",
+        ]);
+    });
+
+    it("counts recall within the top k only", () => {
+        const result = scoreCase(
+            testCase({
+                question: "Server and auth?",
+                paths: ["src/server.js", "src/auth.js"],
+            }),
+            rows,
+            2,
+        );
+        assert.equal(result.rank, 1);
+        assert.equal(result.recall, 0.5);
+        assert.deepEqual(result.retrieved, [
+            "acme/api:src/server.js",
+            "acme/web:docs/guide.md",
+        ]);
+    });
+
+    it("matches directory targets and repo-only cases", () => {
+        const directory = scoreCase(
+            testCase({ question: "Docs?", repo: "acme/api", paths: ["docs/"] }),
+            rows,
+            5,
+        );
+        assert.equal(directory.rank, 3);
+
+        const repoOnly = scoreCase(
+            testCase({ question: "Web?", repo: "acme/web" }),
+            rows,
+            5,
+        );
+        assert.equal(repoOnly.rank, 2);
+        assert.equal(repoOnly.recall, 1);
+    });
+
+    it("scores misses as zero", () => {
+        const result = scoreCase(
+            testCase({ question: "Billing?", paths: ["src/billing.js"] }),
+            rows,
+            5,
+        );
+        assert.equal(result.rank, null);
+        assert.equal(result.reciprocalRank, 0);
+        assert.equal(result.recall, 0);
+        assert.equal(result.citationHit, false);
+    });
+});
+
+describe("buildMetrics", () => {
+    it("averages results overall and per repo", () => {
+        const metrics = buildMetrics(
+            [
+                {
+                    repo: "acme/web",
+                    recall: 1,
+                    reciprocalRank: 1,
+                    citationHit: true,
+                    latencyMs: 100,
+                },
+                {
+                    repo: null,
+                    recall: 0.5,
+                    reciprocalRank: 0.5,
+                    citationHit: true,
+                    latencyMs: 201,
+                },
+                {
+                    repo: "acme/web",
+                    recall: 0,
+                    reciprocalRank: 0,
+                    citationHit: false,
+                    latencyMs: 300,
+                },
+            ],
+            5,
+        );
+        assert.deepEqual(metrics.overall, {
+            cases: 3,
+            recallAtK: 0.5,
+            mrr: 0.5,
+            citationHitRate: 2 / 3,
+            latencyMs: 200,
+        });
+        assert.deepEqual(Object.keys(metrics.repos), ["(any)", "acme/web"]);
+        assert.deepEqual(metrics.repos["acme/web"], {
+            cases: 2,
+            recallAtK: 0.5,
+            mrr: 0.5,
+            citationHitRate: 0.5,
+            latencyMs: 200,
+        });
+        assert.equal(metrics.k, 5);
+    });
+
+    it("reports zeros for an empty run", () => {
+        assert.deepEqual(buildMetrics([], 3).overall, {
+            cases: 0,
+            recallAtK: 0,
+            mrr: 0,
+            citationHitRate: 0,
+            latencyMs: 0,
+        });
+    });
+});
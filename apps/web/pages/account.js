@@ -50,10 +50,8 @@ const formatRepoLabel = (project) => {
   if (!repo) {
     return "";
   }
-  if (repo.startsWith("https://github.com/")) {
-    return repo.replace("https://github.com/", "");
-  }
-  return repo;
+  const label = repo.replace(/^https?:\/\/(www\.)?[^/]+\//, "");
+  return project.subpath ? `${label}/${project.subpath}` : label;
 };
 
 const formatPeriodLabel = (value) => {
@@ -86,6 +84,34 @@ const formatDateLabel = (value) => {
   });
 };
 
+const formatDateTimeLabel = (value) => {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit"
+  });
+};
+
+const INGEST_STATUS_LABELS = {
+  queued: "Queued",
+  running: "Indexing",
+  cancel_requested: "Canceling",
+  canceled: "Canceled",
+  completed: "Indexed",
+  failed: "Failed",
+  not_indexed: "Not indexed"
+};
+
+const DOCS_JOB_TYPE = "INGEST_REPO_DOCS";
+
 const formatCurrency = (value) => {
   const numeric = Number(value);
   if (!Number.isFinite(numeric)) {
@@ -126,6 +152,14 @@ const BILLING_PLANS = [
   }
 ];
 
+const API_KEY_SCOPES = [
+  { id: "chat", label: "Chat" },
+  { id: "chat:admin", label: "Chat sessions + debug" },
+  { id: "projects:read", label: "Read repos" },
+  { id: "projects:write", label: "Manage repos" },
+  { id: "projects:manage", label: "Inactive repos + ingest status" }
+];
+
 export default function AccountPage() {
   const router = useRouter();
   const [authUser, setAuthUser] = useState(null);
@@ -159,6 +193,25 @@ export default function AccountPage() {
   const [categorySaving, setCategorySaving] = useState(false);
   const [categoryError, setCategoryError] = useState("");
   const [showInstallPrompt, setShowInstallPrompt] = useState(false);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [apiKeysLoading, setApiKeysLoading] = useState(false);
+  const [apiKeysError, setApiKeysError] = useState("");
+  const [apiKeyName, setApiKeyName] = useState("");
+  const [apiKeyScopes, setApiKeyScopes] = useState(["chat"]);
+  const [apiKeyCreating, setApiKeyCreating] = useState(false);
+  const [createdApiKey, setCreatedApiKey] = useState("");
+  const [ingestUpdates, setIngestUpdates] = useState({});
+  const [ingestActionPending, setIngestActionPending] = useState("");
+  const [settingsPending, setSettingsPending] = useState(null);
+  const [pathsProject, setPathsProject] = useState(null);
+  const [pathsForm, setPathsForm] = useState({
+    includePaths: "",
+    excludePaths: "",
+    priorityPaths: "",
+    refs: ""
+  });
+  const [pathsSaving, setPathsSaving] = useState(false);
+  const [pathsError, setPathsError] = useState("");
 
   const categoryOptions = useMemo(() => {
     const entries = new Map();
@@ -297,6 +350,38 @@ export default function AccountPage() {
     }
   };
 
+  const resolveProjectIngest = (project) =>
+    ingestUpdates[project?.id] || project?.ingest || null;
+
+  const activeIngestKey = projects
+    .filter((project) => resolveProjectIngest(project)?.latestJob?.active)
+    .map((project) => project.id)
+    .join(",");
+
+  const loadApiKeys = async () => {
+    setApiKeysLoading(true);
+    setApiKeysError("");
+    try {
+      const response = await fetch(buildApiUrl("/account/api-keys"), {
+        credentials: "include"
+      });
+      if (!response.ok) {
+        if (response.status === 401) {
+          setApiKeys([]);
+          return;
+        }
+        const payload = await response.json().catch(() => ({}));
+        throw new Error(payload.error || "Failed to load API keys.");
+      }
+      const data = await response.json().catch(() => ({}));
+      setApiKeys(Array.isArray(data.apiKeys) ? data.apiKeys : []);
+    } catch (err) {
+      setApiKeysError(err.message || "Failed to load API keys.");
+    } finally {
+      setApiKeysLoading(false);
+    }
+  };
+
   useEffect(() => {
     loadAuthUser();
   }, []);
@@ -307,9 +392,64 @@ export default function AccountPage() {
       loadProfile();
       loadUsage();
       loadBilling();
+      loadApiKeys();
     }
   }, [authLoading, authUser]);
 
+  useEffect(() => {
+    setIngestUpdates({});
+  }, [projects]);
+
+  useEffect(() => {
+    if (!activeIngestKey || typeof EventSource === "undefined") {
+      return undefined;
+    }
+    const streams = activeIngestKey.split(",").map((projectId) => {
+      const stream = new EventSource(
+        buildApiUrl(
+          `/projects/${encodeURIComponent(projectId)}/ingest-jobs/stream`
+        ),
+        { withCredentials: true }
+      );
+      stream.addEventListener("progress", (event) => {
+        let payload;
+        try {
+          payload = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+        const jobs = Array.isArray(payload.jobs) ? payload.jobs : [];
+        const job =
+          jobs.find((item) => item.jobType === DOCS_JOB_TYPE) || jobs[0];
+        if (!job) {
+          return;
+        }
+        setIngestUpdates((current) => {
+          const project = projects.find(
+            (item) => String(item.id) === projectId
+          );
+          const previous = current[projectId] || project?.ingest || {};
+          return {
+            ...current,
+            [projectId]: {
+              ...previous,
+              status: job.status,
+              latestJob: job,
+              lastIndexedAt:
+                job.status === "completed"
+                  ? job.finishedAt
+                  : previous.lastIndexedAt || null
+            }
+          };
+        });
+      });
+      stream.addEventListener("done", () => stream.close());
+      stream.onerror = () => stream.close();
+      return stream;
+    });
+    return () => streams.forEach((stream) => stream.close());
+  }, [activeIngestKey]);
+
   useEffect(() => {
     if (!router.isReady) {
       return;
@@ -442,6 +582,242 @@ export default function AccountPage() {
     }
   };
 
+  const postIngestAction = async (path, body, fallbackError) => {
+    const response = await fetch(buildApiUrl(path), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      credentials: "include",
+      body: JSON.stringify(body || {})
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok && response.status !== 409) {
+      throw new Error(payload.error || fallbackError);
+    }
+    return payload;
+  };
+
+  const handleReindexProject = async (project) => {
+    const projectId = Number(project?.id);
+    if (!Number.isFinite(projectId)) {
+      setError("Repo id missing.");
+      return;
+    }
+    setError("");
+    setMessage("");
+    setIngestActionPending(`reindex-${projectId}`);
+    try {
+      const payload = await postIngestAction(
+        `/projects/${encodeURIComponent(projectId)}/reindex`,
+        {},
+        "Failed to queue reindex."
+      );
+      setMessage(
+        payload.status === "already_running"
+          ? "Indexing is already running for this repo."
+          : "Reindex queued."
+      );
+      await loadProjects();
+    } catch (err) {
+      setError(err.message || "Failed to queue reindex.");
+    } finally {
+      setIngestActionPending("");
+    }
+  };
+
+  const handleCancelIngest = async (project) => {
+    const jobId = Number(resolveProjectIngest(project)?.latestJob?.id);
+    if (!Number.isFinite(jobId)) {
+      setError("Ingest job id missing.");
+      return;
+    }
+    setError("");
+    setMessage("");
+    setIngestActionPending(`cancel-${project.id}`);
+    try {
+      const payload = await postIngestAction(
+        `/ingest-jobs/${encodeURIComponent(jobId)}/cancel`,
+        {},
+        "Failed to cancel indexing."
+      );
+      setMessage(
+        payload.changed === false
+          ? "Indexing already finished."
+          : "Indexing cancel requested."
+      );
+      await loadProjects();
+    } catch (err) {
+      setError(err.message || "Failed to cancel indexing.");
+    } finally {
+      setIngestActionPending("");
+    }
+  };
+
+  const handleReindexAll = async () => {
+    const projectIds = projects
+      .map((project) => Number(project.id))
+      .filter((projectId) => Number.isFinite(projectId));
+    if (projectIds.length === 0) {
+      return;
+    }
+    setError("");
+    setMessage("");
+    setIngestActionPending("reindex-all");
+    try {
+      const payload = await postIngestAction(
+        "/projects/reindex",
+        { projectIds },
+        "Failed to queue reindex."
+      );
+      const results = Array.isArray(payload.results) ? payload.results : [];
+      const queued = results.filter((item) => item.status === "queued").length;
+      const skipped = results.length - queued;
+      setMessage(
+        skipped > 0
+          ? `Reindex queued for ${queued} repo(s); ${skipped} skipped (running or cooling down).`
+          : `Reindex queued for ${queued} repo(s).`
+      );
+      await loadProjects();
+    } catch (err) {
+      setError(err.message || "Failed to queue reindex.");
+    } finally {
+      setIngestActionPending("");
+    }
+  };
+
+  const handleCancelAll = async () => {
+    const projectIds = projects
+      .filter((project) => resolveProjectIngest(project)?.latestJob?.active)
+      .map((project) => Number(project.id))
+      .filter((projectId) => Number.isFinite(projectId));
+    if (projectIds.length === 0) {
+      return;
+    }
+    setError("");
+    setMessage("");
+    setIngestActionPending("cancel-all");
+    try {
+      const payload = await postIngestAction(
+        "/ingest-jobs/cancel",
+        { projectIds },
+        "Failed to cancel indexing."
+      );
+      const results = Array.isArray(payload.results) ? payload.results : [];
+      const canceled = results.filter((item) => item.changed).length;
+      setMessage(`Cancel requested for ${canceled} ingest job(s).`);
+      await loadProjects();
+    } catch (err) {
+      setError(err.message || "Failed to cancel indexing.");
+    } finally {
+      setIngestActionPending("");
+    }
+  };
+
+  const handleToggleIssues = async (project) => {
+    const projectId = Number(project?.id);
+    if (!Number.isFinite(projectId)) {
+      setError("Repo id missing.");
+      return;
+    }
+    const indexIssues = project.indexIssues === false;
+    setError("");
+    setMessage("");
+    setSettingsPending(projectId);
+    try {
+      const response = await fetch(
+        buildApiUrl(`/projects/${encodeURIComponent(projectId)}/settings`),
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json"
+          },
+          credentials: "include",
+          body: JSON.stringify({ indexIssues })
+        }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Failed to update repo settings.");
+      }
+      setMessage(
+        indexIssues
+          ? "Issue and pull request indexing enabled."
+          : "Issue and pull request indexing disabled."
+      );
+      await loadProjects();
+    } catch (err) {
+      setError(err.message || "Failed to update repo settings.");
+    } finally {
+      setSettingsPending(null);
+    }
+  };
+
+  const openPathsModal = (project) => {
+    if (!project) {
+      return;
+    }
+    const joinLines = (value) => (Array.isArray(value) ? value.join("\n") : "");
+    setPathsProject(project);
+    setPathsForm({
+      includePaths: joinLines(project.includePaths),
+      excludePaths: joinLines(project.excludePaths),
+      priorityPaths: joinLines(project.priorityPaths),
+      refs: joinLines(project.refs)
+    });
+    setPathsError("");
+  };
+
+  const closePathsModal = () => {
+    setPathsProject(null);
+    setPathsError("");
+  };
+
+  const handlePathsSave = async (event) => {
+    event.preventDefault();
+    const projectId = Number(pathsProject?.id);
+    if (!Number.isFinite(projectId)) {
+      setPathsError("Repo id missing.");
+      return;
+    }
+    const splitLines = (value) =>
+      value
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+    setPathsSaving(true);
+    setPathsError("");
+    try {
+      const response = await fetch(
+        buildApiUrl(`/projects/${encodeURIComponent(projectId)}/settings`),
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json"
+          },
+          credentials: "include",
+          body: JSON.stringify({
+            includePaths: splitLines(pathsForm.includePaths),
+            excludePaths: splitLines(pathsForm.excludePaths),
+            priorityPaths: splitLines(pathsForm.priorityPaths),
+            refs: splitLines(pathsForm.refs)
+          })
+        }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Failed to update paths.");
+      }
+      setMessage("Paths updated. The repo will be reindexed.");
+      await loadProjects();
+      closePathsModal();
+    } catch (err) {
+      setPathsError(err.message || "Failed to update paths.");
+    } finally {
+      setPathsSaving(false);
+    }
+  };
+
   const openCategoryModal = (project) => {
     if (!project) {
       return;
@@ -532,6 +908,118 @@ export default function AccountPage() {
     }
   };
 
+  const toggleApiKeyScope = (scope) => {
+    setApiKeyScopes((current) =>
+      current.includes(scope)
+        ? current.filter((item) => item !== scope)
+        : [...current, scope]
+    );
+  };
+
+  const handleCreateApiKey = async (event) => {
+    event.preventDefault();
+    setApiKeyCreating(true);
+    setApiKeysError("");
+    setCreatedApiKey("");
+    try {
+      const response = await fetch(buildApiUrl("/account/api-keys"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ name: apiKeyName, scopes: apiKeyScopes })
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Failed to create API key.");
+      }
+      setCreatedApiKey(payload.key || "");
+      setApiKeyName("");
+      await loadApiKeys();
+    } catch (err) {
+      setApiKeysError(err.message || "Failed to create API key.");
+    } finally {
+      setApiKeyCreating(false);
+    }
+  };
+
+  const handleRevokeApiKey = async (apiKey) => {
+    const apiKeyId = Number(apiKey?.id);
+    if (!Number.isFinite(apiKeyId)) {
+      setApiKeysError("API key id missing.");
+      return;
+    }
+    if (
+      !window.confirm(
+        `Revoke "${apiKey.name || apiKey.prefix}"? Apps using it will stop working.`
+      )
+    ) {
+      return;
+    }
+    setApiKeysError("");
+    try {
+      const response = await fetch(
+        buildApiUrl(`/account/api-keys/${encodeURIComponent(apiKeyId)}`),
+        {
+          method: "DELETE",
+          credentials: "include"
+        }
+      );
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || "Failed to revoke API key.");
+      }
+      await loadApiKeys();
+    } catch (err) {
+      setApiKeysError(err.message || "Failed to revoke API key.");
+    }
+  };
+
+  const renderIngestStatus = (ingest) => {
+    if (!ingest) {
+      return null;
+    }
+    const job = ingest.latestJob;
+    const status = ingest.status || "not_indexed";
+    const progress = Number(job?.progress);
+    const showProgress = Boolean(job?.active) && Number.isFinite(progress);
+    return (
+      <div className="account-ingest">
+        <div className="account-ingest-row">
+          <span className={`ingest-badge is-${status.replace(/_/g, "-")}`}>
+            {INGEST_STATUS_LABELS[status] || status}
+          </span>
+          <span className="muted">
+            {ingest.lastIndexedAt
+              ? `Last indexed ${formatDateTimeLabel(ingest.lastIndexedAt)}`
+              : "Not indexed yet"}
+          </span>
+        </div>
+        {showProgress ? (
+          <div
+            className="ingest-progress"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress * 100)}
+          >
+            <div
+              className="ingest-progress-bar"
+              style={{ width: `${Math.round(progress * 100)}%` }}
+            />
+          </div>
+        ) : null}
+        {job?.active && job.lastMessage ? (
+          <span className="muted">{job.lastMessage}</span>
+        ) : null}
+        {status === "failed" && job?.error ? (
+          <span className="status error">{job.error}</span>
+        ) : null}
+      </div>
+    );
+  };
+
   const handleCheckout = async (planId) => {
     if (!planId) {
       return;
@@ -641,6 +1129,9 @@ export default function AccountPage() {
       : `${formatCount(billing.tokenLimit)} token cap`;
   const categoryValueTrimmed = categoryValue.trim();
   const categoryValueKey = categoryValueTrimmed.toLowerCase();
+  const pathsProjectLabel = pathsProject
+    ? pathsProject.name || formatRepoLabel(pathsProject) || "this repo"
+    : "";
   const categoryProjectLabel = categoryProject
     ? categoryProject.name ||
       formatRepoLabel(categoryProject) ||
@@ -805,7 +1296,7 @@ export default function AccountPage() {
             </div>
             <form className="form" onSubmit={handleAddProject}>
               <label className="field">
-                <span>GitHub repo URL</span>
+                <span>Repo URL (GitHub, GitLab or Bitbucket)</span>
                 <input
                   type="url"
                   placeholder="https://github.com/owner/repo"
@@ -814,6 +1305,10 @@ export default function AccountPage() {
                   required
                   disabled={!billingActive}
                 />
+                <span className="field-hint">
+                  For one package of a monorepo, paste its folder URL (e.g.
+                  .../tree/main/packages/foo).
+                </span>
               </label>
               <button
                 type="submit"
@@ -853,15 +1348,64 @@ export default function AccountPage() {
                       {project.repo ? (
                         <a
                           className="account-project-link"
-                          href={project.repo}
+                          href={project.url || project.repo}
                           target="_blank"
                           rel="noreferrer"
                         >
                           {formatRepoLabel(project) || "View on GitHub"}
                         </a>
                       ) : null}
+                      {project.refs?.length ? (
+                        <div className="project-meta">
+                          Refs: {project.refs.join(", ")}
+                        </div>
+                      ) : null}
+                      {project.active === false ? (
+                        <div className="project-meta account-project-inactive">
+                          {project.inactiveReason === "deleted"
+                            ? "Repo was deleted on GitHub. Indexing is paused."
+                            : "Repo is no longer accessible. Indexing is paused."}
+                        </div>
+                      ) : null}
+                      {renderIngestStatus(resolveProjectIngest(project))}
+                      <label className="checkbox-field">
+                        <input
+                          type="checkbox"
+                          checked={project.indexIssues !== false}
+                          onChange={() => handleToggleIssues(project)}
+                          disabled={settingsPending === project.id}
+                        />
+                        <span>Index issues and pull requests</span>
+                      </label>
                     </div>
                     <div className="account-project-actions">
+                      {resolveProjectIngest(project)?.latestJob?.active ? (
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          onClick={() => handleCancelIngest(project)}
+                          disabled={Boolean(ingestActionPending)}
+                        >
+                          {ingestActionPending === `cancel-${project.id}`
+                            ? "Canceling..."
+                            : "Cancel"}
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          onClick={() => handleReindexProject(project)}
+                          disabled={
+                            Boolean(ingestActionPending) ||
+                            !billingActive ||
+                            project.active === false
+                          }
+                        >
+                          {ingestActionPending === `reindex-${project.id}`
+                            ? "Queueing..."
+                            : "Reindex"}
+                        </button>
+                      )}
                       <button
                         type="button"
                         className="ghost-button"
@@ -869,6 +1413,13 @@ export default function AccountPage() {
                       >
                         Category
                       </button>
+                      <button
+                        type="button"
+                        className="ghost-button"
+                        onClick={() => openPathsModal(project)}
+                      >
+                        Paths
+                      </button>
                       <button
                         type="button"
                         className="ghost-button"
@@ -889,6 +1440,30 @@ export default function AccountPage() {
               >
                 Allow Repo Access
               </button>
+              {projects.length > 0 ? (
+                <button
+                  type="button"
+                  className="ghost-button"
+                  onClick={handleReindexAll}
+                  disabled={Boolean(ingestActionPending) || !billingActive}
+                >
+                  {ingestActionPending === "reindex-all"
+                    ? "Queueing..."
+                    : "Reindex all"}
+                </button>
+              ) : null}
+              {activeIngestKey ? (
+                <button
+                  type="button"
+                  className="ghost-button"
+                  onClick={handleCancelAll}
+                  disabled={Boolean(ingestActionPending)}
+                >
+                  {ingestActionPending === "cancel-all"
+                    ? "Canceling..."
+                    : "Cancel all"}
+                </button>
+              ) : null}
             </div>
           </div>
 
@@ -1064,6 +1639,98 @@ export default function AccountPage() {
               <p className="status error">{billingError}</p>
             ) : null}
           </div>
+
+          <div className="panel account-card">
+            <div className="account-card-header">
+              <h2>API keys</h2>
+              <span className="muted">
+                {apiKeys.filter((apiKey) => !apiKey.revokedAt).length} active
+              </span>
+            </div>
+            <p className="muted">
+              Call chat and repo endpoints from bots or CI with an{" "}
+              <code>Authorization: Bearer</code> header.
+            </p>
+            <form className="form" onSubmit={handleCreateApiKey}>
+              <label className="field">
+                <span>Key name</span>
+                <input
+                  type="text"
+                  placeholder="Slack bot"
+                  value={apiKeyName}
+                  onChange={(event) => setApiKeyName(event.target.value)}
+                  required
+                />
+              </label>
+              {API_KEY_SCOPES.map((scope) => (
+                <label className="checkbox-field" key={scope.id}>
+                  <input
+                    type="checkbox"
+                    checked={apiKeyScopes.includes(scope.id)}
+                    onChange={() => toggleApiKeyScope(scope.id)}
+                  />
+                  <span>{scope.label}</span>
+                </label>
+              ))}
+              <button
+                type="submit"
+                className="primary-button"
+                disabled={apiKeyCreating || apiKeyScopes.length === 0}
+              >
+                {apiKeyCreating ? "Creating..." : "Create key"}
+              </button>
+            </form>
+            {createdApiKey ? (
+              <div className="account-api-key-secret">
+                <span className="muted">
+                  Copy this key now. It will not be shown again.
+                </span>
+                <code>{createdApiKey}</code>
+              </div>
+            ) : null}
+            {apiKeysError ? (
+              <p className="status error">{apiKeysError}</p>
+            ) : null}
+            <div className="account-project-list">
+              {apiKeysLoading ? (
+                <p className="muted">Loading API keys...</p>
+              ) : apiKeys.length === 0 ? (
+                <p className="muted">No API keys yet.</p>
+              ) : (
+                apiKeys.map((apiKey) => (
+                  <div className="account-project" key={apiKey.id}>
+                    <div className="account-project-main">
+                      <div className="account-project-title">
+                        {apiKey.name || "Untitled key"}
+                      </div>
+                      <div className="project-meta">
+                        <code>{apiKey.prefix}…</code> ·{" "}
+                        {apiKey.scopes.join(", ")}
+                      </div>
+                      <div className="project-meta">
+                        {apiKey.revokedAt
+                          ? `Revoked ${formatDateLabel(apiKey.revokedAt)}`
+                          : apiKey.lastUsedAt
+                          ? `Last used ${formatDateLabel(apiKey.lastUsedAt)}`
+                          : "Never used"}
+                      </div>
+                    </div>
+                    {apiKey.revokedAt ? null : (
+                      <div className="account-project-actions">
+                        <button
+                          type="button"
+                          className="ghost-button"
+                          onClick={() => handleRevokeApiKey(apiKey)}
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
         </section>
       )}
 
@@ -1162,6 +1829,104 @@ export default function AccountPage() {
         </div>
       ) : null}
 
+      {pathsProject ? (
+        <div
+          className="category-overlay"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="paths-title"
+        >
+          <div className="category-card">
+            <div className="category-header">
+              <h2 id="paths-title">Indexed paths</h2>
+              <button
+                type="button"
+                className="ghost-button"
+                onClick={closePathsModal}
+              >
+                Close
+              </button>
+            </div>
+            <div className="category-body">
+              <p className="muted">
+                Globs for {pathsProjectLabel}, one per line. A
+                .showcaseignore file in the repo root is also honored.
+              </p>
+              <form className="form" onSubmit={handlePathsSave}>
+                {[
+                  {
+                    key: "refs",
+                    label: "Refs",
+                    placeholder: "main\nv2.0.0",
+                    hint: "Branches, tags or commits indexed side by side. Empty follows the default branch."
+                  },
+                  {
+                    key: "priorityPaths",
+                    label: "Priority paths",
+                    placeholder: "README.md\ndocs/**",
+                    hint: "Indexed first, before the file limit is reached."
+                  },
+                  {
+                    key: "includePaths",
+                    label: "Include",
+                    placeholder: "src/**\n*.vue",
+                    hint: "When set, only matching files are indexed."
+                  },
+                  {
+                    key: "excludePaths",
+                    label: "Exclude",
+                    placeholder: "examples/\n**/*.test.js",
+                    hint: "Matching files are never indexed."
+                  }
+                ].map((field) => (
+                  <label className="field" key={field.key}>
+                    <span>{field.label}</span>
+                    <textarea
+                      rows={3}
+                      placeholder={field.placeholder}
+                      value={pathsForm[field.key]}
+                      onChange={(event) =>
+                        setPathsForm((current) => ({
+                          ...current,
+                          [field.key]: event.target.value
+                        }))
+                      }
+                    />
+                    <span className="field-hint">{field.hint}</span>
+                  </label>
+                ))}
+                {pathsError ? (
+                  <p className="status error">{pathsError}</p>
+                ) : null}
+                <div className="category-actions">
+                  <button
+                    type="button"
+                    className="ghost-button"
+                    onClick={closePathsModal}
+                    disabled={pathsSaving}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="primary-button"
+                    disabled={pathsSaving}
+                  >
+                    {pathsSaving ? "Saving..." : "Save paths"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+          <button
+            type="button"
+            className="category-backdrop"
+            aria-label="Close paths"
+            onClick={closePathsModal}
+          />
+        </div>
+      ) : null}
+
       {showInstallPrompt ? (
         <div
           className="install-overlay"
@@ -176,13 +176,14 @@ const getProjectRepo = (project) => {
 
   const repoValue =
     typeof project.repo === "string" ? project.repo.trim() : "";
+  const scope = project.subpath ? `:${project.subpath}` : "";
   if (repoValue) {
     const repoFromUrl = extractRepoFromUrl(repoValue);
     if (repoFromUrl) {
-      return repoFromUrl;
+      return `${repoFromUrl}${scope}`;
     }
     if (repoValue.includes("/") && !repoValue.includes("http")) {
-      return repoValue;
+      return `${repoValue}${scope}`;
     }
   }
 
@@ -377,7 +378,9 @@ const resolveRepoFromQuestion = (question, projects) => {
       continue;
     }
 
-    const repoName = repoId.split("/")[1] || "";
+    const repoName = project.subpath
+      ? project.subpath.split("/").pop()
+      : repoId.split("/")[1] || "";
     const repoLoose = normalizeLoose(repoName);
     const repoTokens = tokenize(repoName);
     const explicitRepoMatch = isExplicitTokenMatch(
@@ -443,6 +446,15 @@ const buildHistoryPayload = (messages) => {
   return trimmed.slice(-CHAT_HISTORY_LIMIT);
 };
 
+const formatCitationLines = (citation) => {
+  const start = Number(citation?.startLine);
+  const end = Number(citation?.endLine);
+  if (!Number.isFinite(start) || start <= 0) {
+    return "";
+  }
+  return Number.isFinite(end) && end > start ? `L${start}-L${end}` : `L${start}`;
+};
+
 const inferRepoFromCitations = (citations) => {
   if (!Array.isArray(citations) || citations.length === 0) {
     return null;
@@ -1185,12 +1197,26 @@ export default function Home() {
             if (inferredRepo) {
               setActiveRepo(inferredRepo);
             }
+          } else if (eventType === "tool_call") {
+            updateAssistant((msg) => ({
+              ...msg,
+              toolStatus: payload.label || ""
+            }));
+          } else if (eventType === "tool_result") {
+            updateAssistant((msg) => ({
+              ...msg,
+              citations: payload.citation
+                ? [...(msg.citations || []), payload.citation]
+                : msg.citations
+            }));
           } else if (eventType === "delta") {
             updateAssistant((msg) => ({
               ...msg,
+              toolStatus: "",
               content: msg.content + (payload.delta || "")
             }));
           } else if (eventType === "done") {
+            updateAssistant((msg) => ({ ...msg, toolStatus: "" }));
             loadSessions();
           } else if (eventType === "error") {
             throw new Error(payload.error || "Chat failed");
@@ -1366,8 +1392,11 @@ export default function Home() {
                     const isExpanded = projectId === expandedProjectId;
                     const fallbackName =
                       typeof project.repo === "string" &&
-                      project.repo.startsWith("https://github.com/")
-                        ? project.repo.replace("https://github.com/", "")
+                      /^https?:\/\//.test(project.repo)
+                        ? `${project.repo.replace(
+                            /^https?:\/\/(www\.)?[^/]+\//,
+                            ""
+                          )}${project.subpath ? `/${project.subpath}` : ""}`
                         : projectId;
                     const displayName =
                       typeof project.name === "string" &&
@@ -1389,7 +1418,7 @@ export default function Home() {
                             <p>{project.description || "No description yet."}</p>
                             {project.repo ? (
                               <a
-                                href={project.repo}
+                                href={project.url || project.repo}
                                 target="_blank"
                                 rel="noreferrer"
                               >
@@ -1544,6 +1573,11 @@ export default function Home() {
                       msg.content
                     )}
                   </div>
+                  {msg.role === "assistant" && msg.toolStatus ? (
+                    <div className="chat-tool-status" role="status">
+                      {msg.toolStatus}
+                    </div>
+                  ) : null}
                   {msg.role === "assistant" &&
                   Array.isArray(msg.citations) &&
                   msg.citations.length > 0 ? (
@@ -1553,7 +1587,12 @@ export default function Home() {
                         {msg.citations.map((citation) => {
                           const label = `${citation.repo || "source"}${
                             citation.path ? `/${citation.path}` : ""
+                          }${
+                            citation.commitSha
+                              ? ` @ ${citation.commitSha.slice(0, 7)}`
+                              : ""
                           }`;
+                          const lines = formatCitationLines(citation);
                           const href = citation.url || null;
                           return href ? (
                             <a
@@ -1564,6 +1603,9 @@ export default function Home() {
                               rel="noreferrer"
                             >
                               [{citation.index}] {label}
+                              {lines ? (
+                                <span className="citation-lines">{lines}</span>
+                              ) : null}
                             </a>
                           ) : (
                             <span
@@ -1571,6 +1613,9 @@ export default function Home() {
                               key={`${msg.id}-${citation.index}`}
                             >
                               [{citation.index}] {label}
+                              {lines ? (
+                                <span className="citation-lines">{lines}</span>
+                              ) : null}
                             </span>
                           );
                         })}
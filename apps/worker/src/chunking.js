@@ -0,0 +1,510 @@
+import path from "node:path";
+
+// Stored on each file source. Bump it whenever chunk boundaries or metadata
+// change so the next ingest re-chunks files whose content did not change.
+export const chunkerVersion = 2;
+
+const jsPatterns = [
+  /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)?/,
+  /^(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
+  /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/,
+  /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^(?:(?:public|private|protected|static|readonly|async|get|set|override)\s+)*(?!(?:if|for|while|switch|catch|return)\b)([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/,
+  /^(?:export\s+)?(?:default\s+)?[\w$.]+\.(?:get|post|put|patch|delete|use|register)\s*\(\s*["'`]([^"'`]+)/
+];
+
+const topLevelPatterns = {
+  javascript: [
+    /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:class\b|\{|\[|[\w$.]+\()/
+  ],
+  go: [/^(?:var|const)\s+\(?\s*([A-Za-z_]\w*)?/]
+};
+
+const languagePatterns = {
+  javascript: jsPatterns,
+  python: [/^(?:async\s+)?def\s+([A-Za-z_]\w*)/, /^class\s+([A-Za-z_]\w*)/],
+  go: [
+    /^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+    /^type\s+([A-Za-z_]\w*)/
+  ],
+  rust: [
+    /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+([A-Za-z_]\w*)/,
+    /^(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union|mod|type)\s+([A-Za-z_]\w*)/,
+    /^(?:unsafe\s+)?impl(?:<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?([A-Za-z_][\w:]*)/,
+    /^macro_rules!\s*([A-Za-z_]\w*)/
+  ],
+  c: [
+    /^(?:template\s*<[^>]*>\s*)?(?:class|struct|union|enum(?:\s+class)?|namespace)\s+([A-Za-z_]\w*)[^;]*$/,
+    /^(?!(?:if|for|while|switch|return|else|do|case)\b)[A-Za-z_][\w\s*&:<>,~]*?\b([A-Za-z_~][\w:~]*)\s*\([^;]*$/
+  ],
+  java: [
+    /^(?:@\w+\s+)*(?:(?:public|private|protected|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+([A-Za-z_]\w*)/,
+    /^(?:(?:public|private|protected|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s+)?(?!(?:if|for|while|switch|return|new|else|catch)\b)[\w<>\[\],.? ]+\s+([A-Za-z_]\w*)\s*\([^;]*$/
+  ]
+};
+
+const extensionLanguages = {
+  ".js": "javascript",
+  ".jsx": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".ts": "javascript",
+  ".tsx": "javascript",
+  ".mts": "javascript",
+  ".cts": "javascript",
+  ".py": "python",
+  ".pyi": "python",
+  ".go": "go",
+  ".rs": "rust",
+  ".c": "c",
+  ".h": "c",
+  ".cc": "c",
+  ".cpp": "c",
+  ".cxx": "c",
+  ".hh": "c",
+  ".hpp": "c",
+  ".hxx": "c",
+  ".java": "java",
+  ".kt": "java",
+  ".scala": "java",
+  ".cs": "java"
+};
+
+const docExtensions = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".mdx": "markdown",
+  ".rst": "rst",
+  ".adoc": "asciidoc",
+  ".asciidoc": "asciidoc",
+  ".asc": "asciidoc"
+};
+
+const leadingLinePattern = /^(?:\/\/|\/\*|\*|#(?![!\w])|#\[|@|"""|''')/;
+
+export const detectLanguage = (filePath) =>
+  extensionLanguages[path.extname(filePath || "").toLowerCase()] || null;
+
+export const detectDocFormat = (filePath) =>
+  docExtensions[path.extname(filePath || "").toLowerCase()] || null;
+
+const measureIndent = (line) => {
+  const match = line.match(/^[ \t]*/);
+  return match ? match[0].replace(/\t/g, "    ").length : 0;
+};
+
+const matchBoundary = (line, patterns) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith("}") || trimmed.startsWith(")")) {
+    return null;
+  }
+  for (const pattern of patterns) {
+    const match = trimmed.match(pattern);
+    if (match) {
+      return { symbol: match[1] || null };
+    }
+  }
+  return null;
+};
+
+const findBoundaries = (lines, start, end, patterns, minIndent) => {
+  const candidates = [];
+  for (let index = start; index < end; index += 1) {
+    const indent = measureIndent(lines[index]);
+    if (indent < minIndent) {
+      continue;
+    }
+    const match = matchBoundary(lines[index], patterns);
+    if (match) {
+      candidates.push({ index, indent, symbol: match.symbol });
+    }
+  }
+  if (candidates.length === 0) {
+    return [];
+  }
+  const outerIndent = Math.min(...candidates.map((item) => item.indent));
+  return candidates
+    .filter((item) => item.indent === outerIndent)
+    .map((item) => {
+      let first = item.index;
+      while (
+        first - 1 >= start &&
+        lines[first - 1].trim() &&
+        measureIndent(lines[first - 1]) === outerIndent &&
+        leadingLinePattern.test(lines[first - 1].trim())
+      ) {
+        first -= 1;
+      }
+      return { ...item, index: first };
+    });
+};
+
+const segmentLength = (lines, start, end) => {
+  let total = 0;
+  for (let index = start; index < end; index += 1) {
+    total += lines[index].length + 1;
+  }
+  return total;
+};
+
+const windowLines = (lines, start, end, symbol, options) => {
+  const windows = [];
+  let cursor = start;
+  while (cursor < end) {
+    if (lines[cursor].length > options.chunkSize) {
+      const line = lines[cursor];
+      for (let offset = 0; offset < line.length; offset += options.chunkSize) {
+        windows.push({
+          start: cursor,
+          end: cursor + 1,
+          symbol,
+          text: line.slice(offset, offset + options.chunkSize)
+        });
+      }
+      cursor += 1;
+      continue;
+    }
+    let stop = cursor;
+    let size = 0;
+    while (
+      stop < end &&
+      lines[stop].length <= options.chunkSize &&
+      size + lines[stop].length + 1 <= options.chunkSize
+    ) {
+      size += lines[stop].length + 1;
+      stop += 1;
+    }
+    stop = Math.max(stop, cursor + 1);
+    windows.push({ start: cursor, end: stop, symbol });
+    if (stop >= end) {
+      break;
+    }
+    let next = stop;
+    let overlap = 0;
+    while (
+      next - 1 > cursor &&
+      overlap + lines[next - 1].length + 1 <= options.chunkOverlap
+    ) {
+      overlap += lines[next - 1].length + 1;
+      next -= 1;
+    }
+    cursor = next;
+  }
+  return windows;
+};
+
+const splitSegment = (lines, segment, patterns, options) => {
+  if (segmentLength(lines, segment.start, segment.end) <= options.chunkSize) {
+    return [segment];
+  }
+  const bodyStart = segment.start + 1;
+  const nested = patterns
+    ? findBoundaries(
+        lines,
+        bodyStart,
+        segment.end,
+        patterns,
+        measureIndent(lines[segment.start]) + 1
+      ).filter((item) => item.index >= bodyStart)
+    : [];
+  if (nested.length === 0) {
+    return windowLines(lines, segment.start, segment.end, segment.symbol, options);
+  }
+  const parts = [];
+  if (nested[0].index > segment.start) {
+    parts.push({
+      start: segment.start,
+      end: nested[0].index,
+      symbol: segment.symbol
+    });
+  }
+  nested.forEach((item, position) => {
+    const end =
+      position + 1 < nested.length ? nested[position + 1].index : segment.end;
+    parts.push({
+      start: item.index,
+      end,
+      symbol:
+        segment.symbol && item.symbol
+          ? `${segment.symbol}.${item.symbol}`
+          : item.symbol || segment.symbol
+    });
+  });
+  return packSegments(lines, parts, options).flatMap((part) =>
+    splitSegment(lines, part, patterns, options)
+  );
+};
+
+const packSegments = (lines, segments, options) => {
+  const packed = [];
+  for (const segment of segments) {
+    const last = packed[packed.length - 1];
+    if (
+      last &&
+      last.end === segment.start &&
+      segmentLength(lines, last.start, segment.end) <= options.chunkSize
+    ) {
+      last.end = segment.end;
+      if (segment.symbol) {
+        last.symbols = [...(last.symbols || []), segment.symbol];
+      }
+      continue;
+    }
+    packed.push({
+      ...segment,
+      symbols: segment.symbol ? [segment.symbol] : []
+    });
+  }
+  return packed.map(({ symbols, ...segment }) => ({
+    ...segment,
+    symbol: symbols[0] || segment.symbol || null,
+    symbols
+  }));
+};
+
+const toChunk = (lines, segment) => {
+  if (segment.text !== undefined) {
+    return {
+      content: segment.text.trim(),
+      startLine: segment.start + 1,
+      endLine: segment.end,
+      symbol: segment.symbol || null
+    };
+  }
+  let start = segment.start;
+  let end = segment.end;
+  while (start < end && !lines[start].trim()) {
+    start += 1;
+  }
+  while (end > start && !lines[end - 1].trim()) {
+    end -= 1;
+  }
+  const chunk = {
+    content: lines.slice(start, end).join("\n"),
+    startLine: start + 1,
+    endLine: end,
+    symbol: segment.symbol || null
+  };
+  if (Array.isArray(segment.symbols) && segment.symbols.length > 1) {
+    chunk.symbols = segment.symbols;
+  }
+  return chunk;
+};
+
+const fencePattern = /^\s*(`{3,}|~{3,})/;
+const rstAdornmentPattern = /^([=\-`:'"~^_*+#<>.])\1{2,}\s*$/;
+
+const cleanHeading = (value) =>
+  value
+    .replace(/\s+#+\s*$/, "")
+    .replace(/[*_`]/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .trim();
+
+const findMarkdownHeadings = (lines) => {
+  const headings = [];
+  let fence = null;
+  const frontMatterEnd = lines[0] === "---" ? lines.indexOf("---", 1) : -1;
+  lines.forEach((line, index) => {
+    if (index <= frontMatterEnd) {
+      return;
+    }
+    const fenceMatch = line.match(fencePattern);
+    if (fenceMatch) {
+      const marker = fenceMatch[1][0];
+      if (!fence) {
+        fence = marker;
+      } else if (fence === marker) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) {
+      return;
+    }
+    const atx = line.match(/^ {0,3}(#{1,6})\s+(.+?)\s*$/);
+    if (atx) {
+      headings.push({ index, level: atx[1].length, title: cleanHeading(atx[2]) });
+      return;
+    }
+    const next = lines[index + 1];
+    if (
+      next !== undefined &&
+      line.trim() &&
+      !/^\s*([-*+>|]|\d+\.)\s/.test(line) &&
+      /^ {0,3}(=+|-+)\s*$/.test(next)
+    ) {
+      headings.push({
+        index,
+        level: next.trim()[0] === "=" ? 1 : 2,
+        title: cleanHeading(line)
+      });
+    }
+  });
+  return headings;
+};
+
+const findRstHeadings = (lines) => {
+  const headings = [];
+  const styles = [];
+  for (let index = 0; index < lines.length - 1; index += 1) {
+    const title = lines[index].trim();
+    const underline = lines[index + 1];
+    if (
+      !title ||
+      rstAdornmentPattern.test(lines[index]) ||
+      !rstAdornmentPattern.test(underline) ||
+      underline.trim().length < title.length
+    ) {
+      continue;
+    }
+    const overline =
+      index > 0 &&
+      rstAdornmentPattern.test(lines[index - 1]) &&
+      lines[index - 1].trim()[0] === underline.trim()[0];
+    const style = `${overline ? "o" : ""}${underline.trim()[0]}`;
+    if (!styles.includes(style)) {
+      styles.push(style);
+    }
+    headings.push({
+      index: overline ? index - 1 : index,
+      level: styles.indexOf(style) + 1,
+      title
+    });
+    index += 1;
+  }
+  return headings;
+};
+
+const findAsciidocHeadings = (lines) => {
+  const headings = [];
+  let delimiter = null;
+  lines.forEach((line, index) => {
+    if (/^(-{4,}|\.{4,}|={4,}|\+{4,}|\/{4,}|_{4,}|\*{4,})\s*$/.test(line)) {
+      const marker = line.trim();
+      delimiter = delimiter === marker ? null : delimiter || marker;
+      return;
+    }
+    if (delimiter) {
+      return;
+    }
+    const match = line.match(/^(={1,6})\s+(.+?)\s*$/);
+    if (match) {
+      headings.push({ index, level: match[1].length, title: cleanHeading(match[2]) });
+    }
+  });
+  return headings;
+};
+
+const headingFinders = {
+  markdown: findMarkdownHeadings,
+  rst: findRstHeadings,
+  asciidoc: findAsciidocHeadings
+};
+
+const chunkDocument = (lines, filePath, format, options) => {
+  const rootTitle = path.basename(filePath, path.extname(filePath));
+  const headings = headingFinders[format](lines).filter((item) => item.title);
+  const sections = [];
+  const stack = [];
+  if (headings.length === 0 || headings[0].index > 0) {
+    sections.push({
+      start: 0,
+      end: headings.length > 0 ? headings[0].index : lines.length,
+      trail: []
+    });
+  }
+  headings.forEach((heading, position) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+    sections.push({
+      start: heading.index,
+      end:
+        position + 1 < headings.length
+          ? headings[position + 1].index
+          : lines.length,
+      trail: stack.map((item) => item.title)
+    });
+  });
+
+  const packed = [];
+  for (const section of sections) {
+    const last = packed[packed.length - 1];
+    const isDescendant =
+      last &&
+      section.trail.length > last.trail.length &&
+      last.trail.every((title, index) => section.trail[index] === title);
+    if (
+      isDescendant &&
+      segmentLength(lines, last.start, section.end) <= options.chunkSize
+    ) {
+      last.end = section.end;
+      continue;
+    }
+    packed.push({ ...section });
+  }
+
+  return packed
+    .flatMap((section) => {
+      const breadcrumb = [rootTitle, ...section.trail].join(" > ");
+      const parts =
+        segmentLength(lines, section.start, section.end) <= options.chunkSize
+          ? [section]
+          : windowLines(lines, section.start, section.end, null, options);
+      return parts.map((part) => {
+        const { content, startLine, endLine } = toChunk(lines, part);
+        return {
+          content,
+          startLine,
+          endLine,
+          breadcrumb,
+          format,
+          embeddingText: `${breadcrumb}\n\n${content}`
+        };
+      });
+    })
+    .filter((chunk) => chunk.content);
+};
+
+export const chunkSourceFile = (text, filePath, options) => {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const docFormat = detectDocFormat(filePath);
+  if (docFormat) {
+    return chunkDocument(lines, filePath, docFormat, options);
+  }
+  const language = detectLanguage(filePath);
+  const patterns = language ? languagePatterns[language] : null;
+  let segments = [{ start: 0, end: lines.length, symbol: null }];
+
+  if (patterns) {
+    const boundaries = findBoundaries(
+      lines,
+      0,
+      lines.length,
+      [...patterns, ...(topLevelPatterns[language] || [])],
+      0
+    );
+    if (boundaries.length > 0) {
+      segments = [];
+      if (boundaries[0].index > 0) {
+        segments.push({ start: 0, end: boundaries[0].index, symbol: null });
+      }
+      boundaries.forEach((item, position) => {
+        const end =
+          position + 1 < boundaries.length
+            ? boundaries[position + 1].index
+            : lines.length;
+        segments.push({ start: item.index, end, symbol: item.symbol });
+      });
+      segments = packSegments(lines, segments, options);
+    }
+  }
+
+  return segments
+    .flatMap((segment) => splitSegment(lines, segment, patterns, options))
+    .map((segment) => toChunk(lines, segment))
+    .filter((chunk) => chunk.content)
+    .map((chunk) => ({ ...chunk, language }));
+};
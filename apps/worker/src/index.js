@@ -3,28 +3,49 @@ import fsSync from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { Worker } from "bullmq";
-import { and, eq, inArray } from "drizzle-orm";
+import { and, eq, inArray, or } from "drizzle-orm";
 import { Client as MinioClient } from "minio";
-import OpenAI from "openai";
 import {
+  INGEST_STRATEGIES,
   JOB_TYPES,
   QUEUE_NAMES,
+  SHOWCASE_IGNORE_FILE,
+  buildArchiveUrl,
+  buildCloneUrl,
+  buildCommitObjectKey,
+  buildCommitUrl,
+  buildCompareUrl,
+  buildFileUrl,
+  buildObjectKey,
+  buildReleaseUrl,
   chunks,
+  compilePathRules,
+  createEmbeddingProvider,
+  createGitProvider,
+  createPathFilter,
+  embeddingCache,
   getRedisConnectionOptions,
   ingestJobs,
-  sources
+  parseGitRemote,
+  parseRepoUrl,
+  projects,
+  rankPathPriority,
+  resolveGitCredentials,
+  resolveProviderHeaders,
+  sources,
+  stripSubpath
 } from "@app/shared";
+import { chunkSourceFile, chunkerVersion } from "./chunking.js";
 import { db, pool } from "./db/index.js";
+import { createRepoSnapshot } from "./snapshot.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.resolve(__dirname, "..", "..", "..");
 
 const connection = getRedisConnectionOptions();
 
-const openaiApiKey = process.env.OPENAI_API_KEY;
-const embeddingModel =
-  process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
-const openai = openaiApiKey ? new OpenAI({ apiKey: openaiApiKey }) : null;
+const embeddingProvider = createEmbeddingProvider();
+const embeddingCacheEnabled = process.env.EMBEDDING_CACHE_ENABLED !== "false";
 
 const minioClient = new MinioClient({
   endPoint: process.env.MINIO_ENDPOINT || "localhost",
@@ -34,7 +55,6 @@ const minioClient = new MinioClient({
   secretKey: process.env.MINIO_SECRET_KEY || "minio123"
 });
 const artifactsBucket = process.env.MINIO_BUCKET_ARTIFACTS || "artifacts";
-const defaultTenantId = process.env.DEFAULT_TENANT_ID || "default";
 
 const maxFiles = Number.parseInt(process.env.INGEST_MAX_FILES || "300", 10);
 const maxFileBytes = Number.parseInt(
@@ -45,6 +65,20 @@ const maxTotalBytes = Number.parseInt(
   process.env.INGEST_MAX_TOTAL_BYTES || "5000000",
   10
 );
+const ingestStrategy = INGEST_STRATEGIES.includes(process.env.INGEST_STRATEGY)
+  ? process.env.INGEST_STRATEGY
+  : "api";
+// Snapshots carry every file at the ref, including the binaries, vendored
+// trees and oversized files that never reach the selected total, so the
+// default leaves headroom over INGEST_MAX_TOTAL_BYTES.
+const maxSnapshotBytes = Number.parseInt(
+  process.env.INGEST_MAX_SNAPSHOT_BYTES || String(maxTotalBytes * 20),
+  10
+);
+const snapshotTimeoutMs = Number.parseInt(
+  process.env.INGEST_SNAPSHOT_TIMEOUT_MS || "300000",
+  10
+);
 const maxChunksPerFile = Number.parseInt(
   process.env.INGEST_MAX_CHUNKS_PER_FILE || "30",
   10
@@ -59,6 +93,34 @@ const chunkOverlap = Number.parseInt(
   10
 );
 
+const commitWindow = Math.max(
+  Number.parseInt(process.env.INGEST_COMMIT_WINDOW || "50", 10) || 0,
+  0
+);
+const maxCommitFiles = Number.parseInt(
+  process.env.INGEST_COMMIT_MAX_FILES || "30",
+  10
+);
+const maxPatchBytes = Number.parseInt(
+  process.env.INGEST_COMMIT_MAX_PATCH_BYTES || "20000",
+  10
+);
+const releaseWindow = Math.min(
+  Math.max(
+    Number.parseInt(process.env.INGEST_RELEASE_WINDOW || "20", 10) || 0,
+    0
+  ),
+  100
+);
+const issueWindow = Math.max(
+  Number.parseInt(process.env.INGEST_ISSUE_WINDOW || "100", 10) || 0,
+  0
+);
+const issueMaxComments = Math.max(
+  Number.parseInt(process.env.INGEST_ISSUE_MAX_COMMENTS || "5", 10) || 0,
+  0
+);
+
 const githubApiBase = "https://api.github.com";
 const githubToken = process.env.GITHUB_API_TOKEN || process.env.GITHUB_TOKEN;
 const githubAppId = process.env.GITHUB_APP_ID;
@@ -147,6 +209,9 @@ const textExtensions = new Set([
   ".md",
   ".markdown",
   ".mdx",
+  ".rst",
+  ".adoc",
+  ".asciidoc",
   ".txt",
   ".js",
   ".jsx",
@@ -154,6 +219,8 @@ const textExtensions = new Set([
   ".tsx",
   ".mjs",
   ".cjs",
+  ".mts",
+  ".cts",
   ".json",
   ".yml",
   ".yaml",
@@ -161,19 +228,25 @@ const textExtensions = new Set([
   ".ini",
   ".env",
   ".py",
+  ".pyi",
   ".rb",
   ".go",
   ".rs",
   ".java",
   ".kt",
   ".kts",
+  ".scala",
   ".swift",
   ".php",
   ".cs",
   ".cpp",
+  ".cc",
+  ".cxx",
   ".c",
   ".h",
   ".hpp",
+  ".hh",
+  ".hxx",
   ".html",
   ".css",
   ".scss",
@@ -382,36 +455,6 @@ const fetchGitHubJson = async (endpoint, options = {}) => {
   }
 };
 
-const parseGitHubRepo = (repoUrl) => {
-  let url;
-  try {
-    url = new URL(repoUrl);
-  } catch {
-    return null;
-  }
-
-  if (url.hostname !== "github.com" && url.hostname !== "www.github.com") {
-    return null;
-  }
-
-  const parts = url.pathname
-    .replace(/^\/+/, "")
-    .replace(/\.git$/, "")
-    .split("/")
-    .filter(Boolean);
-
-  if (parts.length < 2) {
-    return null;
-  }
-
-  const [owner, repo] = parts;
-  if (!owner || !repo) {
-    return null;
-  }
-
-  return { owner, repo };
-};
-
 const ensureBucket = async (bucket) => {
   const exists = await minioClient.bucketExists(bucket).catch(() => false);
   if (!exists) {
@@ -437,7 +480,7 @@ const isLikelyBinary = (buffer) => {
   return nonPrintable / sample.length > 0.2;
 };
 
-const shouldIncludeFile = (filePath, size) => {
+const shouldIncludeFile = (filePath, size, { anyExtension = false } = {}) => {
   if (!filePath) {
     return false;
   }
@@ -456,20 +499,48 @@ const shouldIncludeFile = (filePath, size) => {
     return false;
   }
 
+  if (typeof size === "number" && size > maxFileBytes) {
+    return false;
+  }
+
+  if (anyExtension) {
+    return true;
+  }
+
   const ext = path.extname(normalized);
   if (!ext) {
     return allowedNoExtension.has(baseName);
   }
 
-  if (!textExtensions.has(ext)) {
-    return false;
-  }
+  return textExtensions.has(ext);
+};
 
-  if (typeof size === "number" && size > maxFileBytes) {
-    return false;
-  }
+const createFileFilter = (settings) => {
+  const isAllowedPath = createPathFilter(settings);
+  const anyExtension = compilePathRules(settings.includePaths).length > 0;
+  return (filePath, size) =>
+    isAllowedPath(filePath) &&
+    shouldIncludeFile(stripSubpath(filePath, settings.subpath), size, {
+      anyExtension
+    });
+};
 
-  return true;
+const orderByPriority = (items, priorityPaths, subpath) => {
+  const rules = compilePathRules(priorityPaths);
+  if (rules.length === 0) {
+    return items;
+  }
+  return items
+    .map((item, index) => ({
+      item,
+      index,
+      rank: rankPathPriority(
+        rules,
+        stripSubpath(item.path, subpath) || item.path
+      )
+    }))
+    .sort((left, right) => left.rank - right.rank || left.index - right.index)
+    .map((entry) => entry.item);
 };
 
 const chunkText = (text) => {
@@ -491,22 +562,181 @@ const chunkText = (text) => {
   return chunksList;
 };
 
-const embedChunks = async (chunkTexts) => {
-  if (!openai) {
-    throw new Error("OPENAI_API_KEY is not set");
+const splitDiffHunks = (patch) => {
+  const hunks = [];
+  let current = [];
+  for (const line of patch.replace(/\r\n/g, "\n").split("\n")) {
+    if (line.startsWith("@@") && current.length > 0) {
+      hunks.push(current.join("\n"));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) {
+    hunks.push(current.join("\n"));
+  }
+  return hunks
+    .flatMap((hunk) => (hunk.length > chunkSize * 2 ? chunkText(hunk) : [hunk]))
+    .filter((hunk) => hunk.trim());
+};
+
+const buildCommitDocuments = (gitRepo, commit) => {
+  const { owner, repo } = gitRepo;
+  const sha = commit.sha;
+  const shortSha = sha.slice(0, 7);
+  const message = (commit.commit?.message || "").trim();
+  const subject = message.split("\n")[0] || shortSha;
+  const author =
+    commit.commit?.author?.name || commit.author?.login || "unknown";
+  const committedAt =
+    commit.commit?.author?.date || commit.commit?.committer?.date || null;
+  const commitUrl = commit.html_url || buildCommitUrl(gitRepo, sha);
+  const files = Array.isArray(commit.files) ? commit.files : [];
+  const header = `Commit ${shortSha} by ${author}${
+    committedAt ? ` on ${committedAt}` : ""
+  }\n${subject}`;
+  const baseMetadata = {
+    repo,
+    owner,
+    commitSha: sha,
+    author,
+    committedAt
+  };
+
+  const fileLines = files.map(
+    (file) =>
+      `- ${file.filename} (${file.status}, +${file.additions || 0} -${
+        file.deletions || 0
+      })`
+  );
+  const documents = [
+    {
+      path: null,
+      url: commitUrl,
+      chunks: chunkText(
+        `Commit ${sha} by ${author}${
+          committedAt ? ` on ${committedAt}` : ""
+        }\n\n${message}\n\nFiles changed (${files.length}):\n${fileLines.join(
+          "\n"
+        )}`
+      ).slice(0, maxChunksPerFile),
+      metadata: { ...baseMetadata, kind: "commit" }
+    }
+  ];
+
+  for (const file of files.slice(0, maxCommitFiles)) {
+    const patch = typeof file.patch === "string" ? file.patch : "";
+    if (!patch || patch.length > maxPatchBytes) {
+      continue;
+    }
+    const fileHeader = `${header}\nFile: ${file.filename} (${file.status}, +${
+      file.additions || 0
+    } -${file.deletions || 0})`;
+    const hunks = splitDiffHunks(patch).slice(0, maxChunksPerFile);
+    if (hunks.length === 0) {
+      continue;
+    }
+    documents.push({
+      path: file.filename,
+      url: buildCommitUrl(gitRepo, sha, { path: file.filename }),
+      chunks: hunks.map((hunk) => `${fileHeader}\n\n${hunk}`),
+      metadata: { ...baseMetadata, kind: "diff", fileStatus: file.status }
+    });
+  }
+
+  return documents.filter((document) => document.chunks.length > 0);
+};
+
+const readCachedEmbeddings = async (hashes) => {
+  if (!embeddingCacheEnabled || hashes.length === 0) {
+    return new Map();
+  }
+  try {
+    const rows = await db
+      .select({
+        textHash: embeddingCache.textHash,
+        embedding: embeddingCache.embedding
+      })
+      .from(embeddingCache)
+      .where(
+        and(
+          eq(embeddingCache.model, embeddingProvider.id),
+          inArray(embeddingCache.textHash, hashes)
+        )
+      );
+    return new Map(rows.map((row) => [row.textHash, row.embedding]));
+  } catch (err) {
+    console.warn("[worker] Embedding cache read failed:", err.message || err);
+    return new Map();
+  }
+};
+
+const writeCachedEmbeddings = async (entries) => {
+  if (!embeddingCacheEnabled || entries.length === 0) {
+    return;
   }
+  try {
+    await db
+      .insert(embeddingCache)
+      .values(
+        entries.map(([textHash, embedding]) => ({
+          model: embeddingProvider.id,
+          textHash,
+          embedding
+        }))
+      )
+      .onConflictDoNothing({
+        target: [embeddingCache.model, embeddingCache.textHash]
+      });
+  } catch (err) {
+    console.warn("[worker] Embedding cache write failed:", err.message || err);
+  }
+};
 
-  const response = await openai.embeddings.create({
-    model: embeddingModel,
-    input: chunkTexts
+const embedChunks = async (chunkTexts, stats = null) => {
+  const hashes = chunkTexts.map((text) => hashContent(text));
+  const embeddings = await readCachedEmbeddings(Array.from(new Set(hashes)));
+  const hits = hashes.filter((hash) => embeddings.has(hash)).length;
+  if (stats) {
+    stats.embeddingCacheHits = (stats.embeddingCacheHits || 0) + hits;
+    stats.embeddingCacheMisses =
+      (stats.embeddingCacheMisses || 0) + hashes.length - hits;
+  }
+
+  const missing = new Map();
+  hashes.forEach((hash, index) => {
+    if (!embeddings.has(hash) && !missing.has(hash)) {
+      missing.set(hash, chunkTexts[index]);
+    }
   });
-  return response.data.map((item) => item.embedding);
+  if (missing.size > 0) {
+    const vectors = await embeddingProvider.embed(Array.from(missing.values()));
+    const created = Array.from(missing.keys()).map((hash, index) => [
+      hash,
+      vectors[index]
+    ]);
+    for (const [hash, embedding] of created) {
+      embeddings.set(hash, embedding);
+    }
+    await writeCachedEmbeddings(created);
+  }
+  return hashes.map((hash) => embeddings.get(hash));
 };
 
-const fetchRepoMetadata = async (owner, repo) => {
-  const result = await fetchGitHubJson(`/repos/${owner}/${repo}`, {
-    auth: { owner, repo }
+const resolveGitProvider = (repoUrl) => {
+  const parsed = parseRepoUrl(repoUrl) || parseGitRemote(repoUrl);
+  if (!parsed) {
+    return null;
+  }
+  return createGitProvider(parsed, {
+    githubRequest: (endpoint) =>
+      fetchGitHubJson(endpoint, {
+        auth: { owner: parsed.owner, repo: parsed.repo }
+      })
   });
+};
+
+const unwrapGitResult = (result) => {
   if (result.error) {
     if (result.isRateLimit) {
       throw new Error(
@@ -518,55 +748,304 @@ const fetchRepoMetadata = async (owner, repo) => {
   return result.data;
 };
 
-const fetchRepoTree = async (owner, repo, ref) => {
-  const result = await fetchGitHubJson(
-    `/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`,
-    { auth: { owner, repo } }
-  );
-  if (result.error) {
-    throw new Error(result.error);
+const resolveSnapshotAuth = async (gitRepo) => {
+  if (gitRepo.provider !== "github") {
+    return {
+      headers: resolveProviderHeaders(gitRepo),
+      credentials: resolveGitCredentials(gitRepo)
+    };
   }
-  return result.data;
+  const headers = await getGitHubAuthHeader({
+    owner: gitRepo.owner,
+    repo: gitRepo.repo
+  });
+  const token = (headers.Authorization || "").replace(/^Bearer /, "");
+  return {
+    headers: { Accept: "application/vnd.github+json", ...headers },
+    credentials: token ? { username: "x-access-token", password: token } : null
+  };
+};
+
+const assertSnapshotSize = async (gitRepo) => {
+  if (gitRepo.provider === "git") {
+    return;
+  }
+  const { sizeBytes } = unwrapGitResult(await gitRepo.getRepo());
+  if (Number.isFinite(sizeBytes) && sizeBytes > maxSnapshotBytes) {
+    throw new Error(
+      `Repository is ${sizeBytes} bytes, above the ${maxSnapshotBytes} byte snapshot limit`
+    );
+  }
+};
+
+const openRepoSnapshot = async (gitRepo, strategy, { ref, headSha }) => {
+  if (strategy === "tarball") {
+    await assertSnapshotSize(gitRepo);
+  }
+  const { headers, credentials } = await resolveSnapshotAuth(gitRepo);
+  const pinsCommit = headSha && ref && headSha.startsWith(ref.toLowerCase());
+  return createRepoSnapshot({
+    strategy,
+    remote: buildCloneUrl(gitRepo),
+    archiveUrl:
+      strategy === "tarball" ? buildArchiveUrl(gitRepo, headSha || ref) : null,
+    headers: { "User-Agent": "github-projects-homepage-ai-chat", ...headers },
+    credentials,
+    ref: pinsCommit ? headSha : ref,
+    headSha,
+    maxBytes: maxSnapshotBytes,
+    maxFileBytes,
+    timeoutMs: snapshotTimeoutMs
+  });
+};
+
+const fetchIssueList = async (owner, repo, limit) => {
+  const issues = [];
+  const perPage = Math.min(Math.max(limit, 1), 100);
+  let page = 1;
+  while (issues.length < limit) {
+    const result = await fetchGitHubJson(
+      `/repos/${owner}/${repo}/issues?state=all&sort=updated&direction=desc&per_page=${perPage}&page=${page}`,
+      { auth: { owner, repo } }
+    );
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    const list = Array.isArray(result.data) ? result.data : [];
+    issues.push(...list);
+    if (list.length < perPage) {
+      break;
+    }
+    page += 1;
+  }
+  return issues.slice(0, limit);
 };
 
-const fetchBlob = async (owner, repo, sha) => {
+const fetchIssueComments = async (owner, repo, number, limit) => {
   const result = await fetchGitHubJson(
-    `/repos/${owner}/${repo}/git/blobs/${sha}`,
+    `/repos/${owner}/${repo}/issues/${number}/comments?per_page=${Math.min(
+      Math.max(limit, 1),
+      100
+    )}`,
     { auth: { owner, repo } }
   );
   if (result.error) {
     throw new Error(result.error);
   }
-  return result.data;
+  return (Array.isArray(result.data) ? result.data : []).slice(0, limit);
+};
+
+const buildIssueDocument = (owner, repo, issue, comments) => {
+  const isPullRequest = Boolean(issue.pull_request);
+  const merged = isPullRequest && Boolean(issue.pull_request.merged_at);
+  const labels = (Array.isArray(issue.labels) ? issue.labels : [])
+    .map((label) => (typeof label === "string" ? label : label?.name))
+    .filter(Boolean);
+  const author = issue.user?.login || "unknown";
+  const stateLabel = merged ? "merged" : issue.state;
+  const header = [
+    `${isPullRequest ? "Pull request" : "Issue"} #${issue.number}: ${
+      issue.title || ""
+    }`,
+    `State: ${stateLabel}${labels.length > 0 ? ` | Labels: ${labels.join(", ")}` : ""}`,
+    `Opened by ${author} on ${issue.created_at}${
+      issue.closed_at ? `, closed on ${issue.closed_at}` : ""
+    }`
+  ].join("\n");
+  const commentText = comments
+    .filter((comment) => (comment.body || "").trim())
+    .map(
+      (comment) =>
+        `Comment by ${comment.user?.login || "unknown"} on ${
+          comment.created_at
+        }:\n${comment.body.trim()}`
+    );
+  const text = [(issue.body || "").trim() || "No description.", ...commentText]
+    .join("\n\n")
+    .trim();
+
+  return {
+    refType: isPullRequest ? "pull_request" : "issue",
+    ref: String(issue.number),
+    url:
+      issue.html_url ||
+      `https://github.com/${owner}/${repo}/${isPullRequest ? "pull" : "issues"}/${
+        issue.number
+      }`,
+    chunks: chunkText(text)
+      .slice(0, maxChunksPerFile)
+      .map((chunk) => `${header}\n\n${chunk}`),
+    metadata: {
+      repo,
+      owner,
+      ref: String(issue.number),
+      kind: isPullRequest ? "pull_request" : "issue",
+      number: issue.number,
+      title: issue.title || "",
+      state: issue.state,
+      merged,
+      labels: labels.map((label) => label.toLowerCase()),
+      author,
+      createdAt: issue.created_at || null,
+      updatedAt: issue.updated_at || null,
+      closedAt: issue.closed_at || null
+    }
+  };
 };
 
-const buildObjectKey = (tenantId, owner, repo, ref, filePath) => {
-  const normalizedPath = filePath.replace(/\\/g, "/");
-  const tenantKey = tenantId || defaultTenantId;
-  return `tenants/${tenantKey}/repos/${owner}/${repo}/refs/${ref}/files/${normalizedPath}`;
+const buildReleaseDocuments = (gitRepo, releases, tags) => {
+  const { owner, repo } = gitRepo;
+  const tagShas = new Map(tags.map((tag) => [tag.name, tag.commit?.sha]));
+  const releaseTags = new Set(releases.map((release) => release.tag_name));
+  const entries = [
+    ...releases.map((release) => ({
+      kind: "release",
+      tag: release.tag_name,
+      name: release.name || release.tag_name,
+      publishedAt: release.published_at || release.created_at || null,
+      prerelease: Boolean(release.prerelease),
+      body: (release.body || "").trim(),
+      url: release.html_url || buildReleaseUrl(gitRepo, release.tag_name)
+    })),
+    ...tags
+      .filter((tag) => !releaseTags.has(tag.name))
+      .map((tag) => ({
+        kind: "tag",
+        tag: tag.name,
+        name: tag.name,
+        publishedAt: null,
+        prerelease: false,
+        body: "",
+        url: buildReleaseUrl(gitRepo, tag.name)
+      }))
+  ].slice(0, releaseWindow);
+
+  return entries.map((entry, index) => {
+    const previous = entries
+      .slice(index + 1)
+      .find((candidate) => candidate.kind === entry.kind);
+    const compareUrl = previous
+      ? buildCompareUrl(gitRepo, previous.tag, entry.tag)
+      : null;
+    const commitSha = tagShas.get(entry.tag) || null;
+    const headerLines = [
+      entry.kind === "release"
+        ? `Release ${entry.name} (tag ${entry.tag})${
+            entry.prerelease ? " [pre-release]" : ""
+          }`
+        : `Tag ${entry.tag}`,
+      entry.publishedAt ? `Published: ${entry.publishedAt}` : null,
+      commitSha ? `Commit: ${commitSha}` : null,
+      compareUrl
+        ? `Changes since ${previous.tag}: ${previous.tag}...${entry.tag} (${compareUrl})`
+        : null
+    ].filter(Boolean);
+    const header = headerLines.join("\n");
+    const notes = entry.body || "No release notes.";
+    return {
+      tag: entry.tag,
+      url: entry.url,
+      commitSha,
+      contentHash: hashContent(`${header}\n\n${notes}`),
+      chunks: chunkText(notes)
+        .slice(0, maxChunksPerFile)
+        .map((chunk) => `${header}\n\n${chunk}`),
+      metadata: {
+        repo,
+        owner,
+        ref: entry.tag,
+        kind: entry.kind,
+        tag: entry.tag,
+        releaseName: entry.name,
+        publishedAt: entry.publishedAt,
+        prerelease: entry.prerelease,
+        previousTag: previous?.tag || null,
+        compareUrl
+      }
+    };
+  });
 };
 
-const purgeExistingSources = async ({ projectId, owner, repo }) => {
+const buildSourcePredicate = (
+  { projectId, owner, repo, ref = null },
+  refType = "branch"
+) => {
   if (!projectId && (!owner || !repo)) {
-    return;
+    return null;
   }
-  const predicate = projectId
+  const scope = projectId
     ? eq(sources.projectId, projectId)
     : and(eq(sources.repoOwner, owner), eq(sources.repoName, repo));
-  const existing = await db
-    .select({ id: sources.id })
-    .from(sources)
-    .where(predicate);
+  return ref
+    ? and(scope, eq(sources.refType, refType), eq(sources.ref, ref))
+    : and(scope, eq(sources.refType, refType));
+};
 
-  if (existing.length === 0) {
+const deleteSourcesByIds = async (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
     return;
   }
-
-  const ids = existing.map((row) => row.id);
   await db.delete(chunks).where(inArray(chunks.sourceId, ids));
   await db.delete(sources).where(inArray(sources.id, ids));
 };
 
+const fetchProjectIngestSettings = async (projectId) => {
+  if (!projectId) {
+    return {};
+  }
+  const [row] = await db
+    .select({
+      subpath: projects.subpath,
+      refs: projects.refs,
+      includePaths: projects.includePaths,
+      excludePaths: projects.excludePaths,
+      priorityPaths: projects.priorityPaths
+    })
+    .from(projects)
+    .where(eq(projects.id, projectId))
+    .limit(1);
+  return row || {};
+};
+
+const fetchExistingFileSources = async (scope) => {
+  const predicate = buildSourcePredicate(scope);
+  if (!predicate) {
+    return [];
+  }
+  return db
+    .select({
+      id: sources.id,
+      path: sources.path,
+      ref: sources.ref,
+      blobSha: sources.blobSha,
+      contentHash: sources.contentHash,
+      chunkerVersion: sources.chunkerVersion
+    })
+    .from(sources)
+    .where(predicate);
+};
+
+const purgeExistingSources = async (scope) => {
+  const existing = await fetchExistingFileSources(scope);
+  await deleteSourcesByIds(existing.map((row) => row.id));
+};
+
+const removeStoredObjects = async (objectKeys) => {
+  for (const objectKey of objectKeys) {
+    await minioClient
+      .removeObject(artifactsBucket, objectKey)
+      .catch((err) =>
+        console.warn(
+          `[worker] Failed to remove ${objectKey}:`,
+          err.message || err
+        )
+      );
+  }
+};
+
+const hashContent = (text) =>
+  crypto.createHash("sha256").update(text).digest("hex");
+
 const updateJob = async (ingestJobId, values) => {
   if (!ingestJobId) {
     return;
@@ -605,44 +1084,279 @@ const cancelIfRequested = async (ingestJobId) => {
   return true;
 };
 
-const ingestRepo = async ({ repoUrl, ingestJobId, projectId, tenantId }) => {
-  const parsed = parseGitHubRepo(repoUrl);
-  if (!parsed) {
+const resolveIngestRef = async (gitRepo, ref) => {
+  if (gitRepo.provider === "git") {
+    return { ref, headSha: null };
+  }
+  if (!ref) {
+    const repoInfo = unwrapGitResult(await gitRepo.getRepo());
+    return {
+      ref: repoInfo.defaultBranch,
+      headSha: unwrapGitResult(
+        await gitRepo.getBranchHead(repoInfo.defaultBranch)
+      )
+    };
+  }
+  const [head] = unwrapGitResult(await gitRepo.listCommits(ref, 1));
+  if (!head?.sha) {
+    throw new Error(`Ref ${ref} not found`);
+  }
+  return { ref, headSha: head.sha };
+};
+
+const buildIgnorePath = (subpath) =>
+  subpath ? `${subpath}/${SHOWCASE_IGNORE_FILE}` : SHOWCASE_IGNORE_FILE;
+
+// Only a missing file means "no ignore rules"; indexing everything after a
+// transient provider error would expose paths the owner excluded.
+const fetchIgnoreText = async (gitRepo, ignorePath, ref) => {
+  const ignoreFile = await gitRepo.getFile(ignorePath, ref);
+  return ignoreFile.status === 404
+    ? null
+    : unwrapGitResult(ignoreFile).content.toString("utf8");
+};
+
+const ingestRepoRef = async ({
+  gitRepo,
+  ref,
+  strategy,
+  settings,
+  ignorePath,
+  ...options
+}) => {
+  const target = await resolveIngestRef(gitRepo, ref);
+  if (strategy !== "api") {
+    const snapshot = await openRepoSnapshot(gitRepo, strategy, target);
+    try {
+      const ignoreText = await snapshot
+        .readFile({ path: ignorePath })
+        .then((buffer) => buffer.toString("utf8"))
+        .catch((err) => {
+          if (err.code === "ENOENT") {
+            return null;
+          }
+          throw err;
+        });
+      const isIncluded = createFileFilter({ ...settings, ignoreText });
+      const resolvedRef = target.ref || snapshot.ref || "main";
+      const result = await ingestRepoFiles({
+        gitRepo,
+        ref: resolvedRef,
+        headSha: snapshot.headSha,
+        treeItems: await snapshot.listFiles(isIncluded),
+        readFile: snapshot.readFile,
+        isIncluded,
+        priorityPaths: settings.priorityPaths,
+        subpath: settings.subpath || null,
+        ...options
+      });
+      return { ...result, ref: resolvedRef };
+    } finally {
+      await snapshot.cleanup();
+    }
+  }
+
+  const headRef = target.headSha || target.ref;
+  const ignoreText = await fetchIgnoreText(gitRepo, ignorePath, headRef);
+  const result = await ingestRepoFiles({
+    gitRepo,
+    ref: target.ref,
+    headSha: target.headSha,
+    isIncluded: createFileFilter({ ...settings, ignoreText }),
+    priorityPaths: settings.priorityPaths,
+    subpath: settings.subpath || null,
+    treeItems: unwrapGitResult(await gitRepo.listTree(headRef)),
+    readFile: async (file) =>
+      unwrapGitResult(
+        await gitRepo.getBlob({
+          sha: file.sha,
+          path: file.path,
+          ref: headRef
+        })
+      ),
+    ...options
+  });
+  return { ...result, ref: target.ref };
+};
+
+const purgeStaleRefSources = async (scope, refs, tenantId) => {
+  const staleRows = (await fetchExistingFileSources(scope)).filter(
+    (row) => !refs.includes(row.ref)
+  );
+  await deleteSourcesByIds(staleRows.map((row) => row.id));
+  await removeStoredObjects(
+    staleRows
+      .filter((row) => row.path && row.ref)
+      .map((row) =>
+        buildObjectKey(tenantId, scope.owner, scope.repo, row.ref, row.path)
+      )
+  );
+  return staleRows.length;
+};
+
+const ingestRepo = async ({
+  repoUrl,
+  ingestJobId,
+  projectId,
+  tenantId,
+  fullReindex = false,
+  paths = null,
+  strategy = null,
+  ref = null
+}) => {
+  const gitRepo = resolveGitProvider(repoUrl);
+  if (!gitRepo) {
     throw new Error("Invalid repo URL");
   }
+  const resolvedStrategy =
+    gitRepo.provider === "git"
+      ? "clone"
+      : INGEST_STRATEGIES.includes(strategy)
+      ? strategy
+      : ingestStrategy;
+  const targetPaths =
+    !fullReindex && paths
+      ? new Set([
+          ...(Array.isArray(paths.changed) ? paths.changed : []),
+          ...(Array.isArray(paths.removed) ? paths.removed : [])
+        ])
+      : null;
+
+  const settings = await fetchProjectIngestSettings(projectId);
+  const subpath = settings.subpath || null;
+  const configuredRefs = Array.isArray(settings.refs) ? settings.refs : [];
+  const refs = ref
+    ? [ref]
+    : configuredRefs.length > 0
+    ? configuredRefs
+    : [null];
 
-  console.log(`[worker] Starting ingest for ${parsed.owner}/${parsed.repo}`);
+  console.log(
+    `[worker] Starting ${targetPaths ? "targeted " : ""}ingest for ${
+      gitRepo.owner
+    }/${gitRepo.repo}${subpath ? `:${subpath}` : ""}${
+      refs[0] ? ` @ ${refs.join(", ")}` : ""
+    } (${resolvedStrategy})`
+  );
   if (await cancelIfRequested(ingestJobId)) {
     return { canceled: true };
   }
   await ensureBucket(artifactsBucket);
 
-  const repoInfo = await fetchRepoMetadata(parsed.owner, parsed.repo);
-  const defaultBranch = repoInfo.default_branch || "main";
-  const tree = await fetchRepoTree(parsed.owner, parsed.repo, defaultBranch);
-  const treeItems = Array.isArray(tree.tree) ? tree.tree : [];
+  const totals = {
+    filesProcessed: 0,
+    chunksStored: 0,
+    filesAdded: 0,
+    filesModified: 0,
+    filesUnchanged: 0,
+    filesDeleted: 0,
+    embeddingCacheHits: 0,
+    embeddingCacheMisses: 0
+  };
+  const ingestedRefs = [];
+  for (const requestedRef of refs) {
+    const result = await ingestRepoRef({
+      gitRepo,
+      ref: requestedRef,
+      strategy: resolvedStrategy,
+      settings,
+      ignorePath: buildIgnorePath(subpath),
+      ingestJobId,
+      projectId,
+      tenantId,
+      fullReindex,
+      targetPaths
+    });
+    if (result.canceled) {
+      return result;
+    }
+    ingestedRefs.push(result.ref);
+    for (const key of Object.keys(totals)) {
+      totals[key] += result[key] || 0;
+    }
+  }
 
-  await purgeExistingSources({
+  if (!ref && projectId) {
+    totals.filesDeleted += await purgeStaleRefSources(
+      { projectId, owner: gitRepo.owner, repo: gitRepo.repo },
+      ingestedRefs,
+      tenantId
+    );
+  }
+  if (refs.length > 1) {
+    await updateJob(ingestJobId, {
+      filesProcessed: totals.filesProcessed,
+      chunksStored: totals.chunksStored,
+      stats: {
+        filesAdded: totals.filesAdded,
+        filesModified: totals.filesModified,
+        filesUnchanged: totals.filesUnchanged,
+        filesDeleted: totals.filesDeleted,
+        embeddingCacheHits: totals.embeddingCacheHits,
+        embeddingCacheMisses: totals.embeddingCacheMisses
+      },
+      lastMessage: `Completed ${totals.filesProcessed} files across ${ingestedRefs.join(
+        ", "
+      )}`
+    });
+  }
+  return { ...totals, refs: ingestedRefs };
+};
+
+const ingestRepoFiles = async ({
+  gitRepo,
+  ref,
+  headSha,
+  treeItems,
+  readFile,
+  isIncluded,
+  priorityPaths,
+  subpath,
+  ingestJobId,
+  projectId,
+  tenantId,
+  fullReindex,
+  targetPaths
+}) => {
+  const sourceScope = {
     projectId,
-    owner: parsed.owner,
-    repo: parsed.repo
-  });
+    owner: gitRepo.owner,
+    repo: gitRepo.repo,
+    ref
+  };
+  if (fullReindex) {
+    await purgeExistingSources(sourceScope);
+  }
+  const existingRows = fullReindex
+    ? []
+    : (await fetchExistingFileSources(sourceScope)).filter(
+        (row) => !targetPaths || targetPaths.has(row.path)
+      );
+  const existingByPath = new Map();
+  for (const row of existingRows) {
+    const list = existingByPath.get(row.path) || [];
+    list.push(row);
+    existingByPath.set(row.path, list);
+  }
 
   const selected = [];
   let totalBytes = 0;
-  for (const item of treeItems) {
+  for (const item of orderByPriority(treeItems, priorityPaths, subpath)) {
     if (await cancelIfRequested(ingestJobId)) {
       return { canceled: true };
     }
     if (item.type !== "blob") {
       continue;
     }
-    if (!shouldIncludeFile(item.path, item.size)) {
+    if (targetPaths && !targetPaths.has(item.path)) {
+      continue;
+    }
+    if (!isIncluded(item.path, item.size)) {
       continue;
     }
     if (typeof item.size === "number") {
       if (totalBytes + item.size > maxTotalBytes) {
-        break;
+        continue;
       }
       totalBytes += item.size;
     }
@@ -652,51 +1366,109 @@ const ingestRepo = async ({ repoUrl, ingestJobId, projectId, tenantId }) => {
     }
   }
 
-  if (selected.length === 0) {
+  if (selected.length === 0 && !targetPaths) {
     throw new Error("No eligible files found to ingest.");
   }
 
+  const selectedPaths = new Set(selected.map((item) => item.path));
+  const removedRows = existingRows.filter(
+    (row) => !selectedPaths.has(row.path)
+  );
+  await deleteSourcesByIds(removedRows.map((row) => row.id));
+  await removeStoredObjects(
+    removedRows
+      .filter((row) => row.path && row.ref)
+      .map((row) =>
+        buildObjectKey(tenantId, gitRepo.owner, gitRepo.repo, row.ref, row.path)
+      )
+  );
+
+  const stats = {
+    filesAdded: 0,
+    filesModified: 0,
+    filesUnchanged: 0,
+    filesDeleted: removedRows.length,
+    embeddingCacheHits: 0,
+    embeddingCacheMisses: 0
+  };
+  const pending = [];
+  for (const item of selected) {
+    const previous = existingByPath.get(item.path) || [];
+    const isUnchanged =
+      previous.length === 1 &&
+      item.sha &&
+      previous[0].blobSha === item.sha &&
+      previous[0].ref === ref &&
+      previous[0].chunkerVersion === chunkerVersion;
+    if (isUnchanged) {
+      stats.filesUnchanged += 1;
+      continue;
+    }
+    pending.push({ file: item, previous });
+  }
+
+  let filesProcessed = stats.filesUnchanged;
+  let chunksStored = 0;
+
   await updateJob(ingestJobId, {
     totalFiles: selected.length,
     totalBytes,
-    filesProcessed: 0,
-    chunksStored: 0,
-    lastMessage: `Selected ${selected.length} files`
+    filesProcessed,
+    chunksStored,
+    stats,
+    lastMessage: `Selected ${selected.length} files (${pending.length} changed)`
   });
   console.log(
-    `[worker] ${parsed.owner}/${parsed.repo}: selected ${selected.length} files (${totalBytes} bytes)`
+    `[worker] ${gitRepo.owner}/${gitRepo.repo}: selected ${selected.length} files (${totalBytes} bytes), ${pending.length} changed, ${removedRows.length} removed`
   );
 
-  let filesProcessed = 0;
-  let chunksStored = 0;
-
-  for (const file of selected) {
+  for (const { file, previous } of pending) {
     if (await cancelIfRequested(ingestJobId)) {
       return { canceled: true };
     }
-    const blob = await fetchBlob(parsed.owner, parsed.repo, file.sha);
-    const buffer = Buffer.from(blob.content || "", "base64");
-    if (isLikelyBinary(buffer)) {
-      continue;
-    }
-
-    const text = buffer.toString("utf8");
-    if (!text.trim()) {
+    const previousIds = previous.map((row) => row.id);
+    const buffer = await readFile(file);
+    const text =
+      buffer.length > maxFileBytes || isLikelyBinary(buffer)
+        ? ""
+        : buffer.toString("utf8");
+    const chunksList = text.trim()
+      ? chunkSourceFile(text, file.path, { chunkSize, chunkOverlap }).slice(
+          0,
+          maxChunksPerFile
+        )
+      : [];
+    if (chunksList.length === 0) {
+      await deleteSourcesByIds(previousIds);
       continue;
     }
 
-    const chunksList = chunkText(text).slice(0, maxChunksPerFile);
-    if (chunksList.length === 0) {
+    const contentHash = hashContent(text);
+    if (
+      previous.length === 1 &&
+      previous[0].contentHash === contentHash &&
+      previous[0].ref === ref &&
+      previous[0].chunkerVersion === chunkerVersion
+    ) {
+      await db
+        .update(sources)
+        .set({ blobSha: file.sha })
+        .where(eq(sources.id, previous[0].id));
+      stats.filesUnchanged += 1;
+      filesProcessed += 1;
       continue;
     }
 
-    const embeddings = await embedChunks(chunksList);
+    const embeddings = await embedChunks(
+      chunksList.map((chunk) => chunk.embeddingText || chunk.content),
+      stats
+    );
 
     const objectKey = buildObjectKey(
       tenantId,
-      parsed.owner,
-      parsed.repo,
-      defaultBranch,
+      gitRepo.owner,
+      gitRepo.repo,
+      ref,
       file.path
     );
 
@@ -704,33 +1476,51 @@ const ingestRepo = async ({ repoUrl, ingestJobId, projectId, tenantId }) => {
       "Content-Type": "text/plain"
     });
 
+    await deleteSourcesByIds(previousIds);
     const [sourceRow] = await db
       .insert(sources)
       .values({
         projectId: projectId || null,
-        repoOwner: parsed.owner,
-        repoName: parsed.repo,
+        repoOwner: gitRepo.owner,
+        repoName: gitRepo.repo,
         refType: "branch",
-        ref: defaultBranch,
+        ref,
         path: file.path,
-        url: `https://github.com/${parsed.owner}/${parsed.repo}/blob/${defaultBranch}/${file.path}`
+        commitSha: headSha,
+        blobSha: file.sha,
+        contentHash,
+        chunkerVersion,
+        url: buildFileUrl(gitRepo, { ref, path: file.path })
       })
       .returning({ id: sources.id });
 
     const chunkRows = chunksList.map((chunk, index) => ({
       sourceId: sourceRow.id,
-      content: chunk,
+      tenantId: tenantId || null,
+      content: chunk.content,
       embedding: embeddings[index],
       metadata: {
-        repo: parsed.repo,
-        owner: parsed.owner,
-        ref: defaultBranch,
+        repo: gitRepo.repo,
+        owner: gitRepo.owner,
+        ref,
         path: file.path,
-        chunkIndex: index
+        chunkIndex: index,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        ...(chunk.language ? { language: chunk.language } : {}),
+        ...(chunk.format ? { format: chunk.format } : {}),
+        ...(chunk.breadcrumb ? { breadcrumb: chunk.breadcrumb } : {}),
+        ...(chunk.symbol ? { symbol: chunk.symbol } : {}),
+        ...(chunk.symbols ? { symbols: chunk.symbols } : {})
       }
     }));
 
     await db.insert(chunks).values(chunkRows);
+    if (previous.length > 0) {
+      stats.filesModified += 1;
+    } else {
+      stats.filesAdded += 1;
+    }
     filesProcessed += 1;
     chunksStored += chunkRows.length;
 
@@ -738,10 +1528,11 @@ const ingestRepo = async ({ repoUrl, ingestJobId, projectId, tenantId }) => {
       await updateJob(ingestJobId, {
         filesProcessed,
         chunksStored,
+        stats,
         lastMessage: `Processed ${filesProcessed}/${selected.length} files`
       });
       console.log(
-        `[worker] ${parsed.owner}/${parsed.repo}: ${filesProcessed}/${selected.length} files, ${chunksStored} chunks`
+        `[worker] ${gitRepo.owner}/${gitRepo.repo}: ${filesProcessed}/${selected.length} files, ${chunksStored} chunks`
       );
     }
   }
@@ -749,23 +1540,480 @@ const ingestRepo = async ({ repoUrl, ingestJobId, projectId, tenantId }) => {
   await updateJob(ingestJobId, {
     filesProcessed,
     chunksStored,
-    lastMessage: `Completed ${filesProcessed} files`
+    stats,
+    lastMessage: `Completed ${filesProcessed} files (${stats.filesAdded} added, ${stats.filesModified} modified, ${stats.filesDeleted} removed)`
+  });
+  console.log(
+    `[worker] Completed ${gitRepo.owner}/${gitRepo.repo}@${ref}: ${filesProcessed} files, ${chunksStored} chunks, ${stats.filesUnchanged} unchanged, ${stats.embeddingCacheHits}/${stats.embeddingCacheHits + stats.embeddingCacheMisses} embeddings cached`
+  );
+
+  return { filesProcessed, chunksStored, ...stats };
+};
+
+const ingestCommits = async ({
+  repoUrl,
+  ingestJobId,
+  projectId,
+  tenantId,
+  fullReindex = false
+}) => {
+  const gitRepo = resolveGitProvider(repoUrl);
+  if (!gitRepo) {
+    throw new Error("Invalid repo URL");
+  }
+  if (commitWindow <= 0 || gitRepo.provider === "git") {
+    return { commitsProcessed: 0, chunksStored: 0, skipped: true };
+  }
+
+  console.log(
+    `[worker] Starting commit ingest for ${gitRepo.owner}/${gitRepo.repo}`
+  );
+  if (await cancelIfRequested(ingestJobId)) {
+    return { canceled: true };
+  }
+  await ensureBucket(artifactsBucket);
+
+  const settings = await fetchProjectIngestSettings(projectId);
+  const subpath = settings.subpath || null;
+  const historyRef =
+    Array.isArray(settings.refs) && settings.refs[0]
+      ? settings.refs[0]
+      : unwrapGitResult(await gitRepo.getRepo()).defaultBranch;
+  const commitList = unwrapGitResult(
+    await gitRepo.listCommits(historyRef, commitWindow, { path: subpath })
+  );
+  const isIncluded = createFileFilter({
+    ...settings,
+    ignoreText: await fetchIgnoreText(
+      gitRepo,
+      buildIgnorePath(subpath),
+      historyRef
+    )
+  });
+
+  const sourceScope = {
+    projectId,
+    owner: gitRepo.owner,
+    repo: gitRepo.repo
+  };
+  const predicate = buildSourcePredicate(sourceScope, "commit");
+  if (fullReindex && predicate) {
+    const staleRows = await db
+      .select({ id: sources.id })
+      .from(sources)
+      .where(predicate);
+    await deleteSourcesByIds(staleRows.map((row) => row.id));
+  }
+  const existingRows = predicate
+    ? await db
+        .select({ id: sources.id, commitSha: sources.commitSha })
+        .from(sources)
+        .where(predicate)
+    : [];
+  const windowShas = new Set(commitList.map((commit) => commit.sha));
+  const indexedShas = new Set();
+  const expiredIds = [];
+  for (const row of existingRows) {
+    if (windowShas.has(row.commitSha)) {
+      indexedShas.add(row.commitSha);
+    } else {
+      expiredIds.push(row.id);
+    }
+  }
+  await deleteSourcesByIds(expiredIds);
+
+  const pending = commitList.filter((commit) => !indexedShas.has(commit.sha));
+  await updateJob(ingestJobId, {
+    totalFiles: pending.length,
+    filesProcessed: 0,
+    chunksStored: 0,
+    lastMessage: `Selected ${pending.length} new commits (${commitList.length} in window)`
+  });
+
+  let commitsProcessed = 0;
+  let chunksStored = 0;
+  const stats = { embeddingCacheHits: 0, embeddingCacheMisses: 0 };
+  for (const summary of pending) {
+    if (await cancelIfRequested(ingestJobId)) {
+      return { canceled: true };
+    }
+    const commit = unwrapGitResult(await gitRepo.getCommit(summary.sha));
+    if (Array.isArray(commit.files)) {
+      commit.files = commit.files.filter((file) => isIncluded(file.filename));
+    }
+    const documents = buildCommitDocuments(gitRepo, commit);
+    const patchText = (Array.isArray(commit.files) ? commit.files : [])
+      .filter((file) => typeof file.patch === "string")
+      .map(
+        (file) =>
+          `diff --git a/${file.previous_filename || file.filename} b/${
+            file.filename
+          }\n${file.patch}`
+      )
+      .join("\n");
+    if (patchText) {
+      await minioClient.putObject(
+        artifactsBucket,
+        buildCommitObjectKey(tenantId, gitRepo.owner, gitRepo.repo, commit.sha),
+        patchText,
+        { "Content-Type": "text/plain" }
+      );
+    }
+
+    for (const document of documents) {
+      const embeddings = await embedChunks(document.chunks, stats);
+      const [sourceRow] = await db
+        .insert(sources)
+        .values({
+          projectId: projectId || null,
+          repoOwner: gitRepo.owner,
+          repoName: gitRepo.repo,
+          refType: "commit",
+          ref: historyRef,
+          path: document.path,
+          commitSha: commit.sha,
+          url: document.url
+        })
+        .returning({ id: sources.id });
+      const chunkRows = document.chunks.map((chunk, index) => ({
+        sourceId: sourceRow.id,
+        tenantId: tenantId || null,
+        content: chunk,
+        embedding: embeddings[index],
+        metadata: {
+          ...document.metadata,
+          ref: historyRef,
+          path: document.path,
+          chunkIndex: index
+        }
+      }));
+      await db.insert(chunks).values(chunkRows);
+      chunksStored += chunkRows.length;
+    }
+
+    commitsProcessed += 1;
+    if (commitsProcessed % progressInterval === 0) {
+      await updateJob(ingestJobId, {
+        filesProcessed: commitsProcessed,
+        chunksStored,
+        stats,
+        lastMessage: `Processed ${commitsProcessed}/${pending.length} commits`
+      });
+    }
+  }
+
+  await updateJob(ingestJobId, {
+    filesProcessed: commitsProcessed,
+    chunksStored,
+    stats,
+    lastMessage: `Completed ${commitsProcessed} commits (${expiredIds.length} expired sources removed)`
+  });
+  console.log(
+    `[worker] Completed commits for ${gitRepo.owner}/${gitRepo.repo}: ${commitsProcessed} commits, ${chunksStored} chunks`
+  );
+
+  return { commitsProcessed, chunksStored, ...stats };
+};
+
+const ingestReleases = async ({
+  repoUrl,
+  ingestJobId,
+  projectId,
+  tenantId,
+  fullReindex = false
+}) => {
+  const gitRepo = resolveGitProvider(repoUrl);
+  if (!gitRepo) {
+    throw new Error("Invalid repo URL");
+  }
+  if (releaseWindow <= 0 || gitRepo.provider === "git") {
+    return { releasesProcessed: 0, chunksStored: 0, skipped: true };
+  }
+
+  console.log(
+    `[worker] Starting release ingest for ${gitRepo.owner}/${gitRepo.repo}`
+  );
+  if (await cancelIfRequested(ingestJobId)) {
+    return { canceled: true };
+  }
+
+  const releases = unwrapGitResult(
+    await gitRepo.listReleases(releaseWindow)
+  ).filter((release) => release.tag_name && !release.draft);
+  const tags = unwrapGitResult(await gitRepo.listTags());
+  const documents = buildReleaseDocuments(gitRepo, releases, tags).filter(
+    (document) => document.chunks.length > 0
+  );
+
+  const predicate = buildSourcePredicate(
+    { projectId, owner: gitRepo.owner, repo: gitRepo.repo },
+    "release"
+  );
+  const existingRows = predicate
+    ? await db
+        .select({
+          id: sources.id,
+          ref: sources.ref,
+          contentHash: sources.contentHash
+        })
+        .from(sources)
+        .where(predicate)
+    : [];
+  const documentsByTag = new Map(
+    documents.map((document) => [document.tag, document])
+  );
+  const unchangedTags = new Set();
+  const staleIds = [];
+  for (const row of existingRows) {
+    const document = documentsByTag.get(row.ref);
+    if (
+      !fullReindex &&
+      document &&
+      document.contentHash === row.contentHash &&
+      !unchangedTags.has(row.ref)
+    ) {
+      unchangedTags.add(row.ref);
+    } else {
+      staleIds.push(row.id);
+    }
+  }
+  await deleteSourcesByIds(staleIds);
+
+  const pending = documents.filter(
+    (document) => !unchangedTags.has(document.tag)
+  );
+  await updateJob(ingestJobId, {
+    totalFiles: pending.length,
+    filesProcessed: 0,
+    chunksStored: 0,
+    lastMessage: `Selected ${pending.length} changed releases (${documents.length} total)`
+  });
+
+  let releasesProcessed = 0;
+  let chunksStored = 0;
+  const stats = { embeddingCacheHits: 0, embeddingCacheMisses: 0 };
+  for (const document of pending) {
+    if (await cancelIfRequested(ingestJobId)) {
+      return { canceled: true };
+    }
+    const embeddings = await embedChunks(document.chunks, stats);
+    const [sourceRow] = await db
+      .insert(sources)
+      .values({
+        projectId: projectId || null,
+        repoOwner: gitRepo.owner,
+        repoName: gitRepo.repo,
+        refType: "release",
+        ref: document.tag,
+        path: null,
+        commitSha: document.commitSha,
+        contentHash: document.contentHash,
+        url: document.url
+      })
+      .returning({ id: sources.id });
+    const chunkRows = document.chunks.map((chunk, index) => ({
+      sourceId: sourceRow.id,
+      tenantId: tenantId || null,
+      content: chunk,
+      embedding: embeddings[index],
+      metadata: { ...document.metadata, chunkIndex: index }
+    }));
+    await db.insert(chunks).values(chunkRows);
+    chunksStored += chunkRows.length;
+
+    releasesProcessed += 1;
+    if (releasesProcessed % progressInterval === 0) {
+      await updateJob(ingestJobId, {
+        filesProcessed: releasesProcessed,
+        chunksStored,
+        stats,
+        lastMessage: `Processed ${releasesProcessed}/${pending.length} releases`
+      });
+    }
+  }
+
+  await updateJob(ingestJobId, {
+    filesProcessed: releasesProcessed,
+    chunksStored,
+    stats,
+    lastMessage: `Completed ${releasesProcessed} releases (${staleIds.length} stale sources removed)`
+  });
+  console.log(
+    `[worker] Completed releases for ${gitRepo.owner}/${gitRepo.repo}: ${releasesProcessed} releases, ${chunksStored} chunks`
+  );
+
+  return { releasesProcessed, chunksStored, ...stats };
+};
+
+const ingestIssues = async ({
+  repoUrl,
+  ingestJobId,
+  projectId,
+  tenantId,
+  fullReindex = false
+}) => {
+  const gitRepo = resolveGitProvider(repoUrl);
+  if (!gitRepo) {
+    throw new Error("Invalid repo URL");
+  }
+  if (issueWindow <= 0 || gitRepo.provider !== "github") {
+    return { issuesProcessed: 0, chunksStored: 0, skipped: true };
+  }
+
+  console.log(
+    `[worker] Starting issue ingest for ${gitRepo.owner}/${gitRepo.repo}`
+  );
+  if (await cancelIfRequested(ingestJobId)) {
+    return { canceled: true };
+  }
+
+  const issues = await fetchIssueList(gitRepo.owner, gitRepo.repo, issueWindow);
+  const sourceScope = {
+    projectId,
+    owner: gitRepo.owner,
+    repo: gitRepo.repo
+  };
+  const predicates = ["issue", "pull_request"]
+    .map((refType) => buildSourcePredicate(sourceScope, refType))
+    .filter(Boolean);
+  const existingRows =
+    predicates.length > 0
+      ? await db
+          .select({
+            id: sources.id,
+            ref: sources.ref,
+            contentHash: sources.contentHash
+          })
+          .from(sources)
+          .where(or(...predicates))
+      : [];
+  const issuesByRef = new Map(
+    issues.map((issue) => [String(issue.number), issue])
+  );
+  const unchangedRefs = new Set();
+  const staleIds = [];
+  for (const row of existingRows) {
+    const issue = issuesByRef.get(row.ref);
+    if (
+      !fullReindex &&
+      issue &&
+      hashContent(issue.updated_at || "") === row.contentHash &&
+      !unchangedRefs.has(row.ref)
+    ) {
+      unchangedRefs.add(row.ref);
+    } else {
+      staleIds.push(row.id);
+    }
+  }
+  await deleteSourcesByIds(staleIds);
+
+  const pending = issues.filter(
+    (issue) => !unchangedRefs.has(String(issue.number))
+  );
+  await updateJob(ingestJobId, {
+    totalFiles: pending.length,
+    filesProcessed: 0,
+    chunksStored: 0,
+    lastMessage: `Selected ${pending.length} updated issues and pull requests (${issues.length} in window)`
+  });
+
+  let issuesProcessed = 0;
+  let chunksStored = 0;
+  const stats = { embeddingCacheHits: 0, embeddingCacheMisses: 0 };
+  for (const issue of pending) {
+    if (await cancelIfRequested(ingestJobId)) {
+      return { canceled: true };
+    }
+    const comments =
+      issueMaxComments > 0 && issue.comments > 0
+        ? await fetchIssueComments(
+            gitRepo.owner,
+            gitRepo.repo,
+            issue.number,
+            issueMaxComments
+          )
+        : [];
+    const document = buildIssueDocument(
+      gitRepo.owner,
+      gitRepo.repo,
+      issue,
+      comments
+    );
+    if (document.chunks.length > 0) {
+      const embeddings = await embedChunks(document.chunks, stats);
+      const [sourceRow] = await db
+        .insert(sources)
+        .values({
+          projectId: projectId || null,
+          repoOwner: gitRepo.owner,
+          repoName: gitRepo.repo,
+          refType: document.refType,
+          ref: document.ref,
+          path: null,
+          contentHash: hashContent(issue.updated_at || ""),
+          url: document.url
+        })
+        .returning({ id: sources.id });
+      const chunkRows = document.chunks.map((chunk, index) => ({
+        sourceId: sourceRow.id,
+        tenantId: tenantId || null,
+        content: chunk,
+        embedding: embeddings[index],
+        metadata: { ...document.metadata, chunkIndex: index }
+      }));
+      await db.insert(chunks).values(chunkRows);
+      chunksStored += chunkRows.length;
+    }
+
+    issuesProcessed += 1;
+    if (issuesProcessed % progressInterval === 0) {
+      await updateJob(ingestJobId, {
+        filesProcessed: issuesProcessed,
+        chunksStored,
+        stats,
+        lastMessage: `Processed ${issuesProcessed}/${pending.length} issues and pull requests`
+      });
+    }
+  }
+
+  await updateJob(ingestJobId, {
+    filesProcessed: issuesProcessed,
+    chunksStored,
+    stats,
+    lastMessage: `Completed ${issuesProcessed} issues and pull requests (${staleIds.length} stale sources removed)`
   });
   console.log(
-    `[worker] Completed ${parsed.owner}/${parsed.repo}: ${filesProcessed} files, ${chunksStored} chunks`
+    `[worker] Completed issues for ${gitRepo.owner}/${gitRepo.repo}: ${issuesProcessed} items, ${chunksStored} chunks`
   );
 
-  return { filesProcessed, chunksStored };
+  return { issuesProcessed, chunksStored, ...stats };
+};
+
+const jobHandlers = {
+  [JOB_TYPES.ingestRepoDocs]: ingestRepo,
+  [JOB_TYPES.ingestRepoCommits]: ingestCommits,
+  [JOB_TYPES.ingestRepoReleases]: ingestReleases,
+  [JOB_TYPES.ingestRepoIssues]: ingestIssues
 };
 
 const ingestWorker = new Worker(
   QUEUE_NAMES.ingest,
   async (job) => {
-    if (job.name !== JOB_TYPES.ingestRepoDocs) {
+    const handler = jobHandlers[job.name];
+    if (!handler) {
       return;
     }
 
-    const { ingestJobId, repo, projectId, tenantId } = job.data || {};
+    const {
+      ingestJobId,
+      repo,
+      projectId,
+      tenantId,
+      fullReindex,
+      paths,
+      strategy,
+      ref
+    } = job.data || {};
     if (ingestJobId) {
       if (await cancelIfRequested(ingestJobId)) {
         return { canceled: true };
@@ -778,11 +2026,15 @@ const ingestWorker = new Worker(
     }
 
     try {
-      const result = await ingestRepo({
+      const result = await handler({
         repoUrl: repo,
         ingestJobId,
         projectId,
-        tenantId
+        tenantId,
+        fullReindex: Boolean(fullReindex),
+        paths: paths || null,
+        strategy: strategy || null,
+        ref: ref || null
       });
 
       if (ingestJobId) {
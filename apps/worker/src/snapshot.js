@@ -0,0 +1,378 @@
+import { execFile, spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { promisify } from "node:util";
+import zlib from "node:zlib";
+
+const execFileAsync = promisify(execFile);
+
+const hashGitBlob = (buffer) =>
+  crypto
+    .createHash("sha1")
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest("hex");
+
+const sizePollIntervalMs = 1000;
+
+const buildGitEnv = (credentials) => ({
+  ...process.env,
+  GIT_TERMINAL_PROMPT: "0",
+  ...(credentials
+    ? {
+        GIT_CONFIG_COUNT: "1",
+        GIT_CONFIG_KEY_0: "http.extraHeader",
+        GIT_CONFIG_VALUE_0: `Authorization: Basic ${Buffer.from(
+          `${credentials.username}:${credentials.password}`
+        ).toString("base64")}`
+      }
+    : {})
+});
+
+const runGit = async (
+  args,
+  { cwd, timeoutMs, credentials, signal, encoding = "utf8" } = {}
+) => {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    timeout: timeoutMs,
+    signal,
+    encoding,
+    maxBuffer: 64 * 1024 * 1024,
+    env: buildGitEnv(credentials)
+  });
+  return encoding === "buffer" ? stdout : stdout.trim();
+};
+
+const walkFiles = async (root, relative = "") => {
+  const entries = await fs.readdir(path.join(root, relative), {
+    withFileTypes: true
+  });
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (entry.name !== ".git") {
+        files.push(...(await walkFiles(root, entryPath)));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+};
+
+const measureDirectory = async (root) => {
+  let total = 0;
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(root, entry.name);
+    if (entry.isDirectory()) {
+      total += await measureDirectory(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(entryPath)).size;
+    }
+  }
+  return total;
+};
+
+const watchDirectorySize = (dir, maxBytes, onExceeded) => {
+  let measuring = false;
+  const timer = setInterval(async () => {
+    if (measuring) {
+      return;
+    }
+    measuring = true;
+    const size = await measureDirectory(dir).catch(() => 0);
+    measuring = false;
+    if (size > maxBytes) {
+      clearInterval(timer);
+      onExceeded(size);
+    }
+  }, sizePollIntervalMs);
+  return () => clearInterval(timer);
+};
+
+const createByteLimiter = (maxBytes, describe) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new Error(describe(maxBytes)));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+const extractTarball = async ({ url, headers, dir, maxBytes, timeoutMs }) => {
+  const response = await fetch(url, {
+    headers,
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok || !response.body) {
+    throw new Error(`Archive download failed (${response.status})`);
+  }
+  const declared = Number.parseInt(
+    response.headers.get("content-length") || "0",
+    10
+  );
+  if (declared > maxBytes) {
+    throw new Error(
+      `Repository archive is ${declared} bytes, above the ${maxBytes} byte limit`
+    );
+  }
+
+  const downloadLimiter = createByteLimiter(
+    maxBytes,
+    (limit) => `Repository archive exceeds the ${limit} byte download limit`
+  );
+  const extractLimiter = createByteLimiter(
+    maxBytes,
+    (limit) => `Repository archive expands past the ${limit} byte limit`
+  );
+  const tar = spawn("tar", ["-xf", "-", "-C", dir, "--strip-components=1"], {
+    stdio: ["pipe", "ignore", "pipe"]
+  });
+  let stderr = "";
+  tar.stderr.on("data", (data) => {
+    stderr += data.toString();
+  });
+  const exited = new Promise((resolve, reject) => {
+    tar.on("error", reject);
+    tar.on("close", resolve);
+  });
+
+  try {
+    await pipeline(
+      Readable.fromWeb(response.body),
+      downloadLimiter,
+      zlib.createGunzip(),
+      extractLimiter,
+      tar.stdin
+    );
+  } catch (err) {
+    // tar stops reading at the end-of-archive marker, so its stdin can close
+    // before the trailing padding is written; its exit code decides then.
+    const stdinClosed =
+      err.code === "ERR_STREAM_PREMATURE_CLOSE" || err.code === "EPIPE";
+    if (!stdinClosed) {
+      tar.kill();
+      await exited.catch(() => null);
+      throw err;
+    }
+  }
+  const code = await exited;
+  if (code !== 0) {
+    throw new Error(`Archive extraction failed: ${stderr.trim() || code}`);
+  }
+};
+
+const isCommitSha = (value) => /^[0-9a-f]{40}$/i.test(value || "");
+
+const cloneRepository = async ({
+  remote,
+  ref,
+  credentials,
+  dir,
+  maxBytes,
+  maxFileBytes,
+  timeoutMs
+}) => {
+  const filterArgs = maxFileBytes ? [`--filter=blob:limit=${maxFileBytes}`] : [];
+  const controller = new AbortController();
+  let exceededSize = null;
+  const stopWatching = watchDirectorySize(dir, maxBytes, (size) => {
+    exceededSize = size;
+    controller.abort();
+  });
+  const revision = isCommitSha(ref) ? "FETCH_HEAD" : "HEAD";
+  try {
+    if (isCommitSha(ref)) {
+      await runGit(["init", "--quiet", dir], { timeoutMs });
+      await runGit(["remote", "add", "origin", remote], {
+        cwd: dir,
+        timeoutMs
+      });
+      await runGit(
+        ["fetch", "--depth", "1", ...filterArgs, "origin", ref],
+        { cwd: dir, timeoutMs, credentials, signal: controller.signal }
+      );
+    } else {
+      await runGit(
+        [
+          "clone",
+          "--depth",
+          "1",
+          "--single-branch",
+          "--no-checkout",
+          ...filterArgs,
+          ...(ref ? ["--branch", ref] : []),
+          "--",
+          remote,
+          dir
+        ],
+        { timeoutMs, credentials, signal: controller.signal }
+      );
+    }
+  } catch (err) {
+    if (exceededSize !== null) {
+      throw new Error(
+        `Repository clone exceeded the ${maxBytes} byte limit (${exceededSize} bytes downloaded)`
+      );
+    }
+    throw err;
+  } finally {
+    stopWatching();
+  }
+  const size = await measureDirectory(dir);
+  if (size > maxBytes) {
+    throw new Error(
+      `Repository clone is ${size} bytes, above the ${maxBytes} byte limit`
+    );
+  }
+
+  const headSha = await runGit(["rev-parse", revision], {
+    cwd: dir,
+    timeoutMs
+  });
+  const headBranch =
+    revision === "HEAD"
+      ? await runGit(["rev-parse", "--abbrev-ref", "HEAD"], {
+          cwd: dir,
+          timeoutMs
+        }).catch(() => "")
+      : "";
+  const presentObjects = await runGit(
+    [
+      "cat-file",
+      "--batch-all-objects",
+      "--batch-check=%(objectname) %(objecttype) %(objectsize)"
+    ],
+    { cwd: dir, timeoutMs }
+  );
+  const blobSizes = new Map();
+  for (const line of presentObjects.split("\n")) {
+    const [sha, type, objectSize] = line.split(" ");
+    if (type === "blob") {
+      blobSizes.set(sha, Number(objectSize));
+    }
+  }
+  const listing = await runGit(["ls-tree", "-r", "-z", revision], {
+    cwd: dir,
+    timeoutMs
+  });
+  const blobs = new Map();
+  for (const entry of listing.split("\0").filter(Boolean)) {
+    const match = entry.match(/^\d+ blob ([0-9a-f]+)\t(.+)$/);
+    if (match && blobSizes.has(match[1])) {
+      blobs.set(match[2], { sha: match[1], size: blobSizes.get(match[1]) });
+    }
+  }
+  return {
+    headSha,
+    ref: ref || (headBranch && headBranch !== "HEAD" ? headBranch : null),
+    blobs
+  };
+};
+
+export const createRepoSnapshot = async ({
+  strategy,
+  remote,
+  archiveUrl,
+  headers = {},
+  credentials = null,
+  ref = null,
+  headSha = null,
+  maxBytes,
+  maxFileBytes = null,
+  timeoutMs
+}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ingest-"));
+  const cleanup = () =>
+    fs.rm(dir, { recursive: true, force: true }).catch(() => null);
+
+  try {
+    if (strategy === "clone") {
+      const cloned = await cloneRepository({
+        remote,
+        ref,
+        credentials,
+        dir,
+        maxBytes,
+        maxFileBytes,
+        timeoutMs
+      });
+      const readFile = async (file) => {
+        const blob = cloned.blobs.get(file.path);
+        if (!blob) {
+          throw Object.assign(new Error(`${file.path} is not in the snapshot`), {
+            code: "ENOENT"
+          });
+        }
+        return runGit(["cat-file", "blob", blob.sha], {
+          cwd: dir,
+          timeoutMs,
+          encoding: "buffer"
+        });
+      };
+      const listFiles = async (include = () => true) =>
+        [...cloned.blobs.entries()]
+          .filter(([filePath, blob]) => include(filePath, blob.size))
+          .map(([filePath, blob]) => ({
+            path: filePath,
+            type: "blob",
+            sha: blob.sha,
+            size: blob.size
+          }))
+          .sort((left, right) => (left.path < right.path ? -1 : 1));
+      return {
+        ref: cloned.ref,
+        headSha: cloned.headSha,
+        listFiles,
+        readFile,
+        cleanup
+      };
+    }
+
+    await extractTarball({
+      url: archiveUrl,
+      headers,
+      dir,
+      maxBytes,
+      timeoutMs
+    });
+
+    const readFile = (file) => fs.readFile(path.join(dir, file.path));
+    const listFiles = async (include = () => true) => {
+      const files = [];
+      for (const filePath of await walkFiles(dir)) {
+        const { size } = await fs.stat(path.join(dir, filePath));
+        if (!include(filePath, size)) {
+          continue;
+        }
+        const sha = hashGitBlob(await readFile({ path: filePath }));
+        files.push({ path: filePath, type: "blob", sha, size });
+      }
+      return files.sort((left, right) => (left.path < right.path ? -1 : 1));
+    };
+
+    return {
+      ref,
+      headSha,
+      listFiles,
+      readFile,
+      cleanup
+    };
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+};
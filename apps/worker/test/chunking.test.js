@@ -0,0 +1,204 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { describe, it } from "node:test";
+import { chunkSourceFile, chunkerVersion } from "../src/chunking.js";
+
+const linesOf = (text, chunk) =>
+  text
+    .split("\n")
+    .slice(chunk.startLine - 1, chunk.endLine)
+    .join("\n");
+
+describe("chunkSourceFile", () => {
+  it("splits JavaScript at top-level declarations", () => {
+    const text = [
+      'import fs from "node:fs";',
+      "",
+      "export const readConfig = (file) => {",
+      '  return JSON.parse(fs.readFileSync(file, "utf8"));',
+      "};",
+      "",
+      "export class Server {",
+      "  start() {",
+      "    return true;",
+      "  }",
+      "}",
+      "",
+      "function helper() {",
+      "  return 1;",
+      "}",
+      ""
+    ].join("\n");
+    const chunks = chunkSourceFile(text, "src/app.mjs", {
+      chunkSize: 60,
+      chunkOverlap: 0
+    });
+
+    assert.deepEqual(
+      [...new Set(chunks.map((chunk) => chunk.symbol).filter(Boolean))],
+      ["readConfig", "Server", "helper"]
+    );
+    const server = chunks.find((chunk) => chunk.symbol === "Server");
+    assert.equal(server.startLine, 7);
+    assert.equal(server.endLine, 11);
+    for (const chunk of chunks) {
+      assert.equal(chunk.language, "javascript");
+      assert.equal(chunk.content, linesOf(text, chunk));
+    }
+  });
+
+  it("recognizes the extra C++, Scala, Python stub and TypeScript extensions", () => {
+    for (const [filePath, language] of [
+      ["src/engine.cc", "c"],
+      ["include/engine.hxx", "c"],
+      ["src/Main.scala", "java"],
+      ["stubs/api.pyi", "python"],
+      ["src/index.mts", "javascript"],
+      ["src/index.cts", "javascript"]
+    ]) {
+      const [chunk] = chunkSourceFile("x\n", filePath, {
+        chunkSize: 100,
+        chunkOverlap: 0
+      });
+      assert.equal(chunk.language, language, filePath);
+    }
+  });
+
+  it("names Python functions and classes", () => {
+    const text = "def load():\n    return 1\n\n\nclass Store:\n    pass\n";
+    const chunks = chunkSourceFile(text, "store.py", {
+      chunkSize: 25,
+      chunkOverlap: 0
+    });
+    const store = chunks.find((chunk) => chunk.symbol === "Store");
+    assert.equal(store.startLine, 5);
+    assert.equal(store.endLine, 6);
+    assert.ok(chunks.some((chunk) => chunk.symbol === "load"));
+  });
+
+  it("splits Markdown at headings with a breadcrumb trail", () => {
+    const text =
+      "# Guide\n\nIntro text.\n\n## Install\n\nRun npm install.\n\n## Usage\n\nCall it.\n";
+    const chunks = chunkSourceFile(text, "docs/guide.md", {
+      chunkSize: 30,
+      chunkOverlap: 0
+    });
+    assert.deepEqual(
+      chunks.map((chunk) => [chunk.breadcrumb, chunk.startLine, chunk.endLine]),
+      [
+        ["guide > Guide", 1, 3],
+        ["guide > Guide > Install", 5, 7],
+        ["guide > Guide > Usage", 9, 11]
+      ]
+    );
+    assert.equal(
+      chunks[1].embeddingText,
+      "guide > Guide > Install\n\n## Install\n\nRun npm install."
+    );
+    assert.ok(chunks.every((chunk) => chunk.format === "markdown"));
+  });
+
+  it("reads reStructuredText and AsciiDoc section titles", () => {
+    const rst = chunkSourceFile(
+      "Guide\n=====\n\nIntro.\n\nInstall\n-------\n\nRun it.\n",
+      "docs/guide.rst",
+      { chunkSize: 40, chunkOverlap: 0 }
+    );
+    assert.deepEqual(
+      rst.map((chunk) => [chunk.format, chunk.breadcrumb]),
+      [
+        ["rst", "guide > Guide"],
+        ["rst", "guide > Guide > Install"]
+      ]
+    );
+
+    const adoc = chunkSourceFile(
+      "= Guide\n\nIntro.\n\n== Install\n\nRun it.\n",
+      "docs/guide.adoc",
+      { chunkSize: 20, chunkOverlap: 0 }
+    );
+    assert.deepEqual(
+      adoc.map((chunk) => [chunk.breadcrumb, chunk.startLine, chunk.endLine]),
+      [
+        ["guide > Guide", 1, 3],
+        ["guide > Guide > Install", 5, 7]
+      ]
+    );
+    assert.ok(adoc.every((chunk) => chunk.format === "asciidoc"));
+  });
+
+  it("windows plain text with overlap and covers every line", () => {
+    const text = "line\n".repeat(50);
+    const chunks = chunkSourceFile(text, "notes.txt", {
+      chunkSize: 30,
+      chunkOverlap: 10
+    });
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].startLine, 1);
+    assert.equal(chunks.at(-1).endLine, 50);
+    for (let index = 1; index < chunks.length; index += 1) {
+      assert.ok(chunks[index].startLine <= chunks[index - 1].endLine);
+      assert.ok(chunks[index].startLine > chunks[index - 1].startLine);
+    }
+    assert.ok(chunks.every((chunk) => chunk.language === null));
+  });
+});
+
+// Unchanged files are only re-chunked when chunkerVersion moves, so any change
+// to chunk output must come with a version bump and a new fingerprint here.
+const fingerprintChunks = (fixtures) =>
+  createHash("sha256")
+    .update(
+      JSON.stringify(
+        fixtures.map(([filePath, text]) =>
+          chunkSourceFile(text, filePath, { chunkSize: 80, chunkOverlap: 10 })
+        )
+      )
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+const docFixtures = [
+  [
+    "docs/guide.md",
+    "# Guide\n\nIntro text.\n\n## Install\n\nRun npm install.\n\n### From source\n\nClone the repo and run the build script.\n\n## Usage\n\nCall it.\n"
+  ],
+  [
+    "docs/guide.rst",
+    "Guide\n=====\n\nIntro.\n\nInstall\n-------\n\nRun it with the default settings.\n"
+  ],
+  [
+    "docs/guide.adoc",
+    "= Guide\n\nIntro.\n\n== Install\n\nRun it.\n\n=== Options\n\nPass --verbose for more output.\n"
+  ]
+];
+
+const codeFixtures = [
+  [
+    "src/server.js",
+    'import http from "node:http";\n\nexport const createServer = (handler) => {\n  return http.createServer(handler);\n};\n\nexport class Router {\n  route(path) {\n    return path;\n  }\n}\n'
+  ],
+  [
+    "app/store.py",
+    "def load():\n    return 1\n\n\nclass Store:\n    def save(self):\n        pass\n"
+  ],
+  ["notes.txt", "line\n".repeat(30)]
+];
+
+describe("chunkerVersion", () => {
+  it("changes whenever Markdown, RST or AsciiDoc chunk output changes", () => {
+    assert.deepEqual(
+      { chunkerVersion, docs: fingerprintChunks(docFixtures) },
+      { chunkerVersion: 2, docs: "00f7ffc0acefb8ef" },
+      "Doc chunk output changed: bump chunkerVersion and update the fingerprint."
+    );
+  });
+
+  it("changes whenever code chunk boundaries or line ranges change", () => {
+    assert.deepEqual(
+      { chunkerVersion, code: fingerprintChunks(codeFixtures) },
+      { chunkerVersion: 2, code: "25d3183b0a8461e7" },
+      "Code chunk output changed: bump chunkerVersion and update the fingerprint."
+    );
+  });
+});
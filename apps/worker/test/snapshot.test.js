@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { promisify } from "node:util";
+import { createRepoSnapshot } from "../src/snapshot.js";
+
+const execFileAsync = promisify(execFile);
+
+const git = async (args, cwd) =>
+  (
+    await execFileAsync(
+      "git",
+      ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+      { cwd }
+    )
+  ).stdout.trim();
+
+describe("createRepoSnapshot", () => {
+  let root;
+  let work;
+  let remote;
+  let mainSha;
+  let featureSha;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "snapshot-test-"));
+    work = path.join(root, "work");
+    await git(["init", "--quiet", "--initial-branch", "main", work]);
+    await fs.mkdir(path.join(work, "docs"));
+    await fs.writeFile(path.join(work, "README.md"), "# Fixture\n");
+    await fs.writeFile(path.join(work, "docs", "guide.md"), "Guide\n");
+    await fs.writeFile(path.join(work, "large.bin"), Buffer.alloc(4096, 1));
+    await git(["add", "."], work);
+    await git(["commit", "--quiet", "-m", "Initial"], work);
+    mainSha = await git(["rev-parse", "HEAD"], work);
+    await git(["checkout", "--quiet", "-b", "feature"], work);
+    await fs.writeFile(path.join(work, "feature.txt"), "Feature\n");
+    await git(["add", "."], work);
+    await git(["commit", "--quiet", "-m", "Feature"], work);
+    featureSha = await git(["rev-parse", "HEAD"], work);
+    await git(["checkout", "--quiet", "main"], work);
+
+    const bare = path.join(root, "remote.git");
+    await git(["clone", "--quiet", "--bare", work, bare]);
+    await git(["config", "uploadpack.allowFilter", "true"], bare);
+    await git(["config", "uploadpack.allowAnySHA1InWant", "true"], bare);
+    remote = `file://${bare}`;
+  });
+
+  after(() => fs.rm(root, { recursive: true, force: true }));
+
+  const openClone = (options = {}) =>
+    createRepoSnapshot({
+      strategy: "clone",
+      remote,
+      maxBytes: 10_000_000,
+      maxFileBytes: 1000,
+      timeoutMs: 30_000,
+      ...options
+    });
+
+  it("clones the default branch and reads files from the object store", async () => {
+    const snapshot = await openClone();
+    try {
+      assert.equal(snapshot.ref, "main");
+      assert.equal(snapshot.headSha, mainSha);
+      const files = await snapshot.listFiles();
+      assert.deepEqual(
+        files.map((file) => file.path),
+        ["README.md", "docs/guide.md"]
+      );
+      const readme = files[0];
+      assert.equal(readme.size, 10);
+      assert.equal(
+        readme.sha,
+        await git(["rev-parse", `${mainSha}:README.md`], work)
+      );
+      assert.equal(String(await snapshot.readFile(readme)), "# Fixture\n");
+      await assert.rejects(
+        snapshot.readFile({ path: "large.bin" }),
+        (err) => err.code === "ENOENT"
+      );
+    } finally {
+      await snapshot.cleanup();
+    }
+  });
+
+  it("filters files with the include callback", async () => {
+    const snapshot = await openClone();
+    try {
+      const files = await snapshot.listFiles((filePath) =>
+        filePath.startsWith("docs/")
+      );
+      assert.deepEqual(
+        files.map((file) => file.path),
+        ["docs/guide.md"]
+      );
+    } finally {
+      await snapshot.cleanup();
+    }
+  });
+
+  it("checks out branches and pinned commits", async () => {
+    const branch = await openClone({ ref: "feature" });
+    try {
+      assert.equal(branch.headSha, featureSha);
+      assert.ok(
+        (await branch.listFiles()).some((file) => file.path === "feature.txt")
+      );
+    } finally {
+      await branch.cleanup();
+    }
+
+    const pinned = await openClone({ ref: mainSha });
+    try {
+      assert.equal(pinned.headSha, mainSha);
+      assert.ok(
+        (await pinned.listFiles()).every((file) => file.path !== "feature.txt")
+      );
+    } finally {
+      await pinned.cleanup();
+    }
+  });
+
+  it("rejects clones above the size limit", async () => {
+    await assert.rejects(openClone({ maxBytes: 1000 }), /byte limit/);
+  });
+
+  it("stops extracting archives that expand past the limit", async () => {
+    const archiveRoot = path.join(root, "archive");
+    await fs.mkdir(path.join(archiveRoot, "repo-main"), { recursive: true });
+    await fs.writeFile(
+      path.join(archiveRoot, "repo-main", "zeros.txt"),
+      Buffer.alloc(2_000_000)
+    );
+    const archive = path.join(root, "repo.tar.gz");
+    await execFileAsync("tar", [
+      "-czf",
+      archive,
+      "-C",
+      archiveRoot,
+      "repo-main"
+    ]);
+    const { size } = await fs.stat(archive);
+    const server = http.createServer(async (request, response) => {
+      response.end(await fs.readFile(archive));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const archiveUrl = `http://127.0.0.1:${server.address().port}/`;
+    try {
+      await assert.rejects(
+        createRepoSnapshot({
+          strategy: "tarball",
+          archiveUrl,
+          maxBytes: Math.max(size * 4, 100_000),
+          timeoutMs: 30_000
+        }),
+        /expands past/
+      );
+      const snapshot = await createRepoSnapshot({
+        strategy: "tarball",
+        archiveUrl,
+        maxBytes: 10_000_000,
+        timeoutMs: 30_000
+      });
+      try {
+        assert.deepEqual(
+          (await snapshot.listFiles()).map((file) => [file.path, file.size]),
+          [["zeros.txt", 2_000_000]]
+        );
+      } finally {
+        await snapshot.cleanup();
+      }
+    } finally {
+      server.close();
+    }
+  });
+});
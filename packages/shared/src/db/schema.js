@@ -1,5 +1,7 @@
+import { sql } from "drizzle-orm";
 import {
   boolean,
+  customType,
   integer,
   jsonb,
   numeric,
@@ -9,6 +11,13 @@ import {
   timestamp,
   vector
 } from "drizzle-orm/pg-core";
+import { resolveEmbeddingDimensions } from "../models.js";
+
+const embeddingDimensions = resolveEmbeddingDimensions();
+
+const tsvector = customType({
+  dataType: () => "tsvector"
+});
 
 export const tenants = pgTable("tenants", {
   id: serial("id").primaryKey(),
@@ -48,10 +57,19 @@ export const projects = pgTable("projects", {
   tenantId: integer("tenant_id").references(() => tenants.id),
   name: text("name").notNull(),
   repoUrl: text("repo_url").notNull(),
+  subpath: text("subpath"),
+  refs: jsonb("refs"),
   description: text("description"),
   tags: jsonb("tags"),
   category: text("category"),
   featured: boolean("featured").default(false).notNull(),
+  isActive: boolean("is_active").default(true).notNull(),
+  indexIssues: boolean("index_issues").default(true).notNull(),
+  includePaths: jsonb("include_paths"),
+  excludePaths: jsonb("exclude_paths"),
+  priorityPaths: jsonb("priority_paths"),
+  deactivatedReason: text("deactivated_reason"),
+  deactivatedAt: timestamp("deactivated_at", { withTimezone: true }),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull()
@@ -66,6 +84,9 @@ export const sources = pgTable("sources", {
   ref: text("ref"),
   path: text("path"),
   commitSha: text("commit_sha"),
+  blobSha: text("blob_sha"),
+  contentHash: text("content_hash"),
+  chunkerVersion: integer("chunker_version"),
   url: text("url"),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
@@ -75,14 +96,30 @@ export const sources = pgTable("sources", {
 export const chunks = pgTable("chunks", {
   id: serial("id").primaryKey(),
   sourceId: integer("source_id").references(() => sources.id),
+  tenantId: integer("tenant_id").references(() => tenants.id),
   content: text("content").notNull(),
-  embedding: vector("embedding", { dimensions: 1536 }),
+  embedding: vector("embedding", { dimensions: embeddingDimensions }),
+  searchVector: tsvector("search_vector").generatedAlwaysAs(
+    sql`to_tsvector('simple', "content")`
+  ),
   metadata: jsonb("metadata"),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull()
 });
 
+export const embeddingCache = pgTable("embedding_cache", {
+  id: serial("id").primaryKey(),
+  model: text("model").notNull(),
+  textHash: text("text_hash").notNull(),
+  embedding: vector("embedding", {
+    dimensions: embeddingDimensions
+  }).notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true })
+    .defaultNow()
+    .notNull()
+});
+
 export const ingestJobs = pgTable("ingest_jobs", {
   id: serial("id").primaryKey(),
   projectId: integer("project_id").references(() => projects.id, {
@@ -90,6 +127,7 @@ export const ingestJobs = pgTable("ingest_jobs", {
   }),
   projectRepo: text("project_repo").notNull(),
   projectName: text("project_name"),
+  jobType: text("job_type").default("INGEST_REPO_DOCS").notNull(),
   totalFiles: integer("total_files"),
   totalBytes: integer("total_bytes"),
   filesProcessed: integer("files_processed").default(0).notNull(),
@@ -97,6 +135,7 @@ export const ingestJobs = pgTable("ingest_jobs", {
   status: text("status").notNull(),
   error: text("error"),
   lastMessage: text("last_message"),
+  stats: jsonb("stats"),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull(),
@@ -122,6 +161,7 @@ export const chatMessages = pgTable("chat_messages", {
   role: text("role").notNull(),
   content: text("content").notNull(),
   citations: jsonb("citations"),
+  retrievalQuery: jsonb("retrieval_query"),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull()
@@ -145,6 +185,7 @@ export const usageEvents = pgTable("usage_events", {
   eventType: text("event_type").notNull(),
   tokens: integer("tokens"),
   costUsd: numeric("cost_usd"),
+  latencyMs: integer("latency_ms"),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull()
@@ -162,12 +203,61 @@ export const telemetryEvents = pgTable("telemetry_events", {
     .notNull()
 });
 
+export const evalSets = pgTable("eval_sets", {
+  id: serial("id").primaryKey(),
+  tenantId: integer("tenant_id")
+    .references(() => tenants.id, { onDelete: "cascade" })
+    .notNull(),
+  name: text("name").notNull(),
+  description: text("description"),
+  createdAt: timestamp("created_at", { withTimezone: true })
+    .defaultNow()
+    .notNull(),
+  updatedAt: timestamp("updated_at", { withTimezone: true })
+    .defaultNow()
+    .notNull()
+});
+
+export const evalCases = pgTable("eval_cases", {
+  id: serial("id").primaryKey(),
+  setId: integer("set_id")
+    .references(() => evalSets.id, { onDelete: "cascade" })
+    .notNull(),
+  question: text("question").notNull(),
+  repo: text("repo"),
+  paths: jsonb("paths"),
+  history: jsonb("history"),
+  createdAt: timestamp("created_at", { withTimezone: true })
+    .defaultNow()
+    .notNull()
+});
+
+export const evalRuns = pgTable("eval_runs", {
+  id: serial("id").primaryKey(),
+  tenantId: integer("tenant_id").references(() => tenants.id, {
+    onDelete: "cascade"
+  }),
+  setId: integer("set_id").references(() => evalSets.id, {
+    onDelete: "set null"
+  }),
+  label: text("label"),
+  config: jsonb("config"),
+  metrics: jsonb("metrics"),
+  results: jsonb("results"),
+  createdAt: timestamp("created_at", { withTimezone: true })
+    .defaultNow()
+    .notNull()
+});
+
 export const apiKeys = pgTable("api_keys", {
   id: serial("id").primaryKey(),
   tenantId: integer("tenant_id").references(() => tenants.id),
   name: text("name"),
   keyHash: text("key_hash").notNull(),
+  keyPrefix: text("key_prefix"),
+  scopes: jsonb("scopes"),
   lastUsedAt: timestamp("last_used_at", { withTimezone: true }),
+  revokedAt: timestamp("revoked_at", { withTimezone: true }),
   createdAt: timestamp("created_at", { withTimezone: true })
     .defaultNow()
     .notNull()
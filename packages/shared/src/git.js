@@ -0,0 +1,915 @@
+import crypto from "node:crypto";
+
+const userAgent = "github-projects-homepage-ai-chat";
+const maxTreePages = 100;
+
+const parseHostList = (value) =>
+  (value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+const resolveProviderForHost = (url) => {
+  const hostname = url.hostname.toLowerCase().replace(/^www\./, "");
+  if (hostname === "github.com") {
+    return "github";
+  }
+  if (hostname === "bitbucket.org") {
+    return "bitbucket";
+  }
+  const gitlabHosts = [
+    "gitlab.com",
+    ...parseHostList(process.env.GITLAB_HOSTS)
+  ];
+  if (
+    gitlabHosts.includes(hostname) ||
+    gitlabHosts.includes(url.host.toLowerCase())
+  ) {
+    return "gitlab";
+  }
+  return null;
+};
+
+export const GIT_PROVIDERS = ["github", "gitlab", "bitbucket"];
+
+export const normalizeRefName = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const ref = value.trim().replace(/^refs\/(heads|tags)\//, "");
+  if (
+    !ref ||
+    ref.length > 255 ||
+    ref.startsWith("-") ||
+    ref.startsWith("/") ||
+    ref.endsWith("/") ||
+    ref.endsWith(".lock") ||
+    ref.includes("..") ||
+    ref.includes("@{") ||
+    /[\s~^:?*[\\\x00-\x1f\x7f]/.test(ref)
+  ) {
+    return null;
+  }
+  return ref;
+};
+
+export const parseGitRemote = (remote) => {
+  if (!remote || typeof remote !== "string") {
+    return null;
+  }
+  const trimmed = remote.trim();
+  let host = "";
+  let pathname = "";
+  const scpMatch = trimmed.match(/^[\w.-]+@([\w.-]+):(.+)$/);
+  if (scpMatch) {
+    [, host, pathname] = scpMatch;
+  } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch {
+      return null;
+    }
+    if (!["file:", "ssh:", "git:", "http:", "https:"].includes(url.protocol)) {
+      return null;
+    }
+    host = url.host;
+    pathname = decodeURIComponent(url.pathname);
+  } else if (trimmed.startsWith("/")) {
+    pathname = trimmed;
+  } else {
+    return null;
+  }
+
+  const parts = pathname
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter(Boolean);
+  const repo = (parts[parts.length - 1] || "").replace(/\.git$/, "");
+  if (!repo) {
+    return null;
+  }
+  return {
+    provider: "git",
+    host: host.toLowerCase(),
+    owner: parts.slice(0, -1).join("/") || host.toLowerCase() || "local",
+    repo,
+    webUrl: null,
+    apiBase: null,
+    remote: trimmed
+  };
+};
+
+export const parseRepoUrl = (repoUrl) => {
+  if (!repoUrl || typeof repoUrl !== "string") {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(repoUrl.trim());
+  } catch {
+    return null;
+  }
+  const provider = resolveProviderForHost(url);
+  if (!provider) {
+    return null;
+  }
+
+  let parts = url.pathname
+    .replace(/^\/+/, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter(Boolean);
+  let rest = [];
+  if (provider === "gitlab") {
+    const separator = parts.indexOf("-");
+    if (separator >= 0) {
+      rest = parts.slice(separator + 1);
+      parts = parts.slice(0, separator);
+    }
+  } else {
+    rest = parts.slice(2);
+    parts = parts.slice(0, 2);
+  }
+  const treeMarker = provider === "bitbucket" ? "src" : "tree";
+  const hasTree = rest[0] === treeMarker && rest.length >= 2;
+  const decodeSegment = (segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  };
+  if (parts.length < 2) {
+    return null;
+  }
+
+  const repo = parts[parts.length - 1].replace(/\.git$/, "");
+  const owner = parts.slice(0, -1).join("/");
+  if (!owner || !repo) {
+    return null;
+  }
+
+  const origin =
+    provider === "github"
+      ? "https://github.com"
+      : provider === "bitbucket"
+      ? "https://bitbucket.org"
+      : `${url.protocol}//${url.host}`;
+  return {
+    provider,
+    host: url.host.toLowerCase().replace(/^www\./, ""),
+    owner,
+    repo,
+    webUrl: `${origin}/${owner}/${repo}`,
+    apiBase:
+      provider === "github"
+        ? "https://api.github.com"
+        : provider === "bitbucket"
+        ? "https://api.bitbucket.org/2.0"
+        : `${origin}/api/v4`,
+    ref: hasTree ? decodeSegment(rest[1]) : null,
+    subpath: hasTree
+      ? rest.slice(2).map(decodeSegment).join("/") || null
+      : null
+  };
+};
+
+const encodePath = (value) => {
+  const segments = String(value || "").split("/");
+  if (segments.some((segment) => segment === "." || segment === "..")) {
+    throw new Error("Paths must not contain . or .. segments");
+  }
+  return segments.map((segment) => encodeURIComponent(segment)).join("/");
+};
+
+export const buildLineAnchor = (provider, startLine, endLine) => {
+  if (!startLine) {
+    return "";
+  }
+  const end = endLine && endLine > startLine ? endLine : null;
+  if (provider === "gitlab") {
+    return end ? `#L${startLine}-${end}` : `#L${startLine}`;
+  }
+  if (provider === "bitbucket") {
+    return end ? `#lines-${startLine}:${end}` : `#lines-${startLine}`;
+  }
+  return end ? `#L${startLine}-L${end}` : `#L${startLine}`;
+};
+
+export const buildFileUrl = (
+  repo,
+  { ref, path, startLine = null, endLine = null, plain = false }
+) => {
+  if (!repo.webUrl) {
+    return null;
+  }
+  const anchor = buildLineAnchor(repo.provider, startLine, endLine);
+  const query =
+    plain && anchor && repo.provider !== "bitbucket" ? "?plain=1" : "";
+  const target = `${encodePath(ref)}/${encodePath(path)}`;
+  if (repo.provider === "gitlab") {
+    return `${repo.webUrl}/-/blob/${target}${query}${anchor}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/src/${target}${anchor}`;
+  }
+  return `${repo.webUrl}/blob/${target}${query}${anchor}`;
+};
+
+export const buildTreeUrl = (repo, { ref, path }) => {
+  if (!repo.webUrl) {
+    return null;
+  }
+  const target = `${encodePath(ref)}/${encodePath(path)}`;
+  if (repo.provider === "gitlab") {
+    return `${repo.webUrl}/-/tree/${target}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/src/${target}`;
+  }
+  return `${repo.webUrl}/tree/${target}`;
+};
+
+export const buildCommitUrl = (repo, sha, { path = null } = {}) => {
+  if (!repo.webUrl) {
+    return null;
+  }
+  if (repo.provider === "gitlab") {
+    const anchor = path
+      ? `#${crypto.createHash("sha1").update(path).digest("hex")}`
+      : "";
+    return `${repo.webUrl}/-/commit/${sha}${anchor}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/commits/${sha}${path ? `#chg-${path}` : ""}`;
+  }
+  const anchor = path
+    ? `#diff-${crypto.createHash("sha256").update(path).digest("hex")}`
+    : "";
+  return `${repo.webUrl}/commit/${sha}${anchor}`;
+};
+
+export const buildReleaseUrl = (repo, tag) => {
+  if (!repo.webUrl) {
+    return null;
+  }
+  if (repo.provider === "gitlab") {
+    return `${repo.webUrl}/-/releases/${encodeURIComponent(tag)}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/src/${encodeURIComponent(tag)}`;
+  }
+  return `${repo.webUrl}/releases/tag/${encodeURIComponent(tag)}`;
+};
+
+export const buildCompareUrl = (repo, base, head) => {
+  if (!repo.webUrl) {
+    return null;
+  }
+  if (repo.provider === "gitlab") {
+    return `${repo.webUrl}/-/compare/${encodeURIComponent(
+      base
+    )}...${encodeURIComponent(head)}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/branches/compare/${encodeURIComponent(
+      head
+    )}%0D${encodeURIComponent(base)}`;
+  }
+  return `${repo.webUrl}/compare/${encodeURIComponent(
+    base
+  )}...${encodeURIComponent(head)}`;
+};
+
+export const buildArchiveUrl = (repo, ref) => {
+  if (repo.provider === "github") {
+    return `${repo.apiBase}/repos/${repo.owner}/${
+      repo.repo
+    }/tarball/${encodeURIComponent(ref)}`;
+  }
+  if (repo.provider === "gitlab") {
+    return `${repo.apiBase}/projects/${encodeURIComponent(
+      `${repo.owner}/${repo.repo}`
+    )}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`;
+  }
+  if (repo.provider === "bitbucket") {
+    return `${repo.webUrl}/get/${encodeURIComponent(ref)}.tar.gz`;
+  }
+  return null;
+};
+
+export const buildCloneUrl = (repo) =>
+  repo.provider === "git" ? repo.remote : `${repo.webUrl}.git`;
+
+const readErrorMessage = (payload, status) => {
+  if (typeof payload?.message === "string") {
+    return payload.message;
+  }
+  if (typeof payload?.error === "string") {
+    return payload.error;
+  }
+  if (typeof payload?.error?.message === "string") {
+    return payload.error.message;
+  }
+  return `Git provider API error (${status})`;
+};
+
+const request = async (url, { headers = {}, raw = false } = {}) => {
+  try {
+    const response = await fetch(url, {
+      headers: { "User-Agent": userAgent, ...headers }
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      return {
+        error: readErrorMessage(payload, response.status),
+        status: response.status
+      };
+    }
+    const data = raw
+      ? Buffer.from(await response.arrayBuffer())
+      : await response.json().catch(() => null);
+    return { data, status: response.status };
+  } catch (err) {
+    return { error: err.message || "Git provider request failed." };
+  }
+};
+
+const mapResult = (result, mapper) =>
+  result.error ? result : { ...result, data: mapper(result.data) };
+
+const countDiffLines = (patch) => {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of (patch || "").split("\n")) {
+    if (line.startsWith("+") && !line.startsWith("+++")) {
+      additions += 1;
+    } else if (line.startsWith("-") && !line.startsWith("---")) {
+      deletions += 1;
+    }
+  }
+  return { additions, deletions };
+};
+
+const splitUnifiedDiff = (text) =>
+  (text || "")
+    .split(/\n(?=diff --git )/)
+    .map((section) => {
+      const header = section.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+      const hunkStart = section.indexOf("\n@@");
+      return header
+        ? {
+            oldPath: header[1],
+            newPath: header[2],
+            patch: hunkStart >= 0 ? section.slice(hunkStart + 1) : ""
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+export const resolveProviderHeaders = (repo) => {
+  if (repo.provider === "gitlab" && process.env.GITLAB_TOKEN) {
+    return { "PRIVATE-TOKEN": process.env.GITLAB_TOKEN };
+  }
+  if (repo.provider === "bitbucket") {
+    const credentials = resolveGitCredentials(repo);
+    if (credentials?.username === "x-token-auth") {
+      return { Authorization: `Bearer ${credentials.password}` };
+    }
+    if (credentials) {
+      return {
+        Authorization: `Basic ${Buffer.from(
+          `${credentials.username}:${credentials.password}`
+        ).toString("base64")}`
+      };
+    }
+  }
+  return {};
+};
+
+export const resolveGitCredentials = (repo) => {
+  if (repo.provider === "gitlab" && process.env.GITLAB_TOKEN) {
+    return { username: "oauth2", password: process.env.GITLAB_TOKEN };
+  }
+  if (repo.provider === "bitbucket") {
+    if (process.env.BITBUCKET_TOKEN) {
+      return {
+        username: "x-token-auth",
+        password: process.env.BITBUCKET_TOKEN
+      };
+    }
+    if (process.env.BITBUCKET_USERNAME && process.env.BITBUCKET_APP_PASSWORD) {
+      return {
+        username: process.env.BITBUCKET_USERNAME,
+        password: process.env.BITBUCKET_APP_PASSWORD
+      };
+    }
+  }
+  return null;
+};
+
+const createGitHubProvider = (repo, options) => {
+  const githubRequest =
+    options.githubRequest ||
+    ((endpoint) =>
+      request(`${repo.apiBase}${endpoint}`, {
+        headers: {
+          Accept: "application/vnd.github+json",
+          "X-GitHub-Api-Version": "2022-11-28"
+        }
+      }));
+  const base = `/repos/${repo.owner}/${repo.repo}`;
+
+  return {
+    getRepo: async () =>
+      mapResult(await githubRequest(base), (data) => ({
+        defaultBranch: data.default_branch || "main",
+        description: data.description || "",
+        fullName: data.full_name || `${repo.owner}/${repo.repo}`,
+        webUrl: data.html_url || repo.webUrl,
+        topics: Array.isArray(data.topics) ? data.topics : [],
+        isPrivate: Boolean(data.private),
+        sizeBytes: Number.isFinite(data.size) ? data.size * 1024 : null
+      })),
+    getBranchHead: async (branch) =>
+      mapResult(
+        await githubRequest(`${base}/branches/${encodeURIComponent(branch)}`),
+        (data) => data?.commit?.sha || null
+      ),
+    listTree: async (ref) =>
+      mapResult(
+        await githubRequest(
+          `${base}/git/trees/${encodeURIComponent(ref)}?recursive=1`
+        ),
+        (data) =>
+          (Array.isArray(data?.tree) ? data.tree : []).filter(
+            (item) => item.type === "blob"
+          )
+      ),
+    getBlob: async ({ sha }) =>
+      mapResult(await githubRequest(`${base}/git/blobs/${sha}`), (data) =>
+        Buffer.from(data?.content || "", "base64")
+      ),
+    getFile: async (filePath, ref) => {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+      const result = await githubRequest(
+        `${base}/contents/${encodePath(filePath)}${query}`
+      );
+      if (result.error) {
+        return result;
+      }
+      if (Array.isArray(result.data) || result.data?.type !== "file") {
+        return { error: "Path is not a file." };
+      }
+      if (result.data.encoding !== "base64" || !result.data.content) {
+        return { error: "File is too large to read." };
+      }
+      return {
+        data: {
+          content: Buffer.from(result.data.content, "base64"),
+          url: result.data.html_url || null
+        }
+      };
+    },
+    listCommits: async (ref, limit, { path = null } = {}) => {
+      const commits = [];
+      const perPage = Math.min(Math.max(limit, 1), 100);
+      const pathQuery = path ? `&path=${encodeURIComponent(path)}` : "";
+      let page = 1;
+      while (commits.length < limit) {
+        const result = await githubRequest(
+          `${base}/commits?sha=${encodeURIComponent(
+            ref
+          )}${pathQuery}&per_page=${perPage}&page=${page}`
+        );
+        if (result.error) {
+          return result;
+        }
+        const list = Array.isArray(result.data) ? result.data : [];
+        commits.push(...list);
+        if (list.length < perPage) {
+          break;
+        }
+        page += 1;
+      }
+      return { data: commits.slice(0, limit) };
+    },
+    getCommit: async (sha) =>
+      githubRequest(`${base}/commits/${encodeURIComponent(sha)}`),
+    compareCommits: async (baseRef, headRef) =>
+      githubRequest(
+        `${base}/compare/${encodeURIComponent(baseRef)}...${encodeURIComponent(
+          headRef
+        )}`
+      ),
+    listReleases: async (limit) =>
+      mapResult(
+        await githubRequest(
+          `${base}/releases?per_page=${Math.min(Math.max(limit, 1), 100)}`
+        ),
+        (data) => (Array.isArray(data) ? data : [])
+      ),
+    listTags: async () =>
+      mapResult(await githubRequest(`${base}/tags?per_page=100`), (data) =>
+        Array.isArray(data) ? data : []
+      )
+  };
+};
+
+const mapGitLabDiff = (diff) => ({
+  filename: diff.new_path,
+  previous_filename:
+    diff.renamed_file && diff.old_path !== diff.new_path
+      ? diff.old_path
+      : undefined,
+  status: diff.new_file
+    ? "added"
+    : diff.deleted_file
+    ? "removed"
+    : diff.renamed_file
+    ? "renamed"
+    : "modified",
+  ...countDiffLines(diff.diff),
+  patch: diff.diff || ""
+});
+
+const mapGitLabCommit = (repo, commit, diffs = []) => ({
+  sha: commit.id,
+  html_url: commit.web_url || buildCommitUrl(repo, commit.id),
+  commit: {
+    message: commit.message || commit.title || "",
+    author: {
+      name: commit.author_name || "unknown",
+      date: commit.authored_date || commit.created_at || null
+    }
+  },
+  author: null,
+  files: diffs.map(mapGitLabDiff)
+});
+
+const createGitLabProvider = (repo) => {
+  const headers = resolveProviderHeaders(repo);
+  const base = `${repo.apiBase}/projects/${encodeURIComponent(
+    `${repo.owner}/${repo.repo}`
+  )}`;
+  const get = (path, raw = false) =>
+    request(`${base}${path}`, { headers, raw });
+
+  const fetchDiffs = async (sha) =>
+    mapResult(
+      await get(
+        `/repository/commits/${encodeURIComponent(sha)}/diff?per_page=100`
+      ),
+      (data) => (Array.isArray(data) ? data : [])
+    );
+
+  return {
+    getRepo: async () =>
+      mapResult(await get("?statistics=true"), (data) => ({
+        defaultBranch: data.default_branch || "main",
+        description: data.description || "",
+        fullName: data.path_with_namespace || `${repo.owner}/${repo.repo}`,
+        webUrl: data.web_url || repo.webUrl,
+        topics: Array.isArray(data.topics)
+          ? data.topics
+          : Array.isArray(data.tag_list)
+          ? data.tag_list
+          : [],
+        isPrivate: data.visibility ? data.visibility !== "public" : false,
+        sizeBytes: Number.isFinite(data.statistics?.repository_size)
+          ? data.statistics.repository_size
+          : null
+      })),
+    getBranchHead: async (branch) =>
+      mapResult(
+        await get(`/repository/branches/${encodeURIComponent(branch)}`),
+        (data) => data?.commit?.id || null
+      ),
+    listTree: async (ref) => {
+      const items = [];
+      for (let page = 1; page <= maxTreePages; page += 1) {
+        const result = await get(
+          `/repository/tree?recursive=true&per_page=100&page=${page}&ref=${encodeURIComponent(
+            ref
+          )}`
+        );
+        if (result.error) {
+          return result;
+        }
+        const list = Array.isArray(result.data) ? result.data : [];
+        items.push(
+          ...list
+            .filter((item) => item.type === "blob")
+            .map((item) => ({ path: item.path, type: "blob", sha: item.id }))
+        );
+        if (list.length < 100) {
+          break;
+        }
+      }
+      return { data: items };
+    },
+    getBlob: async ({ sha }) => get(`/repository/blobs/${sha}/raw`, true),
+    getFile: async (filePath, ref) => {
+      const result = await get(
+        `/repository/files/${encodeURIComponent(filePath)}/raw${
+          ref ? `?ref=${encodeURIComponent(ref)}` : ""
+        }`,
+        true
+      );
+      return mapResult(result, (content) => ({
+        content,
+        url: ref ? buildFileUrl(repo, { ref, path: filePath }) : null
+      }));
+    },
+    listCommits: async (ref, limit, { path = null } = {}) => {
+      const commits = [];
+      const perPage = Math.min(Math.max(limit, 1), 100);
+      const pathQuery = path ? `&path=${encodeURIComponent(path)}` : "";
+      let page = 1;
+      while (commits.length < limit) {
+        const result = await get(
+          `/repository/commits?ref_name=${encodeURIComponent(
+            ref
+          )}${pathQuery}&per_page=${perPage}&page=${page}`
+        );
+        if (result.error) {
+          return result;
+        }
+        const list = Array.isArray(result.data) ? result.data : [];
+        commits.push(...list.map((commit) => ({ sha: commit.id })));
+        if (list.length < perPage) {
+          break;
+        }
+        page += 1;
+      }
+      return { data: commits.slice(0, limit) };
+    },
+    getCommit: async (sha) => {
+      const result = await get(
+        `/repository/commits/${encodeURIComponent(sha)}`
+      );
+      if (result.error) {
+        return result;
+      }
+      const diffs = await fetchDiffs(result.data.id);
+      if (diffs.error) {
+        return diffs;
+      }
+      return { data: mapGitLabCommit(repo, result.data, diffs.data) };
+    },
+    compareCommits: async (baseRef, headRef) =>
+      mapResult(
+        await get(
+          `/repository/compare?from=${encodeURIComponent(
+            baseRef
+          )}&to=${encodeURIComponent(headRef)}`
+        ),
+        (data) => {
+          const commits = (
+            Array.isArray(data?.commits) ? data.commits : []
+          ).map((commit) => mapGitLabCommit(repo, commit));
+          return {
+            status: commits.length > 0 ? "ahead" : "identical",
+            ahead_by: commits.length,
+            behind_by: 0,
+            commits,
+            files: (Array.isArray(data?.diffs) ? data.diffs : []).map(
+              mapGitLabDiff
+            ),
+            html_url:
+              data?.web_url || buildCompareUrl(repo, baseRef, headRef)
+          };
+        }
+      ),
+    listReleases: async (limit) =>
+      mapResult(
+        await get(`/releases?per_page=${Math.min(Math.max(limit, 1), 100)}`),
+        (data) =>
+          (Array.isArray(data) ? data : []).map((release) => ({
+            tag_name: release.tag_name,
+            name: release.name || release.tag_name,
+            body: release.description || "",
+            published_at: release.released_at || release.created_at || null,
+            created_at: release.created_at || null,
+            prerelease: Boolean(release.upcoming_release),
+            draft: false,
+            html_url:
+              release._links?.self || buildReleaseUrl(repo, release.tag_name)
+          }))
+      ),
+    listTags: async () =>
+      mapResult(await get("/repository/tags?per_page=100"), (data) =>
+        (Array.isArray(data) ? data : []).map((tag) => ({
+          name: tag.name,
+          commit: { sha: tag.commit?.id || null }
+        }))
+      )
+  };
+};
+
+const createBitbucketProvider = (repo) => {
+  const headers = resolveProviderHeaders(repo);
+  const base = `${repo.apiBase}/repositories/${repo.owner}/${repo.repo}`;
+  const get = (path, raw = false) =>
+    request(path.startsWith("https://") ? path : `${base}${path}`, {
+      headers,
+      raw
+    });
+
+  const collectPages = async (path, limit) => {
+    const values = [];
+    let next = path;
+    while (next && values.length < limit) {
+      const result = await get(next);
+      if (result.error) {
+        return result;
+      }
+      values.push(
+        ...(Array.isArray(result.data?.values) ? result.data.values : [])
+      );
+      next = result.data?.next || null;
+    }
+    return { data: values.slice(0, limit) };
+  };
+
+  const fetchCommitFiles = async (spec) => {
+    const diffstat = await collectPages(`/diffstat/${spec}?pagelen=100`, 500);
+    if (diffstat.error) {
+      return diffstat;
+    }
+    const diff = await get(`/diff/${spec}`, true);
+    const patches = diff.error
+      ? []
+      : splitUnifiedDiff(diff.data.toString("utf8"));
+    return {
+      data: diffstat.data.map((entry) => {
+        const filename = entry.new?.path || entry.old?.path;
+        const patch = patches.find((item) => item.newPath === filename);
+        return {
+          filename,
+          previous_filename:
+            entry.status === "renamed" ? entry.old?.path : undefined,
+          status: entry.status === "removed" ? "removed" : entry.status,
+          additions: entry.lines_added || 0,
+          deletions: entry.lines_removed || 0,
+          patch: patch?.patch || ""
+        };
+      })
+    };
+  };
+
+  const mapCommit = (commit, files = []) => ({
+    sha: commit.hash,
+    html_url: commit.links?.html?.href || buildCommitUrl(repo, commit.hash),
+    commit: {
+      message: commit.message || "",
+      author: {
+        name:
+          commit.author?.user?.display_name ||
+          (commit.author?.raw || "").replace(/\s*<.*>$/, "") ||
+          "unknown",
+        date: commit.date || null
+      }
+    },
+    author: commit.author?.user?.nickname
+      ? { login: commit.author.user.nickname }
+      : null,
+    files
+  });
+
+  return {
+    getRepo: async () =>
+      mapResult(await get(""), (data) => ({
+        defaultBranch: data.mainbranch?.name || "main",
+        description: data.description || "",
+        fullName: data.full_name || `${repo.owner}/${repo.repo}`,
+        webUrl: data.links?.html?.href || repo.webUrl,
+        topics: [],
+        isPrivate: Boolean(data.is_private),
+        sizeBytes: Number.isFinite(data.size) ? data.size : null
+      })),
+    getBranchHead: async (branch) =>
+      mapResult(
+        await get(`/refs/branches/${encodeURIComponent(branch)}`),
+        (data) => data?.target?.hash || null
+      ),
+    listTree: async (ref) =>
+      mapResult(
+        await collectPages(
+          `/src/${encodeURIComponent(ref)}/?max_depth=50&pagelen=100`,
+          maxTreePages * 100
+        ),
+        (values) =>
+          values
+            .filter((item) => item.type === "commit_file")
+            .map((item) => ({
+              path: item.path,
+              type: "blob",
+              sha: null,
+              size: item.size
+            }))
+      ),
+    getBlob: async ({ path: filePath, ref }) =>
+      get(`/src/${encodeURIComponent(ref)}/${encodePath(filePath)}`, true),
+    getFile: async (filePath, ref) => {
+      const resolvedRef = ref || "HEAD";
+      return mapResult(
+        await get(
+          `/src/${encodeURIComponent(resolvedRef)}/${encodePath(filePath)}`,
+          true
+        ),
+        (content) => ({
+          content,
+          url: buildFileUrl(repo, { ref: resolvedRef, path: filePath })
+        })
+      );
+    },
+    listCommits: async (ref, limit, { path = null } = {}) =>
+      mapResult(
+        await collectPages(
+          `/commits/${encodeURIComponent(ref)}?pagelen=${Math.min(
+            Math.max(limit, 1),
+            100
+          )}${path ? `&path=${encodeURIComponent(path)}` : ""}`,
+          limit
+        ),
+        (values) => values.map((commit) => ({ sha: commit.hash }))
+      ),
+    getCommit: async (sha) => {
+      const result = await get(`/commit/${encodeURIComponent(sha)}`);
+      if (result.error) {
+        return result;
+      }
+      const files = await fetchCommitFiles(result.data.hash);
+      return { data: mapCommit(result.data, files.error ? [] : files.data) };
+    },
+    compareCommits: async (baseRef, headRef) => {
+      const commits = await collectPages(
+        `/commits?include=${encodeURIComponent(
+          headRef
+        )}&exclude=${encodeURIComponent(baseRef)}&pagelen=100`,
+        250
+      );
+      if (commits.error) {
+        return commits;
+      }
+      const files = await fetchCommitFiles(
+        `${encodeURIComponent(headRef)}..${encodeURIComponent(baseRef)}`
+      );
+      return {
+        data: {
+          status: commits.data.length > 0 ? "ahead" : "identical",
+          ahead_by: commits.data.length,
+          behind_by: 0,
+          commits: commits.data.map((commit) => mapCommit(commit)),
+          files: files.error ? [] : files.data,
+          html_url: buildCompareUrl(repo, baseRef, headRef)
+        }
+      };
+    },
+    listReleases: async () => ({ data: [] }),
+    listTags: async () =>
+      mapResult(
+        await collectPages("/refs/tags?pagelen=100&sort=-target.date", 100),
+        (values) =>
+          values.map((tag) => ({
+            name: tag.name,
+            commit: { sha: tag.target?.hash || null }
+          }))
+      )
+  };
+};
+
+const createRemoteOnlyProvider = () => {
+  const unavailable = async () => ({
+    error: "Plain git remotes have no host API; only clone ingest is available."
+  });
+  return {
+    getRepo: unavailable,
+    getBranchHead: unavailable,
+    listTree: unavailable,
+    getBlob: unavailable,
+    getFile: unavailable,
+    listCommits: unavailable,
+    getCommit: unavailable,
+    compareCommits: unavailable,
+    listReleases: unavailable,
+    listTags: unavailable
+  };
+};
+
+const providerFactories = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  bitbucket: createBitbucketProvider,
+  git: createRemoteOnlyProvider
+};
+
+export const createGitProvider = (repo, options = {}) => {
+  const factory = providerFactories[repo?.provider];
+  if (!factory) {
+    throw new Error(`Unsupported git provider: ${repo?.provider || "unknown"}`);
+  }
+  return { ...repo, ...factory(repo, options) };
+};
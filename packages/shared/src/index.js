@@ -2,5 +2,9 @@ export const API_VERSION = "0.1.0";
 
 export * from "./db/connection.js";
 export * from "./db/schema.js";
+export * from "./git.js";
+export * from "./models.js";
+export * from "./paths.js";
 export * from "./queues.js";
 export * from "./redis.js";
+export * from "./storage.js";
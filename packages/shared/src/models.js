@@ -0,0 +1,470 @@
+import crypto from "node:crypto";
+import OpenAI, { AzureOpenAI } from "openai";
+
+export const EMBEDDING_PROVIDERS = [
+  "openai",
+  "azure",
+  "openai-compatible",
+  "stub"
+];
+export const CHAT_PROVIDERS = [
+  "openai",
+  "anthropic",
+  "azure",
+  "openai-compatible",
+  "stub"
+];
+
+const defaultEmbeddingDimensions = 1536;
+// pgvector cannot build an HNSW index on vector columns wider than this.
+const maxIndexedEmbeddingDimensions = 2000;
+const defaultAzureApiVersion = "2024-10-21";
+const anthropicApiVersion = "2023-06-01";
+const defaultAnthropicMaxTokens = 1024;
+
+export const resolveEmbeddingDimensions = (env = process.env) => {
+  const value = Number.parseInt(env.EMBEDDING_DIMENSIONS || "", 10);
+  if (!Number.isFinite(value) || value <= 0) {
+    return defaultEmbeddingDimensions;
+  }
+  if (value > maxIndexedEmbeddingDimensions) {
+    throw new Error(
+      `EMBEDDING_DIMENSIONS must be at most ${maxIndexedEmbeddingDimensions} for the HNSW index; got ${value}`
+    );
+  }
+  return value;
+};
+
+const resolveProviderName = (value, supported, kind) => {
+  const name = String(value || "openai")
+    .trim()
+    .toLowerCase();
+  if (!supported.includes(name)) {
+    throw new Error(`Unsupported ${kind} provider: ${name}`);
+  }
+  return name;
+};
+
+const createOpenAIClient = (provider, env) => {
+  if (provider === "azure") {
+    if (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_API_KEY) {
+      throw new Error(
+        "AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY must be set"
+      );
+    }
+    return new AzureOpenAI({
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || defaultAzureApiVersion
+    });
+  }
+  if (provider === "openai-compatible") {
+    if (!env.OPENAI_COMPATIBLE_BASE_URL) {
+      throw new Error("OPENAI_COMPATIBLE_BASE_URL is not set");
+    }
+    return new OpenAI({
+      baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY || "local"
+    });
+  }
+  if (!env.OPENAI_API_KEY) {
+    throw new Error("OPENAI_API_KEY is not set");
+  }
+  return new OpenAI({ apiKey: env.OPENAI_API_KEY });
+};
+
+const createLazyClient = (provider, env) => {
+  let client = null;
+  return () => {
+    if (!client) {
+      client = createOpenAIClient(provider, env);
+    }
+    return client;
+  };
+};
+
+const embedStub = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = String(text || "")
+    .toLowerCase()
+    .match(/[a-z0-9_]+/g);
+  for (const token of tokens || []) {
+    const digest = crypto.createHash("sha256").update(token).digest();
+    vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map((value) => value / norm);
+};
+
+export const createEmbeddingProvider = (env = process.env) => {
+  const provider = resolveProviderName(
+    env.EMBEDDING_PROVIDER,
+    EMBEDDING_PROVIDERS,
+    "embedding"
+  );
+  const model =
+    env.EMBEDDING_MODEL ||
+    (provider === "stub"
+      ? "stub-hash"
+      : env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small");
+  const dimensions = resolveEmbeddingDimensions(env);
+  const requestDimensions =
+    Boolean(env.EMBEDDING_DIMENSIONS) && model.startsWith("text-embedding-3");
+  const getClient = createLazyClient(provider, env);
+
+  const embed = async (texts) => {
+    if (texts.length === 0) {
+      return [];
+    }
+    let embeddings;
+    if (provider === "stub") {
+      embeddings = texts.map((text) => embedStub(text, dimensions));
+    } else {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        ...(requestDimensions ? { dimensions } : {})
+      });
+      embeddings = response.data.map((item) => item.embedding);
+    }
+    if (embeddings.some((embedding) => embedding?.length !== dimensions)) {
+      throw new Error(
+        `Embedding model ${model} does not return ${dimensions}-dimension vectors; update EMBEDDING_DIMENSIONS and run db:reembed`
+      );
+    }
+    return embeddings;
+  };
+
+  return {
+    provider,
+    model,
+    dimensions,
+    id: `${provider}:${model}:${dimensions}`,
+    embed
+  };
+};
+
+const parseToolInput = (value) => {
+  try {
+    const parsed = JSON.parse(value || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const toAnthropicMessages = (messages) => {
+  const system = [];
+  const converted = [];
+  const append = (role, blocks) => {
+    if (blocks.length === 0) {
+      return;
+    }
+    const last = converted[converted.length - 1];
+    if (last?.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+  for (const message of messages) {
+    if (message.role === "system") {
+      system.push(message.content);
+      continue;
+    }
+    if (message.role === "tool") {
+      append("user", [
+        {
+          type: "tool_result",
+          tool_use_id: message.tool_call_id,
+          content: String(message.content ?? "")
+        }
+      ]);
+      continue;
+    }
+    const blocks = message.content
+      ? [{ type: "text", text: String(message.content) }]
+      : [];
+    for (const call of message.tool_calls || []) {
+      blocks.push({
+        type: "tool_use",
+        id: call.id,
+        name: call.function?.name,
+        input: parseToolInput(call.function?.arguments)
+      });
+    }
+    append(message.role === "assistant" ? "assistant" : "user", blocks);
+  }
+  return { system: system.join("\n\n"), messages: converted };
+};
+
+// The final tool step still sends the definitions: Anthropic rejects tool_use
+// history without them, so tool_choice "none" is what forces a text answer.
+export const buildAnthropicRequest = (options) => {
+  const { system, messages } = toAnthropicMessages(options.messages || []);
+  return {
+    model: options.model,
+    max_tokens:
+      options.max_tokens ||
+      options.max_completion_tokens ||
+      defaultAnthropicMaxTokens,
+    messages,
+    ...(system ? { system } : {}),
+    ...(Number.isFinite(options.temperature)
+      ? { temperature: options.temperature }
+      : {}),
+    ...(options.tools
+      ? {
+          tools: options.tools.map((tool) => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters || {
+              type: "object",
+              properties: {}
+            }
+          })),
+          tool_choice: {
+            type: options.tool_choice === "none" ? "none" : "auto"
+          }
+        }
+      : {}),
+    ...(options.stream ? { stream: true } : {})
+  };
+};
+
+const requestAnthropic = async (env, body, signal) => {
+  if (!env.ANTHROPIC_API_KEY) {
+    throw new Error("ANTHROPIC_API_KEY is not set");
+  }
+  const baseUrl = (env.ANTHROPIC_BASE_URL || "https://api.anthropic.com")
+    .trim()
+    .replace(/\/+$/, "");
+  const response = await fetch(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": env.ANTHROPIC_API_KEY,
+      "anthropic-version": anthropicApiVersion
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    throw new Error(
+      payload?.error?.message || `Anthropic API error (${response.status})`
+    );
+  }
+  return response;
+};
+
+const mapAnthropicMessage = (message) => {
+  const text = [];
+  const toolCalls = [];
+  for (const block of message.content || []) {
+    if (block.type === "text") {
+      text.push(block.text);
+    } else if (block.type === "tool_use") {
+      toolCalls.push({
+        id: block.id,
+        type: "function",
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {})
+        }
+      });
+    }
+  }
+  return {
+    choices: [
+      {
+        message: {
+          role: "assistant",
+          content: text.join(""),
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        }
+      }
+    ],
+    usage: {
+      total_tokens:
+        (message.usage?.input_tokens || 0) +
+        (message.usage?.output_tokens || 0)
+    }
+  };
+};
+
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary >= 0) {
+      const data = buffer
+        .slice(0, boundary)
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+      buffer = buffer.slice(boundary + 2);
+      if (data) {
+        yield JSON.parse(data);
+      }
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
+
+async function* streamAnthropicCompletion(body) {
+  let inputTokens = 0;
+  let outputTokens = 0;
+  const toolIndexes = new Map();
+  for await (const event of readServerSentEvents(body)) {
+    if (event.type === "message_start") {
+      inputTokens = event.message?.usage?.input_tokens || 0;
+      outputTokens = event.message?.usage?.output_tokens || 0;
+    } else if (
+      event.type === "content_block_start" &&
+      event.content_block?.type === "tool_use"
+    ) {
+      const index = toolIndexes.size;
+      toolIndexes.set(event.index, index);
+      yield {
+        choices: [
+          {
+            delta: {
+              tool_calls: [
+                {
+                  index,
+                  id: event.content_block.id,
+                  function: { name: event.content_block.name }
+                }
+              ]
+            }
+          }
+        ]
+      };
+    } else if (event.type === "content_block_delta") {
+      if (event.delta?.type === "text_delta") {
+        yield { choices: [{ delta: { content: event.delta.text } }] };
+      } else if (
+        event.delta?.type === "input_json_delta" &&
+        toolIndexes.has(event.index)
+      ) {
+        yield {
+          choices: [
+            {
+              delta: {
+                tool_calls: [
+                  {
+                    index: toolIndexes.get(event.index),
+                    function: { arguments: event.delta.partial_json }
+                  }
+                ]
+              }
+            }
+          ]
+        };
+      }
+    } else if (event.type === "message_delta") {
+      outputTokens = event.usage?.output_tokens ?? outputTokens;
+    } else if (event.type === "error") {
+      throw new Error(event.error?.message || "Anthropic stream failed");
+    }
+  }
+  yield { choices: [], usage: { total_tokens: inputTokens + outputTokens } };
+}
+
+const createAnthropicCompletion = async (env, options, { signal } = {}) => {
+  const response = await requestAnthropic(
+    env,
+    buildAnthropicRequest(options),
+    signal
+  );
+  if (options.stream) {
+    return streamAnthropicCompletion(response.body);
+  }
+  return mapAnthropicMessage(await response.json());
+};
+
+const buildStubAnswer = (messages) => {
+  const prompt = String(
+    [...messages].reverse().find((message) => message.role === "user")
+      ?.content || ""
+  );
+  const question =
+    prompt.match(/^Question: (.*)$/m)?.[1]?.trim() || prompt.split("\n")[0];
+  const sources = Array.from(
+    prompt.matchAll(/^\[source:(\d+)\] repo=(\S+) path=(\S+)/gm)
+  ).slice(0, 3);
+  if (sources.length === 0) {
+    return `I don't know. The offline stub model found no context for "${question}".`;
+  }
+  return [
+    `Offline stub answer for "${question}":`,
+    ...sources.map(
+      ([, index, repo, filePath]) => `- ${repo} ${filePath} [source:${index}]`
+    )
+  ].join("\n");
+};
+
+async function* streamStubCompletion(content, usage) {
+  for (const piece of content.match(/\s*\S+/g) || []) {
+    yield { choices: [{ delta: { content: piece } }] };
+  }
+  yield { choices: [], usage };
+}
+
+const createStubCompletion = async (options) => {
+  const messages = options.messages || [];
+  const content = buildStubAnswer(messages);
+  const promptLength = messages
+    .map((message) => String(message.content || ""))
+    .join("\n").length;
+  const usage = {
+    total_tokens: Math.ceil((promptLength + content.length) / 4)
+  };
+  if (options.stream) {
+    return streamStubCompletion(content, usage);
+  }
+  return { choices: [{ message: { role: "assistant", content } }], usage };
+};
+
+export const createChatProvider = (env = process.env) => {
+  const provider = resolveProviderName(
+    env.CHAT_PROVIDER,
+    CHAT_PROVIDERS,
+    "chat"
+  );
+  const model =
+    env.CHAT_MODEL ||
+    (provider === "stub"
+      ? "stub-chat"
+      : provider === "anthropic"
+      ? "claude-sonnet-4-5"
+      : env.OPENAI_CHAT_MODEL || "gpt-4o");
+  const getClient = createLazyClient(provider, env);
+
+  const createCompletion = async (options, requestOptions = {}) => {
+    if (provider === "stub") {
+      return createStubCompletion(options);
+    }
+    if (provider === "anthropic") {
+      return createAnthropicCompletion(
+        env,
+        { ...options, model },
+        requestOptions
+      );
+    }
+    return getClient().chat.completions.create(
+      { ...options, model },
+      requestOptions
+    );
+  };
+
+  return { provider, model, createCompletion };
+};
@@ -0,0 +1,138 @@
+export const SHOWCASE_IGNORE_FILE = ".showcaseignore";
+
+const escapeRegExp = (value) => value.replace(/[.+^$()|[\]\\]/g, "\\$&");
+
+const translateGlob = (glob) => {
+  let pattern = "";
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+    if (char === "*") {
+      if (glob[index + 1] === "*") {
+        const followedBySlash = glob[index + 2] === "/";
+        pattern += followedBySlash ? "(?:.*/)?" : ".*";
+        index += followedBySlash ? 2 : 1;
+      } else {
+        pattern += "[^/]*";
+      }
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else if (char === "{") {
+      const end = glob.indexOf("}", index);
+      if (end < 0) {
+        pattern += "\\{";
+        continue;
+      }
+      pattern += `(?:${glob
+        .slice(index + 1, end)
+        .split(",")
+        .map((option) => translateGlob(option))
+        .join("|")})`;
+      index = end;
+    } else {
+      pattern += escapeRegExp(char);
+    }
+  }
+  return pattern;
+};
+
+export const compilePathRule = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  let glob = value.trim();
+  if (!glob || glob.startsWith("#")) {
+    return null;
+  }
+  const negate = glob.startsWith("!");
+  if (negate) {
+    glob = glob.slice(1);
+  }
+  glob = glob.replace(/^\\(?=[#!])/, "").replace(/^\.\//, "");
+  const anchored = glob.replace(/\/+$/, "").includes("/");
+  glob = glob.replace(/^\/+/, "").replace(/\/+$/, "");
+  if (!glob) {
+    return null;
+  }
+  return {
+    negate,
+    regex: new RegExp(
+      `^${anchored ? "" : "(?:.*/)?"}${translateGlob(glob)}(?:/.*)?$`,
+      "i"
+    )
+  };
+};
+
+export const compilePathRules = (values) =>
+  (Array.isArray(values) ? values : [])
+    .map((value) => compilePathRule(value))
+    .filter(Boolean);
+
+export const normalizeSubpath = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const segments = value
+    .trim()
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((segment) => segment && segment !== ".");
+  if (segments.includes("..")) {
+    return null;
+  }
+  return segments.join("/");
+};
+
+export const stripSubpath = (filePath, subpath) => {
+  if (!subpath) {
+    return filePath;
+  }
+  return filePath.startsWith(`${subpath}/`)
+    ? filePath.slice(subpath.length + 1)
+    : null;
+};
+
+export const parseIgnoreFile = (text) =>
+  typeof text === "string" ? text.replace(/\r\n/g, "\n").split("\n") : [];
+
+export const matchPathRules = (rules, filePath) => {
+  let matched = false;
+  for (const rule of rules) {
+    if (rule.regex.test(filePath)) {
+      matched = !rule.negate;
+    }
+  }
+  return matched;
+};
+
+// Project-level path rules only (subpath scope, excludes and .showcaseignore,
+// then includes); the worker layers its file-type checks on top for indexing.
+export const createPathFilter = ({
+  includePaths,
+  excludePaths,
+  ignoreText,
+  subpath
+} = {}) => {
+  const includeRules = compilePathRules(includePaths);
+  const excludeRules = compilePathRules([
+    ...parseIgnoreFile(ignoreText),
+    ...(Array.isArray(excludePaths) ? excludePaths : [])
+  ]);
+  return (filePath) => {
+    const projectPath = stripSubpath(filePath, subpath);
+    return (
+      Boolean(projectPath) &&
+      !matchPathRules(excludeRules, projectPath) &&
+      (includeRules.length === 0 || matchPathRules(includeRules, projectPath))
+    );
+  };
+};
+
+export const rankPathPriority = (rules, filePath) => {
+  const index = rules.findIndex(
+    (rule) => !rule.negate && rule.regex.test(filePath)
+  );
+  return index < 0 ? Number.POSITIVE_INFINITY : index;
+};
@@ -3,5 +3,10 @@ export const QUEUE_NAMES = {
 };
 
 export const JOB_TYPES = {
-  ingestRepoDocs: "INGEST_REPO_DOCS"
+  ingestRepoDocs: "INGEST_REPO_DOCS",
+  ingestRepoCommits: "INGEST_REPO_COMMITS",
+  ingestRepoReleases: "INGEST_REPO_RELEASES",
+  ingestRepoIssues: "INGEST_REPO_ISSUES"
 };
+
+export const INGEST_STRATEGIES = ["api", "tarball", "clone"];
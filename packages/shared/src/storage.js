@@ -0,0 +1,16 @@
+const resolveTenantKey = (tenantId) =>
+  tenantId || process.env.DEFAULT_TENANT_ID || "default";
+
+export const buildObjectKey = (tenantId, owner, repo, ref, filePath) => {
+  const normalizedPath = filePath.replace(/\\/g, "/");
+  return `tenants/${resolveTenantKey(
+    tenantId
+  )}/repos/${owner}/${repo}/refs/${encodeURIComponent(
+    ref
+  )}/files/${normalizedPath}`;
+};
+
+export const buildCommitObjectKey = (tenantId, owner, repo, sha) =>
+  `tenants/${resolveTenantKey(
+    tenantId
+  )}/repos/${owner}/${repo}/commits/${sha}.diff`;
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildFileUrl,
+  normalizeRefName,
+  parseGitRemote,
+  parseRepoUrl
+} from "../src/git.js";
+
+describe("parseRepoUrl", () => {
+  it("parses GitHub, GitLab and Bitbucket repository URLs", () => {
+    assert.deepEqual(parseRepoUrl("https://github.com/acme/app.git"), {
+      provider: "github",
+      host: "github.com",
+      owner: "acme",
+      repo: "app",
+      webUrl: "https://github.com/acme/app",
+      apiBase: "https://api.github.com",
+      ref: null,
+      subpath: null
+    });
+
+    const gitlab = parseRepoUrl("https://gitlab.com/group/sub/app");
+    assert.equal(gitlab.provider, "gitlab");
+    assert.equal(gitlab.owner, "group/sub");
+    assert.equal(gitlab.apiBase, "https://gitlab.com/api/v4");
+
+    const bitbucket = parseRepoUrl("https://bitbucket.org/team/app");
+    assert.equal(bitbucket.provider, "bitbucket");
+    assert.equal(bitbucket.apiBase, "https://api.bitbucket.org/2.0");
+  });
+
+  it("reads the ref and subpath from tree URLs", () => {
+    const github = parseRepoUrl(
+      "https://github.com/acme/app/tree/release%2F1.x/docs/api"
+    );
+    assert.equal(github.ref, "release/1.x");
+    assert.equal(github.subpath, "docs/api");
+
+    const gitlab = parseRepoUrl("https://gitlab.com/group/app/-/tree/v2.0");
+    assert.equal(gitlab.ref, "v2.0");
+    assert.equal(gitlab.subpath, null);
+
+    const bitbucket = parseRepoUrl(
+      "https://bitbucket.org/team/app/src/develop/lib"
+    );
+    assert.equal(bitbucket.ref, "develop");
+    assert.equal(bitbucket.subpath, "lib");
+  });
+
+  it("rejects unknown hosts and incomplete URLs", () => {
+    assert.equal(parseRepoUrl("https://example.com/acme/app"), null);
+    assert.equal(parseRepoUrl("https://github.com/acme"), null);
+    assert.equal(parseRepoUrl("not a url"), null);
+    assert.equal(parseRepoUrl(null), null);
+  });
+});
+
+describe("normalizeRefName", () => {
+  it("strips refs/heads and refs/tags prefixes", () => {
+    assert.equal(normalizeRefName("refs/heads/main"), "main");
+    assert.equal(normalizeRefName("refs/tags/v1.2.3"), "v1.2.3");
+    assert.equal(normalizeRefName(" feature/login "), "feature/login");
+  });
+
+  it("rejects names git would refuse", () => {
+    for (const value of [
+      "",
+      "-rf",
+      "a..b",
+      "topic.lock",
+      "has space",
+      "a:b",
+      "/leading",
+      "trailing/",
+      "at@{1}",
+      42
+    ]) {
+      assert.equal(normalizeRefName(value), null, String(value));
+    }
+  });
+});
+
+describe("buildFileUrl", () => {
+  it("uses each provider's blob path and line anchor", () => {
+    const file = { ref: "main", path: "src/a.js", startLine: 3, endLine: 8 };
+    assert.equal(
+      buildFileUrl(parseRepoUrl("https://github.com/acme/app"), file),
+      "https://github.com/acme/app/blob/main/src/a.js#L3-L8"
+    );
+    assert.equal(
+      buildFileUrl(parseRepoUrl("https://gitlab.com/group/app"), file),
+      "https://gitlab.com/group/app/-/blob/main/src/a.js#L3-8"
+    );
+    assert.equal(
+      buildFileUrl(parseRepoUrl("https://bitbucket.org/team/app"), file),
+      "https://bitbucket.org/team/app/src/main/src/a.js#lines-3:8"
+    );
+  });
+
+  it("encodes path segments and refuses dot segments", () => {
+    const repo = parseRepoUrl("https://github.com/acme/app");
+    assert.equal(
+      buildFileUrl(repo, {
+        ref: "main",
+        path: "docs/read me.md",
+        startLine: 3,
+        plain: true
+      }),
+      "https://github.com/acme/app/blob/main/docs/read%20me.md?plain=1#L3"
+    );
+    assert.throws(
+      () => buildFileUrl(repo, { ref: "main", path: "../secrets" }),
+      /\.\. segments/
+    );
+  });
+
+  it("has no web URL for plain git remotes", () => {
+    assert.equal(
+      buildFileUrl(parseGitRemote("/srv/git/app.git"), {
+        ref: "main",
+        path: "README.md"
+      }),
+      null
+    );
+  });
+});
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildAnthropicRequest } from "../src/models.js";
+
+const searchTool = {
+  type: "function",
+  function: {
+    name: "search_code",
+    description: "Search the repository.",
+    parameters: {
+      type: "object",
+      properties: { query: { type: "string" } }
+    }
+  }
+};
+
+const toolHistory = [
+  { role: "system", content: "Answer from context." },
+  { role: "user", content: "Where is auth handled?" },
+  {
+    role: "assistant",
+    content: null,
+    tool_calls: [
+      {
+        id: "call_1",
+        type: "function",
+        function: { name: "search_code", arguments: '{"query":"auth"}' }
+      }
+    ]
+  },
+  { role: "tool", tool_call_id: "call_1", content: "src/auth.js" }
+];
+
+describe("buildAnthropicRequest", () => {
+  it("converts tool calls and results into content blocks", () => {
+    const request = buildAnthropicRequest({
+      model: "claude",
+      messages: toolHistory,
+      tools: [searchTool],
+      tool_choice: "auto"
+    });
+    assert.equal(request.system, "Answer from context.");
+    assert.deepEqual(request.messages, [
+      {
+        role: "user",
+        content: [{ type: "text", text: "Where is auth handled?" }]
+      },
+      {
+        role: "assistant",
+        content: [
+          {
+            type: "tool_use",
+            id: "call_1",
+            name: "search_code",
+            input: { query: "auth" }
+          }
+        ]
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "call_1", content: "src/auth.js" }
+        ]
+      }
+    ]);
+    assert.deepEqual(request.tool_choice, { type: "auto" });
+  });
+
+  it("keeps tool definitions on the final step and disables new calls", () => {
+    const request = buildAnthropicRequest({
+      model: "claude",
+      messages: toolHistory,
+      tools: [searchTool],
+      tool_choice: "none",
+      max_tokens: 200
+    });
+    assert.deepEqual(request.tools, [
+      {
+        name: "search_code",
+        description: "Search the repository.",
+        input_schema: searchTool.function.parameters
+      }
+    ]);
+    assert.deepEqual(request.tool_choice, { type: "none" });
+    assert.equal(request.max_tokens, 200);
+    assert.ok(
+      request.messages.some((message) =>
+        message.content.some((block) => block.type === "tool_result")
+      )
+    );
+  });
+
+  it("omits tools when none are offered", () => {
+    const request = buildAnthropicRequest({
+      model: "claude",
+      messages: [{ role: "user", content: "Hi" }]
+    });
+    assert.equal(request.tools, undefined);
+    assert.equal(request.tool_choice, undefined);
+  });
+});
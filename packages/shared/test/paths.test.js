@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  compilePathRule,
+  compilePathRules,
+  createPathFilter,
+  matchPathRules,
+  normalizeSubpath,
+  parseIgnoreFile,
+  rankPathPriority,
+  stripSubpath
+} from "../src/paths.js";
+
+const matches = (patterns, filePath) =>
+  matchPathRules(compilePathRules(patterns), filePath);
+
+describe("compilePathRule", () => {
+  it("skips blanks, comments and non-strings", () => {
+    assert.equal(compilePathRule(""), null);
+    assert.equal(compilePathRule("   "), null);
+    assert.equal(compilePathRule("# vendored code"), null);
+    assert.equal(compilePathRule(null), null);
+    assert.equal(compilePathRule("/"), null);
+  });
+
+  it("reads negation and escaped leading characters", () => {
+    assert.equal(compilePathRule("!docs/").negate, true);
+    const escaped = compilePathRule("\\#notes.md");
+    assert.equal(escaped.negate, false);
+    assert.ok(escaped.regex.test("#notes.md"));
+  });
+});
+
+describe("matchPathRules", () => {
+  it("matches unanchored names at any depth and anchored paths from the root", () => {
+    assert.ok(matches(["node_modules"], "node_modules/a.js"));
+    assert.ok(matches(["node_modules"], "packages/x/node_modules/a.js"));
+    assert.ok(matches(["docs/"], "docs/guide.md"));
+    assert.ok(!matches(["/docs"], "site/docs/guide.md"));
+    assert.ok(matches(["./src/app"], "src/app/index.js"));
+  });
+
+  it("supports *, **, ? and brace alternatives", () => {
+    assert.ok(matches(["*.min.js"], "public/vendor/app.min.js"));
+    assert.ok(!matches(["src/*.js"], "src/lib/a.js"));
+    assert.ok(matches(["src/**/*.js"], "src/a.js"));
+    assert.ok(matches(["src/**/*.js"], "src/lib/deep/a.js"));
+    assert.ok(matches(["file?.txt"], "file1.txt"));
+    assert.ok(!matches(["file?.txt"], "file10.txt"));
+    assert.ok(matches(["*.{md,rst}"], "docs/guide.rst"));
+    assert.ok(!matches(["*.{md,rst}"], "docs/guide.txt"));
+  });
+
+  it("lets the last matching rule win", () => {
+    const rules = ["docs/", "!docs/internal/"];
+    assert.ok(matches(rules, "docs/guide.md"));
+    assert.ok(!matches(rules, "docs/internal/notes.md"));
+    assert.ok(matches([...rules, "docs/internal/public.md"], "docs/internal/public.md"));
+    assert.ok(!matches([], "README.md"));
+  });
+
+  it("matches case-insensitively", () => {
+    assert.ok(matches(["readme.md"], "README.md"));
+  });
+});
+
+describe("rankPathPriority", () => {
+  it("ranks by the first non-negated rule that matches", () => {
+    const rules = compilePathRules(["README.md", "!docs/draft.md", "docs/"]);
+    assert.equal(rankPathPriority(rules, "README.md"), 0);
+    assert.equal(rankPathPriority(rules, "docs/draft.md"), 2);
+    assert.equal(rankPathPriority(rules, "src/index.js"), Infinity);
+  });
+});
+
+describe("parseIgnoreFile", () => {
+  it("splits lines and normalizes CRLF", () => {
+    const lines = parseIgnoreFile("dist/\r\n# comment\r\n\r\n*.log\r\n");
+    assert.deepEqual(lines, ["dist/", "# comment", "", "*.log", ""]);
+    assert.equal(compilePathRules(lines).length, 2);
+    assert.deepEqual(parseIgnoreFile(undefined), []);
+  });
+});
+
+describe("normalizeSubpath", () => {
+  it("normalizes separators and rejects parent segments", () => {
+    assert.equal(normalizeSubpath(undefined), "");
+    assert.equal(normalizeSubpath(" ./docs\\api/ "), "docs/api");
+    assert.equal(normalizeSubpath("docs/../secrets"), null);
+    assert.equal(normalizeSubpath(42), null);
+    assert.equal(stripSubpath("docs/api/index.md", "docs/api"), "index.md");
+    assert.equal(stripSubpath("docs/apis/index.md", "docs/api"), null);
+  });
+});
+
+describe("createPathFilter", () => {
+  it("scopes to the subpath and applies ignore, exclude and include rules", () => {
+    const isAllowed = createPathFilter({
+      subpath: "packages/api",
+      includePaths: ["src/", "README.md"],
+      excludePaths: ["src/generated/"],
+      ignoreText: "# secrets\n*.pem\n"
+    });
+    assert.ok(isAllowed("packages/api/src/index.js"));
+    assert.ok(isAllowed("packages/api/README.md"));
+    assert.ok(!isAllowed("packages/api/src/generated/client.js"));
+    assert.ok(!isAllowed("packages/api/src/certs/server.pem"));
+    assert.ok(!isAllowed("packages/api/package.json"));
+    assert.ok(!isAllowed("packages/web/src/index.js"));
+  });
+
+  it("allows everything without rules", () => {
+    const isAllowed = createPathFilter();
+    assert.ok(isAllowed("any/file.bin"));
+    assert.ok(!isAllowed(""));
+  });
+});